@@ -0,0 +1,124 @@
+// @flow
+
+import * as React from 'react';
+
+import { shallow } from 'enzyme';
+
+import ContextMenu, {
+  CONTEXT_MENU_ACTIONS,
+} from '../../src/components/context-menu';
+
+describe('ContextMenu component', () => {
+  let output = null;
+  let entries;
+  let onClose;
+
+  const keyEvent = key => ({
+    key,
+    preventDefault: jasmine.createSpy(),
+  });
+
+  beforeEach(() => {
+    entries = [
+      { key: 'zoomTo', label: 'Zoom to', disabled: false, onSelect: () => {} },
+      { key: 'copy', label: 'Copy', disabled: true, onSelect: () => {} },
+      { key: 'delete', label: 'Delete', disabled: false, onSelect: () => {} },
+    ];
+    entries.forEach(entry => spyOn(entry, 'onSelect'));
+    onClose = jasmine.createSpy();
+    output = shallow(
+      <ContextMenu entries={entries} x={10} y={20} onClose={onClose} />
+    );
+  });
+
+  describe('render method', () => {
+    it('renders the entries where the graph was clicked', () => {
+      const items = output.find('.context-menu-item');
+
+      expect(output.props().className).toEqual('context-menu');
+      expect(output.props().style).toEqual({ left: 10, top: 20 });
+      expect(items.length).toEqual(3);
+      expect(items.at(0).text()).toEqual('Zoom to');
+      expect(items.at(1).props().className).toEqual(
+        'context-menu-item disabled'
+      );
+      expect(items.at(1).props()['aria-disabled']).toEqual(true);
+    });
+  });
+
+  describe('CONTEXT_MENU_ACTIONS', () => {
+    it('lists the built-in actions with the targets they apply to', () => {
+      expect(CONTEXT_MENU_ACTIONS.delete.targets).toEqual(['node', 'edge']);
+      expect(CONTEXT_MENU_ACTIONS.duplicate).toEqual({
+        label: 'Duplicate',
+        targets: ['node'],
+      });
+      expect(CONTEXT_MENU_ACTIONS.addConnectedNode).toEqual({
+        label: 'Add connected node',
+        targets: ['node'],
+      });
+    });
+  });
+
+  describe('events', () => {
+    it('runs a clicked entry and closes', () => {
+      output
+        .find('.context-menu-item')
+        .at(2)
+        .simulate('click');
+
+      expect(onClose).toHaveBeenCalled();
+      expect(entries[2].onSelect).toHaveBeenCalled();
+    });
+
+    it('ignores clicks on disabled entries', () => {
+      output
+        .find('.context-menu-item')
+        .at(1)
+        .simulate('click');
+
+      expect(onClose).not.toHaveBeenCalled();
+      expect(entries[1].onSelect).not.toHaveBeenCalled();
+    });
+
+    it('moves through the enabled entries with the arrow keys', () => {
+      output.simulate('keyDown', keyEvent('ArrowDown'));
+      expect(output.state().activeIndex).toEqual(0);
+
+      output.simulate('keyDown', keyEvent('ArrowDown'));
+      expect(output.state().activeIndex).toEqual(2);
+      expect(
+        output
+          .find('.context-menu-item')
+          .at(2)
+          .props().className
+      ).toEqual('context-menu-item active');
+
+      output.simulate('keyDown', keyEvent('ArrowDown'));
+      expect(output.state().activeIndex).toEqual(0);
+
+      output.simulate('keyDown', keyEvent('ArrowUp'));
+      expect(output.state().activeIndex).toEqual(2);
+    });
+
+    it('starts from the last entry when moving up', () => {
+      output.simulate('keyDown', keyEvent('ArrowUp'));
+      expect(output.state().activeIndex).toEqual(2);
+    });
+
+    it('runs the active entry on Enter', () => {
+      output.simulate('keyDown', keyEvent('ArrowDown'));
+      output.simulate('keyDown', keyEvent('Enter'));
+
+      expect(entries[0].onSelect).toHaveBeenCalled();
+      expect(onClose).toHaveBeenCalled();
+    });
+
+    it('closes once on Escape and when the focus leaves', () => {
+      output.simulate('keyDown', keyEvent('Escape'));
+      output.simulate('blur', { relatedTarget: null });
+
+      expect(onClose.calls.count()).toEqual(1);
+    });
+  });
+});
@@ -114,6 +114,27 @@ describe('Edge component', () => {
 
       expect(handleText.length).toEqual(0);
     });
+
+    it('renders highlighted and dimmed edges', () => {
+      output.setProps({ isHighlighted: true });
+      expect(
+        output
+          .children()
+          .find('g')
+          .first()
+          .props().className
+      ).toEqual('edge highlighted');
+
+      output.setProps({ isHighlighted: false, isDimmed: true, opacity: 0.2 });
+      expect(
+        output
+          .children()
+          .find('g')
+          .first()
+          .props().className
+      ).toEqual('edge dimmed');
+      expect(output.props().opacity).toEqual(0.2);
+    });
   });
 
   describe('renderHandleText method', () => {
@@ -136,6 +157,278 @@ describe('Edge component', () => {
     });
   });
 
+  describe('edge routing', () => {
+    const renderEdge = (edgeRouting, types = edgeTypes) =>
+      shallow(
+        <Edge
+          data={data}
+          edgeTypes={types}
+          sourceNode={sourceNode}
+          targetNode={targetNode}
+          isSelected={isSelected}
+          viewWrapperElem={document.createElement('div')}
+          edgeRouting={edgeRouting}
+        />
+      );
+
+    it('draws a cubic Bezier curve for curved edges', () => {
+      const instance = renderEdge('curved').instance();
+
+      expect(instance.getPathDescription(data)).toEqual(
+        'M10,20C10,110,100,110,100,200'
+      );
+      expect(instance.getEdgeHandleTransformation()).toEqual(
+        'translate(55, 110) rotate(45) translate(-25, -25)'
+      );
+    });
+
+    it('draws right-angle segments for orthogonal edges', () => {
+      const instance = renderEdge('orthogonal').instance();
+
+      expect(instance.getPathDescription(data)).toEqual(
+        'M10,20L10,110L100,110L100,200'
+      );
+      expect(instance.getEdgeHandleTransformation()).toEqual(
+        'translate(55, 110) rotate(0) translate(-25, -25)'
+      );
+    });
+
+    it('uses the routing of the edge type over the graph routing', () => {
+      const instance = renderEdge('curved', {
+        ...edgeTypes,
+        fake: { shapeId: 'blah', edgeRouting: 'orthogonal' },
+      }).instance();
+
+      expect(instance.getEdgeRouting()).toEqual('orthogonal');
+    });
+
+    it('defaults to straight edges', () => {
+      expect(output.instance().getEdgeRouting()).toEqual('straight');
+    });
+
+    it('routes from the nearest waypoint when calculating offsets', () => {
+      jest.spyOn(Edge, 'calculateOffset');
+      renderEdge('orthogonal')
+        .instance()
+        .getPathDescription(data);
+
+      expect(Edge.calculateOffset).toHaveBeenCalledWith(
+        0,
+        { x: 10, y: 110 },
+        sourceNode,
+        undefined,
+        false,
+        expect.any(Object)
+      );
+      expect(Edge.calculateOffset).toHaveBeenCalledWith(
+        0,
+        { x: 100, y: 110 },
+        targetNode,
+        undefined,
+        true,
+        expect.any(Object)
+      );
+      Edge.calculateOffset.mockRestore();
+    });
+  });
+
+  describe('ports', () => {
+    it('starts and ends at the port anchors', () => {
+      output.setProps({
+        sourceAnchor: { x: 10, y: 70 },
+        targetAnchor: { x: 40, y: 110 },
+      });
+
+      // the edge stops short of the target port for the arrow
+      expect(output.instance().getPathDescription(data)).toEqual(
+        'M10,70L37,106'
+      );
+    });
+
+    it('routes from the anchors', () => {
+      output.setProps({
+        edgeRouting: 'orthogonal',
+        sourceAnchor: { x: 10, y: 70 },
+      });
+
+      const points = output.instance().getRoutePoints();
+
+      expect(points.slice(0, 3)).toEqual([
+        { x: 10, y: 70 },
+        { x: 10, y: 135 },
+        { x: 100, y: 135 },
+      ]);
+    });
+  });
+
+  describe('getPointBefore static method', () => {
+    it('returns the point at a distance before the end of a line', () => {
+      expect(Edge.getPointBefore({ x: 0, y: 0 }, { x: 0, y: 10 }, 4)).toEqual({
+        x: 0,
+        y: 6,
+      });
+    });
+
+    it('returns the end of an empty line', () => {
+      expect(Edge.getPointBefore({ x: 5, y: 5 }, { x: 5, y: 5 }, 4)).toEqual({
+        x: 5,
+        y: 5,
+      });
+    });
+  });
+
+  describe('getAriaLabel static method', () => {
+    it('describes the edge with the titles of its nodes', () => {
+      expect(
+        Edge.getAriaLabel(
+          { source: 'a', target: 'b', handleText: 'yes' },
+          { title: 'A' },
+          { title: 'B' }
+        )
+      ).toEqual('Edge from A to B: yes');
+    });
+
+    it('uses the node ids when the titles are unknown', () => {
+      expect(
+        Edge.getAriaLabel({ source: 'a', target: 'b' }, null, { x: 0, y: 0 })
+      ).toEqual('Edge from a to b');
+    });
+  });
+
+  describe('parallel edges and self-loops', () => {
+    it('offsets parallel edges to opposite sides', () => {
+      const renderParallelEdge = (edgeData, parallelIndex) =>
+        shallow(
+          <Edge
+            data={edgeData}
+            edgeTypes={edgeTypes}
+            sourceNode={sourceNode}
+            targetNode={targetNode}
+            viewWrapperElem={document.createElement('div')}
+            parallelIndex={parallelIndex}
+            parallelCount={2}
+          />
+        ).instance();
+      const first = renderParallelEdge({ source: 'a', target: 'b' }, 0);
+      const second = renderParallelEdge({ source: 'b', target: 'a' }, 1);
+
+      expect(first.getParallelOffset()).toEqual(-15);
+      // the same side relative to its own direction, which is reversed
+      expect(second.getParallelOffset()).toEqual(-15);
+      expect(first.getEdgeRouting()).toEqual('curved');
+      expect(first.getPathDescription()).toMatch(/^M10,20C/);
+    });
+
+    it('does not offset a single edge', () => {
+      expect(output.instance().getParallelOffset()).toEqual(0);
+    });
+
+    it('draws a loop above the node for self-loops', () => {
+      const instance = shallow(
+        <Edge
+          data={{ source: 'a', target: 'a' }}
+          edgeTypes={edgeTypes}
+          sourceNode={{ id: 'a', x: 0, y: 0 }}
+          targetNode={{ id: 'a', x: 0, y: 0 }}
+          nodeKey="id"
+          nodeSize={100}
+          viewWrapperElem={document.createElement('div')}
+        />
+      ).instance();
+      const points = instance.getRoutePoints();
+      const midpoint = Edge.getRouteMidpoint(points, 'curved');
+
+      expect(instance.isSelfLoop()).toEqual(true);
+      expect(points[1].y).toBeLessThan(0);
+      expect(points[1].x).toBeCloseTo(-points[2].x);
+      expect(midpoint.x).toBeCloseTo(0);
+      // half the node size and the loop height above the center
+      expect(midpoint.y).toBeCloseTo(-80);
+    });
+  });
+
+  describe('getParallelWaypoints static method', () => {
+    it('bulges to the left of the edge direction', () => {
+      const src = { x: 0, y: 0 };
+      const trg = { x: 100, y: 0 };
+      const waypoints = Edge.getParallelWaypoints(src, trg, 10);
+      const midpoint = Edge.getRouteMidpoint(
+        [src, ...waypoints, trg],
+        'curved'
+      );
+
+      expect(midpoint.x).toBeCloseTo(50);
+      expect(midpoint.y).toBeCloseTo(-10);
+      expect(midpoint.theta).toBeCloseTo(0);
+    });
+  });
+
+  describe('getRouteWaypoints static method', () => {
+    it('returns no waypoints for straight edges', () => {
+      expect(
+        Edge.getRouteWaypoints({ x: 0, y: 0 }, { x: 100, y: 50 }, 'straight')
+      ).toEqual([]);
+    });
+
+    it('bends along the horizontal axis when the nodes are side by side', () => {
+      expect(
+        Edge.getRouteWaypoints({ x: 0, y: 0 }, { x: 100, y: 50 }, 'orthogonal')
+      ).toEqual([
+        { x: 50, y: 0 },
+        { x: 50, y: 50 },
+      ]);
+    });
+
+    it('bends along the vertical axis when the nodes are stacked', () => {
+      expect(
+        Edge.getRouteWaypoints({ x: 0, y: 0 }, { x: 50, y: 100 }, 'curved')
+      ).toEqual([
+        { x: 0, y: 50 },
+        { x: 50, y: 50 },
+      ]);
+    });
+  });
+
+  describe('getRouteMidpoint static method', () => {
+    it('returns the middle of a straight line', () => {
+      const result = Edge.getRouteMidpoint(
+        [
+          { x: 0, y: 0 },
+          { x: 100, y: 0 },
+        ],
+        'straight'
+      );
+
+      expect(result).toEqual({ x: 50, y: 0, theta: 0 });
+    });
+
+    it('returns the middle of the longest stretch of an orthogonal route', () => {
+      const result = Edge.getRouteMidpoint(
+        [
+          { x: 0, y: 0 },
+          { x: 0, y: 10 },
+          { x: 100, y: 10 },
+          { x: 100, y: 20 },
+        ],
+        'orthogonal'
+      );
+
+      expect(result).toEqual({ x: 50, y: 10, theta: 0 });
+    });
+
+    it('returns the end when all points are the same', () => {
+      const result = Edge.getRouteMidpoint(
+        [
+          { x: 5, y: 5 },
+          { x: 5, y: 5 },
+        ],
+        'straight'
+      );
+
+      expect(result).toEqual({ x: 5, y: 5, theta: 0 });
+    });
+  });
+
   describe('getEdgeHandleTransformation method', () => {
     it('returns a translation, rotation, and offset', () => {
       const handleTransformation = output
@@ -338,6 +631,20 @@ describe('Edge component', () => {
       expect(JSON.stringify(result)).toEqual(JSON.stringify(expected));
     });
 
+    it('uses the first and last points of curved paths', () => {
+      const edgePathElement = {
+        getAttribute: jest
+          .fn()
+          .mockReturnValue('M10,20C10,110,100,110,100,200'),
+      };
+      const result = Edge.parsePathToXY(edgePathElement);
+
+      expect(result).toEqual({
+        source: { x: 10, y: 20 },
+        target: { x: 100, y: 200 },
+      });
+    });
+
     it('returns an object with source and target at position 0', () => {
       const result = Edge.parsePathToXY();
       const expected = {
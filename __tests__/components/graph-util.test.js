@@ -18,10 +18,12 @@ describe('GraphUtils class', () => {
         JSON.stringify({
           'key-foo': {
             children: [],
+            groupChildren: [],
             incomingEdges: [],
             node: nodes[0],
             originalArrIndex: 0,
             outgoingEdges: [],
+            parentGroup: null,
             parents: [],
           },
         })
@@ -48,6 +50,73 @@ describe('GraphUtils class', () => {
         })
       );
     });
+
+    it('keeps parallel edges with an id apart', () => {
+      const edges = [
+        { source: 'foo', target: 'bar' },
+        { id: 'second', source: 'foo', target: 'bar' },
+      ];
+      const edgesMap = GraphUtils.getEdgesMap(edges);
+
+      expect(Object.keys(edgesMap)).toEqual(['foo_bar', 'second']);
+      expect(edgesMap.second.originalArrIndex).toEqual(1);
+    });
+  });
+
+  describe('getEdgeKey method', () => {
+    it('uses the id of the edge', () => {
+      expect(
+        GraphUtils.getEdgeKey({ id: 'e1', source: 'a', target: 'b' })
+      ).toEqual('e1');
+    });
+
+    it('falls back to the source and target', () => {
+      expect(GraphUtils.getEdgeKey({ source: 'a', target: 'b' })).toEqual(
+        'a_b'
+      );
+    });
+
+    it('tells edges between different ports of the same nodes apart', () => {
+      expect(
+        GraphUtils.getEdgeKey({ source: 'a', target: 'b', sourcePort: 'true' })
+      ).toEqual('a_b_true_');
+      expect(
+        GraphUtils.getEdgeKey({
+          source: 'a',
+          target: 'b',
+          sourcePort: 'false',
+          targetPort: 'input',
+        })
+      ).toEqual('a_b_false_input');
+    });
+  });
+
+  describe('getEdgeElementId method', () => {
+    it('uses the id of the edge', () => {
+      expect(
+        GraphUtils.getEdgeElementId({ id: 'e1', source: 'a', target: 'b' })
+      ).toEqual('e1');
+    });
+
+    it('falls back to the source and target', () => {
+      expect(GraphUtils.getEdgeElementId({ source: 'a', target: 'b' })).toEqual(
+        'a-b'
+      );
+    });
+
+    it('includes the ports of the edge', () => {
+      expect(
+        GraphUtils.getEdgeElementId({
+          source: 'a',
+          target: 'b',
+          sourcePort: 'true',
+        })
+      ).toEqual('a-b-true-');
+    });
+
+    it('uses custom for an edge without a target', () => {
+      expect(GraphUtils.getEdgeElementId({ source: 'a' })).toEqual('custom');
+    });
   });
 
   describe('linkNodesAndEdges method', () => {
@@ -121,6 +190,97 @@ describe('GraphUtils class', () => {
       expect(nodesMap['key-bar'].incomingEdges.length).toEqual(0);
       expect(nodesMap['key-bar'].parents.length).toEqual(0);
     });
+
+    it('links nodes to the group they declare as parent', () => {
+      nodesMap['key-bar'].node.parent = 'foo';
+
+      GraphUtils.linkNodesAndEdges(nodesMap, []);
+
+      expect(nodesMap['key-bar'].parentGroup).toEqual(nodesMap['key-foo']);
+      expect(nodesMap['key-foo'].groupChildren).toEqual([nodesMap['key-bar']]);
+      expect(nodesMap['key-foo'].parentGroup).toBeUndefined();
+    });
+
+    it('ignores unknown parents and nodes that are their own parent', () => {
+      nodesMap['key-bar'].node.parent = 'fake';
+      nodesMap['key-foo'].node.parent = 'foo';
+
+      GraphUtils.linkNodesAndEdges(nodesMap, []);
+
+      expect(nodesMap['key-bar'].parentGroup).toBeUndefined();
+      expect(nodesMap['key-foo'].parentGroup).toBeUndefined();
+      expect(nodesMap['key-foo'].groupChildren).toBeUndefined();
+    });
+  });
+
+  describe('group hierarchy methods', () => {
+    let nodesMap;
+
+    beforeEach(() => {
+      nodesMap = GraphUtils.getNodesMap(
+        [
+          { id: 'outer' },
+          { id: 'inner', parent: 'outer' },
+          { id: 'a', parent: 'inner' },
+          { id: 'b', parent: 'outer' },
+          { id: 'c' },
+        ],
+        'id'
+      );
+      GraphUtils.linkNodesAndEdges(nodesMap, []);
+    });
+
+    it('detects groups', () => {
+      expect(GraphUtils.isGroup(nodesMap['key-outer'])).toEqual(true);
+      expect(GraphUtils.isGroup(nodesMap['key-inner'])).toEqual(true);
+      expect(GraphUtils.isGroup(nodesMap['key-a'])).toEqual(false);
+      expect(GraphUtils.isGroup(null)).toEqual(false);
+    });
+
+    it('returns the ancestors from the innermost group out', () => {
+      expect(GraphUtils.getGroupAncestors(nodesMap['key-a'])).toEqual([
+        nodesMap['key-inner'],
+        nodesMap['key-outer'],
+      ]);
+      expect(GraphUtils.getGroupAncestors(nodesMap['key-c'])).toEqual([]);
+    });
+
+    it('returns all descendants of a group', () => {
+      const descendants = GraphUtils.getGroupDescendants(nodesMap['key-outer']);
+
+      expect(descendants.map(d => d.node.id)).toEqual(['inner', 'b', 'a']);
+    });
+
+    it('returns the outermost collapsed ancestor', () => {
+      expect(GraphUtils.getCollapsedAncestor(nodesMap['key-a'])).toEqual(null);
+
+      nodesMap['key-inner'].node.collapsed = true;
+      expect(GraphUtils.getCollapsedAncestor(nodesMap['key-a'])).toEqual(
+        nodesMap['key-inner']
+      );
+
+      nodesMap['key-outer'].node.collapsed = true;
+      expect(GraphUtils.getCollapsedAncestor(nodesMap['key-a'])).toEqual(
+        nodesMap['key-outer']
+      );
+      expect(GraphUtils.getCollapsedAncestor(nodesMap['key-outer'])).toEqual(
+        null
+      );
+    });
+
+    it('stops at parent cycles', () => {
+      nodesMap['key-outer'].node.parent = 'a';
+      nodesMap = GraphUtils.getNodesMap(
+        Object.keys(nodesMap).map(key => nodesMap[key].node),
+        'id'
+      );
+      GraphUtils.linkNodesAndEdges(nodesMap, []);
+
+      expect(GraphUtils.getGroupAncestors(nodesMap['key-a']).length).toEqual(2);
+      expect(
+        GraphUtils.getGroupDescendants(nodesMap['key-outer']).length
+      ).toEqual(3);
+    });
   });
 
   describe('removeElementFromDom method', () => {
@@ -241,4 +401,300 @@ describe('GraphUtils class', () => {
       expect(changed).toEqual(false);
     });
   });
+
+  describe('getNodeBBox method', () => {
+    it('returns a box centered on the node', () => {
+      const bbox = GraphUtils.getNodeBBox({ x: 100, y: 50 }, 20, 10);
+
+      expect(bbox).toEqual({ x: 90, y: 45, width: 20, height: 10 });
+    });
+
+    it('defaults the node position to 0', () => {
+      const bbox = GraphUtils.getNodeBBox({}, 20, 10);
+
+      expect(bbox).toEqual({ x: -10, y: -5, width: 20, height: 10 });
+    });
+  });
+
+  describe('getBBoxFromPoints method', () => {
+    it('normalizes the corners', () => {
+      const bbox = GraphUtils.getBBoxFromPoints(50, 40, 10, 20);
+
+      expect(bbox).toEqual({ x: 10, y: 20, width: 40, height: 20 });
+    });
+  });
+
+  describe('isBBoxInside method', () => {
+    const outer = { x: 0, y: 0, width: 100, height: 100 };
+
+    it('returns true when the box is fully inside', () => {
+      const inner = { x: 10, y: 10, width: 90, height: 20 };
+
+      expect(GraphUtils.isBBoxInside(inner, outer)).toEqual(true);
+    });
+
+    it('returns false when the box overlaps the edge', () => {
+      const inner = { x: 10, y: 10, width: 91, height: 20 };
+
+      expect(GraphUtils.isBBoxInside(inner, outer)).toEqual(false);
+    });
+  });
+
+  describe('isBBoxIntersecting method', () => {
+    const a = { x: 0, y: 0, width: 100, height: 100 };
+
+    it('returns true when the boxes overlap', () => {
+      const b = { x: 90, y: -10, width: 50, height: 20 };
+
+      expect(GraphUtils.isBBoxIntersecting(a, b)).toEqual(true);
+      expect(GraphUtils.isBBoxIntersecting(b, a)).toEqual(true);
+    });
+
+    it('returns true when one box contains the other', () => {
+      const b = { x: 10, y: 10, width: 10, height: 10 };
+
+      expect(GraphUtils.isBBoxIntersecting(a, b)).toEqual(true);
+    });
+
+    it('returns false when the boxes are apart', () => {
+      const b = { x: 101, y: 0, width: 10, height: 10 };
+
+      expect(GraphUtils.isBBoxIntersecting(a, b)).toEqual(false);
+    });
+  });
+
+  describe('getBBoxUnion method', () => {
+    it('returns the box around all boxes', () => {
+      const bbox = GraphUtils.getBBoxUnion([
+        { x: 0, y: 10, width: 10, height: 10 },
+        { x: -20, y: 30, width: 10, height: 20 },
+      ]);
+
+      expect(bbox).toEqual({ x: -20, y: 10, width: 30, height: 40 });
+    });
+
+    it('returns null without boxes', () => {
+      expect(GraphUtils.getBBoxUnion([])).toEqual(null);
+    });
+  });
+
+  describe('inlineStyles method', () => {
+    it('copies the computed styles to the copy of an element', () => {
+      const source = document.createElement('div');
+
+      source.innerHTML = '<span style="color: red"></span>';
+      document.body.appendChild(source);
+
+      const target = source.cloneNode(true);
+
+      target.children[0].removeAttribute('style');
+      GraphUtils.inlineStyles(source, target, ['color']);
+      document.body.removeChild(source);
+
+      expect(target.children[0].style.color).toEqual('red');
+    });
+  });
+
+  describe('getTitleLines method', () => {
+    beforeEach(() => {
+      spyOn(GraphUtils, 'measureText').and.callFake(text => text.length * 5);
+    });
+
+    it('breaks the title between words', () => {
+      const result = GraphUtils.getTitleLines(
+        'Check City and Vehicle View',
+        100,
+        3
+      );
+      expect(result).toEqual(['Check City and', 'Vehicle View']);
+    });
+
+    it('breaks words that are too long for a line', () => {
+      const result = GraphUtils.getTitleLines('Supercalifragilistic', 100, 3);
+      expect(result).toEqual(['Supercalifragili', 'stic']);
+    });
+
+    it('ends the last line with an ellipsis when there are too many lines', () => {
+      expect(GraphUtils.getTitleLines('one two three four', 60, 2)).toEqual([
+        'one two',
+        'three…',
+      ]);
+      expect(GraphUtils.getTitleLines('one two three four', 55, 1)).toEqual([
+        'one tw…',
+      ]);
+    });
+  });
+
+  describe('getTitleHeight method', () => {
+    it('returns the height of the wrapped title', () => {
+      spyOn(GraphUtils, 'measureText').and.callFake(text => text.length * 5);
+      expect(
+        GraphUtils.getTitleHeight('Check City and Vehicle View', 100, 3)
+      ).toEqual(50);
+      expect(GraphUtils.getTitleHeight(null, 100, 3)).toEqual(38);
+    });
+  });
+
+  describe('graph algorithm methods', () => {
+    const getMap = (ids, edges) => {
+      const nodesMap = GraphUtils.getNodesMap(
+        ids.map(id => ({ id })),
+        'id'
+      );
+
+      GraphUtils.linkNodesAndEdges(
+        nodesMap,
+        edges.map(([source, target]) => ({ source, target }))
+      );
+
+      return nodesMap;
+    };
+
+    it('sorts the nodes topologically', () => {
+      const nodesMap = getMap(
+        ['d', 'c', 'b', 'a'],
+        [
+          ['a', 'b'],
+          ['b', 'c'],
+          ['a', 'c'],
+          ['c', 'd'],
+        ]
+      );
+
+      expect(GraphUtils.topologicalSort(nodesMap)).toEqual([
+        'a',
+        'b',
+        'c',
+        'd',
+      ]);
+    });
+
+    it('returns null from topologicalSort when there is a cycle', () => {
+      const nodesMap = getMap(
+        ['a', 'b'],
+        [
+          ['a', 'b'],
+          ['b', 'a'],
+        ]
+      );
+
+      expect(GraphUtils.topologicalSort(nodesMap)).toEqual(null);
+    });
+
+    it('finds the strongly connected components', () => {
+      const nodesMap = getMap(
+        ['a', 'b', 'c', 'd', 'e'],
+        [
+          ['a', 'b'],
+          ['b', 'c'],
+          ['c', 'a'],
+          ['c', 'd'],
+          ['d', 'e'],
+          ['e', 'd'],
+        ]
+      );
+
+      expect(GraphUtils.stronglyConnectedComponents(nodesMap)).toEqual([
+        ['d', 'e'],
+        ['a', 'b', 'c'],
+      ]);
+    });
+
+    it('finds one cycle per component', () => {
+      const nodesMap = getMap(
+        ['a', 'b', 'c', 'd', 'e'],
+        [
+          ['a', 'b'],
+          ['b', 'c'],
+          ['c', 'a'],
+          ['b', 'a'],
+          ['d', 'd'],
+          ['d', 'e'],
+        ]
+      );
+
+      expect(GraphUtils.findCycles(nodesMap)).toEqual([['a', 'b'], ['d']]);
+    });
+
+    it('finds no cycles in an acyclic graph', () => {
+      const nodesMap = getMap(
+        ['a', 'b', 'c'],
+        [
+          ['a', 'b'],
+          ['a', 'c'],
+        ]
+      );
+
+      expect(GraphUtils.findCycles(nodesMap)).toEqual([]);
+    });
+
+    it('finds the shortest path between two nodes', () => {
+      const nodesMap = getMap(
+        ['a', 'b', 'c', 'd'],
+        [
+          ['a', 'b'],
+          ['b', 'c'],
+          ['c', 'd'],
+          ['a', 'c'],
+        ]
+      );
+
+      expect(GraphUtils.shortestPath(nodesMap, 'a', 'd')).toEqual([
+        'a',
+        'c',
+        'd',
+      ]);
+      expect(GraphUtils.shortestPath(nodesMap, 'd', 'a')).toEqual(null);
+      expect(GraphUtils.shortestPath(nodesMap, 'a', 'a')).toEqual(['a']);
+      expect(GraphUtils.shortestPath(nodesMap, 'a', 'missing')).toEqual(null);
+    });
+
+    it('finds the nodes reachable from and leading to a node', () => {
+      const nodesMap = getMap(
+        ['a', 'b', 'c', 'd'],
+        [
+          ['a', 'b'],
+          ['b', 'c'],
+          ['d', 'c'],
+        ]
+      );
+
+      expect(GraphUtils.reachableFrom(nodesMap, 'a')).toEqual(['b', 'c']);
+      expect(GraphUtils.reachableFrom(nodesMap, 'c')).toEqual([]);
+      expect(GraphUtils.ancestorsOf(nodesMap, 'c')).toEqual(['b', 'd', 'a']);
+    });
+
+    it('finds the nodes upstream and downstream of a set of nodes', () => {
+      const nodesMap = getMap(
+        ['a', 'b', 'c', 'd', 'e'],
+        [
+          ['a', 'b'],
+          ['b', 'c'],
+          ['c', 'd'],
+          ['e', 'c'],
+        ]
+      );
+
+      expect(GraphUtils.getNeighborhood(nodesMap, ['b', 'c'])).toEqual({
+        upstream: ['a', 'e'],
+        downstream: ['d'],
+      });
+    });
+
+    it('finds the connected components ignoring the edge directions', () => {
+      const nodesMap = getMap(
+        ['a', 'b', 'c', 'd', 'e'],
+        [
+          ['a', 'b'],
+          ['c', 'b'],
+          ['d', 'e'],
+        ]
+      );
+
+      expect(GraphUtils.connectedComponents(nodesMap)).toEqual([
+        ['a', 'b', 'c'],
+        ['d', 'e'],
+      ]);
+    });
+  });
 });
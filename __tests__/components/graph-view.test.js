@@ -10,6 +10,7 @@ import Background from '../../src/components/background';
 import Defs from '../../src/components/defs';
 import GraphUtils from '../../src/utilities/graph-util';
 import GraphView from '../../src/components/graph-view';
+import SnapToNodes from '../../src/utilities/layout-engine/snap-to-nodes';
 
 jest.mock('react-dom', () => {
   return {};
@@ -166,6 +167,24 @@ describe('GraphView component', () => {
       });
     });
 
+    it('renders the open search box without the GraphControls', () => {
+      output.setProps({
+        showGraphControls: false,
+      });
+      instance.search = { query: '', results: [], index: -1 };
+      instance.renderGraphControls();
+
+      const element = ReactDOM.render.calls.mostRecent().args[0];
+      const children = React.Children.toArray(element.props.children);
+
+      expect(children.length).toEqual(1);
+      expect(children[0].props.query).toEqual('');
+
+      output.setProps({
+        showGraphControls: true,
+      });
+    });
+
     it('uses ReactDOM.render to async render the GraphControls', () => {
       output.setState({
         viewTransform: {
@@ -177,6 +196,54 @@ describe('GraphView component', () => {
     });
   });
 
+  describe('renderMinimap method', () => {
+    beforeEach(() => {
+      instance.viewWrapper = {
+        current: document.createElement('div'),
+      };
+      instance.minimapWrapper = {
+        current: document.createElement('div'),
+      };
+      ReactDOM.unmountComponentAtNode = jasmine.createSpy();
+    });
+
+    it('unmounts the Minimap when showMinimap is false', () => {
+      instance.renderMinimap();
+      expect(ReactDOM.render).not.toHaveBeenCalled();
+      expect(ReactDOM.unmountComponentAtNode).toHaveBeenCalledWith(
+        instance.minimapWrapper.current
+      );
+    });
+
+    it('uses ReactDOM.render to async render the Minimap', () => {
+      output.setProps({
+        minimapPosition: 'top-left',
+        minimapWidth: 300,
+        showMinimap: true,
+      });
+      output.setState({
+        viewTransform: { k: 0.5, x: 10, y: 20 },
+      });
+      instance.renderMinimap();
+      expect(ReactDOM.render).toHaveBeenCalled();
+
+      const minimap = ReactDOM.render.calls.mostRecent().args[0];
+
+      expect(minimap.props.position).toEqual('top-left');
+      expect(minimap.props.width).toEqual(300);
+      expect(minimap.props.nodeWidth).toEqual(154);
+      expect(minimap.props.viewTransform).toEqual({ k: 0.5, x: 10, y: 20 });
+    });
+
+    it('pans the view through setZoom', () => {
+      spyOn(instance, 'setZoom');
+      output.setProps({ showMinimap: true });
+      instance.renderMinimap();
+      ReactDOM.render.calls.mostRecent().args[0].props.setZoom(1, 2, 3, 0);
+      expect(instance.setZoom).toHaveBeenCalledWith(1, 2, 3, 0);
+    });
+  });
+
   describe('renderEdges method', () => {
     beforeEach(() => {
       spyOn(instance, 'asyncRenderEdge');
@@ -398,6 +465,175 @@ describe('GraphView component', () => {
     });
   });
 
+  describe('viewport culling', () => {
+    beforeEach(() => {
+      instance.viewWrapper = {
+        current: document.createElement('div'),
+      };
+      Object.defineProperty(instance.viewWrapper.current, 'clientWidth', {
+        get: () => 400,
+      });
+      Object.defineProperty(instance.viewWrapper.current, 'clientHeight', {
+        get: () => 300,
+      });
+      nodes = [
+        { id: 'a', x: 0, y: 0 },
+        { id: 'b', x: 1000, y: 0 },
+        { id: 'c', x: -1000, y: 0 },
+      ];
+      edges = [
+        { source: 'a', target: 'b' },
+        { source: 'b', target: 'c' },
+        { source: 'b', target: 'b' },
+      ];
+      output.setProps({
+        edges,
+        enableViewportCulling: true,
+        nodeSize: 100,
+        nodes,
+        viewportCullingMargin: 50,
+      });
+      output.setState({
+        viewTransform: { k: 2, x: 100, y: 50 },
+      });
+    });
+
+    describe('getVisibleBBox method', () => {
+      it('returns the visible graph area grown by the margin', () => {
+        expect(instance.getVisibleBBox()).toEqual({
+          x: -75,
+          y: -50,
+          width: 250,
+          height: 200,
+        });
+      });
+
+      it('returns null when culling is disabled', () => {
+        output.setProps({ enableViewportCulling: false });
+        expect(instance.getVisibleBBox()).toEqual(null);
+      });
+
+      it('returns null before the view has been zoomed', () => {
+        output.setState({ viewTransform: undefined });
+        expect(instance.getVisibleBBox()).toEqual(null);
+      });
+    });
+
+    describe('isNodeInViewport method', () => {
+      it('checks the node bounding box against the visible area', () => {
+        const bbox = instance.getVisibleBBox();
+
+        expect(instance.isNodeInViewport(nodes[0], bbox)).toEqual(true);
+        expect(instance.isNodeInViewport(nodes[1], bbox)).toEqual(false);
+        expect(instance.isNodeInViewport(nodes[1], null)).toEqual(true);
+      });
+
+      it('keeps selected nodes mounted', () => {
+        output.setProps({ selected: ['b'] });
+        expect(
+          instance.isNodeInViewport(nodes[1], instance.getVisibleBBox())
+        ).toEqual(true);
+      });
+    });
+
+    describe('isEdgeInViewport method', () => {
+      it('includes edges with a visible endpoint', () => {
+        expect(
+          instance.isEdgeInViewport(edges[0], instance.getVisibleBBox())
+        ).toEqual(true);
+      });
+
+      it('includes edges that cross the visible area', () => {
+        expect(
+          instance.isEdgeInViewport(edges[1], instance.getVisibleBBox())
+        ).toEqual(true);
+      });
+
+      it('excludes edges outside of the visible area', () => {
+        expect(
+          instance.isEdgeInViewport(edges[2], instance.getVisibleBBox())
+        ).toEqual(false);
+      });
+
+      it('keeps selected edges mounted', () => {
+        output.setProps({ selected: [edges[2]] });
+        expect(
+          instance.isEdgeInViewport(edges[2], instance.getVisibleBBox())
+        ).toEqual(true);
+      });
+    });
+
+    describe('renderNodes method', () => {
+      it('only renders visible nodes', () => {
+        spyOn(instance, 'asyncRenderNode');
+        instance.entities = [];
+        instance.renderNodes();
+        expect(instance.asyncRenderNode).toHaveBeenCalledTimes(1);
+        expect(instance.asyncRenderNode).toHaveBeenCalledWith(nodes[0]);
+      });
+    });
+
+    describe('cullEntities method', () => {
+      let mounted;
+
+      beforeEach(() => {
+        mounted = ['node-b-container', 'edge-b-b-container'];
+        spyOn(document, 'getElementById').and.callFake(id =>
+          mounted.indexOf(id) > -1 ? {} : null
+        );
+        spyOn(GraphUtils, 'removeElementFromDom');
+        spyOn(instance, 'asyncRenderNode');
+        spyOn(instance, 'asyncRenderEdge');
+        instance.entities = [];
+      });
+
+      it('mounts visible entities and removes hidden ones', () => {
+        instance.cullEntities();
+        expect(instance.asyncRenderNode).toHaveBeenCalledTimes(1);
+        expect(instance.asyncRenderNode).toHaveBeenCalledWith(nodes[0]);
+        expect(GraphUtils.removeElementFromDom).toHaveBeenCalledWith(
+          'node-b-container'
+        );
+        expect(instance.asyncRenderEdge.calls.allArgs()).toEqual([
+          [edges[0]],
+          [edges[1]],
+        ]);
+        expect(GraphUtils.removeElementFromDom).toHaveBeenCalledWith(
+          'edge-b-b-container'
+        );
+      });
+
+      it('does nothing while a node is being moved', () => {
+        instance.nodeMoveInProgress = true;
+        instance.cullEntities();
+        expect(instance.asyncRenderNode).not.toHaveBeenCalled();
+        expect(GraphUtils.removeElementFromDom).not.toHaveBeenCalled();
+      });
+
+      it('does nothing while an edge is being dragged', () => {
+        output.setState({ draggingEdge: true });
+        instance.cullEntities();
+        expect(instance.asyncRenderNode).not.toHaveBeenCalled();
+        expect(GraphUtils.removeElementFromDom).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('handleZoomToFit method', () => {
+      it('fits all nodes, not only the mounted ones', () => {
+        spyOn(instance, 'handleZoomToFitImpl');
+        instance.entities = document.createElementNS(
+          'http://www.w3.org/2000/svg',
+          'g'
+        );
+        instance.handleZoomToFit();
+        expect(instance.handleZoomToFitImpl).toHaveBeenCalledWith(
+          { x: -1050, y: -50, width: 2100, height: 100 },
+          750
+        );
+      });
+    });
+  });
+
   describe('isEdgeSelected method', () => {
     let edge;
 
@@ -736,6 +972,398 @@ describe('GraphView component', () => {
     });
   });
 
+  describe('parallel edges', () => {
+    beforeEach(() => {
+      nodes = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+      edges = [
+        { id: 'e1', source: 'a', target: 'b' },
+        { id: 'e2', source: 'b', target: 'a' },
+        { id: 'e3', source: 'a', target: 'c' },
+        { id: 'e4', source: 'a', target: 'a' },
+      ];
+      output.setProps({ nodes, edges });
+    });
+
+    it('finds the edges between two nodes in both directions', () => {
+      expect(instance.getParallelEdges(edges[0])).toEqual([edges[0], edges[1]]);
+      expect(instance.getParallelEdges(edges[1])).toEqual([edges[0], edges[1]]);
+    });
+
+    it('finds the self-loops of a node', () => {
+      expect(instance.getParallelEdges(edges[3])).toEqual([edges[3]]);
+    });
+
+    it('passes the position among the parallel edges to the Edge', () => {
+      const result = instance.getEdgeComponent(edges[1]);
+
+      expect(result.props.parallelIndex).toEqual(1);
+      expect(result.props.parallelCount).toEqual(2);
+    });
+
+    it('only deletes the selected parallel edge', () => {
+      instance.deleteEdges([edges[1]]);
+
+      expect(onDeleteEdge).toHaveBeenCalledWith(
+        [edges[1]],
+        [edges[0], edges[2], edges[3]]
+      );
+    });
+
+    it('refuses duplicate edges and self-loops by default', () => {
+      expect(instance.canCreateEdgeBetween(nodes[0], nodes[1])).toEqual(false);
+      expect(instance.canCreateEdgeBetween(nodes[1], nodes[2])).toEqual(true);
+      expect(instance.canCreateEdgeBetween(nodes[2], nodes[2])).toEqual(false);
+    });
+
+    it('refuses them with any canCreateEdge', () => {
+      output.setProps({ canCreateEdge: () => true });
+
+      expect(instance.canCreateEdgeBetween(nodes[0], nodes[1])).toEqual(false);
+      expect(instance.canCreateEdgeBetween(nodes[2], nodes[2])).toEqual(false);
+    });
+
+    it('allows self-loops when allowSelfLoops is set', () => {
+      output.setProps({ allowSelfLoops: true });
+
+      expect(instance.canCreateEdgeBetween(nodes[2], nodes[2])).toEqual(true);
+      expect(instance.canCreateEdgeBetween(nodes[0], nodes[1])).toEqual(false);
+    });
+
+    it('lets canCreateEdge decide about allowed duplicate edges', () => {
+      const canCreateEdge = jasmine.createSpy().and.returnValue(true);
+
+      output.setProps({ allowParallelEdges: true, canCreateEdge });
+
+      expect(instance.canCreateEdgeBetween(nodes[0], nodes[1])).toEqual(true);
+      expect(canCreateEdge).toHaveBeenCalledWith(
+        nodes[0],
+        nodes[1],
+        [edges[0], edges[1]],
+        undefined,
+        undefined
+      );
+    });
+
+    it('leaves the swapped edge out of the existing edges', () => {
+      const canCreateEdge = jasmine.createSpy().and.returnValue(true);
+
+      output.setProps({ canCreateEdge });
+      instance.canCreateEdgeBetween(nodes[0], nodes[2], edges[2]);
+
+      expect(canCreateEdge).toHaveBeenCalledWith(
+        nodes[0],
+        nodes[2],
+        [],
+        undefined,
+        undefined
+      );
+    });
+  });
+
+  describe('ports', () => {
+    beforeEach(() => {
+      nodeTypes = {
+        choice: {
+          shapeId: '#choice',
+          ports: {
+            input: { x: 0, y: -50, direction: 'in' },
+            true: { x: -50, y: 50, direction: 'out' },
+            false: { x: 50, y: 50, direction: 'out' },
+          },
+        },
+      };
+      nodes = [
+        { id: 'a', type: 'choice', x: 0, y: 0 },
+        { id: 'b', type: 'choice', x: 0, y: 300 },
+      ];
+      edges = [
+        { id: 'e1', source: 'a', target: 'b', sourcePort: 'true' },
+        { id: 'e2', source: 'a', target: 'b', targetPort: 'input' },
+      ];
+      output.setProps({ nodes, edges, nodeTypes });
+    });
+
+    it('anchors edges at their ports', () => {
+      const result = instance.getEdgeComponent(edges[0]);
+
+      expect(result.props.sourceAnchor).toEqual({ x: -50, y: 50 });
+      expect(result.props.targetAnchor).toEqual(null);
+    });
+
+    it('only counts the edges between the same ports as existing', () => {
+      const canCreateEdge = jasmine.createSpy().and.returnValue(true);
+
+      output.setProps({ allowParallelEdges: true, canCreateEdge });
+      instance.canCreateEdgeBetween(nodes[0], nodes[1], null, 'true', null);
+
+      expect(canCreateEdge).toHaveBeenCalledWith(
+        nodes[0],
+        nodes[1],
+        [edges[0]],
+        'true',
+        null
+      );
+    });
+
+    it('lets the default policy connect other ports of the same nodes', () => {
+      expect(
+        instance.canCreateEdgeBetween(nodes[0], nodes[1], null, 'false')
+      ).toEqual(true);
+      expect(
+        instance.canCreateEdgeBetween(nodes[0], nodes[1], null, 'true')
+      ).toEqual(false);
+    });
+
+    it('refuses edges from input ports and to output ports', () => {
+      expect(
+        instance.canCreateEdgeBetween(nodes[0], nodes[1], null, 'input')
+      ).toEqual(false);
+      expect(
+        instance.canCreateEdgeBetween(nodes[0], nodes[1], null, null, 'true')
+      ).toEqual(false);
+    });
+
+    it('remembers the hovered port while an edge is drawn', () => {
+      instance.setState({ hoveredNode: true, draggingEdge: true });
+      instance.handleNodeMouseEnter(
+        { target: { getAttribute: () => 'input' } },
+        nodes[1],
+        false
+      );
+
+      expect(instance.state.edgeEndNode).toEqual(nodes[1]);
+      expect(instance.state.edgeEndPort).toEqual('input');
+    });
+
+    it('passes the ports of a new edge to onCreateEdge', () => {
+      instance.setState({
+        hoveredNodeData: nodes[0],
+        edgeEndNode: nodes[1],
+        edgeStartPort: 'false',
+        edgeEndPort: 'input',
+      });
+      instance.createNewEdge();
+
+      expect(onCreateEdge).toHaveBeenCalledWith(
+        nodes[0],
+        nodes[1],
+        'false',
+        'input'
+      );
+    });
+
+    it('keeps edges between different ports of the same nodes apart', () => {
+      edges = [
+        { source: 'a', target: 'b', sourcePort: 'true' },
+        { source: 'a', target: 'b', sourcePort: 'false' },
+      ];
+      output.setProps({ edges });
+
+      expect(Object.keys(instance.state.edgesMap)).toEqual([
+        'a_b_true_',
+        'a_b_false_',
+      ]);
+      expect(instance.getEdgeById('a_b_false_').edge).toBe(edges[1]);
+
+      instance.deleteEdges([edges[1]]);
+      expect(onDeleteEdge).toHaveBeenCalledWith([edges[1]], [edges[0]]);
+    });
+
+    it('starts a new edge from a port', () => {
+      spyOn(instance, 'syncRenderEdge');
+      instance.handleNodeMove({ x: 10, y: 20 }, 'a', true, 'false');
+
+      expect(instance.syncRenderEdge).toHaveBeenCalledWith({
+        source: 'a',
+        sourcePort: 'false',
+        targetPosition: { x: 10, y: 20 },
+      });
+      expect(instance.state.edgeStartPort).toEqual('false');
+    });
+  });
+
+  describe('groups', () => {
+    beforeEach(() => {
+      nodes = [
+        { id: 'group', title: 'Group', x: 0, y: 0 },
+        { id: 'a', parent: 'group', x: 100, y: 100 },
+        { id: 'b', parent: 'group', x: 300, y: 100 },
+        { id: 'c', x: 600, y: 100 },
+      ];
+      edges = [
+        { source: 'a', target: 'b' },
+        { source: 'b', target: 'c' },
+      ];
+      output.setProps({ nodes, edges, nodeSize: 100 });
+      spyOn(instance, 'asyncRenderNode');
+      spyOn(instance, 'asyncRenderEdge');
+      spyOn(instance, 'asyncRenderGroups');
+    });
+
+    it('surrounds the nodes of an expanded group', () => {
+      const bbox = instance.getGroupBBox(instance.getNodeById('group'));
+
+      expect(bbox).toEqual({ x: 30, y: 10, width: 340, height: 160 });
+    });
+
+    it('keeps the size of a resized group', () => {
+      Object.assign(nodes[0], { x: 200, y: 100, width: 500, height: 300 });
+
+      expect(instance.getGroupBBox(instance.getNodeById('group'))).toEqual({
+        x: -50,
+        y: -50,
+        width: 500,
+        height: 300,
+      });
+    });
+
+    it('does not render groups as nodes', () => {
+      spyOn(GraphUtils, 'removeElementFromDom');
+      spyOn(instance, 'renderNode');
+      instance.syncRenderNode(nodes[0]);
+
+      expect(instance.renderNode).not.toHaveBeenCalled();
+      expect(GraphUtils.removeElementFromDom).toHaveBeenCalledWith(
+        'node-group-container'
+      );
+    });
+
+    it('hides the nodes and inner edges of a collapsed group', () => {
+      spyOn(instance, 'removeEdgeElement');
+      spyOn(instance, 'renderEdge');
+      nodes[0].collapsed = true;
+
+      expect(instance.isNodeHidden(instance.getNodeById('a'))).toEqual(true);
+      expect(instance.isEdgeHidden(edges[0])).toEqual(true);
+      expect(instance.isEdgeHidden(edges[1])).toEqual(false);
+
+      instance.syncRenderEdge(edges[0]);
+      expect(instance.removeEdgeElement).toHaveBeenCalledWith(edges[0]);
+      expect(instance.renderEdge).not.toHaveBeenCalled();
+    });
+
+    it('draws the external edges of a collapsed group to the group', () => {
+      nodes[0].collapsed = true;
+
+      const result = instance.getEdgeComponent(edges[1]);
+
+      expect(result.props.sourceNode).toEqual({ ...nodes[0], x: 200, y: 90 });
+      expect(result.props.targetNode).toEqual(nodes[3]);
+    });
+
+    it('moves the nodes of a group along with it', () => {
+      instance.handleGroupMove(nodes[0], 10, 20);
+
+      expect(nodes[1]).toEqual(jasmine.objectContaining({ x: 110, y: 120 }));
+      expect(nodes[2]).toEqual(jasmine.objectContaining({ x: 310, y: 120 }));
+      expect(nodes[3]).toEqual(jasmine.objectContaining({ x: 600, y: 100 }));
+      expect(instance.asyncRenderNode).toHaveBeenCalledWith(nodes[1]);
+
+      instance.handleGroupMoveEnd(nodes[0]);
+      expect(onUpdateNode.calls.allArgs()).toEqual([
+        [nodes[0]],
+        [nodes[1]],
+        [nodes[2]],
+      ]);
+    });
+
+    it('does not move groups in readOnly mode', () => {
+      output.setProps({ readOnly: true });
+      instance.handleGroupMove(nodes[0], 10, 20);
+
+      expect(nodes[1].x).toEqual(100);
+    });
+
+    it('resizes a group', () => {
+      instance.handleGroupResize(nodes[0], {
+        x: 0,
+        y: 0,
+        width: 400,
+        height: 200,
+      });
+
+      expect(nodes[0]).toEqual(
+        jasmine.objectContaining({ x: 200, y: 100, width: 400, height: 200 })
+      );
+      instance.handleGroupResizeEnd(nodes[0]);
+      expect(onUpdateNode).toHaveBeenCalledWith(nodes[0]);
+    });
+
+    it('collapses and expands a group', () => {
+      instance.handleGroupToggle(nodes[0]);
+
+      expect(nodes[0].collapsed).toEqual(true);
+      expect(onUpdateNode).toHaveBeenCalledWith(nodes[0]);
+      expect(instance.asyncRenderNode).toHaveBeenCalledTimes(nodes.length);
+      expect(instance.asyncRenderEdge).toHaveBeenCalledTimes(edges.length);
+      expect(instance.asyncRenderGroups).toHaveBeenCalled();
+
+      instance.handleGroupToggle(nodes[0]);
+      expect(nodes[0].collapsed).toEqual(false);
+    });
+
+    it('does not collapse groups in readOnly mode', () => {
+      output.setProps({ readOnly: true });
+      instance.handleGroupToggle(nodes[0]);
+
+      expect(nodes[0].collapsed).toBeFalsy();
+      expect(onUpdateNode).not.toHaveBeenCalled();
+    });
+
+    it('renders the visible groups into the groups layer', () => {
+      spyOn(instance, 'renderConnectedEdgesFromNode');
+      instance.groups = {};
+      instance.renderGroups();
+
+      const [element, container] = ReactDOM.render.calls.mostRecent().args;
+
+      expect(container).toBe(instance.groups);
+      expect(element.props.children.length).toEqual(1);
+      expect(element.props.children[0].props.id).toEqual('node-group');
+      // edges are drawn to the center of the group
+      expect(instance.groupCenters.group).toEqual({ x: 200, y: 90 });
+      expect(instance.renderConnectedEdgesFromNode).toHaveBeenCalledWith(
+        instance.getNodeById('group')
+      );
+      // without moving the consumer's node
+      expect(nodes[0]).toEqual(jasmine.objectContaining({ x: 0, y: 0 }));
+    });
+
+    it('does not redraw the edges of a group that has not moved', () => {
+      spyOn(instance, 'renderConnectedEdgesFromNode');
+      instance.groups = {};
+      instance.renderGroups();
+      instance.renderConnectedEdgesFromNode.calls.reset();
+      instance.renderGroups();
+
+      expect(instance.renderConnectedEdgesFromNode).not.toHaveBeenCalled();
+    });
+
+    it('places a group at the center of its contents', () => {
+      expect(instance.getPlacedNode(nodes[0])).toEqual({
+        ...nodes[0],
+        x: 200,
+        y: 90,
+      });
+      expect(instance.getPlacedNode(nodes[1])).toBe(nodes[1]);
+    });
+
+    it('places a collapsed group where its contents are', () => {
+      nodes[0].collapsed = true;
+
+      expect(instance.getPlacedNode(nodes[0])).toEqual(
+        jasmine.objectContaining({ x: 200, y: 90 })
+      );
+      expect(nodes[0]).toEqual(jasmine.objectContaining({ x: 0, y: 0 }));
+    });
+
+    it('keeps a resized group where it is', () => {
+      Object.assign(nodes[0], { x: 200, y: 100, width: 500, height: 300 });
+
+      expect(instance.getPlacedNode(nodes[0])).toBe(nodes[0]);
+    });
+  });
+
   describe('handleZoomEnd method', () => {
     beforeEach(() => {
       spyOn(GraphUtils, 'removeElementFromDom');
@@ -844,31 +1472,177 @@ describe('GraphView component', () => {
     });
   });
 
-  describe('dragEdge method', () => {
-    let draggedEdge;
+  describe('resizing', () => {
+    let viewWrapper;
+
+    const resize = (width, height) => {
+      viewWrapper.clientWidth = width;
+      viewWrapper.clientHeight = height;
+      instance.handleResize();
+    };
 
     beforeEach(() => {
-      draggedEdge = {
-        source: 'a',
-        target: 'b',
-      };
-      spyOn(instance, 'syncRenderEdge');
-      instance.selectedView = d3.select(document.createElement('g'));
-      d3.mouse = jasmine.createSpy().and.returnValue([5, 15]);
-      output.setProps({
-        nodes: [{ id: 'a', x: 5, y: 10 }, { id: 'b', x: 10, y: 20 }],
-      });
-      output.setState({
-        draggedEdge,
-      });
+      viewWrapper = { clientWidth: 800, clientHeight: 600 };
+      instance.viewWrapper = { current: viewWrapper };
+      output.setState({ viewTransform: { k: 2, x: 10, y: 20 } });
+      spyOn(instance, 'setZoom');
+      spyOn(instance, 'handleZoomToFit');
+      spyOn(instance, 'renderMinimap');
+      // the first call records the size
+      instance.handleResize();
     });
 
-    it('does nothing when an edge is not dragged', () => {
-      output.setState({
-        draggedEdge: null,
-      });
-      instance.dragEdge();
-      expect(instance.syncRenderEdge).not.toHaveBeenCalled();
+    it('keeps the top left corner in place by default', () => {
+      resize(1000, 400);
+      expect(instance.setZoom).not.toHaveBeenCalled();
+      expect(instance.handleZoomToFit).not.toHaveBeenCalled();
+      expect(instance.renderMinimap).toHaveBeenCalled();
+    });
+
+    it('keeps the center in place', () => {
+      output.setProps({ resizeBehavior: 'keepCenter' });
+      resize(1000, 400);
+      expect(instance.setZoom).toHaveBeenCalledWith(2, 110, -80, 0);
+    });
+
+    it('zooms to fit the new size', () => {
+      output.setProps({ resizeBehavior: 'zoomToFit' });
+      resize(1000, 400);
+      expect(instance.handleZoomToFit).toHaveBeenCalled();
+    });
+
+    it('ignores unchanged sizes and hidden views', () => {
+      output.setProps({ resizeBehavior: 'zoomToFit' });
+      resize(800, 600);
+      resize(0, 0);
+      expect(instance.handleZoomToFit).not.toHaveBeenCalled();
+      expect(instance.renderMinimap).not.toHaveBeenCalled();
+
+      // shown again at the same size
+      resize(800, 600);
+      expect(instance.handleZoomToFit).not.toHaveBeenCalled();
+    });
+
+    it('observes the view wrapper while mounted', () => {
+      const observer = {
+        observe: jasmine.createSpy(),
+        disconnect: jasmine.createSpy(),
+      };
+
+      const element = document.createElement('div');
+
+      instance.viewWrapper = { current: element };
+      window.ResizeObserver = jasmine.createSpy().and.returnValue(observer);
+      instance.componentDidMount();
+      expect(window.ResizeObserver).toHaveBeenCalledWith(instance.handleResize);
+      expect(observer.observe).toHaveBeenCalledWith(element);
+
+      instance.componentWillUnmount();
+      expect(observer.disconnect).toHaveBeenCalled();
+      delete window.ResizeObserver;
+    });
+  });
+
+  describe('controlled viewport', () => {
+    let onViewportChange;
+
+    beforeEach(() => {
+      onViewportChange = jasmine.createSpy();
+      spyOn(instance, 'setZoom');
+      spyOn(instance, 'renderGraphControls');
+      instance.view = document.createElement('g');
+    });
+
+    it('starts at the viewport', () => {
+      spyOn(GraphView.prototype, 'setZoom');
+
+      shallow(
+        <GraphView
+          nodes={nodes}
+          edges={edges}
+          nodeKey={nodeKey}
+          nodeTypes={nodeTypes}
+          nodeSubtypes={nodeSubtypes}
+          edgeTypes={edgeTypes}
+          onDeleteNode={onDeleteNode}
+          onDeleteEdge={onDeleteEdge}
+          onSelectNode={onSelectNode}
+          onSelectEdge={onSelectEdge}
+          onCreateNode={onCreateNode}
+          onCreateEdge={onCreateEdge}
+          onUpdateNode={onUpdateNode}
+          onSwapEdge={onSwapEdge}
+          viewport={{ x: 10, y: 20, k: 0.5 }}
+        />
+      );
+
+      expect(GraphView.prototype.setZoom).toHaveBeenCalledWith(0.5, 10, 20, 0);
+    });
+
+    it('follows changes of the viewport', () => {
+      output.setProps({ viewport: { x: 10, y: 20, k: 0.5 } });
+      expect(instance.setZoom).toHaveBeenCalledWith(0.5, 10, 20, 0);
+    });
+
+    it('does not move to the viewport it is already at', () => {
+      output.setState({ viewTransform: { x: 10, y: 20, k: 0.5 } });
+      output.setProps({ viewport: { x: 10, y: 20, k: 0.5 } });
+      expect(instance.setZoom).not.toHaveBeenCalled();
+
+      output.setProps({ viewport: null });
+      expect(instance.setZoom).not.toHaveBeenCalled();
+    });
+
+    it('reports pans and zooms', () => {
+      output.setProps({ onViewportChange });
+      d3.event = {
+        transform: d3.zoomIdentity.translate(5, 6).scale(2),
+      };
+      instance.handleZoom();
+
+      expect(onViewportChange).toHaveBeenCalledWith({ x: 5, y: 6, k: 2 });
+    });
+
+    it('does not report zooms that change nothing', () => {
+      const transform = d3.zoomIdentity.translate(5, 6).scale(2);
+
+      output.setProps({ onViewportChange });
+      output.setState({ viewTransform: transform });
+      d3.event = { transform };
+      instance.handleZoom();
+
+      expect(onViewportChange).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('dragEdge method', () => {
+    let draggedEdge;
+
+    beforeEach(() => {
+      draggedEdge = {
+        source: 'a',
+        target: 'b',
+      };
+      spyOn(instance, 'syncRenderEdge');
+      instance.selectedView = d3.select(document.createElement('g'));
+      d3.mouse = jasmine.createSpy().and.returnValue([5, 15]);
+      output.setProps({
+        nodes: [
+          { id: 'a', x: 5, y: 10 },
+          { id: 'b', x: 10, y: 20 },
+        ],
+      });
+      output.setState({
+        draggedEdge,
+      });
+    });
+
+    it('does nothing when an edge is not dragged', () => {
+      output.setState({
+        draggedEdge: null,
+      });
+      instance.dragEdge();
+      expect(instance.syncRenderEdge).not.toHaveBeenCalled();
     });
 
     it('drags the edge', () => {
@@ -946,6 +1720,1599 @@ describe('GraphView component', () => {
     });
   });
 
+  describe('history', () => {
+    let onApplyHistory;
+    let onUndo;
+
+    beforeEach(() => {
+      onApplyHistory = jasmine.createSpy();
+      onUndo = jasmine.createSpy();
+      nodes = [
+        { id: 'a', x: 0, y: 0 },
+        { id: 'b', x: 10, y: 10 },
+      ];
+      edges = [{ source: 'a', target: 'b' }];
+      output.setProps({
+        enableHistory: true,
+        onApplyHistory,
+        onUndo,
+        nodes,
+        edges,
+      });
+      instance.clearHistory();
+    });
+
+    it('records changes to the nodes and edges props', () => {
+      expect(instance.canUndo()).toEqual(false);
+      output.setProps({
+        nodes: [nodes[0]],
+        edges: [],
+      });
+      expect(instance.canUndo()).toEqual(true);
+      expect(instance.canRedo()).toEqual(false);
+    });
+
+    it('passes the restored graph to onApplyHistory on undo and redo', () => {
+      output.setProps({
+        nodes: [nodes[0]],
+        edges: [],
+      });
+
+      expect(instance.undo()).toEqual(true);
+      expect(onApplyHistory.calls.mostRecent().args[0]).toEqual(nodes);
+      expect(onApplyHistory.calls.mostRecent().args[1]).toEqual(edges);
+      expect(onApplyHistory.calls.mostRecent().args[3]).toEqual(true);
+      expect(instance.canRedo()).toEqual(true);
+
+      expect(instance.redo()).toEqual(true);
+      expect(onApplyHistory.calls.mostRecent().args[0]).toEqual([nodes[0]]);
+      expect(onApplyHistory.calls.mostRecent().args[1]).toEqual([]);
+      expect(onApplyHistory.calls.mostRecent().args[3]).toEqual(false);
+    });
+
+    it('does not record the graph it restored', () => {
+      output.setProps({
+        nodes: [nodes[0]],
+        edges: [],
+      });
+      instance.undo();
+      output.setProps({
+        nodes: [...nodes],
+        edges: [...edges],
+      });
+      expect(instance.canUndo()).toEqual(false);
+      expect(instance.canRedo()).toEqual(true);
+    });
+
+    it('groups a multi-node move into one entry', () => {
+      output.setProps({ selected: ['a', 'b'] });
+      jest
+        .spyOn(GraphUtils, 'yieldingLoop')
+        .mockImplementation((count, size, cb) => {
+          for (let i = 0; i < count; i++) {
+            cb(i);
+          }
+        });
+      spyOn(instance, 'renderConnectedEdgesFromNode');
+      spyOn(instance, 'asyncRenderNode');
+
+      instance.handleNodeMove({ x: 5, y: 5 }, 'a', false);
+      output.setProps({ nodes: [...nodes] });
+      expect(instance.canUndo()).toEqual(false);
+
+      instance.handleNodeMove({ x: 10, y: 10 }, 'a', false);
+      instance.handleNodeUpdate({ x: 10, y: 10 }, 'a', false);
+      output.setProps({ nodes: [...nodes] });
+      GraphUtils.yieldingLoop.mockRestore();
+
+      expect(instance.history.undoStack.length).toEqual(1);
+      expect(
+        instance.history.undoStack[0].operations.map(o => o.type)
+      ).toEqual(['moveNode', 'moveNode']);
+    });
+
+    it('handles the keyboard shortcuts', () => {
+      spyOn(instance, 'undo');
+      spyOn(instance, 'redo');
+      instance.handleWrapperKeydown({ key: 'z', ctrlKey: true });
+      expect(instance.undo).toHaveBeenCalled();
+      instance.handleWrapperKeydown({
+        key: 'Z',
+        ctrlKey: true,
+        shiftKey: true,
+      });
+      instance.handleWrapperKeydown({ key: 'y', metaKey: true });
+      expect(instance.redo).toHaveBeenCalledTimes(2);
+      expect(onUndo).not.toHaveBeenCalled();
+    });
+
+    it('calls onUndo when history is disabled', () => {
+      output.setProps({ enableHistory: false });
+      instance.handleWrapperKeydown({ key: 'z', ctrlKey: true });
+      expect(onUndo).toHaveBeenCalled();
+    });
+
+    it('does nothing when readOnly', () => {
+      output.setProps({
+        nodes: [nodes[0]],
+        edges: [],
+        readOnly: true,
+      });
+      expect(instance.undo()).toEqual(false);
+      expect(onApplyHistory).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('selection box', () => {
+    let onSelectionChange;
+    let clientPoint;
+
+    beforeEach(() => {
+      onSelectionChange = jasmine.createSpy();
+      nodes = [
+        { id: 'a', x: 0, y: 0 },
+        { id: 'b', x: 100, y: 0 },
+        { id: 'c', x: 400, y: 400 },
+      ];
+      edges = [
+        { source: 'a', target: 'b' },
+        { source: 'b', target: 'c' },
+      ];
+      output.setProps({
+        nodes,
+        edges,
+        nodeSize: 20,
+        onSelectionChange,
+      });
+      clientPoint = jest
+        .spyOn(d3, 'clientPoint')
+        .mockImplementation((container, event) => [
+          event.clientX,
+          event.clientY,
+        ]);
+      spyOn(instance, 'renderSelectionBox');
+    });
+
+    afterEach(() => {
+      clientPoint.mockRestore();
+      instance.handleSelectionEnd();
+    });
+
+    it('starts a selection instead of panning with the modifier key', () => {
+      instance.handlePanStart({ clientX: 5, clientY: 5, shiftKey: true });
+      expect(instance.selectionState.selecting).toEqual(true);
+      expect(instance.panState.panning).toEqual(false);
+    });
+
+    it('pans without the modifier key', () => {
+      instance.handlePanStart({ clientX: 5, clientY: 5, shiftKey: false });
+      expect(instance.selectionState.selecting).toEqual(false);
+      expect(instance.panState.panning).toEqual(true);
+    });
+
+    it('selects the nodes and edges inside the box', () => {
+      instance.handlePanStart({ clientX: -20, clientY: -20, shiftKey: true });
+      instance.handleSelectionMove({ clientX: 120, clientY: 20 });
+      instance.handleSelectionEnd();
+
+      expect(onSelectionChange).toHaveBeenCalledWith(
+        [nodes[0], nodes[1]],
+        [edges[0]]
+      );
+      expect(instance.selectionState.suppressClick).toEqual(true);
+    });
+
+    it('does not select anything when the mouse did not move', () => {
+      instance.handlePanStart({ clientX: -20, clientY: -20, shiftKey: true });
+      instance.handleSelectionMove({ clientX: -19, clientY: -20 });
+      instance.handleSelectionEnd();
+
+      expect(onSelectionChange).not.toHaveBeenCalled();
+      expect(instance.selectionState.suppressClick).toEqual(false);
+    });
+
+    it('does not create a node when the selection ends', () => {
+      instance.selectionState.suppressClick = true;
+      d3.event = { target: document.createElement('rect'), shiftKey: true };
+      instance.handleSvgClicked();
+
+      expect(onCreateNode).not.toHaveBeenCalled();
+      expect(instance.selectionState.suppressClick).toEqual(false);
+    });
+
+    it('stops d3 zoom from panning with the modifier key', () => {
+      d3.event = { type: 'mousedown', shiftKey: true };
+      expect(instance.zoomFilter()).toEqual(false);
+      d3.event = { type: 'mousedown', shiftKey: false };
+      expect(instance.zoomFilter()).toEqual(true);
+      d3.event = { type: 'wheel', shiftKey: true };
+      expect(instance.zoomFilter()).toEqual(true);
+    });
+  });
+
+  describe('touch', () => {
+    let nodeElement;
+    let portElement;
+    let edgeElement;
+
+    beforeEach(() => {
+      nodes = [
+        { id: 'a', x: 0, y: 0 },
+        { id: 'b', x: 0, y: 300 },
+      ];
+      output.setProps({ nodes });
+
+      nodeElement = document.createElement('g');
+      nodeElement.className = 'node';
+      nodeElement.id = 'node-b';
+      portElement = document.createElement('circle');
+      portElement.setAttribute('data-port', 'input');
+      nodeElement.appendChild(portElement);
+      edgeElement = document.createElement('path');
+      document.elementsFromPoint = jasmine.createSpy();
+    });
+
+    afterEach(() => {
+      delete document.elementsFromPoint;
+    });
+
+    it('lets one finger drag nodes and pan the background', () => {
+      d3.event = {
+        type: 'touchstart',
+        touches: [{}],
+        target: portElement,
+      };
+      expect(instance.zoomFilter()).toEqual(false);
+      d3.event = {
+        type: 'touchstart',
+        touches: [{}],
+        target: document.createElement('rect'),
+      };
+      expect(instance.zoomFilter()).toEqual(true);
+    });
+
+    it('pinch-zooms with two fingers anywhere', () => {
+      d3.event = {
+        type: 'touchstart',
+        touches: [{}, {}],
+        target: portElement,
+      };
+      expect(instance.zoomFilter()).toEqual(true);
+    });
+
+    it('ends new edges at the node under the finger', () => {
+      document.elementsFromPoint.and.returnValue([edgeElement, nodeElement]);
+      instance.updateEdgeEndFromTouch({
+        touches: [{ clientX: 10, clientY: 20 }],
+      });
+
+      expect(document.elementsFromPoint).toHaveBeenCalledWith(10, 20);
+      expect(instance.state.edgeEndNode).toEqual(nodes[1]);
+      expect(instance.state.edgeEndPort).toEqual(null);
+    });
+
+    it('ends new edges at the port under the finger', () => {
+      document.elementsFromPoint.and.returnValue([edgeElement, portElement]);
+      instance.updateEdgeEndFromTouch({
+        touches: [{ clientX: 10, clientY: 20 }],
+      });
+
+      expect(instance.state.edgeEndNode).toEqual(nodes[1]);
+      expect(instance.state.edgeEndPort).toEqual('input');
+
+      document.elementsFromPoint.and.returnValue([edgeElement]);
+      instance.updateEdgeEndFromTouch({
+        touches: [{ clientX: 10, clientY: 20 }],
+      });
+
+      expect(instance.state.edgeEndNode).toEqual(null);
+      expect(instance.state.edgeEndPort).toEqual(null);
+    });
+
+    it('looks for the edge end while an edge is drawn by touch', () => {
+      spyOn(instance, 'syncRenderEdge');
+      spyOn(instance, 'updateEdgeEndFromTouch');
+      const event = { touches: [{ clientX: 10, clientY: 20 }] };
+
+      output.setState({ draggingEdge: true });
+      instance.handleNodeMove({ x: 10, y: 20 }, 'a', true, null, event);
+      expect(instance.updateEdgeEndFromTouch).toHaveBeenCalledWith(event);
+
+      instance.updateEdgeEndFromTouch.calls.reset();
+      instance.handleNodeMove({ x: 10, y: 20 }, 'a', true, null, {
+        buttons: 1,
+      });
+      expect(instance.updateEdgeEndFromTouch).not.toHaveBeenCalled();
+    });
+
+    it('asks canCreateEdge about the node an edge is drawn from by touch', () => {
+      const canCreateEdge = jasmine.createSpy().and.returnValue(false);
+
+      spyOn(instance, 'syncRenderEdge');
+      output.setProps({ canCreateEdge });
+      instance.handleNodeMove({ x: 10, y: 20 }, 'a', true, 'output', {
+        touches: [{ clientX: 10, clientY: 20 }],
+      });
+
+      expect(canCreateEdge).toHaveBeenCalledWith(
+        instance.getNodeById('a').node,
+        undefined,
+        undefined,
+        'output'
+      );
+      expect(instance.syncRenderEdge).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('alignment guides', () => {
+    beforeEach(() => {
+      nodes = [
+        { id: 'a', x: 0, y: 0 },
+        { id: 'b', x: 300, y: 300 },
+      ];
+      output.setProps({ nodes, layoutEngine: new SnapToNodes({}) });
+      spyOn(instance, 'renderConnectedEdgesFromNode');
+      spyOn(instance, 'asyncRenderNode');
+      spyOn(instance, 'renderAlignmentGuides');
+    });
+
+    it('snaps dragged nodes to the other nodes', () => {
+      instance.handleNodeMove({ x: 303, y: 4 }, 'b', false);
+
+      expect(nodes[1]).toEqual({ id: 'b', x: 303, y: 0 });
+      expect(instance.renderAlignmentGuides).toHaveBeenCalledWith([
+        { type: 'alignment', x1: -77, y1: -77, x2: 380, y2: -77 },
+        { type: 'alignment', x1: -77, y1: 0, x2: 380, y2: 0 },
+        { type: 'alignment', x1: -77, y1: 77, x2: 380, y2: 77 },
+      ]);
+    });
+
+    it('keeps the threshold in screen pixels', () => {
+      output.setState({ viewTransform: { k: 2, x: 0, y: 0 } });
+      instance.handleNodeMove({ x: 303, y: 6 }, 'b', false);
+      expect(nodes[1].y).toEqual(6);
+
+      output.setState({ viewTransform: { k: 0.5, x: 0, y: 0 } });
+      instance.handleNodeMove({ x: 303, y: 12 }, 'b', false);
+      expect(nodes[1].y).toEqual(0);
+    });
+
+    it('does not snap to the nodes that move along', () => {
+      expect(instance.getNodeSnap(nodes[1], { x: 303, y: 4 }, nodes)).toEqual({
+        x: 0,
+        y: 0,
+        guides: [],
+      });
+    });
+
+    it('only snaps with a layout engine that snaps to nodes', () => {
+      output.setProps({ layoutEngine: null });
+      instance.handleNodeMove({ x: 303, y: 4 }, 'b', false);
+
+      expect(nodes[1].y).toEqual(4);
+      expect(instance.renderAlignmentGuides).toHaveBeenCalledWith([]);
+    });
+
+    it('removes the guides when the node is dropped', () => {
+      instance.handleNodeUpdate({ x: 303, y: 0 }, 'b', false);
+      expect(instance.renderAlignmentGuides).toHaveBeenCalledWith([]);
+    });
+
+    it('draws the guides as lines', () => {
+      const container = document.createElementNS(
+        'http://www.w3.org/2000/svg',
+        'g'
+      );
+
+      instance.alignmentGuides = { current: container };
+      instance.renderAlignmentGuides.and.callThrough();
+      instance.renderAlignmentGuides([
+        { type: 'alignment', x1: 0, y1: 0, x2: 0, y2: 100 },
+        { type: 'spacing', x1: 0, y1: 50, x2: 100, y2: 50 },
+      ]);
+
+      const lines = container.querySelectorAll('line');
+
+      expect(lines.length).toEqual(2);
+      expect(lines[1].getAttribute('class')).toEqual('alignment-guide spacing');
+      expect(lines[1].getAttribute('x2')).toEqual('100');
+
+      instance.renderAlignmentGuides([]);
+      expect(container.querySelectorAll('line').length).toEqual(0);
+    });
+  });
+
+  describe('selected prop', () => {
+    it('accepts edges', () => {
+      edges = [{ source: 'a', target: 'b' }];
+      output.setProps({
+        nodes: [{ id: 'a' }, { id: 'b' }],
+        edges,
+        selected: ['a', { source: 'a', target: 'b' }],
+      });
+
+      expect(output.state().selectedNodes.length).toEqual(1);
+      expect(output.state().selectedEdges).toEqual([edges[0]]);
+    });
+  });
+
+  describe('inline editing', () => {
+    let onUpdateEdge;
+
+    beforeEach(() => {
+      onUpdateEdge = jasmine.createSpy();
+      nodes = [
+        { id: 'a', title: 'A', x: 100, y: 50 },
+        { id: 'b', title: 'B', x: 300, y: 50 },
+      ];
+      edges = [{ source: 'a', target: 'b', handleText: 'text' }];
+      output.setProps({
+        nodes,
+        edges,
+        onUpdateEdge,
+        nodeSize: 100,
+        selected: ['a'],
+      });
+      instance.inlineEditorWrapper = {
+        current: document.createElement('div'),
+      };
+      instance.viewWrapper = {
+        current: document.createElement('div'),
+      };
+      ReactDOM.unmountComponentAtNode = jasmine.createSpy();
+      spyOn(instance, 'asyncRenderNode');
+      spyOn(instance, 'asyncRenderEdge');
+    });
+
+    it('opens the editor over the selected node on F2', () => {
+      output.setState({ viewTransform: { k: 2, x: 10, y: 20 } });
+      instance.handleWrapperKeydown({ key: 'F2' });
+
+      const editor = ReactDOM.render.calls.mostRecent().args[0];
+
+      expect(editor.props.value).toEqual('A');
+      expect(editor.props.x).toEqual(210);
+      expect(editor.props.y).toEqual(120);
+      expect(editor.props.width).toEqual(200);
+    });
+
+    it('opens the editor when a node is double-clicked', () => {
+      instance.handleNodeDoubleClick(nodes[1]);
+
+      expect(instance.inlineEdit).toEqual({ node: nodes[1], edge: null });
+      expect(ReactDOM.render.calls.mostRecent().args[0].props.value).toEqual(
+        'B'
+      );
+    });
+
+    it('commits a node title through onUpdateNode', () => {
+      instance.handleNodeDoubleClick(nodes[0]);
+      instance.handleInlineEditCommit('New title');
+
+      expect(nodes[0].title).toEqual('New title');
+      expect(onUpdateNode).toHaveBeenCalledWith(nodes[0]);
+      expect(instance.asyncRenderNode).toHaveBeenCalledWith(nodes[0]);
+      expect(instance.inlineEdit).toEqual(null);
+      expect(ReactDOM.unmountComponentAtNode).toHaveBeenCalledWith(
+        instance.inlineEditorWrapper.current
+      );
+    });
+
+    it('commits an edge text through onUpdateEdge', () => {
+      instance.startInlineEdit(null, edges[0]);
+
+      const editor = ReactDOM.render.calls.mostRecent().args[0];
+
+      expect(editor.props.value).toEqual('text');
+      expect(editor.props.x).toEqual(200);
+      expect(editor.props.y).toEqual(50);
+
+      instance.handleInlineEditCommit('new text');
+      expect(edges[0].handleText).toEqual('new text');
+      expect(onUpdateEdge).toHaveBeenCalledWith(edges[0]);
+      expect(instance.asyncRenderEdge).toHaveBeenCalledWith(edges[0]);
+    });
+
+    it('does not update anything when the edit is cancelled', () => {
+      instance.handleNodeDoubleClick(nodes[0]);
+      instance.handleInlineEditCancel();
+
+      expect(instance.inlineEdit).toEqual(null);
+      expect(nodes[0].title).toEqual('A');
+      expect(onUpdateNode).not.toHaveBeenCalled();
+    });
+
+    it('leaves the keys to the editor while it is open', () => {
+      instance.handleNodeDoubleClick(nodes[0]);
+      instance.handleWrapperKeydown({ key: 'Delete' });
+
+      expect(onDeleteNode).not.toHaveBeenCalled();
+    });
+
+    it('does not edit edges without onUpdateEdge or when readOnly', () => {
+      output.setProps({ onUpdateEdge: undefined });
+      instance.startInlineEdit(null, edges[0]);
+      expect(instance.inlineEdit).toEqual(null);
+
+      output.setProps({ readOnly: true });
+      instance.handleNodeDoubleClick(nodes[0]);
+      expect(instance.inlineEdit).toEqual(null);
+      expect(ReactDOM.render).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('keyboard navigation', () => {
+    const keyEvent = (key, modifiers = {}) => ({
+      key,
+      preventDefault: jasmine.createSpy(),
+      ...modifiers,
+    });
+
+    beforeEach(() => {
+      nodes = [
+        { id: 'a', title: 'A', x: 0, y: 0 },
+        { id: 'b', title: 'B', x: -100, y: 200 },
+        { id: 'c', title: 'C', x: 100, y: 200 },
+      ];
+      edges = [
+        { source: 'a', target: 'b' },
+        { source: 'a', target: 'c' },
+      ];
+      output.setProps({ nodes, edges, gridSpacing: 36 });
+      spyOn(instance, 'hasKeyboardFocus').and.returnValue(true);
+      spyOn(instance, 'focusEntity');
+    });
+
+    it('moves the focus through the nodes and then the edges with Tab', () => {
+      const event = keyEvent('Tab');
+
+      instance.handleWrapperKeydown(event);
+      expect(instance.focusEntity).toHaveBeenCalledWith({
+        node: nodes[0],
+        edge: null,
+      });
+      expect(event.preventDefault).toHaveBeenCalled();
+
+      instance.keyboardFocus = { node: nodes[2], edge: null };
+      instance.handleWrapperKeydown(keyEvent('Tab'));
+      expect(instance.focusEntity).toHaveBeenCalledWith({
+        node: null,
+        edge: edges[0],
+      });
+
+      instance.keyboardFocus = { node: nodes[1], edge: null };
+      instance.handleWrapperKeydown(keyEvent('Tab', { shiftKey: true }));
+      expect(instance.focusEntity.calls.mostRecent().args[0]).toEqual({
+        node: nodes[0],
+        edge: null,
+      });
+    });
+
+    it('leaves the graph when tabbing past the last edge', () => {
+      const event = keyEvent('Tab');
+
+      instance.keyboardFocus = { node: null, edge: edges[1] };
+      instance.handleWrapperKeydown(event);
+      expect(instance.focusEntity).not.toHaveBeenCalled();
+      expect(event.preventDefault).not.toHaveBeenCalled();
+    });
+
+    it('finds the connected nodes in the direction of the arrow keys', () => {
+      expect(instance.getAdjacentNode(nodes[0], 'ArrowDown')).toEqual(nodes[1]);
+      expect(instance.getAdjacentNode(nodes[1], 'ArrowUp')).toEqual(nodes[0]);
+      expect(instance.getAdjacentNode(nodes[1], 'ArrowRight')).toEqual(
+        nodes[2]
+      );
+      expect(instance.getAdjacentNode(nodes[2], 'ArrowLeft')).toEqual(nodes[1]);
+      expect(instance.getAdjacentNode(nodes[2], 'ArrowRight')).toEqual(null);
+      expect(instance.getAdjacentNode(nodes[0], 'ArrowUp')).toEqual(null);
+    });
+
+    it('moves the focus from an edge to its nodes', () => {
+      instance.keyboardFocus = { node: null, edge: edges[1] };
+      instance.handleWrapperKeydown(keyEvent('ArrowDown'));
+      expect(instance.focusEntity).toHaveBeenCalledWith({
+        node: nodes[2],
+        edge: null,
+      });
+    });
+
+    it('selects the focused node with Enter', () => {
+      const event = keyEvent('Enter');
+
+      instance.keyboardFocus = { node: nodes[1], edge: null };
+      instance.handleWrapperKeydown(event);
+      expect(onSelectNode).toHaveBeenCalledWith(nodes[1], event);
+    });
+
+    it('nudges the selected nodes with a modifier', () => {
+      spyOn(instance, 'asyncRenderNode');
+      output.setProps({ selected: ['b'] });
+      instance.handleWrapperKeydown(keyEvent('ArrowRight', { shiftKey: true }));
+      instance.handleWrapperKeydown(keyEvent('ArrowUp', { ctrlKey: true }));
+
+      expect(nodes[1].x).toEqual(-64);
+      expect(nodes[1].y).toEqual(164);
+      expect(onUpdateNode).toHaveBeenCalledWith(nodes[1]);
+      expect(instance.focusEntity).not.toHaveBeenCalled();
+    });
+
+    it('does not nudge nodes when readOnly', () => {
+      output.setProps({ selected: ['b'], readOnly: true });
+      instance.handleWrapperKeydown(keyEvent('ArrowRight', { shiftKey: true }));
+
+      expect(nodes[1].x).toEqual(-100);
+      expect(onUpdateNode).not.toHaveBeenCalled();
+    });
+
+    it('finds the entity of a focused element', () => {
+      const node = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+      const edge = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+
+      node.setAttribute('class', 'node');
+      node.id = 'node-b';
+      edge.setAttribute('class', 'edge-container');
+      edge.setAttribute('data-id', 'a_b');
+
+      expect(instance.getEntityFromElement(node)).toEqual({
+        node: nodes[1],
+        edge: null,
+      });
+      expect(instance.getEntityFromElement(edge)).toEqual({
+        node: null,
+        edge: edges[0],
+      });
+    });
+
+    it('announces selection changes', () => {
+      instance.liveRegion = { current: document.createElement('div') };
+      output.setProps({ selected: ['a'] });
+      expect(instance.liveRegion.current.textContent).toEqual('A selected');
+
+      output.setProps({ selected: [edges[0]] });
+      expect(instance.liveRegion.current.textContent).toEqual(
+        'Edge from A to B selected'
+      );
+
+      output.setProps({ selected: ['a', 'b'] });
+      expect(instance.liveRegion.current.textContent).toEqual(
+        '2 nodes and 0 edges selected'
+      );
+
+      output.setProps({ selected: [] });
+      expect(instance.liveRegion.current.textContent).toEqual(
+        'Selection cleared'
+      );
+    });
+  });
+
+  describe('arranging nodes', () => {
+    let onUpdateNodes;
+    const keyEvent = (code, modifiers = {}) => ({
+      key: '',
+      code,
+      altKey: true,
+      preventDefault: jasmine.createSpy(),
+      ...modifiers,
+    });
+
+    beforeEach(() => {
+      onUpdateNodes = jasmine.createSpy();
+      nodes = [
+        { id: 'a', x: 0, y: 0 },
+        { id: 'b', x: 600, y: 50 },
+        { id: 'c', x: 100, y: 400 },
+      ];
+      output.setProps({
+        nodes,
+        onUpdateNodes,
+        selected: ['a', 'b', 'c'],
+      });
+      output.setState({ focused: true });
+      spyOn(instance, 'renderConnectedEdgesFromNode');
+      spyOn(instance, 'asyncRenderNode');
+    });
+
+    it('aligns the selected nodes', () => {
+      instance.alignSelectedNodes('left');
+
+      expect(nodes.map(node => node.x)).toEqual([0, 0, 0]);
+      expect(nodes.map(node => node.y)).toEqual([0, 50, 400]);
+      expect(onUpdateNodes).toHaveBeenCalledWith([nodes[1], nodes[2]]);
+      expect(onUpdateNode).not.toHaveBeenCalled();
+
+      instance.alignSelectedNodes('bottom');
+      expect(nodes.map(node => node.y)).toEqual([400, 400, 400]);
+
+      instance.alignSelectedNodes('center');
+      expect(nodes.map(node => node.x)).toEqual([0, 0, 0]);
+    });
+
+    it('aligns the centers of the selected nodes', () => {
+      instance.alignSelectedNodes('center');
+      expect(nodes.map(node => node.x)).toEqual([300, 300, 300]);
+
+      instance.alignSelectedNodes('middle');
+      expect(nodes.map(node => node.y)).toEqual([200, 200, 200]);
+    });
+
+    it('distributes the selected nodes evenly', () => {
+      instance.distributeSelectedNodes('horizontal');
+
+      expect(nodes.map(node => node.x)).toEqual([0, 600, 300]);
+      expect(onUpdateNodes).toHaveBeenCalledWith([nodes[2]]);
+
+      instance.distributeSelectedNodes('vertical');
+      expect(nodes.map(node => node.y)).toEqual([0, 200, 400]);
+    });
+
+    it('needs three nodes to distribute', () => {
+      output.setProps({ selected: ['a', 'b'] });
+      instance.distributeSelectedNodes('horizontal');
+
+      expect(onUpdateNodes).not.toHaveBeenCalled();
+    });
+
+    it('packs the selected nodes into a grid', () => {
+      instance.packSelectedNodes();
+
+      expect(nodes).toEqual([
+        { id: 'a', x: 0, y: 0 },
+        { id: 'b', x: 190, y: 0 },
+        { id: 'c', x: 0, y: 190 },
+      ]);
+
+      instance.packSelectedNodes(3);
+      expect(nodes.map(node => node.x)).toEqual([0, 190, 380]);
+      expect(nodes.map(node => node.y)).toEqual([0, 0, 0]);
+    });
+
+    it('places the nodes through the layout engine', () => {
+      const layoutEngine = {
+        adjustNodes: n => n,
+        calculatePosition: ({ x, y }) => ({
+          x: Math.round(x / 100) * 100,
+          y,
+        }),
+      };
+
+      output.setProps({ layoutEngine });
+      instance.alignSelectedNodes('center');
+
+      expect(nodes.map(node => node.x)).toEqual([300, 300, 300]);
+      instance.packSelectedNodes();
+      expect(nodes[1].x).toEqual(500);
+    });
+
+    it('moves selected groups with their nodes', () => {
+      nodes = [
+        { id: 'g', x: 0, y: 0, width: 400, height: 400 },
+        { id: 'a', parent: 'g', x: 0, y: 0 },
+        { id: 'b', x: 600, y: 400 },
+      ];
+      output.setProps({ nodes, selected: ['g', 'a', 'b'] });
+      instance.alignSelectedNodes('bottom');
+
+      expect(nodes.map(node => node.y)).toEqual([277, 277, 400]);
+      expect(onUpdateNodes).toHaveBeenCalledWith([nodes[0], nodes[1]]);
+
+      instance.alignSelectedNodes('left');
+      expect(nodes.map(node => node.x)).toEqual([0, 0, -123]);
+    });
+
+    it('reports the nodes one by one without onUpdateNodes', () => {
+      output.setProps({ onUpdateNodes: undefined });
+      instance.alignSelectedNodes('left');
+
+      expect(onUpdateNode.calls.allArgs()).toEqual([[nodes[1]], [nodes[2]]]);
+    });
+
+    it('does not arrange nodes when readOnly', () => {
+      output.setProps({ readOnly: true });
+      instance.alignSelectedNodes('left');
+      instance.packSelectedNodes();
+
+      expect(nodes[1].x).toEqual(600);
+      expect(onUpdateNodes).not.toHaveBeenCalled();
+    });
+
+    it('arranges the nodes with Alt shortcuts', () => {
+      spyOn(instance, 'alignSelectedNodes');
+      spyOn(instance, 'distributeSelectedNodes');
+      spyOn(instance, 'packSelectedNodes');
+      const event = keyEvent('KeyA');
+
+      instance.handleWrapperKeydown(event);
+      expect(instance.alignSelectedNodes).toHaveBeenCalledWith('left');
+      expect(event.preventDefault).toHaveBeenCalled();
+
+      instance.handleWrapperKeydown(keyEvent('KeyV'));
+      expect(instance.alignSelectedNodes).toHaveBeenCalledWith('middle');
+
+      instance.handleWrapperKeydown(keyEvent('KeyV', { shiftKey: true }));
+      expect(instance.distributeSelectedNodes).toHaveBeenCalledWith('vertical');
+
+      instance.handleWrapperKeydown(keyEvent('KeyG'));
+      expect(instance.packSelectedNodes).toHaveBeenCalled();
+    });
+
+    it('leaves other Alt shortcuts alone', () => {
+      spyOn(instance, 'alignSelectedNodes');
+      const event = keyEvent('KeyA', { ctrlKey: true });
+
+      instance.handleWrapperKeydown(event);
+      instance.handleWrapperKeydown(keyEvent('KeyQ'));
+      output.setProps({ selected: [] });
+      instance.handleWrapperKeydown(keyEvent('KeyA'));
+
+      expect(instance.alignSelectedNodes).not.toHaveBeenCalled();
+      expect(event.preventDefault).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('highlighting', () => {
+    beforeEach(() => {
+      nodes = [
+        { id: 'a', title: 'A', x: 0, y: 0 },
+        { id: 'b', title: 'B', x: 0, y: 100 },
+        { id: 'c', title: 'C', x: 0, y: 200 },
+        { id: 'd', title: 'D', x: 100, y: 0 },
+        { id: 'e', title: 'E', x: 200, y: 0 },
+      ];
+      edges = [
+        { source: 'a', target: 'b' },
+        { source: 'b', target: 'c' },
+        { source: 'd', target: 'b' },
+      ];
+      output.setProps({ nodes, edges });
+    });
+
+    it('does not dim anything by default', () => {
+      output.setProps({ selected: ['b'] });
+      const result = instance.getNodeComponent('node-e', nodes[4]);
+
+      expect(result.props.isHighlighted).toEqual(false);
+      expect(result.props.isDimmed).toEqual(false);
+      expect(result.props.opacity).toEqual(undefined);
+    });
+
+    it('highlights the chain of the selected nodes', () => {
+      output.setProps({ highlight: 'chain', selected: ['b'] });
+
+      ['a', 'b', 'c', 'd'].forEach((id, i) => {
+        const result = instance.getNodeComponent(`node-${id}`, nodes[i]);
+
+        expect(result.props.isHighlighted).toEqual(true);
+        expect(result.props.isDimmed).toEqual(false);
+      });
+
+      const dimmed = instance.getNodeComponent('node-e', nodes[4]);
+
+      expect(dimmed.props.isDimmed).toEqual(true);
+      expect(dimmed.props.opacity).toEqual(0.2);
+      expect(instance.getEdgeComponent(edges[2]).props.isHighlighted).toEqual(
+        true
+      );
+    });
+
+    it('highlights the path between two selected nodes', () => {
+      output.setProps({ highlight: 'path', selected: ['c', 'a'] });
+
+      expect(
+        instance.getNodeComponent('node-b', nodes[1]).props.isHighlighted
+      ).toEqual(true);
+      expect(
+        instance.getNodeComponent('node-d', nodes[3]).props.isDimmed
+      ).toEqual(true);
+      expect(instance.getEdgeComponent(edges[1]).props.isHighlighted).toEqual(
+        true
+      );
+      expect(instance.getEdgeComponent(edges[2]).props.isDimmed).toEqual(true);
+    });
+
+    it('highlights the nodes given to highlightNodes', () => {
+      spyOn(instance, 'renderNodes');
+      spyOn(instance, 'renderEdges');
+
+      instance.highlightNodes(['a', 'b']);
+      expect(instance.renderNodes).toHaveBeenCalled();
+      expect(instance.renderEdges).toHaveBeenCalled();
+      expect(
+        instance.getNodeComponent('node-c', nodes[2]).props.isDimmed
+      ).toEqual(true);
+      expect(instance.getEdgeComponent(edges[0]).props.isHighlighted).toEqual(
+        true
+      );
+
+      instance.highlightNodes(['c'], []);
+      expect(instance.getEdgeComponent(edges[1]).props.isDimmed).toEqual(true);
+
+      instance.highlightNodes(null);
+      expect(
+        instance.getNodeComponent('node-c', nodes[2]).props.isDimmed
+      ).toEqual(false);
+    });
+  });
+
+  describe('search', () => {
+    beforeEach(() => {
+      nodes = [
+        { id: 'a', title: 'Send mail', x: 0, y: 0 },
+        { id: 'b', title: 'Wait', x: 0, y: 100 },
+        { id: 'c', title: 'Mail', x: 0, y: 200 },
+      ];
+      output.setProps({ nodes, enableSearch: true });
+      spyOn(instance, 'renderGraphControls');
+      spyOn(instance, 'panToNode');
+      spyOn(instance, 'syncRenderNode');
+    });
+
+    const ctrlF = () => ({
+      key: 'f',
+      ctrlKey: true,
+      preventDefault: jasmine.createSpy(),
+    });
+
+    it('opens with Ctrl+F', () => {
+      const event = ctrlF();
+
+      instance.handleWrapperKeydown(event);
+      expect(event.preventDefault).toHaveBeenCalled();
+      expect(instance.search).toEqual({ query: '', results: [], index: -1 });
+      expect(instance.renderGraphControls).toHaveBeenCalled();
+    });
+
+    it('does not open unless enableSearch is set', () => {
+      const event = ctrlF();
+
+      output.setProps({ enableSearch: false });
+      instance.handleWrapperKeydown(event);
+      expect(event.preventDefault).not.toHaveBeenCalled();
+      expect(instance.search).toEqual(null);
+    });
+
+    it('highlights the matches and cycles through them', () => {
+      instance.openSearch();
+      instance.handleSearchChange('mail');
+
+      expect(instance.search.results).toEqual([nodes[2], nodes[0]]);
+      expect(
+        instance.getNodeComponent('node-b', nodes[1]).props.isDimmed
+      ).toEqual(true);
+      expect(
+        instance.getNodeComponent('node-a', nodes[0]).props.isHighlighted
+      ).toEqual(true);
+
+      instance.handleSearchNext();
+      expect(instance.panToNode).toHaveBeenCalledWith('c', true);
+      instance.handleSearchNext();
+      expect(instance.panToNode).toHaveBeenCalledWith('a', true);
+      instance.handleSearchNext();
+      expect(instance.search.index).toEqual(0);
+      instance.handleSearchPrevious();
+      expect(instance.search.index).toEqual(1);
+    });
+
+    it('starts from the last result when going back', () => {
+      instance.openSearch();
+      instance.handleSearchChange('mail');
+      instance.handleSearchPrevious();
+
+      expect(instance.search.index).toEqual(1);
+      expect(instance.panToNode).toHaveBeenCalledWith('a', true);
+    });
+
+    it('leaves the keys typed into the search box alone', () => {
+      const searchBox = document.createElement('div');
+      const input = document.createElement('input');
+
+      searchBox.className = 'search-box';
+      searchBox.appendChild(input);
+      spyOn(instance, 'handleDelete');
+
+      instance.handleWrapperKeydown({ key: 'Delete', target: input });
+      expect(instance.handleDelete).not.toHaveBeenCalled();
+    });
+
+    it('clears the highlight when it closes', () => {
+      instance.openSearch();
+      instance.handleSearchChange('mail');
+      instance.closeSearch();
+
+      expect(instance.search).toEqual(null);
+      expect(
+        instance.getNodeComponent('node-b', nodes[1]).props.isDimmed
+      ).toEqual(false);
+    });
+    it('keeps the highlight set through highlightNodes', () => {
+      const isDimmed = (id, i) =>
+        instance.getNodeComponent(`node-${id}`, nodes[i]).props.isDimmed;
+
+      edges = [{ source: 'a', target: 'b' }];
+      output.setProps({ edges });
+      instance.highlightNodes(['a', 'b'], [edges[0]]);
+
+      instance.openSearch();
+      instance.closeSearch();
+      expect(isDimmed('c', 2)).toEqual(true);
+
+      // the search results replace it while searching
+      instance.openSearch();
+      instance.handleSearchChange('wait');
+      expect(isDimmed('a', 0)).toEqual(true);
+      instance.handleSearchChange('');
+      expect(isDimmed('a', 0)).toEqual(false);
+      expect(isDimmed('c', 2)).toEqual(true);
+
+      instance.handleSearchChange('wait');
+      instance.closeSearch();
+      expect(isDimmed('a', 0)).toEqual(false);
+      expect(isDimmed('c', 2)).toEqual(true);
+      expect(instance.getEdgeComponent(edges[0]).props.isHighlighted).toEqual(
+        true
+      );
+    });
+
+    it('keeps a highlight set while searching when it closes', () => {
+      instance.openSearch();
+      instance.handleSearchChange('mail');
+      instance.highlightNodes(['b']);
+      instance.closeSearch();
+
+      expect(
+        instance.getNodeComponent('node-a', nodes[0]).props.isDimmed
+      ).toEqual(true);
+      expect(
+        instance.getNodeComponent('node-b', nodes[1]).props.isHighlighted
+      ).toEqual(true);
+    });
+  });
+
+  describe('node palette drops', () => {
+    let dataTransfer;
+
+    const dragEvent = () => ({
+      clientX: 130,
+      clientY: 70,
+      dataTransfer,
+      preventDefault: jasmine.createSpy(),
+    });
+
+    beforeEach(() => {
+      dataTransfer = {
+        types: ['application/x-react-digraph-node'],
+        getData: () => JSON.stringify({ type: 'task', subtype: 'retry' }),
+      };
+      instance.viewWrapper = {
+        current: {
+          getBoundingClientRect: () => ({ left: 10, top: 20 }),
+        },
+      };
+      output.setState({ viewTransform: { k: 2, x: 20, y: 10 } });
+    });
+
+    it('accepts palette items being dragged over', () => {
+      const event = dragEvent();
+
+      instance.handleDragOver(event);
+      expect(event.preventDefault).toHaveBeenCalled();
+      expect(dataTransfer.dropEffect).toEqual('copy');
+    });
+
+    it('does not accept other drags', () => {
+      const event = dragEvent();
+
+      dataTransfer.types = ['Files'];
+      instance.handleDragOver(event);
+      expect(event.preventDefault).not.toHaveBeenCalled();
+    });
+
+    it('creates a node of the dropped type at the drop position', () => {
+      const event = dragEvent();
+
+      instance.handleDrop(event);
+      expect(onCreateNode).toHaveBeenCalledWith(50, 20, event, {
+        type: 'task',
+        subtype: 'retry',
+      });
+    });
+
+    it('places the node through the layout engine', () => {
+      const layoutEngine = {
+        adjustNodes: nodes => nodes,
+        getPositionForNode: point => ({ x: point.x + 1, y: point.y + 1 }),
+      };
+      const event = dragEvent();
+
+      output.setProps({ layoutEngine });
+      instance.handleDrop(event);
+      expect(onCreateNode.calls.mostRecent().args.slice(0, 2)).toEqual([
+        51,
+        21,
+      ]);
+    });
+
+    it('does not create nodes in readOnly mode', () => {
+      output.setProps({ readOnly: true });
+      instance.handleDrop(dragEvent());
+      expect(onCreateNode).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('context menu', () => {
+    const svgNS = 'http://www.w3.org/2000/svg';
+    let onContextMenu;
+    let graphSvg;
+    let nodeElement;
+    let edgeElement;
+    let backgroundElement;
+
+    const contextMenuEvent = target => ({
+      target,
+      clientX: 130,
+      clientY: 70,
+      preventDefault: jasmine.createSpy(),
+      persist: jasmine.createSpy(),
+    });
+
+    const getMenu = () => ReactDOM.render.calls.mostRecent().args[0];
+
+    beforeEach(() => {
+      nodes = [{ id: 'a', title: 'A', x: 0, y: 0 }];
+      edges = [{ source: 'a', target: 'a' }];
+      onContextMenu = jasmine.createSpy();
+      output.setProps({ nodes, edges, onContextMenu });
+
+      graphSvg = document.createElementNS(svgNS, 'svg');
+      nodeElement = document.createElementNS(svgNS, 'g');
+      nodeElement.setAttribute('class', 'node');
+      nodeElement.id = 'node-a';
+      edgeElement = document.createElementNS(svgNS, 'g');
+      edgeElement.setAttribute('class', 'edge-container');
+      edgeElement.setAttribute('data-id', 'a_a');
+      backgroundElement = document.createElementNS(svgNS, 'rect');
+      graphSvg.appendChild(nodeElement);
+      graphSvg.appendChild(edgeElement);
+      graphSvg.appendChild(backgroundElement);
+
+      const viewWrapper = document.createElement('div');
+
+      viewWrapper.getBoundingClientRect = () => ({ left: 10, top: 20 });
+      instance.viewWrapper = { current: viewWrapper };
+      instance.graphSvg = { current: graphSvg };
+      instance.contextMenuWrapper = { current: document.createElement('div') };
+      ReactDOM.unmountComponentAtNode = jasmine.createSpy();
+      output.setState({ viewTransform: { k: 2, x: 20, y: 10 } });
+    });
+
+    it('reports right-clicks on nodes with their position', () => {
+      const event = contextMenuEvent(nodeElement);
+
+      instance.handleContextMenu(event);
+      expect(event.preventDefault).toHaveBeenCalled();
+      expect(onContextMenu).toHaveBeenCalledWith(
+        { type: 'node', node: nodes[0], edge: null },
+        { x: 120, y: 50, worldX: 50, worldY: 20 },
+        event
+      );
+      expect(ReactDOM.render).not.toHaveBeenCalled();
+    });
+
+    it('reports right-clicks on edges and the background', () => {
+      instance.handleContextMenu(contextMenuEvent(edgeElement));
+      expect(onContextMenu.calls.mostRecent().args[0]).toEqual({
+        type: 'edge',
+        node: null,
+        edge: edges[0],
+      });
+
+      instance.handleContextMenu(contextMenuEvent(backgroundElement));
+      expect(onContextMenu.calls.mostRecent().args[0]).toEqual({
+        type: 'background',
+        node: null,
+        edge: null,
+      });
+    });
+
+    it('keeps the browser menu without a handler or outside of the graph', () => {
+      const outside = contextMenuEvent(document.createElement('div'));
+
+      instance.handleContextMenu(outside);
+      expect(outside.preventDefault).not.toHaveBeenCalled();
+
+      output.setProps({ onContextMenu: undefined });
+
+      const event = contextMenuEvent(nodeElement);
+
+      instance.handleContextMenu(event);
+      expect(event.preventDefault).not.toHaveBeenCalled();
+      expect(onContextMenu).not.toHaveBeenCalled();
+    });
+
+    it('opens the menu with the items for the target', () => {
+      const custom = {
+        label: 'Rename',
+        targets: ['node'],
+        onSelect: jasmine.createSpy(),
+      };
+
+      output.setProps({
+        contextMenuItems: ['zoomTo', 'createNode', 'delete', custom],
+      });
+      instance.handleContextMenu(contextMenuEvent(nodeElement));
+
+      const menu = getMenu();
+
+      expect(menu.props.x).toEqual(120);
+      expect(menu.props.y).toEqual(50);
+      expect(menu.props.entries.map(entry => entry.label)).toEqual([
+        'Zoom to',
+        'Delete',
+        'Rename',
+      ]);
+      expect(menu.props.entries.every(entry => !entry.disabled)).toEqual(true);
+
+      instance.handleContextMenu(contextMenuEvent(backgroundElement));
+      expect(getMenu().props.entries.map(entry => entry.label)).toEqual([
+        'Add node here',
+      ]);
+    });
+
+    it('keeps the browser menu when no item applies', () => {
+      const event = contextMenuEvent(backgroundElement);
+
+      output.setProps({
+        onContextMenu: undefined,
+        contextMenuItems: ['delete'],
+      });
+      instance.handleContextMenu(event);
+      expect(event.preventDefault).not.toHaveBeenCalled();
+      expect(ReactDOM.render).not.toHaveBeenCalled();
+    });
+
+    it('disables the items that edit the graph in readOnly mode', () => {
+      output.setProps({
+        readOnly: true,
+        contextMenuItems: [
+          'zoomTo',
+          'delete',
+          { label: 'Duplicate', editsGraph: true, onSelect: () => {} },
+        ],
+      });
+      instance.handleContextMenu(contextMenuEvent(nodeElement));
+
+      expect(getMenu().props.entries.map(entry => entry.disabled)).toEqual([
+        false,
+        true,
+        true,
+      ]);
+    });
+
+    it('disables deleting what canDeleteNode and canDeleteEdge refuse', () => {
+      output.setProps({
+        contextMenuItems: [
+          'delete',
+          { label: 'Custom', isEnabled: () => false, onSelect: () => {} },
+        ],
+        canDeleteNode: () => false,
+        canDeleteEdge: () => false,
+      });
+      instance.handleContextMenu(contextMenuEvent(nodeElement));
+      expect(getMenu().props.entries.map(entry => entry.disabled)).toEqual([
+        true,
+        true,
+      ]);
+
+      instance.handleContextMenu(contextMenuEvent(edgeElement));
+      expect(getMenu().props.entries[0].disabled).toEqual(true);
+    });
+
+    it('runs the built-in actions on the target', () => {
+      spyOn(instance, 'panToNode');
+      output.setProps({ contextMenuItems: ['zoomTo', 'delete', 'createNode'] });
+
+      instance.handleContextMenu(contextMenuEvent(nodeElement));
+      getMenu().props.entries[0].onSelect();
+      expect(instance.panToNode).toHaveBeenCalledWith('a', true);
+
+      getMenu().props.entries[1].onSelect();
+      expect(onDeleteNode).toHaveBeenCalledWith([nodes[0]], []);
+
+      instance.handleContextMenu(contextMenuEvent(edgeElement));
+      getMenu().props.entries[1].onSelect();
+      expect(onDeleteEdge).toHaveBeenCalledWith([edges[0]], []);
+
+      const event = contextMenuEvent(backgroundElement);
+
+      instance.handleContextMenu(event);
+      getMenu().props.entries[0].onSelect();
+      expect(event.persist).toHaveBeenCalled();
+      expect(onCreateNode).toHaveBeenCalledWith(50, 20, event);
+    });
+
+    it('duplicates nodes and adds connected nodes through their callbacks', () => {
+      const onDuplicateNode = jasmine.createSpy();
+      const onCreateConnectedNode = jasmine.createSpy();
+      const event = contextMenuEvent(nodeElement);
+
+      output.setProps({
+        contextMenuItems: ['duplicate', 'addConnectedNode'],
+        nodeSize: 100,
+        onCreateConnectedNode,
+        onDuplicateNode,
+      });
+      instance.handleContextMenu(event);
+
+      const entries = getMenu().props.entries;
+
+      expect(entries.map(entry => entry.label)).toEqual([
+        'Duplicate',
+        'Add connected node',
+      ]);
+      expect(entries.every(entry => !entry.disabled)).toEqual(true);
+
+      entries[0].onSelect();
+      expect(onDuplicateNode).toHaveBeenCalledWith(nodes[0], 36, 36, event);
+
+      entries[1].onSelect();
+      expect(onCreateConnectedNode).toHaveBeenCalledWith(
+        nodes[0],
+        0,
+        150,
+        event
+      );
+    });
+
+    it('disables duplicating and adding connected nodes when not allowed', () => {
+      const canCreateEdge = jasmine.createSpy().and.returnValue(false);
+      const getDisabled = () => {
+        instance.handleContextMenu(contextMenuEvent(nodeElement));
+
+        return getMenu().props.entries.map(entry => entry.disabled);
+      };
+
+      output.setProps({ contextMenuItems: ['duplicate', 'addConnectedNode'] });
+      expect(getDisabled()).toEqual([true, true]);
+
+      output.setProps({
+        canCreateEdge,
+        onCreateConnectedNode: () => {},
+        onDuplicateNode: () => {},
+      });
+      expect(getDisabled()).toEqual([false, true]);
+      expect(canCreateEdge).toHaveBeenCalledWith(nodes[0]);
+
+      output.setProps({ canCreateEdge: undefined, readOnly: true });
+      expect(getDisabled()).toEqual([true, true]);
+    });
+
+    it('hands custom items the target and the position', () => {
+      const onSelect = jasmine.createSpy();
+
+      output.setProps({ contextMenuItems: [{ label: 'Custom', onSelect }] });
+      instance.handleContextMenu(contextMenuEvent(backgroundElement));
+      getMenu().props.entries[0].onSelect();
+
+      expect(onSelect).toHaveBeenCalledWith(
+        { type: 'background', node: null, edge: null },
+        { x: 120, y: 50, worldX: 50, worldY: 20 }
+      );
+    });
+
+    it('leaves the keys to the open menu and closes it', () => {
+      spyOn(instance, 'startInlineEdit');
+      output.setProps({ contextMenuItems: ['delete'], selected: ['a'] });
+      output.setState({ focused: true });
+      instance.handleContextMenu(contextMenuEvent(nodeElement));
+
+      instance.handleWrapperKeydown({ key: 'F2' });
+      expect(instance.startInlineEdit).not.toHaveBeenCalled();
+
+      getMenu().props.onClose();
+      expect(instance.contextMenu).toEqual(null);
+      expect(ReactDOM.unmountComponentAtNode).toHaveBeenCalledWith(
+        instance.contextMenuWrapper.current
+      );
+
+      instance.handleWrapperKeydown({ key: 'F2' });
+      expect(instance.startInlineEdit).toHaveBeenCalled();
+    });
+  });
+
+  describe('export', () => {
+    let svg;
+    let entitiesBBox;
+    let OriginalXMLSerializer;
+
+    beforeEach(() => {
+      // jsdom has no XMLSerializer
+      OriginalXMLSerializer = global.XMLSerializer;
+      global.XMLSerializer = class {
+        serializeToString(element) {
+          return element.outerHTML;
+        }
+      };
+      svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+      svg.innerHTML =
+        '<defs><marker id="end-arrow"></marker></defs>' +
+        '<g class="view" transform="translate(10,10) scale(2)">' +
+        '<rect class="background"></rect><g class="groups"></g>' +
+        '<g class="entities"><g class="node"></g></g>' +
+        '<rect class="selection-box"></rect></g>';
+      entitiesBBox = { x: 0, y: 0, width: 100, height: 50 };
+      instance.graphSvg = { current: svg };
+      instance.entities = svg.querySelector('.entities');
+      instance.entities.getBBox = () => entitiesBBox;
+      instance.groups = svg.querySelector('.groups');
+      instance.groups.getBBox = () => ({
+        x: -50,
+        y: 10,
+        width: 20,
+        height: 20,
+      });
+    });
+
+    afterEach(() => {
+      global.XMLSerializer = OriginalXMLSerializer;
+    });
+
+    it('crops the SVG to the nodes, edges and groups', () => {
+      const result = instance.exportSVG({ padding: 10 });
+
+      expect(result).toContain('viewBox="-60 -10 170 70"');
+      expect(result).toContain('width="170"');
+      expect(result).toContain('<marker id="end-arrow"');
+      expect(result).toContain('class="background"');
+      expect(result).not.toContain('selection-box');
+      expect(result).not.toContain('translate(10,10)');
+      // the graph itself is not changed
+      expect(svg.querySelector('.view').getAttribute('transform')).toEqual(
+        'translate(10,10) scale(2)'
+      );
+    });
+
+    it('leaves out the background', () => {
+      const result = instance.exportSVG({ background: false });
+
+      expect(result).not.toContain('class="background"');
+      expect(result).toContain('viewBox="-70 -20 190 90"');
+    });
+
+    it('returns null when nothing is drawn', () => {
+      entitiesBBox = { x: 0, y: 0, width: 0, height: 0 };
+      instance.groups.getBBox = () => entitiesBBox;
+
+      expect(instance.exportSVG()).toEqual(null);
+    });
+
+    describe('with viewport culling', () => {
+      beforeEach(() => {
+        instance.viewWrapper = {
+          current: document.createElement('div'),
+        };
+        Object.defineProperty(instance.viewWrapper.current, 'clientWidth', {
+          get: () => 400,
+        });
+        Object.defineProperty(instance.viewWrapper.current, 'clientHeight', {
+          get: () => 300,
+        });
+        nodes = [
+          { id: 'a', x: 0, y: 0 },
+          { id: 'b', x: 1000, y: 0 },
+        ];
+        edges = [
+          { source: 'a', target: 'b' },
+          { source: 'b', target: 'b' },
+        ];
+        output.setProps({
+          edges,
+          enableViewportCulling: true,
+          nodeSize: 100,
+          nodes,
+        });
+        output.setState({
+          viewTransform: { k: 1, x: 0, y: 0 },
+        });
+        spyOn(document, 'getElementById').and.callFake(id =>
+          svg.querySelector(`[id="${id}"]`)
+        );
+        instance.entities.innerHTML =
+          '<g id="node-a-container"></g><g id="edge-a-b-container"></g>';
+
+        const mount = id => {
+          const container = document.createElementNS(
+            'http://www.w3.org/2000/svg',
+            'g'
+          );
+
+          container.id = id;
+          instance.entities.appendChild(container);
+        };
+
+        spyOn(instance, 'syncRenderNode').and.callFake(node =>
+          mount(`node-${node.id}-container`)
+        );
+        spyOn(instance, 'syncRenderEdge').and.callFake(edge =>
+          mount(`edge-${GraphUtils.getEdgeElementId(edge)}-container`)
+        );
+        spyOn(instance, 'scheduleCullEntities');
+      });
+
+      it('exports the nodes and edges outside of the view', () => {
+        const result = instance.exportSVG();
+
+        expect(instance.syncRenderNode.calls.allArgs()).toEqual([[nodes[1]]]);
+        expect(instance.syncRenderEdge.calls.allArgs()).toEqual([[edges[1]]]);
+        expect(result).toContain('id="node-b-container"');
+        expect(result).toContain('id="edge-b-b-container"');
+        expect(instance.scheduleCullEntities).toHaveBeenCalled();
+      });
+
+      it('does not mount anything when culling is disabled', () => {
+        output.setProps({ enableViewportCulling: false });
+        instance.exportSVG();
+
+        expect(instance.syncRenderNode).not.toHaveBeenCalled();
+        expect(instance.syncRenderEdge).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('exportPNG method', () => {
+      let OriginalImage;
+      let context;
+
+      beforeEach(() => {
+        OriginalImage = global.Image;
+        global.Image = class {
+          set src(src) {
+            this.onload();
+          }
+        };
+        context = {
+          scale: jasmine.createSpy(),
+          drawImage: jasmine.createSpy(),
+        };
+        spyOn(HTMLCanvasElement.prototype, 'getContext').and.returnValue(
+          context
+        );
+        spyOn(HTMLCanvasElement.prototype, 'toDataURL').and.returnValue(
+          'data:image/png;base64,'
+        );
+      });
+
+      afterEach(() => {
+        global.Image = OriginalImage;
+      });
+
+      it('rasterizes the SVG at the given scale', () => {
+        return instance.exportPNG({ scale: 2, padding: 0 }).then(url => {
+          expect(url).toEqual('data:image/png;base64,');
+          expect(context.scale).toHaveBeenCalledWith(2, 2);
+          expect(context.drawImage).toHaveBeenCalledWith(
+            jasmine.any(Object),
+            0,
+            0,
+            150,
+            50
+          );
+        });
+      });
+
+      it('rejects when nothing is drawn', () => {
+        instance.graphSvg = { current: null };
+
+        return instance.exportPNG().then(
+          () => {
+            throw new Error('exportPNG resolved');
+          },
+          error => {
+            expect(error.message).toEqual('There is nothing to export');
+          }
+        );
+      });
+    });
+  });
+
   describe('panToEntity method', () => {
     const entity = document.createElement('g');
 
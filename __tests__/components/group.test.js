@@ -0,0 +1,143 @@
+// @flow
+
+import * as React from 'react';
+
+import { shallow } from 'enzyme';
+
+import Group from '../../src/components/group';
+
+describe('Group component', () => {
+  let output = null;
+  let instance;
+  let data;
+  let onGroupSelected;
+  let onGroupMove;
+  let onGroupMoveEnd;
+  let onGroupResize;
+  let onGroupResizeEnd;
+  let onGroupToggle;
+
+  const mouseEvent = (clientX, clientY) => ({
+    clientX,
+    clientY,
+    shiftKey: false,
+    preventDefault: () => {},
+    stopPropagation: () => {},
+  });
+
+  beforeEach(() => {
+    data = { id: 'group', title: 'Group', x: 100, y: 100 };
+    onGroupSelected = jasmine.createSpy();
+    onGroupMove = jasmine.createSpy();
+    onGroupMoveEnd = jasmine.createSpy();
+    onGroupResize = jasmine.createSpy();
+    onGroupResizeEnd = jasmine.createSpy();
+    onGroupToggle = jasmine.createSpy();
+    output = shallow(
+      <Group
+        data={data}
+        id="node-group"
+        bbox={{ x: 50, y: 60, width: 100, height: 80 }}
+        scale={2}
+        onGroupSelected={onGroupSelected}
+        onGroupMove={onGroupMove}
+        onGroupMoveEnd={onGroupMoveEnd}
+        onGroupResize={onGroupResize}
+        onGroupResizeEnd={onGroupResizeEnd}
+        onGroupToggle={onGroupToggle}
+      />
+    );
+    instance = output.instance();
+  });
+
+  afterEach(() => {
+    instance.handleMouseUp();
+  });
+
+  describe('render method', () => {
+    it('renders an expanded group', () => {
+      const body = output.find('rect.group-body');
+
+      expect(output.props().className).toEqual('group');
+      expect(output.props().id).toEqual('node-group');
+      expect(body.props().x).toEqual(50);
+      expect(body.props().width).toEqual(100);
+      expect(output.find('text.group-title').text()).toEqual('Group');
+      expect(output.find('text.group-toggle').text()).toEqual('−');
+      expect(output.find('rect.group-resize-handle').length).toEqual(1);
+    });
+
+    it('renders a collapsed group without a resize handle', () => {
+      data.collapsed = true;
+      output.setProps({ data: { ...data }, isSelected: true });
+
+      expect(output.props().className).toEqual('group collapsed selected');
+      expect(output.find('text.group-toggle').text()).toEqual('+');
+      expect(output.find('rect.group-resize-handle').length).toEqual(0);
+    });
+  });
+
+  describe('getContentBBox static method', () => {
+    it('pads the box around the contents and leaves room for the title', () => {
+      const bbox = Group.getContentBBox([
+        { x: 0, y: 0, width: 10, height: 10 },
+        { x: 50, y: 30, width: 10, height: 10 },
+      ]);
+
+      expect(bbox).toEqual({ x: -20, y: -40, width: 100, height: 100 });
+    });
+  });
+
+  describe('dragging', () => {
+    it('selects and moves the group relative to the last mouse position', () => {
+      output.find('rect.group-body').simulate('mouseDown', mouseEvent(0, 0));
+      expect(onGroupSelected).toHaveBeenCalledWith(
+        data,
+        false,
+        jasmine.any(Object)
+      );
+
+      instance.handleMouseMove(mouseEvent(10, 20));
+      instance.handleMouseMove(mouseEvent(30, 20));
+      expect(onGroupMove.calls.allArgs()).toEqual([
+        [data, 5, 10],
+        [data, 10, 0],
+      ]);
+
+      instance.handleMouseUp();
+      expect(onGroupMoveEnd).toHaveBeenCalledWith(data);
+    });
+
+    it('resizes the group from its bottom right corner', () => {
+      output
+        .find('rect.group-resize-handle')
+        .simulate('mouseDown', mouseEvent(0, 0));
+      instance.handleMouseMove(mouseEvent(20, -200));
+      expect(onGroupResize).toHaveBeenCalledWith(data, {
+        x: 50,
+        y: 60,
+        width: 110,
+        height: 40,
+      });
+
+      instance.handleMouseUp();
+      expect(onGroupResizeEnd).toHaveBeenCalledWith(data);
+      expect(onGroupMoveEnd).not.toHaveBeenCalled();
+    });
+
+    it('does not report a move when the mouse did not move', () => {
+      output.find('rect.group-body').simulate('mouseDown', mouseEvent(0, 0));
+      instance.handleMouseUp();
+      expect(onGroupMoveEnd).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('toggle', () => {
+    it('collapses or expands the group', () => {
+      const event = mouseEvent(0, 0);
+
+      output.find('text.group-toggle').simulate('click', event);
+      expect(onGroupToggle).toHaveBeenCalledWith(data);
+    });
+  });
+});
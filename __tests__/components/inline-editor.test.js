@@ -0,0 +1,84 @@
+// @flow
+
+import * as React from 'react';
+
+import { shallow } from 'enzyme';
+
+import InlineEditor from '../../src/components/inline-editor';
+
+describe('InlineEditor component', () => {
+  let output = null;
+  let instance;
+  let onCommit;
+  let onCancel;
+
+  const keyEvent = key => ({
+    key,
+    preventDefault: jasmine.createSpy(),
+  });
+
+  beforeEach(() => {
+    onCommit = jasmine.createSpy();
+    onCancel = jasmine.createSpy();
+    output = shallow(
+      <InlineEditor
+        value="Title"
+        x={200}
+        y={100}
+        width={100}
+        onCommit={onCommit}
+        onCancel={onCancel}
+      />
+    );
+    instance = output.instance();
+    instance.input = { current: { value: 'New title' } };
+  });
+
+  describe('render method', () => {
+    it('renders an input centered on the given position', () => {
+      expect(output.props().className).toEqual('inline-editor');
+      expect(output.props().defaultValue).toEqual('Title');
+      expect(output.props().style).toEqual({
+        left: 150,
+        top: 100,
+        width: 100,
+      });
+    });
+  });
+
+  describe('keyboard', () => {
+    it('commits the value on Enter', () => {
+      const event = keyEvent('Enter');
+
+      output.simulate('keyDown', event);
+      expect(event.preventDefault).toHaveBeenCalled();
+      expect(onCommit).toHaveBeenCalledWith('New title');
+    });
+
+    it('cancels on Escape', () => {
+      output.simulate('keyDown', keyEvent('Escape'));
+      expect(onCancel).toHaveBeenCalled();
+      expect(onCommit).not.toHaveBeenCalled();
+    });
+
+    it('ignores other keys', () => {
+      output.simulate('keyDown', keyEvent('a'));
+      expect(onCommit).not.toHaveBeenCalled();
+      expect(onCancel).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('blur', () => {
+    it('commits the value', () => {
+      output.simulate('blur');
+      expect(onCommit).toHaveBeenCalledWith('New title');
+    });
+
+    it('only finishes once', () => {
+      output.simulate('keyDown', keyEvent('Escape'));
+      output.simulate('blur');
+      expect(onCancel).toHaveBeenCalledTimes(1);
+      expect(onCommit).not.toHaveBeenCalled();
+    });
+  });
+});
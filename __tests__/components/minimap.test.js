@@ -0,0 +1,144 @@
+// @flow
+
+import * as React from 'react';
+
+import { shallow } from 'enzyme';
+
+import Minimap from '../../src/components/minimap';
+
+describe('Minimap component', () => {
+  let output = null;
+  let instance;
+  let setZoom;
+
+  beforeEach(() => {
+    setZoom = jasmine.createSpy();
+    output = shallow(
+      <Minimap
+        nodes={[
+          { id: 'a', x: 0, y: 0 },
+          { id: 'b', x: 400, y: 280 },
+        ]}
+        edges={[
+          { source: 'a', target: 'b' },
+          { source: 'a', target: 'missing' },
+        ]}
+        nodeKey="id"
+        nodeWidth={40}
+        nodeHeight={40}
+        viewTransform={{ k: 2, x: 0, y: 0 }}
+        viewWidth={200}
+        viewHeight={100}
+        setZoom={setZoom}
+      />
+    );
+    instance = output.instance();
+    instance.svg = {
+      current: {
+        getBoundingClientRect: () => ({ left: 100, top: 50 }),
+      },
+    };
+  });
+
+  describe('render method', () => {
+    it('renders nodes, edges and the viewport', () => {
+      expect(output.props().className).toEqual('minimap bottom-right');
+      expect(output.find('rect.minimap-node').length).toEqual(2);
+      expect(output.find('line.minimap-edge').length).toEqual(1);
+
+      const viewport = output.find('rect.minimap-viewport');
+
+      expect(viewport.props().width).toEqual(100);
+      expect(viewport.props().height).toEqual(50);
+    });
+
+    it('uses the content bounds as the viewBox', () => {
+      expect(output.find('svg').props().viewBox).toEqual('-40 -40 480 360');
+    });
+
+    it('renders in the given position and size', () => {
+      output.setProps({ position: 'top-left', width: 100, height: 80 });
+      expect(output.props().className).toEqual('minimap top-left');
+      expect(output.props().style).toEqual({ width: 100, height: 80 });
+    });
+  });
+
+  describe('getViewportBBox method', () => {
+    it('converts the view transform to graph coordinates', () => {
+      output.setProps({ viewTransform: { k: 0.5, x: -50, y: 20 } });
+      expect(instance.getViewportBBox()).toEqual({
+        x: 100,
+        y: -40,
+        width: 400,
+        height: 200,
+      });
+    });
+  });
+
+  describe('getGraphPoint method', () => {
+    it('converts minimap coordinates to graph coordinates', () => {
+      // the 480x360 content is scaled by 5/12 to fit the 200x150 minimap
+      const bbox = instance.getContentBBox();
+
+      expect(instance.getGraphPoint(0, 0, bbox)).toEqual({ x: -40, y: -40 });
+      expect(instance.getGraphPoint(100, 75, bbox)).toEqual({
+        x: 200,
+        y: 140,
+      });
+    });
+  });
+
+  describe('mouse handlers', () => {
+    afterEach(() => {
+      instance.handleMouseUp();
+    });
+
+    it('centers the view on a clicked point outside of the viewport', () => {
+      const event = {
+        clientX: 200,
+        clientY: 125,
+        preventDefault: jasmine.createSpy(),
+        stopPropagation: jasmine.createSpy(),
+      };
+
+      instance.handleMouseDown(event);
+      expect(event.stopPropagation).toHaveBeenCalled();
+      expect(setZoom).toHaveBeenCalledWith(2, -300, -230, 0);
+    });
+
+    it('drags the viewport from where it was grabbed', () => {
+      // grab the viewport 10 graph units right of its center
+      instance.handleMouseDown({
+        clientX: 100 + (40 + 60) * (5 / 12),
+        clientY: 50 + (40 + 25) * (5 / 12),
+        preventDefault: () => {},
+        stopPropagation: () => {},
+      });
+      expect(setZoom).not.toHaveBeenCalled();
+
+      instance.handleMouseMove({
+        clientX: 100 + (40 + 160) * (5 / 12),
+        clientY: 50 + (40 + 25) * (5 / 12),
+      });
+
+      const [k, x, y] = setZoom.calls.mostRecent().args;
+
+      expect(k).toEqual(2);
+      expect(x).toBeCloseTo(-2 * 100);
+      expect(y).toBeCloseTo(0);
+    });
+
+    it('stops dragging on mouse up', () => {
+      instance.handleMouseDown({
+        clientX: 100,
+        clientY: 50,
+        preventDefault: () => {},
+        stopPropagation: () => {},
+      });
+      instance.handleMouseUp();
+      setZoom.calls.reset();
+      instance.handleMouseMove({ clientX: 150, clientY: 100 });
+      expect(setZoom).not.toHaveBeenCalled();
+    });
+  });
+});
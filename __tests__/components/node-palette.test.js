@@ -0,0 +1,136 @@
+// @flow
+
+import * as React from 'react';
+
+import { shallow } from 'enzyme';
+
+import NodePalette, {
+  NODE_PALETTE_DATA_TYPE,
+} from '../../src/components/node-palette';
+
+describe('NodePalette component', () => {
+  let output = null;
+  let nodeTypes;
+  let nodeSubtypes;
+
+  beforeEach(() => {
+    nodeTypes = {
+      task: {
+        shape: (
+          <symbol viewBox="0 0 100 100" id="task">
+            <circle cx="50" cy="50" r="45" />
+          </symbol>
+        ),
+        shapeId: '#task',
+        typeText: 'Task',
+      },
+      timer: {
+        shapeId: '#timer',
+      },
+    };
+    nodeSubtypes = {
+      retry: {
+        shape: (
+          <symbol viewBox="0 0 50 50" id="retry">
+            <rect width="50" height="50" />
+          </symbol>
+        ),
+        shapeId: '#retry',
+        typeText: 'Retry',
+      },
+    };
+    output = shallow(<NodePalette nodeTypes={nodeTypes} />);
+  });
+
+  describe('render method', () => {
+    it('lists the node types with their shapes', () => {
+      const items = output.find('.node-palette-item');
+
+      expect(output.props().className).toEqual('node-palette');
+      expect(items.length).toEqual(2);
+      expect(items.at(0).props().draggable).toEqual(true);
+      expect(
+        items
+          .at(0)
+          .find('.node-palette-label')
+          .text()
+      ).toEqual('Task');
+      expect(
+        items
+          .at(1)
+          .find('.node-palette-label')
+          .text()
+      ).toEqual('timer');
+
+      const shape = items.at(0).find('svg.node');
+
+      expect(shape.props().viewBox).toEqual('0 0 100 100');
+      expect(shape.find('circle').length).toEqual(1);
+      expect(
+        items
+          .at(1)
+          .find('use.node')
+          .props().xlinkHref
+      ).toEqual('#timer');
+    });
+
+    it('lists each type with every subtype when subtypes are given', () => {
+      output.setProps({ nodeSubtypes, className: 'sidebar' });
+      const items = output.find('.node-palette-item');
+
+      expect(output.props().className).toEqual('node-palette sidebar');
+      expect(items.length).toEqual(4);
+      expect(
+        items
+          .at(1)
+          .find('.node-palette-label')
+          .text()
+      ).toEqual('Task (Retry)');
+      expect(items.at(1).find('svg.subtype-shape').length).toEqual(1);
+    });
+  });
+
+  describe('dragging', () => {
+    it('puts the type and subtype of an item into the drag data', () => {
+      const dataTransfer = { setData: jasmine.createSpy() };
+
+      output.setProps({ nodeSubtypes });
+      output
+        .find('.node-palette-item')
+        .at(1)
+        .simulate('dragStart', { dataTransfer });
+
+      expect(dataTransfer.setData).toHaveBeenCalledWith(
+        NODE_PALETTE_DATA_TYPE,
+        JSON.stringify({ type: 'task', subtype: 'retry' })
+      );
+      expect(dataTransfer.effectAllowed).toEqual('copy');
+    });
+
+    it('reads the dragged item back', () => {
+      const dataTransfer = {
+        types: [NODE_PALETTE_DATA_TYPE],
+        getData: () => JSON.stringify({ type: 'task', subtype: null }),
+      };
+
+      expect(NodePalette.isPaletteDrag(dataTransfer)).toEqual(true);
+      expect(NodePalette.getDraggedItem(dataTransfer)).toEqual({
+        type: 'task',
+        subtype: null,
+      });
+    });
+
+    it('ignores other drags', () => {
+      const dataTransfer = {
+        types: ['text/plain'],
+        getData: () => '',
+      };
+
+      expect(NodePalette.isPaletteDrag(dataTransfer)).toEqual(false);
+      expect(NodePalette.getDraggedItem(dataTransfer)).toEqual(null);
+      expect(NodePalette.getDraggedItem({ getData: () => 'not json' })).toEqual(
+        null
+      );
+    });
+  });
+});
@@ -5,6 +5,7 @@ import * as React from 'react';
 import { shallow } from 'enzyme';
 
 import NodeText from '../../src/components/node-text';
+import GraphUtils from '../../src/utilities/graph-util';
 
 describe('NodeText component', () => {
   let output = null;
@@ -60,6 +61,24 @@ describe('NodeText component', () => {
       const tspan = output.find('tspan');
       expect(tspan.at(1).text()).toEqual('Te');
     });
+
+    it('wraps the title into lines when wrapTitle is set', () => {
+      spyOn(GraphUtils, 'measureText').and.callFake(text => text.length * 5);
+      nodeData.title = 'Check City and Vehicle View';
+      output.setProps({
+        data: { ...nodeData },
+        maxTitleChars: 2,
+        wrapTitle: true,
+        width: 100
+      });
+      const tspan = output.find('tspan');
+      expect(tspan.length).toEqual(3);
+      expect(tspan.at(1).text()).toEqual('Check City and');
+      expect(tspan.at(1).props().dy).toEqual(18);
+      expect(tspan.at(2).text()).toEqual('Vehicle View');
+      expect(tspan.at(2).props().dy).toEqual(12);
+      expect(output.props().y).toEqual(-6);
+    });
   });
 
   describe('getTypeText method', () => {
@@ -117,6 +117,36 @@ describe('Node component', () => {
       expect(onNodeMouseLeave).toHaveBeenCalledWith(event, nodeData);
       expect(output.state().hovered).toEqual(false);
     });
+
+    it('calls onNodeDoubleClick', () => {
+      const onNodeDoubleClick = jasmine.createSpy();
+      const event = {
+        stopPropagation: jasmine.createSpy()
+      };
+      output.setProps({
+        onNodeDoubleClick
+      });
+      output.find('g.node').props().onDoubleClick(event);
+      expect(event.stopPropagation).toHaveBeenCalled();
+      expect(onNodeDoubleClick).toHaveBeenCalledWith(nodeData);
+    });
+
+    it('renders highlighted and dimmed nodes', () => {
+      output.setProps({
+        isHighlighted: true
+      });
+      expect(output.find('g.node').props().className)
+        .toEqual('node emptyNode highlighted');
+
+      output.setProps({
+        isHighlighted: false,
+        isDimmed: true,
+        opacity: 0.2
+      });
+      expect(output.find('g.node').props().className)
+        .toEqual('node emptyNode dimmed');
+      expect(output.find('g.node').props().opacity).toEqual(0.2);
+    });
   });
 
   describe('renderText method', () => {
@@ -459,4 +489,173 @@ describe('Node component', () => {
       );
     });
   });
+
+  describe('ports', () => {
+    beforeEach(() => {
+      nodeTypes.emptyNode.ports = {
+        input: { x: 0, y: -50, direction: 'in' },
+        output: { x: 0, y: 50, direction: 'out' },
+        side: { x: 50, y: 0 }
+      };
+      output.setProps({ nodeTypes: { ...nodeTypes } });
+    });
+
+    it('renders the ports of the node type', () => {
+      const ports = output.find('.ports > circle');
+
+      expect(ports.length).toEqual(3);
+      expect(ports.at(0).props().className).toEqual('port port-in');
+      expect(ports.at(0).props()['data-port']).toEqual('input');
+      expect(ports.at(0).props().cy).toEqual(-50);
+      expect(ports.at(2).props().className).toEqual('port port-inout');
+    });
+
+    it('renders no ports when the node type has none', () => {
+      output.setProps({ nodeTypes: { emptyNode: { shapeId: '#test' } } });
+      expect(output.find('.ports').length).toEqual(0);
+    });
+
+    it('returns the position of a port in graph coordinates', () => {
+      expect(Node.getPortPosition(nodeData, nodeTypes, 'output')).toEqual({
+        x: 5,
+        y: 60
+      });
+      expect(Node.getPortPosition(nodeData, nodeTypes, 'fake')).toEqual(null);
+      expect(Node.getPortPosition(nodeData, nodeTypes, null)).toEqual(null);
+    });
+
+    it('checks the direction of ports', () => {
+      const ports = Node.getPorts(nodeData, nodeTypes);
+
+      expect(Node.canPortStartEdge(ports.input)).toEqual(false);
+      expect(Node.canPortStartEdge(ports.output)).toEqual(true);
+      expect(Node.canPortEndEdge(ports.output)).toEqual(false);
+      expect(Node.canPortEndEdge(ports.side)).toEqual(true);
+      expect(Node.canPortEndEdge(null)).toEqual(true);
+    });
+
+    it('draws an edge when dragged from an output port', () => {
+      const instance = output.instance();
+      const getAttribute = () => 'output';
+
+      instance.nodeRef = {
+        current: {
+          parentElement: {
+            parentElement: { lastElementChild: null, appendChild: () => {} }
+          }
+        }
+      };
+      instance.handlePortMouseDown({ currentTarget: { getAttribute } });
+      instance.handleMouseMove(
+        { buttons: 1, shiftKey: false },
+        { x: 20, y: 50 }
+      );
+
+      expect(onNodeMove.calls.mostRecent().args.slice(1, 4)).toEqual([
+        '1',
+        true,
+        'output'
+      ]);
+    });
+
+    it('moves the node when dragged from an input port', () => {
+      const instance = output.instance();
+
+      instance.handlePortMouseDown({
+        currentTarget: { getAttribute: () => 'input' }
+      });
+
+      expect(instance.edgeSourcePort).toEqual(null);
+    });
+  });
+
+  describe('touch', () => {
+    let instance;
+    const touchEvent = (x, y, fingers = 1) => ({
+      touches: Array(fingers).fill({ clientX: x, clientY: y }),
+      target: { dispatchEvent: () => {} }
+    });
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      instance = output.instance();
+      instance.nodeRef = {
+        current: {
+          parentElement: {
+            parentElement: { lastElementChild: null, appendChild: () => {} }
+          }
+        }
+      };
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('tells whether events come from touches', () => {
+      expect(Node.isTouchEvent(touchEvent(0, 0))).toEqual(true);
+      expect(Node.isTouchEvent({ pointerType: 'touch' })).toEqual(true);
+      expect(Node.isTouchEvent({ buttons: 1 })).toEqual(false);
+      expect(Node.isPrimaryPointerDown(touchEvent(0, 0))).toEqual(true);
+      expect(Node.isPrimaryPointerDown(touchEvent(0, 0, 2))).toEqual(false);
+      expect(Node.isPrimaryPointerDown({ buttons: 1 })).toEqual(true);
+    });
+
+    it('makes a touched node the start of new edges', () => {
+      const event = touchEvent(100, 100);
+
+      instance.handleDragStart(event);
+      expect(onNodeMouseEnter).toHaveBeenCalledWith(event, nodeData, true);
+      expect(onNodeSelected).toHaveBeenCalledWith(nodeData, false, event);
+    });
+
+    it('moves the node with one finger', () => {
+      instance.handleDragStart(touchEvent(100, 100));
+      instance.handleMouseMove(touchEvent(140, 100), { x: 20, y: 50 });
+
+      expect(onNodeMove.calls.mostRecent().args.slice(0, 3)).toEqual([
+        { x: 20, y: 50 },
+        '1',
+        false
+      ]);
+
+      // a long press no longer starts once the node moved
+      jest.advanceTimersByTime(500);
+      expect(instance.longPressed).toEqual(false);
+    });
+
+    it('leaves two fingers to the zoom', () => {
+      instance.handleMouseMove(touchEvent(140, 100, 2), { x: 20, y: 50 });
+      expect(onNodeMove).not.toHaveBeenCalled();
+    });
+
+    it('draws an edge after a long press', () => {
+      instance.handleDragStart(touchEvent(100, 100));
+      // small movements don't cancel the long press
+      instance.handleMouseMove(touchEvent(105, 96), { x: 20, y: 50 });
+      expect(onNodeMove).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(500);
+      output.update();
+      expect(output.find('g.node').props().className).toEqual(
+        'node emptyNode drawing-edge'
+      );
+
+      instance.handleMouseMove(touchEvent(200, 100), { x: 20, y: 50 });
+      expect(onNodeMove.calls.mostRecent().args[2]).toEqual(true);
+
+      instance.handleDragEnd({ touches: [], target: null });
+      expect(onNodeUpdate.calls.mostRecent().args.slice(1)).toEqual(['1', true]);
+      expect(instance.longPressed).toEqual(false);
+    });
+
+    it('ignores the mouse events that follow a tap', () => {
+      instance.handleDragStart(touchEvent(100, 100));
+      instance.handleDragEnd({ touches: [], target: null });
+      onNodeSelected.calls.reset();
+
+      expect(instance.handleDragStart({ buttons: 1 })).toEqual(false);
+      expect(onNodeSelected).not.toHaveBeenCalled();
+    });
+  });
 });
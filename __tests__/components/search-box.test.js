@@ -0,0 +1,134 @@
+// @flow
+
+import * as React from 'react';
+
+import { shallow } from 'enzyme';
+
+import SearchBox from '../../src/components/search-box';
+
+describe('SearchBox component', () => {
+  let output = null;
+  let results;
+  let onChange;
+  let onSelect;
+  let onNext;
+  let onPrevious;
+  let onClose;
+
+  const keyEvent = (key, shiftKey = false) => ({
+    key,
+    shiftKey,
+    preventDefault: jasmine.createSpy(),
+  });
+
+  beforeEach(() => {
+    results = [
+      { id: 'a', title: 'Alpha' },
+      { id: 'b', title: 'Beta' },
+    ];
+    onChange = jasmine.createSpy();
+    onSelect = jasmine.createSpy();
+    onNext = jasmine.createSpy();
+    onPrevious = jasmine.createSpy();
+    onClose = jasmine.createSpy();
+    output = shallow(
+      <SearchBox
+        query="a"
+        results={results}
+        activeIndex={1}
+        nodeKey="id"
+        onChange={onChange}
+        onSelect={onSelect}
+        onNext={onNext}
+        onPrevious={onPrevious}
+        onClose={onClose}
+      />
+    );
+  });
+
+  describe('render method', () => {
+    it('renders the query, the result count and the results', () => {
+      const items = output.find('.search-result');
+
+      expect(output.props().className).toEqual('search-box');
+      expect(output.find('.search-input').props().value).toEqual('a');
+      expect(output.find('.search-count').text()).toEqual('2 / 2');
+      expect(items.length).toEqual(2);
+      expect(items.at(0).text()).toEqual('Alpha');
+      expect(items.at(1).props().className).toEqual('search-result active');
+    });
+
+    it('tells when nothing matches', () => {
+      output.setProps({ results: [], activeIndex: -1 });
+
+      expect(output.find('.search-count').text()).toEqual('No results');
+      expect(output.find('.search-results').length).toEqual(0);
+    });
+  });
+
+  describe('events', () => {
+    it('reports changes of the query', () => {
+      output
+        .find('.search-input')
+        .simulate('change', { target: { value: 'al' } });
+      expect(onChange).toHaveBeenCalledWith('al');
+    });
+
+    it('moves through the results with Enter and Shift+Enter', () => {
+      const event = keyEvent('Enter');
+
+      output.find('.search-input').simulate('keyDown', event);
+      expect(event.preventDefault).toHaveBeenCalled();
+      expect(onNext).toHaveBeenCalled();
+
+      output.find('.search-input').simulate('keyDown', keyEvent('Enter', true));
+      expect(onPrevious).toHaveBeenCalled();
+    });
+
+    it('closes on Escape', () => {
+      output.find('.search-input').simulate('keyDown', keyEvent('Escape'));
+      expect(onClose).toHaveBeenCalled();
+    });
+
+    it('goes to a clicked result', () => {
+      output
+        .find('.search-result')
+        .at(0)
+        .simulate('mouseDown', { preventDefault: () => {} });
+      expect(onSelect).toHaveBeenCalledWith(0);
+    });
+  });
+
+  describe('getMatchScore static method', () => {
+    it('ranks substrings by their position', () => {
+      expect(SearchBox.getMatchScore('get', 'Get user')).toEqual(0);
+      expect(SearchBox.getMatchScore('USER', 'Get user')).toEqual(4);
+    });
+
+    it('ranks scattered characters after substrings', () => {
+      expect(SearchBox.getMatchScore('gus', 'Get user')).toEqual(1005);
+      expect(SearchBox.getMatchScore('xyz', 'Get user')).toEqual(null);
+      expect(SearchBox.getMatchScore(' ', 'Get user')).toEqual(null);
+    });
+  });
+
+  describe('search static method', () => {
+    it('returns the matching nodes, best matches first', () => {
+      const nodes = [
+        { id: 'a', title: 'Send mail', type: 'task' },
+        { id: 'b', title: 'Mail', type: 'task' },
+        { id: 'c', title: 'Wait', type: 'timer' },
+        { id: 'd', title: 'Manual fill', type: 'task' },
+      ];
+
+      expect(SearchBox.search(nodes, 'mail', ['title'])).toEqual([
+        nodes[1],
+        nodes[0],
+        nodes[3],
+      ]);
+      expect(SearchBox.search(nodes, 'timer', ['title', 'type'])).toEqual([
+        nodes[2],
+      ]);
+    });
+  });
+});
@@ -0,0 +1,213 @@
+// @flow
+
+import HistoryManager from '../../src/utilities/history-manager';
+
+describe('HistoryManager', () => {
+  let nodes;
+  let edges;
+
+  beforeEach(() => {
+    nodes = [
+      { id: 'a', title: 'A', x: 0, y: 0 },
+      { id: 'b', title: 'B', x: 10, y: 10 },
+      { id: 'c', title: 'C', x: 20, y: 20 },
+    ];
+    edges = [
+      { source: 'a', target: 'b' },
+      { source: 'b', target: 'c' },
+    ];
+  });
+
+  describe('class', () => {
+    it('is defined', () => {
+      expect(HistoryManager).toBeDefined();
+    });
+  });
+
+  describe('diff static method', () => {
+    let snapshot;
+
+    beforeEach(() => {
+      snapshot = HistoryManager.createSnapshot(nodes, edges, 'id');
+    });
+
+    it('returns nothing when the graph has not changed', () => {
+      expect(HistoryManager.diff(snapshot, nodes, edges, 'id')).toEqual([]);
+    });
+
+    it('records created and deleted nodes', () => {
+      const nextNodes = [nodes[0], nodes[1], { id: 'd', title: 'D' }];
+      const operations = HistoryManager.diff(snapshot, nextNodes, edges, 'id');
+
+      expect(operations.map(o => o.type)).toEqual(['createNode', 'deleteNode']);
+      expect(operations[0].after.id).toEqual('d');
+      expect(operations[1].before.id).toEqual('c');
+      expect(operations[1].index).toEqual(2);
+    });
+
+    it('distinguishes moved nodes from updated nodes', () => {
+      // nodes are mutated in place while they are dragged
+      nodes[0].x = 100;
+      nodes[1].title = 'B2';
+      const operations = HistoryManager.diff(snapshot, nodes, edges, 'id');
+
+      expect(operations.map(o => o.type)).toEqual(['moveNode', 'updateNode']);
+      expect(operations[0].before.x).toEqual(0);
+      expect(operations[0].after.x).toEqual(100);
+    });
+
+    it('records a changed edge target as a swap', () => {
+      const nextEdges = [edges[0], { source: 'b', target: 'a' }];
+      const operations = HistoryManager.diff(snapshot, nodes, nextEdges, 'id');
+
+      expect(operations.length).toEqual(1);
+      expect(operations[0].type).toEqual('swapEdge');
+      expect(operations[0].before.target).toEqual('c');
+      expect(operations[0].after.target).toEqual('a');
+    });
+
+    it('records created and deleted edges', () => {
+      const nextEdges = [edges[0], { source: 'c', target: 'a' }];
+      const operations = HistoryManager.diff(snapshot, nodes, nextEdges, 'id');
+
+      expect(operations.map(o => o.type)).toEqual(['deleteEdge', 'createEdge']);
+    });
+  });
+
+  describe('applyEntry static method', () => {
+    it('reverts and re-applies a deleted node and its edges', () => {
+      const snapshot = HistoryManager.createSnapshot(nodes, edges, 'id');
+      const nextNodes = [nodes[0], nodes[2]];
+      const nextEdges = [];
+      const entry = {
+        operations: HistoryManager.diff(snapshot, nextNodes, nextEdges, 'id'),
+      };
+
+      const undone = HistoryManager.applyEntry(
+        entry,
+        nextNodes,
+        nextEdges,
+        'id',
+        true
+      );
+
+      expect(undone.nodes).toEqual(nodes);
+      expect(undone.edges).toEqual(edges);
+
+      const redone = HistoryManager.applyEntry(
+        entry,
+        undone.nodes,
+        undone.edges,
+        'id',
+        false
+      );
+
+      expect(redone.nodes).toEqual(nextNodes);
+      expect(redone.edges).toEqual(nextEdges);
+    });
+
+    it('reverts moves and swaps', () => {
+      const snapshot = HistoryManager.createSnapshot(nodes, edges, 'id');
+      const nextNodes = [{ ...nodes[0], x: 50, y: 60 }, nodes[1], nodes[2]];
+      const nextEdges = [edges[0], { source: 'b', target: 'a' }];
+      const entry = {
+        operations: HistoryManager.diff(snapshot, nextNodes, nextEdges, 'id'),
+      };
+      const undone = HistoryManager.applyEntry(
+        entry,
+        nextNodes,
+        nextEdges,
+        'id',
+        true
+      );
+
+      expect(undone.nodes).toEqual(nodes);
+      expect(undone.edges).toEqual(edges);
+    });
+
+    it('reverts a parallel edge without touching the first one', () => {
+      const idEdges = [{ id: 'e1', source: 'a', target: 'b' }];
+      const snapshot = HistoryManager.createSnapshot(nodes, idEdges, 'id');
+      const nextEdges = [...idEdges, { id: 'e2', source: 'a', target: 'b' }];
+      const entry = {
+        operations: HistoryManager.diff(snapshot, nodes, nextEdges, 'id'),
+      };
+
+      expect(entry.operations.map(o => o.type)).toEqual(['createEdge']);
+
+      const undone = HistoryManager.applyEntry(
+        entry,
+        nodes,
+        nextEdges,
+        'id',
+        true
+      );
+
+      expect(undone.edges).toEqual(idEdges);
+    });
+
+    it('does not modify the input arrays', () => {
+      const entry = {
+        operations: [{ type: 'deleteNode', before: nodes[0], index: 0 }],
+      };
+
+      HistoryManager.applyEntry(entry, nodes, edges, 'id', false);
+      expect(nodes.length).toEqual(3);
+    });
+  });
+
+  describe('undo and redo stacks', () => {
+    let history;
+    const entry = { operations: [{ type: 'createNode', after: {}, index: 0 }] };
+
+    beforeEach(() => {
+      history = new HistoryManager(2);
+    });
+
+    it('ignores empty entries', () => {
+      history.push({ operations: [] });
+      expect(history.canUndo()).toEqual(false);
+    });
+
+    it('moves entries between the undo and redo stacks', () => {
+      history.push(entry);
+      expect(history.canUndo()).toEqual(true);
+      expect(history.canRedo()).toEqual(false);
+
+      expect(history.undo()).toEqual(entry);
+      expect(history.canUndo()).toEqual(false);
+      expect(history.canRedo()).toEqual(true);
+
+      expect(history.redo()).toEqual(entry);
+      expect(history.canRedo()).toEqual(false);
+      expect(history.undo()).toEqual(entry);
+      expect(history.undo()).toEqual(null);
+    });
+
+    it('clears the redo stack when a new entry is pushed', () => {
+      history.push(entry);
+      history.undo();
+      history.push(entry);
+      expect(history.canRedo()).toEqual(false);
+    });
+
+    it('drops the oldest entries beyond the limit', () => {
+      const first = { operations: [{ type: 'deleteNode', index: 0 }] };
+
+      history.push(first);
+      history.push(entry);
+      history.push(entry);
+      expect(history.undoStack.length).toEqual(2);
+      expect(history.undoStack.indexOf(first)).toEqual(-1);
+    });
+
+    it('clears both stacks', () => {
+      history.push(entry);
+      history.push(entry);
+      history.undo();
+      history.clear();
+      expect(history.canUndo()).toEqual(false);
+      expect(history.canRedo()).toEqual(false);
+    });
+  });
+});
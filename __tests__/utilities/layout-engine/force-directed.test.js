@@ -0,0 +1,122 @@
+// @flow
+
+import ForceDirected from '../../../src/utilities/layout-engine/force-directed';
+
+describe('ForceDirected', () => {
+  const graphViewProps = {
+    nodeKey: 'id',
+    nodeSize: 10,
+  };
+
+  function getNodesMap(nodes, edges) {
+    const nodesMap = {};
+
+    nodes.forEach(node => {
+      nodesMap[`key-${node.id}`] = {
+        incomingEdges: edges.filter(edge => edge.target === node.id),
+        outgoingEdges: edges.filter(edge => edge.source === node.id),
+        node,
+      };
+    });
+
+    return nodesMap;
+  }
+
+  function getDistance(a, b) {
+    return Math.sqrt(Math.pow(a.x - b.x, 2) + Math.pow(a.y - b.y, 2));
+  }
+
+  describe('class', () => {
+    it('is defined', () => {
+      expect(ForceDirected).toBeDefined();
+    });
+
+    it('instantiates', () => {
+      const forceDirected = new ForceDirected(graphViewProps);
+
+      expect(forceDirected).toBeDefined();
+    });
+  });
+
+  describe('adjustNodes method', () => {
+    let nodes;
+    let edges;
+
+    beforeEach(() => {
+      nodes = [
+        { id: 'a', x: 0, y: 0 },
+        { id: 'b', x: 0, y: 0 },
+        { id: 'c', x: 0, y: 0 },
+        { id: 'd', x: 0, y: 0 },
+        { id: 'isolated', x: 0, y: 0 },
+      ];
+      edges = [
+        { source: 'a', target: 'b' },
+        { source: 'b', target: 'c' },
+        { source: 'c', target: 'c' },
+        { source: 'c', target: 'missing' },
+      ];
+    });
+
+    it('does nothing when there is no nodeMap', () => {
+      const forceDirected = new ForceDirected(graphViewProps);
+      const newNodes = forceDirected.adjustNodes([{ id: 'test', x: 9, y: 8 }]);
+
+      expect(newNodes).toEqual([{ id: 'test', x: 9, y: 8 }]);
+    });
+
+    it('places every node, including isolated ones', () => {
+      const forceDirected = new ForceDirected(graphViewProps);
+      const newNodes = forceDirected.adjustNodes(
+        nodes,
+        getNodesMap(nodes, edges)
+      );
+
+      newNodes.forEach(node => {
+        expect(Number.isFinite(node.x)).toEqual(true);
+        expect(Number.isFinite(node.y)).toEqual(true);
+      });
+      expect(newNodes[4]).not.toEqual({ id: 'isolated', x: 0, y: 0 });
+    });
+
+    it('is deterministic', () => {
+      const otherNodes = nodes.map(node => ({ ...node }));
+      const forceDirected = new ForceDirected(graphViewProps);
+      const first = forceDirected.adjustNodes(nodes, getNodesMap(nodes, edges));
+      const second = forceDirected.adjustNodes(
+        otherNodes,
+        getNodesMap(otherNodes, edges)
+      );
+
+      expect(second).toEqual(first);
+    });
+
+    it('keeps nodes from overlapping', () => {
+      const forceDirected = new ForceDirected(graphViewProps);
+      const newNodes = forceDirected.adjustNodes(
+        nodes,
+        getNodesMap(nodes, edges)
+      );
+
+      newNodes.forEach((node, i) => {
+        newNodes.slice(i + 1).forEach(other => {
+          expect(getDistance(node, other)).toBeGreaterThan(
+            graphViewProps.nodeSize
+          );
+        });
+      });
+    });
+
+    it('places linked nodes closer together than unlinked ones', () => {
+      const forceDirected = new ForceDirected(graphViewProps);
+      const newNodes = forceDirected.adjustNodes(
+        nodes,
+        getNodesMap(nodes, edges)
+      );
+
+      expect(getDistance(newNodes[0], newNodes[1])).toBeLessThan(
+        getDistance(newNodes[0], newNodes[2])
+      );
+    });
+  });
+});
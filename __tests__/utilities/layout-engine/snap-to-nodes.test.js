@@ -0,0 +1,82 @@
+// @flow
+
+import SnapToNodes from '../../../src/utilities/layout-engine/snap-to-nodes';
+
+describe('SnapToNodes', () => {
+  let snapToNodes;
+  const box = (x, y) => ({ x, y, width: 100, height: 100 });
+
+  beforeEach(() => {
+    snapToNodes = new SnapToNodes({});
+  });
+
+  describe('calculatePosition method', () => {
+    it('does not move nodes', () => {
+      const position = { x: 13, y: 27 };
+
+      expect(snapToNodes.calculatePosition(position)).toEqual(position);
+    });
+  });
+
+  describe('getSnapOffset method', () => {
+    it('does not snap to nodes outside the threshold', () => {
+      expect(snapToNodes.getSnapOffset(box(20, 300), [box(0, 0)], 8)).toEqual({
+        x: 0,
+        y: 0,
+        guides: [],
+      });
+    });
+
+    it('lines up the sides and centers of nodes', () => {
+      const snap = snapToNodes.getSnapOffset(box(5, 300), [box(0, 0)], 8);
+
+      expect(snap.x).toEqual(-5);
+      expect(snap.y).toEqual(0);
+      expect(snap.guides).toEqual([
+        { type: 'alignment', x1: 0, y1: 0, x2: 0, y2: 400 },
+        { type: 'alignment', x1: 50, y1: 0, x2: 50, y2: 400 },
+        { type: 'alignment', x1: 100, y1: 0, x2: 100, y2: 400 },
+      ]);
+    });
+
+    it('snaps to the closest of several nodes', () => {
+      const snap = snapToNodes.getSnapOffset(
+        box(303, 300),
+        [box(296, 0), box(306, 600)],
+        8
+      );
+
+      expect(snap.x).toEqual(3);
+    });
+
+    it('repeats the spacing of the nodes in the same row', () => {
+      const snap = snapToNodes.getSnapOffset(
+        box(403, 0),
+        [box(0, 0), box(200, 0)],
+        8
+      );
+
+      expect(snap.x).toEqual(-3);
+      expect(snap.y).toEqual(0);
+      expect(snap.guides.filter(guide => guide.type === 'spacing')).toEqual([
+        { type: 'spacing', x1: 100, y1: 50, x2: 200, y2: 50 },
+        { type: 'spacing', x1: 300, y1: 50, x2: 400, y2: 50 },
+      ]);
+    });
+
+    it('centers nodes between their neighbours', () => {
+      const snap = snapToNodes.getSnapOffset(
+        box(0, 196),
+        [box(0, 0), box(0, 400)],
+        8
+      );
+
+      expect(snap.x).toEqual(0);
+      expect(snap.y).toEqual(4);
+      expect(snap.guides.filter(guide => guide.type === 'spacing')).toEqual([
+        { type: 'spacing', x1: 50, y1: 100, x2: 50, y2: 200 },
+        { type: 'spacing', x1: 50, y1: 300, x2: 50, y2: 400 },
+      ]);
+    });
+  });
+});
@@ -1,6 +1,7 @@
 // @flow
 import * as React from 'react';
 
+import GraphUtils from '../../../src/utilities/graph-util';
 import VerticalTree from '../../../src/utilities/layout-engine/vertical-tree';
 
 describe('VerticalTree', () => {
@@ -124,4 +125,79 @@ describe('VerticalTree', () => {
       expect(JSON.stringify(newNodes)).toEqual(JSON.stringify(expected));
     });
   });
+
+  describe('groups', () => {
+    let verticalTree;
+    let nodes;
+    let nodesMap;
+
+    beforeEach(() => {
+      verticalTree = new VerticalTree({
+        nodeKey: 'id',
+        nodeSize: 10
+      });
+      nodes = [
+        { id: 'group', x: 0, y: 0 },
+        { id: 'a', parent: 'group', x: 0, y: 0 },
+        { id: 'b', parent: 'group', x: 0, y: 0 },
+        { id: 'c', x: 0, y: 0 }
+      ];
+      const edges = [
+        { source: 'a', target: 'b' },
+        { source: 'b', target: 'c' },
+        { source: 'group', target: 'c' }
+      ];
+      nodesMap = GraphUtils.getNodesMap(nodes, 'id');
+      GraphUtils.linkNodesAndEdges(nodesMap, edges);
+    });
+
+    it('lays out the nodes of a group inside of it', () => {
+      nodes[0].width = 500;
+      nodes[0].height = 500;
+      verticalTree.adjustNodes(nodes, nodesMap);
+
+      expect(nodes[1].y).toBeLessThan(nodes[2].y);
+      expect(nodes[2].y).toBeLessThan(nodes[3].y);
+      expect(nodes[0].y).toBeGreaterThan(nodes[1].y);
+      expect(nodes[0].y).toBeLessThan(nodes[2].y);
+      // resized groups are fitted to their contents again
+      expect(nodes[0].width).toBeUndefined();
+    });
+
+    it('lays out a collapsed group as a node and moves its nodes along', () => {
+      nodes[0].collapsed = true;
+      nodes[1].x = 10;
+      verticalTree.adjustNodes(nodes, nodesMap);
+
+      expect(nodes[0].y).toBeLessThan(nodes[3].y);
+      expect(nodes[1].x - nodes[0].x).toEqual(10);
+      expect(nodes[2].x - nodes[0].x).toEqual(0);
+    });
+  });
+
+  describe('getNodeDimensions method', () => {
+    const node = { id: 'test', title: 'Check City and Vehicle View' };
+
+    beforeEach(() => {
+      spyOn(GraphUtils, 'measureText').and.callFake(text => text.length * 5);
+    });
+
+    it('uses the node size', () => {
+      const verticalTree = new VerticalTree({
+        nodeKey: 'id',
+        nodeSize: 10
+      });
+      expect(verticalTree.getNodeDimensions(node)).toEqual({ width: 15, height: 15 });
+    });
+
+    it('fits the height to wrapped titles', () => {
+      const verticalTree = new VerticalTree({
+        nodeKey: 'id',
+        nodeSize: 10,
+        nodeWidth: 100,
+        wrapTitles: true
+      });
+      expect(verticalTree.getNodeDimensions(node)).toEqual({ width: 150, height: 75 });
+    });
+  });
 });
\ No newline at end of file
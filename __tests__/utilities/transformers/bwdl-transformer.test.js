@@ -3,6 +3,7 @@
 
 import * as React from 'react';
 import BwdlTransformer from '../../../src/utilities/transformers/bwdl-transformer';
+import bwdlExample from '../../../src/examples/bwdl-editable/bwdl-example-data';
 
 describe('BwdlTransformer', () => {
   let output = null;
@@ -114,6 +115,28 @@ describe('BwdlTransformer', () => {
       expect(JSON.stringify(result)).toEqual(JSON.stringify(expected));
     });
 
+    it('keeps several choices leading to the same state', () => {
+      const input = {
+        StartAt: 'test',
+        States: {
+          test: {
+            Type: 'Choice',
+            Choices: [{ Next: 'test2' }, { Next: 'test2' }],
+            Default: 'test2',
+          },
+          test2: { End: true },
+        },
+      };
+      const result = BwdlTransformer.transform(input);
+
+      expect(result.edges).toEqual([
+        { source: 'test', target: 'test2' },
+        { source: 'test', target: 'test2', id: 'test_test2_1' },
+        { source: 'test', target: 'test2', id: 'test_test2_2' },
+      ]);
+      expect(BwdlTransformer.revert(result, input)).toEqual(input);
+    });
+
     it('handles a regular node with a Next property', () => {
       const input = {
         StartAt: 'test',
@@ -163,12 +186,196 @@ describe('BwdlTransformer', () => {
   });
 
   describe('revert static method', () => {
-    it('returns the input', () => {
-      const input = {
-        test: true
+    it('returns an empty document for an empty graph', () => {
+      const result = BwdlTransformer.revert({ nodes: [], edges: [] });
+      expect(result.States).toEqual({});
+    });
+
+    it('treats a null original document as missing', () => {
+      const result = BwdlTransformer.revert(
+        { nodes: [{ title: 'test' }], edges: [] },
+        null
+      );
+      expect(result).toEqual({
+        StartAt: 'test',
+        States: { test: { End: true } }
+      });
+    });
+
+    it('builds states from nodes and edges', () => {
+      const graphInput = {
+        edges: [
+          { source: 'test', target: 'test2' },
+          { source: 'test2', target: 'test3' },
+          { source: 'test2', target: 'test' }
+        ],
+        nodes: [
+          { title: 'test', type: 'Task', x: 1, y: 2 },
+          { title: 'test2', type: 'Choice', x: 3, y: 4 },
+          { title: 'test3', x: 0, y: 0 }
+        ]
+      };
+      const expected = {
+        StartAt: 'test',
+        States: {
+          test: {
+            Type: 'Task',
+            x: 1,
+            y: 2,
+            Next: 'test2'
+          },
+          test2: {
+            Type: 'Choice',
+            x: 3,
+            y: 4,
+            Choices: [{ Next: 'test3' }, { Next: 'test' }]
+          },
+          test3: { End: true }
+        }
+      };
+      const result = BwdlTransformer.revert(graphInput);
+      expect(result).toEqual(expected);
+    });
+
+    it('keeps unknown fields, Choice rules and Default from the original', () => {
+      const original = {
+        Name: 'example',
+        StartAt: 'test',
+        States: {
+          test: {
+            Type: 'Choice',
+            Comment: 'keep me',
+            Choices: [
+              { Variable: '$.a', NumberEquals: 1, Next: 'test2' },
+              { Variable: '$.b', NumberEquals: 2, Next: 'test3' }
+            ],
+            Default: 'test3',
+            x: 5,
+            y: 6
+          },
+          test2: { Type: 'Task', Resource: 'test', End: true },
+          test3: { Type: 'Task', Next: 'test2' }
+        }
+      };
+      const result = BwdlTransformer.revert(
+        BwdlTransformer.transform(original),
+        original
+      );
+      expect(result).toEqual(original);
+      expect(result.States.test.Choices[0]).not.toBe(
+        original.States.test.Choices[0]
+      );
+    });
+
+    it('round-trips the example document', () => {
+      const result = BwdlTransformer.revert(
+        BwdlTransformer.transform(bwdlExample),
+        bwdlExample
+      );
+      expect(result).toEqual(bwdlExample);
+      expect(BwdlTransformer.transform(result)).toEqual(
+        BwdlTransformer.transform(bwdlExample)
+      );
+    });
+
+    it('applies graph changes to the original document', () => {
+      const original = {
+        StartAt: 'test',
+        States: {
+          test: {
+            Type: 'Choice',
+            Choices: [
+              { Variable: '$.a', NumberEquals: 1, Next: 'test2' },
+              { Variable: '$.b', NumberEquals: 2, Next: 'test3' }
+            ],
+            Default: 'test2'
+          },
+          test2: { Type: 'Task', Next: 'test3' },
+          test3: { Type: 'Task', End: true }
+        }
+      };
+      const graphInput = BwdlTransformer.transform(original);
+
+      // delete test3, move test2 and add a new node linked from test2
+      graphInput.nodes = graphInput.nodes.filter(node => node.title !== 'test3');
+      graphInput.nodes[1].x = 10;
+      graphInput.nodes.push({ title: 'test4', type: 'Task', x: 20, y: 30 });
+      graphInput.edges = [
+        { source: 'test', target: 'test2' },
+        { source: 'test', target: 'test2' },
+        { source: 'test2', target: 'test4' }
+      ];
+
+      const result = BwdlTransformer.revert(graphInput, original);
+      expect(result).toEqual({
+        StartAt: 'test',
+        States: {
+          test: {
+            Type: 'Choice',
+            Choices: [{ Variable: '$.a', NumberEquals: 1, Next: 'test2' }],
+            Default: 'test2'
+          },
+          test2: { Type: 'Task', Next: 'test4', x: 10 },
+          test4: { Type: 'Task', x: 20, y: 30, End: true }
+        }
+      });
+    });
+
+    it('drops End from a state that gets an outgoing edge', () => {
+      const original = {
+        StartAt: 'test',
+        States: {
+          test: { Type: 'Task', End: true },
+          test2: { Type: 'Task', End: true }
+        }
+      };
+      const graphInput = BwdlTransformer.transform(original);
+
+      graphInput.edges.push({ source: 'test', target: 'test2' });
+
+      const result = BwdlTransformer.revert(graphInput, original);
+      expect(result.States.test).toEqual({ Type: 'Task', Next: 'test2' });
+      expect(BwdlTransformer.transform(result).edges).toEqual(
+        graphInput.edges
+      );
+    });
+
+    it('ends a state that loses its only outgoing edge', () => {
+      const original = {
+        StartAt: 'test',
+        States: {
+          test: { Type: 'Task', Next: 'test2' },
+          test2: { Type: 'Task', End: true },
+          test3: { Type: 'Succeed' }
+        }
+      };
+      const graphInput = BwdlTransformer.transform(original);
+
+      graphInput.edges = [];
+
+      const result = BwdlTransformer.revert(graphInput, original);
+      expect(result.States).toEqual({
+        test: { Type: 'Task', End: true },
+        test2: { Type: 'Task', End: true },
+        test3: { Type: 'Succeed' }
+      });
+      expect(BwdlTransformer.transform(result)).toEqual(graphInput);
+    });
+
+    it('uses the first node as StartAt when the original start is removed', () => {
+      const original = {
+        StartAt: 'test',
+        States: {
+          test: { Type: 'Task', Next: 'test2' },
+          test2: { Type: 'Task' }
+        }
       };
-      const result = BwdlTransformer.revert(input);
-      expect(JSON.stringify(result)).toEqual(JSON.stringify(input));
+      const result = BwdlTransformer.revert(
+        { edges: [], nodes: [{ title: 'test2', type: 'Task', x: 0, y: 0 }] },
+        original
+      );
+      expect(result.StartAt).toEqual('test2');
+      expect(Object.keys(result.States)).toEqual(['test2']);
     });
   });
 });
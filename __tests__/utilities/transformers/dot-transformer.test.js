@@ -0,0 +1,172 @@
+// @flow
+
+import DotTransformer from '../../../src/utilities/transformers/dot-transformer';
+
+describe('DotTransformer', () => {
+  describe('class', () => {
+    it('is defined', () => {
+      expect(DotTransformer).toBeDefined();
+    });
+  });
+
+  describe('transform static method', () => {
+    it('returns an empty graph', () => {
+      const result = DotTransformer.transform('digraph G {}');
+      expect(result).toEqual({ edges: [], nodes: [] });
+    });
+
+    it('parses node statements and attributes', () => {
+      const result = DotTransformer.transform(`
+        strict digraph {
+          a [label="Node A", shape=box, color=red, pos="10,20!"];
+          b [tooltip="B"] [fontsize=12]
+          "c d"
+        }
+      `);
+      expect(result.nodes).toEqual([
+        {
+          color: 'red',
+          id: 'a',
+          title: 'Node A',
+          type: 'box',
+          x: 10,
+          y: -20,
+        },
+        {
+          attributes: { fontsize: '12', tooltip: 'B' },
+          id: 'b',
+          title: 'b',
+        },
+        { id: 'c d', title: 'c d' },
+      ]);
+    });
+
+    it('parses edge chains, edge attributes and undirected graphs', () => {
+      const result = DotTransformer.transform(`
+        graph {
+          a -- b -- c [label=next, color=blue, weight=2];
+        }
+      `);
+      const attributes = { attributes: { weight: '2' }, color: 'blue' };
+      expect(result.nodes.map(node => node.id)).toEqual(['a', 'b', 'c']);
+      expect(result.edges).toEqual([
+        { handleText: 'next', source: 'a', target: 'b', ...attributes },
+        { handleText: 'next', source: 'b', target: 'c', ...attributes },
+      ]);
+    });
+
+    it('applies default node and edge attributes', () => {
+      const result = DotTransformer.transform(`
+        digraph {
+          rankdir=LR
+          graph [splines=ortho]
+          node [shape=circle]
+          edge [color=gray]
+          a -> b
+          b [shape=box]
+        }
+      `);
+      expect(result.nodes.map(node => node.type)).toEqual(['circle', 'box']);
+      expect(result.edges[0].color).toEqual('gray');
+    });
+
+    it('parses subgraphs', () => {
+      const result = DotTransformer.transform(`
+        digraph {
+          subgraph cluster_0 {
+            node [color=green]
+            a; b
+          }
+          c -> { a b }
+          subgraph { d }
+        }
+      `);
+      expect(result.nodes).toEqual([
+        { color: 'green', id: 'a', subgraph: 'cluster_0', title: 'a' },
+        { color: 'green', id: 'b', subgraph: 'cluster_0', title: 'b' },
+        { id: 'c', title: 'c' },
+        { id: 'd', title: 'd' },
+      ]);
+      expect(result.edges).toEqual([
+        { source: 'c', target: 'a' },
+        { source: 'c', target: 'b' },
+      ]);
+    });
+
+    it('handles comments, ports, escaped and concatenated strings', () => {
+      const result = DotTransformer.transform(`
+        # generated
+        digraph {
+          // line comment
+          /* block
+             comment */
+          a:p1:n -> b [label="say \\"hi\\"" + " there"];
+          c [label=<<b>bold</b>>]
+        }
+      `);
+      expect(result.edges).toEqual([
+        { handleText: 'say "hi" there', source: 'a', target: 'b' },
+      ]);
+      expect(result.nodes[2].title).toEqual('<b>bold</b>');
+    });
+
+    it('throws on invalid input', () => {
+      expect(() => DotTransformer.transform('a -> b')).toThrow(
+        'Expected "graph" or "digraph"'
+      );
+      expect(() => DotTransformer.transform('digraph { a -> ')).toThrow(
+        'Expected an ID at end of input'
+      );
+      expect(() => DotTransformer.transform('digraph { a [b] }')).toThrow(
+        'Expected "="'
+      );
+    });
+  });
+
+  describe('revert static method', () => {
+    it('prints nodes, subgraphs and edges', () => {
+      const result = DotTransformer.revert({
+        edges: [
+          { handleText: 'next', source: 'a', target: 'c d' },
+          { attributes: { weight: '2' }, source: 'c d', target: 'a' },
+        ],
+        nodes: [
+          { id: 'a', title: 'Node A', type: 'box', x: 10, y: -20 },
+          { id: 'c d', subgraph: 'cluster_0', title: 'c d' },
+          { title: 'graph' },
+        ],
+      });
+      expect(result).toEqual(
+        [
+          'digraph {',
+          '  a [label="Node A", pos="10,20", shape=box];',
+          '  "graph";',
+          '  subgraph cluster_0 {',
+          '    "c d";',
+          '  }',
+          '  a -> "c d" [label=next];',
+          '  "c d" -> a [weight=2];',
+          '}',
+          '',
+        ].join('\n')
+      );
+    });
+
+    it('round-trips through transform', () => {
+      const input = `
+        digraph {
+          node [shape=ellipse]
+          a [label="A \\"quoted\\"", pos="1.5,2", color="#ff0000"];
+          subgraph cluster_x { b [fontsize=9] }
+          a -> b [label=edge, style=dashed];
+          b -> a;
+        }
+      `;
+      const graphInput = DotTransformer.transform(input);
+      const result = DotTransformer.transform(
+        DotTransformer.revert(graphInput)
+      );
+      expect(result).toEqual(graphInput);
+    });
+  });
+});
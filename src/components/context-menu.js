@@ -0,0 +1,235 @@
+// @flow
+/*
+  Copyright(c) 2018 Uber Technologies, Inc.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+          http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+/*
+  Menu drawn over the graph where it is right-clicked. The arrow keys move
+  through the items, Enter picks one, Escape and leaving the menu close it.
+*/
+
+import * as React from 'react';
+import GraphUtils from '../utilities/graph-util';
+import { type IEdge } from './edge';
+import { type INode } from './node';
+
+export type IContextMenuTargetType = 'node' | 'edge' | 'background';
+
+// what was right-clicked, node and edge are null for the background
+export type IContextMenuTarget = {
+  type: IContextMenuTargetType,
+  node: INode | null,
+  edge: IEdge | null,
+};
+
+export type IContextMenuPosition = {
+  // relative to the graph view
+  x: number,
+  y: number,
+  // in graph coordinates
+  worldX: number,
+  worldY: number,
+};
+
+export type IContextMenuAction =
+  | 'delete'
+  | 'duplicate'
+  | 'addConnectedNode'
+  | 'createNode'
+  | 'zoomTo';
+
+export type IContextMenuItemConfig = {
+  label: string,
+  // the targets the item is listed for, all of them by default
+  targets?: IContextMenuTargetType[],
+  // disables the item while the graph is readOnly
+  editsGraph?: boolean,
+  isEnabled?: (target: IContextMenuTarget) => boolean,
+  onSelect: (
+    target: IContextMenuTarget,
+    position: IContextMenuPosition
+  ) => void,
+};
+
+// a built-in action or an item of your own
+export type IContextMenuItem = IContextMenuAction | IContextMenuItemConfig;
+
+// an item as it is listed for one target
+export type IContextMenuEntry = {
+  key: string,
+  label: string,
+  disabled: boolean,
+  onSelect: () => void,
+};
+
+// the labels of the built-in actions and what they apply to
+export const CONTEXT_MENU_ACTIONS = {
+  delete: { label: 'Delete', targets: ['node', 'edge'] },
+  duplicate: { label: 'Duplicate', targets: ['node'] },
+  addConnectedNode: { label: 'Add connected node', targets: ['node'] },
+  createNode: { label: 'Add node here', targets: ['background'] },
+  zoomTo: { label: 'Zoom to', targets: ['node', 'edge'] },
+};
+
+type IContextMenuProps = {
+  entries: IContextMenuEntry[],
+  // top left corner of the menu relative to the graph view
+  x: number,
+  y: number,
+  onClose: () => void,
+};
+
+type IContextMenuState = {
+  activeIndex: number,
+};
+
+class ContextMenu extends React.Component<
+  IContextMenuProps,
+  IContextMenuState
+> {
+  menu: any;
+  done: boolean;
+
+  constructor(props: IContextMenuProps) {
+    super(props);
+
+    this.menu = React.createRef();
+    this.done = false;
+    this.state = {
+      activeIndex: -1,
+    };
+  }
+
+  componentDidMount() {
+    if (this.menu.current) {
+      this.menu.current.focus();
+    }
+  }
+
+  close() {
+    if (this.done) {
+      return;
+    }
+
+    this.done = true;
+    this.props.onClose();
+  }
+
+  select(index: number) {
+    const entry = this.props.entries[index];
+
+    if (!entry || entry.disabled) {
+      return;
+    }
+
+    this.close();
+    entry.onSelect();
+  }
+
+  // Returns the next enabled item in the given direction, wrapping around,
+  // or -1 when all of them are disabled.
+  getNextIndex(step: number) {
+    const { entries } = this.props;
+    const { activeIndex } = this.state;
+    // moving back before any item is active starts from the last one
+    let index = activeIndex === -1 && step < 0 ? 0 : activeIndex;
+
+    for (let i = 0; i < entries.length; i++) {
+      index = (index + step + entries.length) % entries.length;
+
+      if (!entries[index].disabled) {
+        return index;
+      }
+    }
+
+    return -1;
+  }
+
+  handleKeyDown = (event: any) => {
+    switch (event.key) {
+      case 'ArrowDown':
+      case 'ArrowUp':
+        event.preventDefault();
+        this.setState({
+          activeIndex: this.getNextIndex(event.key === 'ArrowDown' ? 1 : -1),
+        });
+
+        break;
+      case 'Enter':
+        event.preventDefault();
+        this.select(this.state.activeIndex);
+
+        break;
+      case 'Escape':
+        event.preventDefault();
+        this.close();
+
+        break;
+      default:
+        break;
+    }
+  };
+
+  handleBlur = (event: any) => {
+    const menu = this.menu.current;
+
+    if (menu && menu.contains(event.relatedTarget)) {
+      return;
+    }
+
+    this.close();
+  };
+
+  render() {
+    const { entries, x, y } = this.props;
+    const { activeIndex } = this.state;
+
+    return (
+      <ul
+        ref={this.menu}
+        className="context-menu"
+        role="menu"
+        tabIndex={-1}
+        style={{ left: x, top: y }}
+        onKeyDown={this.handleKeyDown}
+        onBlur={this.handleBlur}
+      >
+        {entries.map((entry, index) => (
+          <li
+            key={entry.key}
+            className={GraphUtils.classNames('context-menu-item', {
+              active: index === activeIndex,
+              disabled: entry.disabled,
+            })}
+            role="menuitem"
+            aria-disabled={entry.disabled}
+            onMouseDown={event => {
+              // keeps the focus in the menu
+              event.preventDefault();
+            }}
+            onMouseEnter={() =>
+              !entry.disabled && this.setState({ activeIndex: index })
+            }
+            onClick={() => this.select(index)}
+          >
+            {entry.label}
+          </li>
+        ))}
+      </ul>
+    );
+  }
+}
+
+export default ContextMenu;
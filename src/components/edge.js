@@ -21,11 +21,15 @@ import { intersect, shape } from 'svg-intersections';
 import { Point2D, Matrix2D } from 'kld-affine';
 import { Intersection } from 'kld-intersections';
 import GraphUtils from '../utilities/graph-util';
-import { type INode } from './node';
+import { type INode, type IPoint } from './node';
 
 export type IEdge = {
+  id?: string,
   source: string,
   target: string,
+  // names of the ports of the source and target node types
+  sourcePort?: string | null,
+  targetPort?: string | null,
   type?: string,
   handleText?: string,
   handleTooltipText?: string,
@@ -39,6 +43,8 @@ export type ITargetPosition = {
   y: number,
 };
 
+export type IEdgeRouting = 'straight' | 'curved' | 'orthogonal';
+
 type IEdgeProps = {
   data: IEdge,
   edgeTypes: any, // TODO: create an edgeTypes interface
@@ -47,15 +53,40 @@ type IEdgeProps = {
   sourceNode: INode | null,
   targetNode: INode | ITargetPosition,
   isSelected: boolean,
+  // set while a highlight is shown, see the highlight prop of GraphView
+  isHighlighted: boolean,
+  isDimmed: boolean,
+  opacity?: number,
   nodeKey: string,
   viewWrapperElem: HTMLDivElement,
   rotateEdgeHandle: true,
+  edgeRouting: IEdgeRouting,
+  parallelIndex: number,
+  parallelCount: number,
+  // positions of the edge's ports, the edge is drawn from and to the node
+  // boundaries when they aren't set
+  sourceAnchor?: IPoint | null,
+  targetAnchor?: IPoint | null,
 };
 
+// distance between the midpoints of parallel edges
+const PARALLEL_EDGE_SPACING = 30;
+// how far self-loops reach out of the node, and the angle between a loop
+// and the vertical at each end
+const SELF_LOOP_HEIGHT = 30;
+const SELF_LOOP_SPREAD = Math.PI / 6;
+// edges stop short of target ports so that the arrow points at the port
+const PORT_ARROW_OFFSET = 5;
+
 class Edge extends React.Component<IEdgeProps> {
   static defaultProps = {
     edgeHandleSize: 50,
+    edgeRouting: 'straight',
     isSelected: false,
+    isHighlighted: false,
+    isDimmed: false,
+    parallelCount: 1,
+    parallelIndex: 0,
     rotateEdgeHandle: true,
   };
 
@@ -80,6 +111,161 @@ class Edge extends React.Component<IEdgeProps> {
       })(srcTrgDataArray);
   }
 
+  // Builds the path through the route points returned by getRouteWaypoints.
+  // Curved routes are a single cubic Bezier curve using the two waypoints as
+  // control points.
+  static getRoutePath(points: IPoint[], edgeRouting: IEdgeRouting) {
+    if (edgeRouting !== 'curved' || points.length !== 4) {
+      return Edge.lineFunction(points);
+    }
+
+    const path = d3.path();
+
+    path.moveTo(points[0].x, points[0].y);
+    path.bezierCurveTo(
+      points[1].x,
+      points[1].y,
+      points[2].x,
+      points[2].y,
+      points[3].x,
+      points[3].y
+    );
+
+    return path.toString();
+  }
+
+  // Returns the points between src and trg that shape the edge. Both curved
+  // and orthogonal routes bend along the axis with the larger distance, so
+  // the edge leaves and enters the nodes on the sides facing each other.
+  static getRouteWaypoints(
+    src: IPoint,
+    trg: IPoint,
+    edgeRouting: IEdgeRouting
+  ): IPoint[] {
+    if (edgeRouting !== 'curved' && edgeRouting !== 'orthogonal') {
+      return [];
+    }
+
+    const midX = (src.x + trg.x) / 2;
+    const midY = (src.y + trg.y) / 2;
+
+    if (Math.abs(trg.x - src.x) >= Math.abs(trg.y - src.y)) {
+      return [
+        { x: midX, y: src.y },
+        { x: midX, y: trg.y },
+      ];
+    }
+
+    return [
+      { x: src.x, y: midY },
+      { x: trg.x, y: midY },
+    ];
+  }
+
+  // Returns the control points of a curve from src to trg that bulges offset
+  // away from the straight line, to the left of the direction of the edge.
+  static getParallelWaypoints(
+    src: IPoint,
+    trg: IPoint,
+    offset: number
+  ): IPoint[] {
+    const length = Math.hypot(trg.x - src.x, trg.y - src.y) || 1;
+    // the apex of a quadratic curve is halfway to its control point
+    const controlX =
+      (src.x + trg.x) / 2 + ((trg.y - src.y) / length) * offset * 2;
+    const controlY =
+      (src.y + trg.y) / 2 - ((trg.x - src.x) / length) * offset * 2;
+
+    // the same quadratic curve expressed as a cubic curve
+    return [
+      {
+        x: src.x + ((controlX - src.x) * 2) / 3,
+        y: src.y + ((controlY - src.y) * 2) / 3,
+      },
+      {
+        x: trg.x + ((controlX - trg.x) * 2) / 3,
+        y: trg.y + ((controlY - trg.y) * 2) / 3,
+      },
+    ];
+  }
+
+  // Returns the control points of a loop above the node at center. Each
+  // further loop on the same node is larger than the previous one.
+  static getSelfLoopWaypoints(
+    center: IPoint,
+    nodeSize: number,
+    index: number
+  ): IPoint[] {
+    const height = nodeSize / 2 + SELF_LOOP_HEIGHT * (index + 1);
+    // the apex of the curve is at 3/4 of the height of its control points
+    const distance = height / (0.75 * Math.cos(SELF_LOOP_SPREAD));
+    const dx = distance * Math.sin(SELF_LOOP_SPREAD);
+    const dy = distance * Math.cos(SELF_LOOP_SPREAD);
+
+    return [
+      { x: center.x - dx, y: center.y - dy },
+      { x: center.x + dx, y: center.y - dy },
+    ];
+  }
+
+  // Returns the point halfway along the route and the direction of the route
+  // at that point, in radians.
+  static getRouteMidpoint(points: IPoint[], edgeRouting: IEdgeRouting) {
+    const first = points[0];
+    const last = points[points.length - 1];
+
+    if (edgeRouting === 'curved' && points.length === 4) {
+      const [p0, p1, p2, p3] = points;
+
+      // B(0.5) and the direction of B'(0.5) of the cubic Bezier curve
+      return {
+        x: (p0.x + 3 * p1.x + 3 * p2.x + p3.x) / 8,
+        y: (p0.y + 3 * p1.y + 3 * p2.y + p3.y) / 8,
+        theta: Math.atan2(p3.y + p2.y - p1.y - p0.y, p3.x + p2.x - p1.x - p0.x),
+      };
+    }
+
+    const lengths = [];
+    let totalLength = 0;
+
+    for (let i = 1; i < points.length; i++) {
+      const length = Math.hypot(
+        points[i].x - points[i - 1].x,
+        points[i].y - points[i - 1].y
+      );
+
+      lengths.push(length);
+      totalLength += length;
+    }
+
+    let remaining = totalLength / 2;
+
+    for (let i = 0; i < lengths.length; i++) {
+      if (
+        lengths[i] > 0 &&
+        (remaining <= lengths[i] || i === lengths.length - 1)
+      ) {
+        const start = points[i];
+        const end = points[i + 1];
+        const ratio = remaining / lengths[i];
+
+        return {
+          x: start.x + (end.x - start.x) * ratio,
+          y: start.y + (end.y - start.y) * ratio,
+          theta: Edge.getTheta(start, end),
+        };
+      }
+
+      remaining -= lengths[i];
+    }
+
+    return {
+      x: first.x + (last.x - first.x) / 2,
+      y: first.y + (last.y - first.y) / 2,
+      theta: Edge.getTheta(first, last),
+    };
+  }
+
   static getArrowSize(
     viewWrapperElem: HTMLDivElement | HTMLDocument = document
   ) {
@@ -95,7 +281,9 @@ class Edge extends React.Component<IEdgeProps> {
     viewWrapperElem: HTMLDivElement | HTMLDocument = document
   ) {
     return viewWrapperElem.querySelector(
-      `#edge-${edge.source}-${edge.target}-container>.edge-container>.edge>.edge-path`
+      `#edge-${GraphUtils.getEdgeElementId(
+        edge
+      )}-container>.edge-container>.edge>.edge-path`
     );
   }
 
@@ -106,21 +294,20 @@ class Edge extends React.Component<IEdgeProps> {
     };
 
     if (edgePathElement) {
-      let d = edgePathElement.getAttribute('d');
-
-      d = d && d.replace(/^M/, '');
-      d = d && d.replace(/L/, ',');
-      let dArr = (d && d.split(',')) || [];
+      const d = edgePathElement.getAttribute('d');
+      // the first coordinate pair is the source and the last one is the
+      // target, whatever commands are used in between
+      let dArr = (d && d.match(/-?\d*\.?\d+(e[-+]?\d+)?/gi)) || [];
 
       dArr = dArr.map(dimension => {
         return parseFloat(dimension);
       });
 
-      if (dArr.length === 4) {
+      if (dArr.length >= 4 && dArr.length % 2 === 0) {
         response.source.x = dArr[0];
         response.source.y = dArr[1];
-        response.target.x = dArr[2];
-        response.target.y = dArr[3];
+        response.target.x = dArr[dArr.length - 2];
+        response.target.y = dArr[dArr.length - 1];
       }
     }
 
@@ -434,7 +621,10 @@ class Edge extends React.Component<IEdgeProps> {
       return response;
     }
 
-    const foreignObject = nodeElem.querySelector('foreignObject');
+    // groups are rectangles around their center, like foreignObject nodes
+    const foreignObject =
+      nodeElem.querySelector('.group-body') ||
+      nodeElem.querySelector('foreignObject');
 
     if (foreignObject != null) {
       // we assume that foreignObject is a rectangle, this might need to be revisited in future
@@ -545,23 +735,50 @@ class Edge extends React.Component<IEdgeProps> {
     this.edgeOverlayRef = React.createRef();
   }
 
-  getEdgeHandleTranslation = () => {
-    const { data } = this.props;
+  isSelfLoop(): boolean {
+    const { data, targetNode, nodeKey } = this.props;
+
+    return !!targetNode && !!targetNode[nodeKey] && data.source === data.target;
+  }
+
+  // Returns how far the edge bulges out to keep it apart from the other
+  // edges between the same nodes. Offsets are measured from the node with
+  // the lowest id, so that edges in opposite directions don't overlap.
+  getParallelOffset(): number {
+    const { data, parallelIndex, parallelCount } = this.props;
+    const position = parallelIndex - (parallelCount - 1) / 2;
+
+    if (position === 0) {
+      return 0;
+    }
 
-    let pathDescription = this.getPathDescription(data);
+    const offset = position * PARALLEL_EDGE_SPACING;
 
-    pathDescription = pathDescription.replace(/^M/, '');
-    pathDescription = pathDescription.replace(/L/, ',');
-    const pathDescriptionArr = pathDescription.split(',');
+    return `${data.source}` > `${data.target}` ? -offset : offset;
+  }
+
+  // Self-loops and parallel edges are always curved.
+  getEdgeRouting(): IEdgeRouting {
+    const { data, edgeTypes, edgeRouting } = this.props;
+
+    if (this.isSelfLoop() || this.getParallelOffset() !== 0) {
+      return 'curved';
+    }
+
+    const edgeType = data.type && edgeTypes ? edgeTypes[data.type] : null;
 
-    // [0] = src x, [1] = src y
-    // [2] = trg x, [3] = trg y
-    const diffX =
-      parseFloat(pathDescriptionArr[2]) - parseFloat(pathDescriptionArr[0]);
-    const diffY =
-      parseFloat(pathDescriptionArr[3]) - parseFloat(pathDescriptionArr[1]);
-    const x = parseFloat(pathDescriptionArr[0]) + diffX / 2;
-    const y = parseFloat(pathDescriptionArr[1]) + diffY / 2;
+    if (edgeType && edgeType.edgeRouting) {
+      return edgeType.edgeRouting;
+    }
+
+    return edgeRouting || 'straight';
+  }
+
+  getEdgeHandleTranslation = () => {
+    const { x, y } = Edge.getRouteMidpoint(
+      this.getRoutePoints(),
+      this.getEdgeRouting()
+    );
 
     return `translate(${x}, ${y})`;
   };
@@ -574,9 +791,17 @@ class Edge extends React.Component<IEdgeProps> {
 
   getEdgeHandleRotation = (negate: any = false) => {
     let rotated = false;
-    const src = this.props.sourceNode || { x: 0, y: 0 };
-    const trg = this.props.targetNode || { x: 0, y: 0 };
-    let theta = (Edge.getTheta(src, trg) * 180) / Math.PI;
+    const { sourceAnchor, targetAnchor, sourceNode, targetNode } = this.props;
+    const src = sourceAnchor || sourceNode || { x: 0, y: 0 };
+    const trg = targetAnchor || targetNode || { x: 0, y: 0 };
+    const edgeRouting = this.getEdgeRouting();
+    // straight edges follow the line between the node centers, other routes
+    // follow the direction of the path at its midpoint
+    const radians =
+      edgeRouting === 'straight'
+        ? Edge.getTheta(src, trg)
+        : Edge.getRouteMidpoint(this.getRoutePoints(), edgeRouting).theta;
+    let theta = (radians * 180) / Math.PI;
 
     if (negate) {
       theta = -theta;
@@ -600,27 +825,73 @@ class Edge extends React.Component<IEdgeProps> {
     return `${translation} ${rotation} ${offset}`;
   };
 
-  getPathDescription(edge: any) {
+  // Returns the text screen readers announce for an edge, using the titles
+  // of its nodes when they are known.
+  static getAriaLabel(data: IEdge, sourceNode: any, targetNode: any) {
+    const source =
+      sourceNode && sourceNode.title ? sourceNode.title : data.source;
+    const target =
+      targetNode && targetNode.title ? targetNode.title : data.target;
+    const label = `Edge from ${source} to ${target}`;
+
+    return data.handleText ? `${label}: ${data.handleText}` : label;
+  }
+
+  // Returns the point at distance before the end of the line from start to
+  // end.
+  static getPointBefore(start: IPoint, end: IPoint, distance: number) {
+    const length = Math.hypot(end.x - start.x, end.y - start.y);
+
+    if (length === 0) {
+      return end;
+    }
+
+    return {
+      x: end.x - ((end.x - start.x) / length) * distance,
+      y: end.y - ((end.y - start.y) / length) * distance,
+    };
+  }
+
+  // Returns the points of the edge route, from the source node boundary
+  // through the waypoints to the target node boundary. Edges with ports
+  // start and end at the ports instead.
+  getRoutePoints(): IPoint[] {
     const {
       sourceNode,
       targetNode,
       nodeKey,
       nodeSize,
       viewWrapperElem,
+      parallelIndex,
+      sourceAnchor,
+      targetAnchor,
     } = this.props;
     const trgX = targetNode && targetNode.x ? targetNode.x : 0;
     const trgY = targetNode && targetNode.y ? targetNode.y : 0;
     const srcX = sourceNode && sourceNode.x ? sourceNode.x : 0;
     const srcY = sourceNode && sourceNode.y ? sourceNode.y : 0;
+    const src = sourceAnchor || { x: srcX, y: srcY };
+    const trg = targetAnchor || { x: trgX, y: trgY };
+    const parallelOffset = this.getParallelOffset();
+    let waypoints;
+
+    if (this.isSelfLoop() && !sourceAnchor && !targetAnchor) {
+      waypoints = Edge.getSelfLoopWaypoints(src, nodeSize || 0, parallelIndex);
+    } else if (parallelOffset !== 0) {
+      waypoints = Edge.getParallelWaypoints(src, trg, parallelOffset);
+    } else {
+      waypoints = Edge.getRouteWaypoints(src, trg, this.getEdgeRouting());
+    }
 
     // To calculate the offset for a specific node we use that node as the third parameter
     // and the accompanying node as the second parameter, representing where the line
     // comes from and where it's going to. Don't think of a line as a one-way arrow, but rather
     // a connection between two points. In this case, to obtain the offsets for the src we
     // write trg first, then src second. Vice versa to get the offsets for trg.
+    // Routed edges reach the nodes from the nearest waypoint instead.
     const srcOff = Edge.calculateOffset(
       nodeSize || 0,
-      targetNode,
+      waypoints.length > 0 ? waypoints[0] : targetAnchor || targetNode,
       sourceNode,
       nodeKey,
       false,
@@ -628,25 +899,34 @@ class Edge extends React.Component<IEdgeProps> {
     );
     const trgOff = Edge.calculateOffset(
       nodeSize || 0,
-      sourceNode,
+      waypoints.length > 0
+        ? waypoints[waypoints.length - 1]
+        : sourceAnchor || sourceNode,
       targetNode,
       nodeKey,
       true,
       viewWrapperElem
     );
+    const start = sourceAnchor || {
+      x: srcX - srcOff.xOff,
+      y: srcY - srcOff.yOff,
+    };
+    const end = targetAnchor
+      ? Edge.getPointBefore(
+          waypoints.length > 0 ? waypoints[waypoints.length - 1] : start,
+          targetAnchor,
+          PORT_ARROW_OFFSET
+        )
+      : {
+          x: trgX - trgOff.xOff,
+          y: trgY - trgOff.yOff,
+        };
 
-    const linePoints = [
-      {
-        x: srcX - srcOff.xOff,
-        y: srcY - srcOff.yOff,
-      },
-      {
-        x: trgX - trgOff.xOff,
-        y: trgY - trgOff.yOff,
-      },
-    ];
+    return [start, ...waypoints, end];
+  }
 
-    return Edge.lineFunction(linePoints);
+  getPathDescription(edge: any) {
+    return Edge.getRoutePath(this.getRoutePoints(), this.getEdgeRouting());
   }
 
   renderHandleText(data: any) {
@@ -682,23 +962,41 @@ class Edge extends React.Component<IEdgeProps> {
   }
 
   render() {
-    const { data, edgeTypes, edgeHandleSize, viewWrapperElem } = this.props;
+    const {
+      data,
+      edgeTypes,
+      edgeHandleSize,
+      viewWrapperElem,
+      sourceNode,
+      targetNode,
+      isSelected,
+      isHighlighted,
+      isDimmed,
+      opacity,
+    } = this.props;
 
     if (!viewWrapperElem) {
       return null;
     }
 
-    const id = `${data.source || ''}_${data.target}`;
+    const id = GraphUtils.getEdgeKey(data);
     const className = GraphUtils.classNames('edge', {
-      selected: this.props.isSelected,
+      selected: isSelected,
+      highlighted: isHighlighted,
+      dimmed: isDimmed,
     });
     const edgeHandleTransformation = this.getEdgeHandleTransformation();
 
     return (
       <g
         className="edge-container"
+        data-id={id}
         data-source={data.source}
         data-target={data.target}
+        tabIndex={-1}
+        role="button"
+        aria-label={Edge.getAriaLabel(data, sourceNode, targetNode)}
+        opacity={opacity}
       >
         <g className={className}>
           <path
@@ -721,6 +1019,7 @@ class Edge extends React.Component<IEdgeProps> {
             className="edge-overlay-path"
             ref={this.edgeOverlayRef}
             id={id}
+            data-id={id}
             data-source={data.source}
             data-target={data.target}
             d={this.getPathDescription(data) || undefined}
@@ -15,8 +15,16 @@
   limitations under the License.
 */
 
-import { type IEdge } from './edge';
+import {
+  type IContextMenuItem,
+  type IContextMenuPosition,
+  type IContextMenuTarget,
+} from './context-menu';
+import { type IEdge, type IEdgeRouting } from './edge';
 import { type INode } from './node';
+import { type IHistoryEntry } from '../utilities/history-manager';
+import { type IMinimapPosition } from './minimap';
+import { type INodePaletteItem } from './node-palette';
 
 export type IBBox = {
   x: number,
@@ -25,19 +33,69 @@ export type IBBox = {
   height: number,
 };
 
+export type IExportOptions = {
+  // space around the nodes, edges and groups, in graph units
+  padding?: number,
+  // whether to keep the grid background
+  background?: boolean,
+  // pixels per graph unit of exported PNGs
+  scale?: number,
+};
+
+// the pan and zoom of the view: the graph is scaled by k, then moved by x
+// and y
+export type IViewport = {
+  x: number,
+  y: number,
+  k: number,
+};
+
+// what stays in place when the graph view is resized, or 'zoomToFit' to fit
+// the graph into the new size
+export type IResizeBehavior = 'keepCenter' | 'keepTopLeft' | 'zoomToFit';
+
+// the side or center line that alignSelectedNodes lines the nodes up on
+export type INodeAlignment =
+  | 'left'
+  | 'center'
+  | 'right'
+  | 'top'
+  | 'middle'
+  | 'bottom';
+
+export type INodeDistribution = 'horizontal' | 'vertical';
+
+// 'chain' highlights the selected nodes with everything upstream and
+// downstream of them, 'path' the shortest path between two selected nodes
+export type IHighlightMode = 'chain' | 'path';
+
 export type IGraphViewProps = {
+  allowParallelEdges?: boolean,
+  allowSelfLoops?: boolean,
   backgroundFillId?: string,
+  contextMenuItems?: IContextMenuItem[],
+  dimmedOpacity?: number,
   edges: any[],
   edgeArrowSize?: number,
   edgeHandleSize?: number,
+  edgeRouting?: IEdgeRouting,
   edgeTypes: any,
+  enableHistory?: boolean,
+  enableSearch?: boolean,
+  enableViewportCulling?: boolean,
   gridDotSize?: number,
   gridSize?: number,
   gridSpacing?: number,
+  highlight?: IHighlightMode | null,
+  historyLimit?: number,
   layoutEngine?: any,
   maxTitleChars?: number,
+  maxTitleLines?: number,
   maxZoom?: number,
   minZoom?: number,
+  minimapHeight?: number,
+  minimapPosition?: IMinimapPosition,
+  minimapWidth?: number,
   nodeKey: string,
   nodes: any[],
   nodeSize?: number,
@@ -47,25 +105,76 @@ export type IGraphViewProps = {
   nodeSubtypes: any,
   nodeTypes: any,
   readOnly?: boolean,
+  resizeBehavior?: IResizeBehavior,
+  searchFields?: string[],
   selected: any[],
+  selectionModifierKey?: 'shiftKey' | 'altKey' | 'ctrlKey' | 'metaKey' | null,
   showGraphControls?: boolean,
+  showMinimap?: boolean,
+  snapThreshold?: number,
+  viewport?: IViewport | null,
+  viewportCullingMargin?: number,
+  wrapTitles?: boolean,
   zoomDelay?: number,
   zoomDur?: number,
-  canCreateEdge?: (startNode?: INode, endNode?: INode) => boolean,
+  canCreateEdge?: (
+    startNode?: INode,
+    endNode?: INode,
+    existingEdges?: IEdge[],
+    sourcePort?: string | null,
+    targetPort?: string | null
+  ) => boolean,
   canDeleteEdge?: (selected: any) => boolean,
   canDeleteNode?: (selected: any) => boolean,
+  onApplyHistory?: (
+    nodes: INode[],
+    edges: IEdge[],
+    entry: IHistoryEntry,
+    isUndo: boolean
+  ) => void,
   onBackgroundClick?: (x: number, y: number, event: any) => void,
+  onContextMenu?: (
+    target: IContextMenuTarget,
+    position: IContextMenuPosition,
+    event: any
+  ) => void,
   onCopySelected?: () => void,
-  onCreateEdge: (sourceNode: INode, targetNode: INode) => void,
-  onCreateNode: (x: number, y: number, event: any) => void,
+  onCreateEdge: (
+    sourceNode: INode,
+    targetNode: INode,
+    sourcePort?: string | null,
+    targetPort?: string | null
+  ) => void,
+  onCreateNode: (
+    x: number,
+    y: number,
+    event: any,
+    item?: INodePaletteItem
+  ) => void,
+  onCreateConnectedNode?: (
+    sourceNode: INode,
+    x: number,
+    y: number,
+    event: any
+  ) => void,
   onDeleteEdge: (selectedEdge: IEdge, edges: IEdge[]) => void,
   onDeleteNode: (selected: any, nodeId: string, nodes: any[]) => void,
+  onDuplicateNode?: (node: INode, x: number, y: number, event: any) => void,
   onPasteSelected?: () => void,
   onSelectEdge: (selectedEdge: IEdge) => void,
   onSelectNode: (node: INode | null, event: any) => void,
-  onSwapEdge: (sourceNode: INode, targetNode: INode, edge: IEdge) => void,
+  onSelectionChange?: (nodes: INode[], edges: IEdge[]) => void,
+  onSwapEdge: (
+    sourceNode: INode,
+    targetNode: INode,
+    edge: IEdge,
+    targetPort?: string | null
+  ) => void,
   onUndo?: () => void,
+  onUpdateEdge?: (edge: IEdge) => void,
   onUpdateNode: (node: INode) => void,
+  onUpdateNodes?: (nodes: INode[]) => void,
+  onViewportChange?: (viewport: IViewport) => void,
   renderBackground?: (gridSize?: number) => any,
   renderDefs?: () => any,
   renderNode?: (
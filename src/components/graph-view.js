@@ -20,12 +20,40 @@ import * as React from 'react';
 import ReactDOM from 'react-dom';
 import '../styles/main.scss';
 
-import { type IGraphViewProps } from './graph-view-props';
+import {
+  type IExportOptions,
+  type IGraphViewProps,
+  type INodeAlignment,
+  type INodeDistribution,
+} from './graph-view-props';
 import Background from './background';
+import ContextMenu, {
+  CONTEXT_MENU_ACTIONS,
+  type IContextMenuAction,
+  type IContextMenuEntry,
+  type IContextMenuPosition,
+  type IContextMenuTarget,
+} from './context-menu';
 import Defs from './defs';
 import Edge, { type IEdge } from './edge';
 import GraphControls from './graph-controls';
-import GraphUtils, { type INodeMapNode } from '../utilities/graph-util';
+import NodePalette from './node-palette';
+import SearchBox from './search-box';
+import Group from './group';
+import InlineEditor from './inline-editor';
+import GraphUtils, {
+  type IEdgeMapNode,
+  type INodeMapNode,
+} from '../utilities/graph-util';
+import HistoryManager, {
+  type IHistoryEntry,
+  type IHistorySnapshot,
+} from '../utilities/history-manager';
+import {
+  type IAlignmentGuide,
+  type ISnap,
+} from '../utilities/layout-engine/snap-to-nodes';
+import Minimap from './minimap';
 import Node, { type INode, type IPoint } from './node';
 
 type IViewTransform = {
@@ -41,6 +69,121 @@ type IBBox = {
   height: number,
 };
 
+type ISelectionState = {
+  selecting: boolean,
+  moved: boolean,
+  suppressClick: boolean,
+  startClientX: number,
+  startClientY: number,
+  startX: number,
+  startY: number,
+  x: number,
+  y: number,
+};
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+const XLINK_NAMESPACE = 'http://www.w3.org/1999/xlink';
+
+// the styles that are inlined into exported SVGs
+const EXPORTED_STYLES = [
+  'color',
+  'display',
+  'fill',
+  'fill-opacity',
+  'filter',
+  'font-family',
+  'font-size',
+  'font-weight',
+  'marker-end',
+  'opacity',
+  'stroke',
+  'stroke-dasharray',
+  'stroke-opacity',
+  'stroke-width',
+  'text-anchor',
+  'visibility',
+];
+
+// the Alt shortcuts of the arrange commands, by key code because Alt changes
+// the typed character on macOS
+const ALIGN_SHORTCUTS: { [code: string]: INodeAlignment } = {
+  KeyA: 'left',
+  KeyH: 'center',
+  KeyD: 'right',
+  KeyW: 'top',
+  KeyV: 'middle',
+  KeyS: 'bottom',
+};
+// ...with Shift
+const DISTRIBUTE_SHORTCUTS: { [code: string]: INodeDistribution } = {
+  KeyH: 'horizontal',
+  KeyV: 'vertical',
+};
+const PACK_SHORTCUT = 'KeyG';
+
+// a selected node that is arranged as a whole, with the box around it
+type IArrangedNode = {
+  nodeMapNode: INodeMapNode,
+  bbox: IBBox,
+};
+
+// the node or edge whose text is being edited
+type IInlineEdit = {
+  node: INode | null,
+  edge: IEdge | null,
+};
+
+// a node or an edge that can have the keyboard focus
+type IFocusableEntity = {
+  node: INode | null,
+  edge: IEdge | null,
+};
+
+// the open context menu, event is the contextmenu event that opened it
+type IContextMenu = {
+  target: IContextMenuTarget,
+  position: IContextMenuPosition,
+  event: any,
+};
+
+// the nodes and edges that stand out while the rest of the graph is dimmed,
+// keyed like nodesMap and edgesMap
+type IHighlight = {
+  nodes: { [key: string]: boolean },
+  edges: { [key: string]: boolean },
+};
+
+// the highlight set through highlightNodes, edges are picked from the nodes
+// when they are null
+type IHighlightOverride = {
+  nodeIds: string[],
+  edges: IEdge[] | null,
+};
+
+// the highlight of the search results and the one it replaced, which comes
+// back once the search is cleared
+type ISearchHighlight = {
+  previous: IHighlightOverride | null,
+};
+
+// the open search box, index is the result that was panned to last
+type ISearch = {
+  query: string,
+  results: INode[],
+  index: number,
+};
+
+function isSameHighlight(a: IHighlight | null, b: IHighlight | null) {
+  if (!a || !b) {
+    return a === b;
+  }
+
+  return (
+    Object.keys(a.nodes).join() === Object.keys(b.nodes).join() &&
+    Object.keys(a.edges).join() === Object.keys(b.edges).join()
+  );
+}
+
 type IGraphViewState = {
   viewTransform?: IViewTransform,
   hoveredNode: boolean,
@@ -50,11 +193,13 @@ type IGraphViewState = {
   edges: any[],
   hoveredNodeData: INode | null,
   edgeEndNode: INode | null,
+  edgeStartPort: string | null,
+  edgeEndPort: string | null,
   draggingEdge: boolean,
   draggedEdge: any,
   componentUpToDate: boolean,
-  selectedEdges: [],
-  selectedNodes: [],
+  selectedEdges: IEdge[],
+  selectedNodes: INode[],
   documentClicked: boolean,
   svgClicked: boolean,
   focused: boolean,
@@ -66,18 +211,35 @@ class GraphView extends React.Component<IGraphViewProps, IGraphViewState> {
     canDeleteEdge: () => true,
     canDeleteNode: () => true,
     onNodeMove: () => true,
+    dimmedOpacity: 0.2,
     edgeArrowSize: 8,
+    edgeRouting: 'straight',
+    enableHistory: false,
+    enableSearch: false,
+    enableViewportCulling: false,
     gridSpacing: 36,
+    historyLimit: 100,
+    maxTitleLines: 3,
     maxZoom: 1.5,
     minZoom: 0.15,
+    minimapHeight: 150,
+    minimapPosition: 'bottom-right',
+    minimapWidth: 200,
     nodeSize: 154,
     readOnly: false,
+    resizeBehavior: 'keepTopLeft',
     selected: [],
+    selectionModifierKey: 'shiftKey',
     showGraphControls: true,
+    showMinimap: false,
+    snapThreshold: 8,
+    viewportCullingMargin: 200,
+    wrapTitles: false,
     zoomDelay: 1000,
     zoomDur: 750,
     rotateEdgeHandle: true,
     centerNodeOnMove: true,
+    searchFields: ['title'],
   };
 
   static getDerivedStateFromProps(
@@ -106,8 +268,14 @@ class GraphView extends React.Component<IGraphViewProps, IGraphViewState> {
 
         if (nodeMeta != null) {
           memo.selectedNodes.push(nodeMeta.node);
-          const edgeMeta =
-            edgesMap[`${nodeMeta.node.source}_${nodeMeta.node.target}`];
+          const edgeMeta = edgesMap[GraphUtils.getEdgeKey(nodeMeta.node)];
+
+          if (edgeMeta != null) {
+            memo.selectedEdges.push(edgeMeta.edge);
+          }
+        } else if (nodeKey != null && nodeKey.source != null) {
+          // edges can be selected by passing the edge itself
+          const edgeMeta = edgesMap[GraphUtils.getEdgeKey(nodeKey)];
 
           if (edgeMeta != null) {
             memo.selectedEdges.push(edgeMeta.edge);
@@ -144,7 +312,31 @@ class GraphView extends React.Component<IGraphViewProps, IGraphViewState> {
   selectedView: any;
   view: any;
   graphControls: any;
+  minimapWrapper: any;
+  inlineEditorWrapper: any;
+  inlineEdit: IInlineEdit | null;
+  contextMenuWrapper: any;
+  contextMenu: IContextMenu | null;
+  liveRegion: any;
+  keyboardFocus: IFocusableEntity | null;
+  highlight: IHighlight | null;
+  highlightOverride: IHighlightOverride | null;
+  searchHighlight: ISearchHighlight | null;
+  searchBox: any;
+  search: ISearch | null;
+  cullEntitiesRequest: any;
   layoutEngine: any;
+  selectionBox: any;
+  alignmentGuides: any;
+  selectionState: ISelectionState;
+  history: HistoryManager;
+  historySnapshot: IHistorySnapshot | null;
+  nodeMoveInProgress: boolean;
+  groups: any;
+  groupCenters: { [id: string]: IPoint };
+  renderGroupsRequest: any;
+  resizeObserver: any;
+  viewSize: { width: number, height: number } | null;
 
   constructor(props: IGraphViewProps) {
     super(props);
@@ -153,19 +345,54 @@ class GraphView extends React.Component<IGraphViewProps, IGraphViewState> {
       panning: false,
       requestId: null,
     };
+    this.selectionState = {
+      selecting: false,
+      moved: false,
+      suppressClick: false,
+      startClientX: 0,
+      startClientY: 0,
+      startX: 0,
+      startY: 0,
+      x: 0,
+      y: 0,
+    };
     this.nodeTimeouts = {};
     this.edgeTimeouts = {};
     this.renderNodesTimeout = null;
     this.renderEdgesTimeout = null;
+    this.cullEntitiesRequest = null;
+    this.renderGroupsRequest = null;
     this.viewWrapper = React.createRef();
     this.graphControls = React.createRef();
+    this.minimapWrapper = React.createRef();
+    this.inlineEditorWrapper = React.createRef();
+    this.inlineEdit = null;
+    this.contextMenuWrapper = React.createRef();
+    this.contextMenu = null;
+    this.liveRegion = React.createRef();
+    this.keyboardFocus = null;
+    this.highlight = null;
+    this.highlightOverride = null;
+    this.searchHighlight = null;
+    this.groupCenters = {};
+    this.searchBox = React.createRef();
+    this.search = null;
     this.graphSvg = React.createRef();
+    this.selectionBox = React.createRef();
+    this.alignmentGuides = React.createRef();
+    this.history = new HistoryManager(props.historyLimit);
+    this.historySnapshot = null;
+    this.nodeMoveInProgress = false;
+    this.resizeObserver = null;
+    this.viewSize = null;
 
     this.state = {
       componentUpToDate: false,
       draggedEdge: null,
       draggingEdge: false,
       edgeEndNode: null,
+      edgeEndPort: null,
+      edgeStartPort: null,
       edges: [],
       edgesMap: {},
       hoveredNode: false,
@@ -181,7 +408,7 @@ class GraphView extends React.Component<IGraphViewProps, IGraphViewState> {
   }
 
   componentDidMount() {
-    const { initialBBox, zoomDelay, minZoom, maxZoom } = this.props;
+    const { initialBBox, viewport, zoomDelay, minZoom, maxZoom } = this.props;
 
     // TODO: can we target the element rather than the document?
     document.addEventListener('keydown', this.handleWrapperKeydown);
@@ -197,11 +424,33 @@ class GraphView extends React.Component<IGraphViewProps, IGraphViewState> {
       .on('end', this.handleZoomEnd);
 
     d3.select(this.viewWrapper.current)
-      .on('touchstart', this.containZoom)
-      .on('touchmove', this.containZoom)
-      .on('click', this.handleSvgClicked); // handle element click in the element components
+      .on('click', this.handleSvgClicked) // handle element click in the element components
+      .on('dblclick', this.handleSvgDoubleClicked);
+
+    // The zoom behavior only handles touch gestures, the mouse pans through
+    // the background.
+    d3.select(this.graphSvg.current)
+      .call(this.zoom)
+      .on('wheel.zoom', null)
+      .on('mousedown.zoom', null)
+      .on('dblclick.zoom', null);
+
+    // browsers without ResizeObserver keep the view as it is on resize
+    if (window.ResizeObserver && this.viewWrapper.current) {
+      this.resizeObserver = new window.ResizeObserver(this.handleResize);
+      this.resizeObserver.observe(this.viewWrapper.current);
+    }
 
     this.selectedView = d3.select(this.view);
+    this.recordHistory();
+
+    if (viewport) {
+      // A controlled viewport replaces the initial zoom to fit.
+      this.applyViewport();
+      this.renderView();
+
+      return;
+    }
 
     if (initialBBox) {
       // If initialBBox is set, we don't compute the zoom and don't do any transition.
@@ -224,6 +473,30 @@ class GraphView extends React.Component<IGraphViewProps, IGraphViewState> {
   componentWillUnmount() {
     document.removeEventListener('keydown', this.handleWrapperKeydown);
     document.removeEventListener('click', this.handleDocumentClick);
+    document.removeEventListener('mousemove', this.handleSelectionMove);
+    document.removeEventListener('mouseup', this.handleSelectionEnd);
+    cancelAnimationFrame(this.cullEntitiesRequest);
+    cancelAnimationFrame(this.renderGroupsRequest);
+
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+    }
+
+    if (this.groups) {
+      ReactDOM.unmountComponentAtNode(this.groups);
+    }
+
+    if (this.minimapWrapper.current) {
+      ReactDOM.unmountComponentAtNode(this.minimapWrapper.current);
+    }
+
+    if (this.inlineEditorWrapper.current) {
+      ReactDOM.unmountComponentAtNode(this.inlineEditorWrapper.current);
+    }
+
+    if (this.contextMenuWrapper.current) {
+      ReactDOM.unmountComponentAtNode(this.contextMenuWrapper.current);
+    }
   }
 
   shouldComponentUpdate(
@@ -236,7 +509,10 @@ class GraphView extends React.Component<IGraphViewProps, IGraphViewState> {
       !nextState.componentUpToDate ||
       nextProps.selected !== this.props.selected ||
       nextProps.readOnly !== this.props.readOnly ||
-      nextProps.layoutEngine !== this.props.layoutEngine
+      nextProps.layoutEngine !== this.props.layoutEngine ||
+      nextProps.edgeRouting !== this.props.edgeRouting ||
+      nextProps.highlight !== this.props.highlight ||
+      nextProps.viewport !== this.props.viewport
     ) {
       return true;
     }
@@ -252,11 +528,17 @@ class GraphView extends React.Component<IGraphViewProps, IGraphViewState> {
       selectedNodes,
       selectedEdges,
     } = this.state;
-    const { layoutEngine } = this.props;
+    const { layoutEngine, edgeRouting } = this.props;
 
-    const forceReRender = prevProps.layoutEngine !== layoutEngine;
+    // every node and edge changes its looks when the highlight changes
+    const highlightChanged = this.updateHighlight();
+    const forceReRender =
+      prevProps.layoutEngine !== layoutEngine || highlightChanged;
+    // every edge path changes when the routing mode changes
+    const forceEdgesReRender =
+      forceReRender || prevProps.edgeRouting !== edgeRouting;
 
-    if (forceReRender && layoutEngine) {
+    if (prevProps.layoutEngine !== layoutEngine && layoutEngine) {
       const newNodes = layoutEngine.adjustNodes(nodes, nodesMap);
 
       this.setState({
@@ -286,30 +568,130 @@ class GraphView extends React.Component<IGraphViewProps, IGraphViewState> {
       prevState.edgesMap,
       selectedEdges,
       prevState.selectedEdges,
-      forceReRender
+      forceEdgesReRender
     );
 
+    this.recordHistory();
+    this.asyncRenderGroups();
+    this.renderMinimap();
+    this.scheduleCullEntities();
+    this.announceSelection(prevState.selectedNodes, prevState.selectedEdges);
+
+    if (prevProps.viewport !== this.props.viewport) {
+      this.applyViewport();
+    }
+
     this.setState({
       componentUpToDate: true,
     });
   }
 
+  // Diffs the nodes and edges props against the last recorded snapshot and
+  // stores any changes as a single history entry.
+  recordHistory() {
+    const { enableHistory, nodes, edges, nodeKey } = this.props;
+
+    if (!enableHistory) {
+      this.historySnapshot = null;
+
+      return;
+    }
+
+    // A multi-node drag is recorded as one entry once the drag ends.
+    if (this.nodeMoveInProgress) {
+      return;
+    }
+
+    if (this.historySnapshot) {
+      const operations = HistoryManager.diff(
+        this.historySnapshot,
+        nodes,
+        edges,
+        nodeKey
+      );
+
+      if (operations.length === 0) {
+        return;
+      }
+
+      this.history.push({ operations });
+    }
+
+    this.historySnapshot = HistoryManager.createSnapshot(nodes, edges, nodeKey);
+  }
+
+  applyHistoryEntry(entry: IHistoryEntry, isUndo: boolean) {
+    const { nodeKey, onApplyHistory } = this.props;
+    const { nodes, edges } = HistoryManager.applyEntry(
+      entry,
+      this.props.nodes,
+      this.props.edges,
+      nodeKey,
+      isUndo
+    );
+
+    // The consumer is expected to pass these arrays back in as props, which
+    // must not be recorded as a new change.
+    this.historySnapshot = HistoryManager.createSnapshot(nodes, edges, nodeKey);
+
+    if (onApplyHistory) {
+      onApplyHistory(nodes, edges, entry, isUndo);
+    }
+  }
+
   getNodeById(id: string | null, nodesMap: any | null): INodeMapNode | null {
     const nodesMapVar = nodesMap || this.state.nodesMap;
 
     return nodesMapVar ? nodesMapVar[`key-${id || ''}`] : null;
   }
 
-  getEdgeBySourceTarget(source: string, target: string): IEdge | null {
-    return this.state.edgesMap
-      ? this.state.edgesMap[`${source}_${target}`]
-      : null;
+  getEdgeById(id: string): IEdgeMapNode | null {
+    return this.state.edgesMap ? this.state.edgesMap[id] : null;
+  }
+
+  // Returns the first edge from source to target when there are parallel edges.
+  getEdgeBySourceTarget(source: string, target: string): IEdgeMapNode | null {
+    const edge = this.getParallelEdges({ source, target }).find(
+      e => e.source === source && e.target === target
+    );
+
+    return edge ? this.getEdgeById(GraphUtils.getEdgeKey(edge)) : null;
   }
 
   deleteEdgeBySourceTarget(source: string, target: string) {
-    if (this.state.edgesMap && this.state.edgesMap[`${source}_${target}`]) {
-      delete this.state.edgesMap[`${source}_${target}`];
+    const edgeMapNode = this.getEdgeBySourceTarget(source, target);
+
+    if (edgeMapNode) {
+      delete this.state.edgesMap[GraphUtils.getEdgeKey(edgeMapNode.edge)];
+    }
+  }
+
+  // Returns the edges connecting the same two nodes as the given edge, in
+  // either direction. The order doesn't depend on the direction of the given
+  // edge, so that parallel edges agree on their positions.
+  getParallelEdges(edge: IEdge): IEdge[] {
+    const source = `${edge.source}`;
+    const target = `${edge.target}`;
+    const first = source < target ? source : target;
+    const other = source < target ? target : source;
+    const nodeMapNode = edge.target ? this.getNodeById(first) : null;
+
+    if (!nodeMapNode) {
+      return [];
+    }
+
+    const outgoingEdges = nodeMapNode.outgoingEdges.filter(
+      e => `${e.target}` === other
+    );
+
+    if (first === other) {
+      // self-loops are both outgoing and incoming edges
+      return outgoingEdges;
     }
+
+    return outgoingEdges.concat(
+      nodeMapNode.incomingEdges.filter(e => `${e.source}` === other)
+    );
   }
 
   addNewNodes(
@@ -324,6 +706,7 @@ class GraphView extends React.Component<IGraphViewProps, IGraphViewState> {
     }
 
     const nodeKey = this.props.nodeKey;
+    const visibleBBox = this.getVisibleBBox();
     let node = null;
     let prevNode = null;
 
@@ -331,6 +714,11 @@ class GraphView extends React.Component<IGraphViewProps, IGraphViewState> {
       node = nodes[i];
       prevNode = this.getNodeById(node[nodeKey], oldNodesMap);
 
+      // off-screen nodes are mounted by cullEntities once they scroll into view
+      if (!this.isNodeInViewport(node, visibleBBox)) {
+        return;
+      }
+
       const isSelected =
         selectedNodes.find(n => n[nodeKey] === node[nodeKey]) != null;
       const prevSelected =
@@ -372,12 +760,12 @@ class GraphView extends React.Component<IGraphViewProps, IGraphViewState> {
 
       // remove all outgoing edges
       prevNodeMapNode.outgoingEdges.forEach(edge => {
-        this.removeEdgeElement(edge.source, edge.target);
+        this.removeEdgeElement(edge);
       });
 
       // remove all incoming edges
       prevNodeMapNode.incomingEdges.forEach(edge => {
-        this.removeEdgeElement(edge.source, edge.target);
+        this.removeEdgeElement(edge);
       });
 
       // remove node
@@ -396,37 +784,43 @@ class GraphView extends React.Component<IGraphViewProps, IGraphViewState> {
     forceRender: boolean = false
   ) {
     if (!this.state.draggingEdge) {
+      const visibleBBox = this.getVisibleBBox();
       let edge = null;
 
       GraphUtils.yieldingLoop(edges.length, 50, i => {
         edge = edges[i];
 
-        if (!edge.source || !edge.target) {
+        if (
+          !edge.source ||
+          !edge.target ||
+          !this.isEdgeInViewport(edge, visibleBBox)
+        ) {
           return;
         }
 
-        const prevEdge = oldEdgesMap[`${edge.source}_${edge.target}`];
+        const edgeKey = GraphUtils.getEdgeKey(edge);
+        const prevEdge = oldEdgesMap[edgeKey];
 
         const isSelected =
-          selectedEdges.find(
-            e => e.source === edge.source && e.target === edge.target
-          ) != null;
+          selectedEdges.find(e => GraphUtils.getEdgeKey(e) === edgeKey) != null;
         const prevSelected =
           prevEdge == null
             ? undefined
             : prevSelectedEdges.find(
-                e =>
-                  e.source === prevEdge.edge.source &&
-                  e.target === prevEdge.edge.target
+                e => GraphUtils.getEdgeKey(e) === edgeKey
               ) != null;
 
-        if (
+        if (prevEdge == null) {
+          // new edge, the parallel edges make room for it
+          this.getParallelEdges(edge).forEach(parallelEdge => {
+            this.asyncRenderEdge(parallelEdge);
+          });
+          this.asyncRenderEdge(edge);
+        } else if (
           forceRender ||
-          prevEdge == null ||
           isSelected !== prevSelected || // selection change
-          (prevEdge != null && !GraphUtils.isEqual(prevEdge.edge, edge))
+          !GraphUtils.isEqual(prevEdge.edge, edge)
         ) {
-          // new edge
           this.asyncRenderEdge(edge);
         }
       });
@@ -444,17 +838,25 @@ class GraphView extends React.Component<IGraphViewProps, IGraphViewState> {
       if (
         !edge.source ||
         !edge.target ||
-        !edgesMap[`${edge.source}_${edge.target}`]
+        !edgesMap[GraphUtils.getEdgeKey(edge)]
       ) {
         // remove edge
-        this.removeEdgeElement(edge.source, edge.target);
+        this.removeEdgeElement(edge);
+
+        // the remaining parallel edges close the gap
+        if (edge.source && edge.target) {
+          this.getParallelEdges(edge).forEach(parallelEdge => {
+            this.asyncRenderEdge(parallelEdge);
+          });
+        }
+
         continue;
       }
     }
   };
 
-  removeEdgeElement(source: string, target: string) {
-    const id = `${source}-${target}`;
+  removeEdgeElement(edge: IEdge) {
+    const id = GraphUtils.getEdgeElementId(edge);
 
     GraphUtils.removeElementFromDom(`edge-${id}-container`);
   }
@@ -499,31 +901,25 @@ class GraphView extends React.Component<IGraphViewProps, IGraphViewState> {
   deleteEdges(selectedEdges: IEdge[]) {
     const { edges } = this.state;
 
+    const selectedEdgeKeys = selectedEdges.map(GraphUtils.getEdgeKey);
+
     selectedEdges.forEach(selectedEdge => {
       if (selectedEdge.source && selectedEdge.target) {
-        this.deleteEdgeBySourceTarget(selectedEdge.source, selectedEdge.target);
-      }
+        const id = GraphUtils.getEdgeElementId(selectedEdge);
 
-      // remove from UI
-      if (selectedEdge.source && selectedEdge.target) {
+        if (this.state.edgesMap) {
+          delete this.state.edgesMap[GraphUtils.getEdgeKey(selectedEdge)];
+        }
+
+        // remove from UI
         // remove extra custom containers just in case.
-        GraphUtils.removeElementFromDom(
-          `edge-${selectedEdge.source}-${selectedEdge.target}-custom-container`
-        );
-        GraphUtils.removeElementFromDom(
-          `edge-${selectedEdge.source}-${selectedEdge.target}-container`
-        );
+        GraphUtils.removeElementFromDom(`edge-${id}-custom-container`);
+        GraphUtils.removeElementFromDom(`edge-${id}-container`);
       }
     });
 
     const newEdgesArr = edges.filter(edge => {
-      return (
-        selectedEdges.find(
-          selectedEdge =>
-            edge.source === selectedEdge.source &&
-            edge.target === selectedEdge.target
-        ) == null
-      );
+      return selectedEdgeKeys.indexOf(GraphUtils.getEdgeKey(edge)) === -1;
     });
 
     this.setState({
@@ -547,25 +943,88 @@ class GraphView extends React.Component<IGraphViewProps, IGraphViewState> {
   };
 
   handleWrapperKeydown: KeyboardEventListener = d => {
-    const { onUndo, onCopySelected, onPasteSelected } = this.props;
-    const { focused, selectedNodes } = this.state;
+    const {
+      enableHistory,
+      onUndo,
+      onCopySelected,
+      onPasteSelected,
+    } = this.props;
+    const { focused, selectedNodes, selectedEdges } = this.state;
+
+    // Conditionally ignore keypress events on the window, and leave the keys
+    // to the inline editor and the context menu while they are open and to
+    // the search box
+    if (
+      !focused ||
+      this.inlineEdit ||
+      this.contextMenu ||
+      GraphUtils.findParent(d.target, '.search-box')
+    ) {
+      return;
+    }
 
-    // Conditionally ignore keypress events on the window
-    if (!focused) {
+    if (this.handleArrangeKey(d)) {
       return;
     }
 
     switch (d.key) {
+      case 'f':
+      case 'F':
+        if ((d.metaKey || d.ctrlKey) && this.props.enableSearch) {
+          // instead of the browser's find
+          d.preventDefault();
+          this.openSearch();
+        }
+
+        break;
+      case 'F2':
+        if (selectedNodes.length > 0) {
+          this.startInlineEdit(selectedNodes[0], null);
+        } else if (selectedEdges.length > 0) {
+          this.startInlineEdit(null, selectedEdges[0]);
+        }
+
+        break;
       case 'Delete':
       case 'Backspace':
         this.handleDelete();
 
+        break;
+      case 'Tab':
+        this.handleTabKey(d);
+
+        break;
+      case 'Enter':
+        this.handleEnterKey(d);
+
+        break;
+      case 'ArrowUp':
+      case 'ArrowDown':
+      case 'ArrowLeft':
+      case 'ArrowRight':
+        this.handleArrowKey(d);
+
         break;
       case 'z':
-        if ((d.metaKey || d.ctrlKey) && onUndo) {
+      case 'Z':
+        if (!d.metaKey && !d.ctrlKey) {
+          break;
+        }
+
+        if (enableHistory && d.shiftKey) {
+          this.redo();
+        } else if (enableHistory) {
+          this.undo();
+        } else if (onUndo) {
           onUndo();
         }
 
+        break;
+      case 'y':
+        if ((d.metaKey || d.ctrlKey) && enableHistory) {
+          this.redo();
+        }
+
         break;
       case 'c':
         if (
@@ -592,167 +1051,1382 @@ class GraphView extends React.Component<IGraphViewProps, IGraphViewState> {
     }
   };
 
-  handleEdgeSelected = e => {
-    const { source, target } = e.target.dataset;
-    let newState = {
-      svgClicked: true,
-      focused: true,
-    };
+  // The view wrapper is the only tab stop of the graph. Keyboard navigation
+  // moves the DOM focus between the nodes and edges inside of it, and leaves
+  // the keys of other focused elements, like the zoom slider, alone.
+  hasKeyboardFocus() {
+    const viewWrapper = this.viewWrapper.current;
+    const { activeElement } = document;
 
-    if (source && target) {
-      const edge: IEdge | null = this.getEdgeBySourceTarget(source, target);
+    return (
+      !!viewWrapper &&
+      (activeElement === viewWrapper ||
+        (this.keyboardFocus != null && viewWrapper.contains(activeElement)))
+    );
+  }
 
-      if (!edge) {
-        return;
-      }
+  // Returns the node or edge drawn by the given element, if any.
+  getEntityFromElement(element: any): IFocusableEntity | null {
+    const nodeElement = GraphUtils.findParent(element, 'g.node');
+    const edgeElement = GraphUtils.findParent(element, '.edge-container');
 
-      const originalArrIndex = (this.getEdgeBySourceTarget(source, target): any)
-        .originalArrIndex;
+    if (nodeElement && nodeElement.id) {
+      const nodeMapNode = this.getNodeById(
+        nodeElement.id.replace(/^node-/, '')
+      );
 
-      const originalEdge = this.state.edges[originalArrIndex];
-      const selectedEdges = this.state.selectedEdges.concat([originalEdge]);
+      return nodeMapNode ? { node: nodeMapNode.node, edge: null } : null;
+    }
 
-      newState = {
-        ...newState,
-        selectedEdges,
-      };
-      this.setState(newState);
-      this.props.onSelectEdge(originalEdge);
-    } else {
-      this.setState(newState);
+    if (edgeElement && edgeElement.dataset.id) {
+      const edgeMapNode = this.getEdgeById(edgeElement.dataset.id);
+
+      return edgeMapNode ? { node: null, edge: edgeMapNode.edge } : null;
     }
-  };
 
-  handleSvgClicked = (d: any, i: any) => {
-    const { onBackgroundClick, readOnly, onCreateNode } = this.props;
+    return null;
+  }
 
-    if (this.isPartOfEdge(d3.event.target)) {
-      this.handleEdgeSelected(d3.event);
+  getEntityElement(entity: IFocusableEntity): any {
+    const { nodeKey } = this.props;
+    const viewWrapper = this.viewWrapper.current;
 
-      return; // If any part of the edge is clicked, return
+    if (!viewWrapper) {
+      return null;
     }
 
-    if (!d3.event.shiftKey && onBackgroundClick) {
-      const xycoords = d3.mouse(d3.event.target);
+    if (entity.node) {
+      return viewWrapper.querySelector(`#node-${entity.node[nodeKey]}`);
+    }
 
-      onBackgroundClick(xycoords[0], xycoords[1], d3.event);
+    if (entity.edge) {
+      return viewWrapper.querySelector(
+        `#edge-${GraphUtils.getEdgeElementId(
+          entity.edge
+        )}-container > .edge-container`
+      );
     }
 
-    // de-select the current selection
-    this.setState({
-      focused: true,
-      svgClicked: true,
+    return null;
+  }
+
+  // Returns the visible nodes and then the visible edges, in the order Tab
+  // moves through them.
+  getTabOrder(): IFocusableEntity[] {
+    const { nodeKey } = this.props;
+    const { nodes, edges } = this.state;
+    const order = [];
+
+    nodes.forEach(node => {
+      const nodeMapNode = this.getNodeById(node[nodeKey]);
+
+      if (nodeMapNode && !this.isNodeHidden(nodeMapNode)) {
+        order.push({ node, edge: null });
+      }
+    });
+    edges.forEach(edge => {
+      if (!this.isEdgeHidden(edge)) {
+        order.push({ node: null, edge });
+      }
     });
 
-    if (!readOnly && d3.event.shiftKey) {
-      const xycoords = d3.mouse(d3.event.target);
+    return order;
+  }
 
-      onCreateNode(xycoords[0], xycoords[1], d3.event);
+  focusEntity(entity: IFocusableEntity) {
+    const { node, edge } = entity;
+    let element = this.getEntityElement(entity);
+
+    // culled entities are drawn before they get the focus
+    if (!element && node) {
+      this.syncRenderNode(node);
+      element = this.getEntityElement(entity);
+    } else if (!element && edge) {
+      this.syncRenderEdge(edge);
+      element = this.getEntityElement(entity);
     }
-  };
 
-  handleDocumentClick = (event: any) => {
-    // Ignore document click if it's in the SVGElement
-    if (
-      event &&
-      event.target &&
-      event.target.ownerSVGElement != null &&
-      event.target.ownerSVGElement === this.graphSvg.current
-    ) {
+    if (!element || !element.focus) {
       return;
     }
 
-    this.setState({
-      documentClicked: true,
-      focused: false,
-      svgClicked: false,
-    });
-  };
+    element.focus();
+    this.keyboardFocus = entity;
 
-  isPartOfEdge(element: any) {
-    return !!GraphUtils.findParent(element, '.edge-container');
+    if (node && !this.isNodeOnScreen(this.getPlacedNode(node))) {
+      this.panToNode(node[this.props.nodeKey]);
+    }
   }
 
-  handleNodeMove = (position: IPoint, nodeId: string, shiftKey: boolean) => {
-    const { canCreateEdge, readOnly, nodeKey } = this.props;
-    const { selectedNodes } = this.state;
-    const nodeMapNode: INodeMapNode | null = this.getNodeById(nodeId);
+  isNodeOnScreen(node: INode) {
+    const { viewTransform } = this.state;
+    const viewWrapper = this.viewWrapper.current;
 
-    if (!nodeMapNode) {
-      return;
+    if (!viewTransform || !viewWrapper) {
+      return true;
     }
 
-    const node = nodeMapNode.node;
+    const { k, x, y } = viewTransform;
+    const screenX = (node.x || 0) * k + x;
+    const screenY = (node.y || 0) * k + y;
 
-    if (readOnly) {
-      return;
-    }
+    return (
+      screenX >= 0 &&
+      screenY >= 0 &&
+      screenX <= viewWrapper.clientWidth &&
+      screenY <= viewWrapper.clientHeight
+    );
+  }
 
-    if (!shiftKey && !this.state.draggingEdge) {
-      const deltaX = position.x - node.x;
-      const deltaY = position.y - node.y;
+  handleWrapperFocus = (event: any) => {
+    this.keyboardFocus = this.getEntityFromElement(event.target);
 
-      const nodesToMove = selectedNodes.find(n => n[nodeKey] === node[nodeKey])
-        ? selectedNodes
-        : selectedNodes.concat([node]);
+    if (!this.state.focused) {
+      this.setState({ focused: true });
+    }
+  };
 
-      GraphUtils.yieldingLoop(nodesToMove.length, 50, i => {
-        const node = nodesToMove[i];
-        const nodeMapNode = this.getNodeById(node[nodeKey]);
+  handleWrapperBlur = (event: any) => {
+    const viewWrapper = this.viewWrapper.current;
+    const { relatedTarget } = event;
 
-        // node moved
-        node.x += deltaX;
-        node.y += deltaY;
+    this.keyboardFocus = null;
 
-        this.renderConnectedEdgesFromNode(nodeMapNode, true);
-        this.asyncRenderNode(node);
-      });
-    } else if (
-      (canCreateEdge && canCreateEdge(nodeId)) ||
-      this.state.draggingEdge
-    ) {
-      // render new edge
-      this.syncRenderEdge({ source: nodeId, targetPosition: position });
-      this.setState({ draggingEdge: true });
+    // tabbing out of the graph ends the keyboard shortcuts, like clicking
+    // outside of it
+    if (viewWrapper && relatedTarget && !viewWrapper.contains(relatedTarget)) {
+      this.setState({ focused: false });
     }
-
-    this.props.onNodeMove(position, node);
   };
 
-  createNewEdge() {
-    const { canCreateEdge, nodeKey, onCreateEdge } = this.props;
-    const { edgesMap, edgeEndNode, hoveredNodeData } = this.state;
+  // Tab moves the focus through the nodes and then the edges. Tabbing past
+  // the last entity, or back from the graph itself, leaves the graph.
+  handleTabKey(event: any) {
+    const { keyboardFocus } = this;
 
-    if (!hoveredNodeData) {
+    if (!this.hasKeyboardFocus()) {
       return;
     }
 
-    GraphUtils.removeElementFromDom('edge-custom-container');
+    const order = this.getTabOrder();
+    const index = keyboardFocus
+      ? order.findIndex(
+          entity =>
+            entity.node === keyboardFocus.node &&
+            entity.edge === keyboardFocus.edge
+        )
+      : -1;
+    const next = order[event.shiftKey ? index - 1 : index + 1];
+
+    if (!next) {
+      return;
+    }
 
-    if (edgeEndNode) {
-      const mapId1 = `${hoveredNodeData[nodeKey]}_${edgeEndNode[nodeKey]}`;
-      const mapId2 = `${edgeEndNode[nodeKey]}_${hoveredNodeData[nodeKey]}`;
+    event.preventDefault();
+    this.focusEntity(next);
+  }
 
-      if (
+  // Enter selects the focused node or edge, like a click.
+  handleEnterKey(event: any) {
+    const { keyboardFocus } = this;
+
+    if (!keyboardFocus || !this.hasKeyboardFocus()) {
+      return;
+    }
+
+    event.preventDefault();
+
+    if (keyboardFocus.node) {
+      this.handleNodeSelected(keyboardFocus.node, false, event);
+    } else if (keyboardFocus.edge) {
+      this.handleEdgeSelected({
+        target: this.getEntityElement(keyboardFocus),
+      });
+    }
+  }
+
+  // Arrow keys move the focus between connected nodes. With Shift, Ctrl or
+  // Command they move the selected nodes by one grid space instead.
+  handleArrowKey(event: any) {
+    const { gridSpacing } = this.props;
+    const { keyboardFocus } = this;
+
+    if (!this.hasKeyboardFocus()) {
+      return;
+    }
+
+    event.preventDefault();
+
+    if (event.shiftKey || event.ctrlKey || event.metaKey) {
+      const step = gridSpacing || 0;
+      const deltaX = { ArrowLeft: -step, ArrowRight: step }[event.key] || 0;
+      const deltaY = { ArrowUp: -step, ArrowDown: step }[event.key] || 0;
+
+      this.nudgeSelectedNodes(deltaX, deltaY);
+
+      return;
+    }
+
+    let next = null;
+
+    if (keyboardFocus && keyboardFocus.node) {
+      next = this.getAdjacentNode(keyboardFocus.node, event.key);
+    } else if (keyboardFocus && keyboardFocus.edge) {
+      // from an edge, up goes to its source and down to its target
+      const { edge } = keyboardFocus;
+      const id = { ArrowUp: edge.source, ArrowDown: edge.target }[event.key];
+      const nodeMapNode = id ? this.getVisibleNodeById(id) : null;
+
+      next = nodeMapNode ? nodeMapNode.node : null;
+    } else {
+      // from the graph itself, the focus goes to the selection first
+      const first = this.getTabOrder()[0];
+
+      next = this.state.selectedNodes[0] || (first ? first.node : null);
+    }
+
+    if (next) {
+      this.focusEntity({ node: next, edge: null });
+    }
+  }
+
+  // Returns the node the focus moves to from the given node: up to its first
+  // parent, down to its first child, and left or right to the closest child
+  // of the same parent. Nodes without parents are siblings of each other.
+  getAdjacentNode(node: INode, key: string): INode | null {
+    const { nodeKey } = this.props;
+    const nodeMapNode = this.getNodeById(node[nodeKey]);
+    // the parents and children in the nodes map are map nodes as well, and
+    // nodes of collapsed groups are replaced by the group
+    const getVisibleNodes = (relatives: any[]): INode[] =>
+      relatives.reduce((visibleNodes: INode[], relative) => {
+        const visibleNodeMapNode = this.getVisibleNodeById(
+          relative.node[nodeKey]
+        );
+
+        if (
+          visibleNodeMapNode &&
+          visibleNodeMapNode.node !== node &&
+          visibleNodes.indexOf(visibleNodeMapNode.node) === -1
+        ) {
+          visibleNodes.push(visibleNodeMapNode.node);
+        }
+
+        return visibleNodes;
+      }, []);
+
+    if (!nodeMapNode) {
+      return null;
+    }
+
+    const parents = getVisibleNodes(nodeMapNode.parents);
+
+    if (key === 'ArrowUp') {
+      return parents[0] || null;
+    } else if (key === 'ArrowDown') {
+      return getVisibleNodes(nodeMapNode.children)[0] || null;
+    }
+
+    const parentMapNode =
+      parents.length > 0 ? this.getNodeById(parents[0][nodeKey]) : null;
+    let siblings: any[] = [];
+
+    if (parentMapNode) {
+      siblings = parentMapNode.children;
+    } else if (parents.length === 0) {
+      this.getTabOrder().forEach(entity => {
+        const siblingMapNode =
+          entity.node && this.getNodeById(entity.node[nodeKey]);
+
+        if (siblingMapNode && siblingMapNode.parents.length === 0) {
+          siblings.push(siblingMapNode);
+        }
+      });
+    }
+
+    // siblings are ordered from left to right
+    const orderedSiblings = [node, ...getVisibleNodes(siblings)].sort(
+      (a, b) => (this.getPlacedNode(a).x || 0) - (this.getPlacedNode(b).x || 0)
+    );
+    const index = orderedSiblings.indexOf(node);
+
+    return orderedSiblings[key === 'ArrowLeft' ? index - 1 : index + 1] || null;
+  }
+
+  // Moves the selected nodes, and the nodes of selected groups, by the given
+  // distance.
+  nudgeSelectedNodes(deltaX: number, deltaY: number) {
+    const { nodeKey, readOnly } = this.props;
+    const { selectedNodes } = this.state;
+    const movedNodes = {};
+
+    if (readOnly) {
+      return;
+    }
+
+    selectedNodes.forEach(node => {
+      const nodeMapNode = this.getNodeById(node[nodeKey]);
+
+      if (!nodeMapNode) {
+        return;
+      }
+
+      [nodeMapNode, ...GraphUtils.getGroupDescendants(nodeMapNode)].forEach(
+        movedNodeMapNode => {
+          const movedNode = movedNodeMapNode.node;
+
+          if (movedNodes[movedNode[nodeKey]]) {
+            return;
+          }
+
+          movedNode.x = (movedNode.x || 0) + deltaX;
+          movedNode.y = (movedNode.y || 0) + deltaY;
+          movedNodes[movedNode[nodeKey]] = movedNode;
+          this.asyncRenderNode(movedNode);
+        }
+      );
+    });
+
+    this.reportUpdatedNodes(
+      Object.keys(movedNodes).map(key => movedNodes[key])
+    );
+    this.asyncRenderGroups();
+  }
+
+  // Reports nodes that changed together through onUpdateNodes, or one by one
+  // through onUpdateNode when it isn't set.
+  reportUpdatedNodes(nodes: INode[]) {
+    const { onUpdateNode, onUpdateNodes } = this.props;
+
+    if (nodes.length === 0) {
+      return;
+    }
+
+    if (onUpdateNodes) {
+      onUpdateNodes(nodes);
+    } else {
+      nodes.forEach(node => onUpdateNode(node));
+    }
+  }
+
+  // Returns the selected nodes with their boxes, leaving out those whose group
+  // is selected as well since they move with it.
+  getArrangedNodes(): IArrangedNode[] {
+    const { nodeKey } = this.props;
+    const { selectedNodes } = this.state;
+    const selectedKeys = new Set(selectedNodes.map(node => node[nodeKey]));
+    const arrangedNodes = [];
+
+    selectedNodes.forEach(node => {
+      const nodeMapNode = this.getNodeById(node[nodeKey]);
+
+      if (!nodeMapNode) {
+        return;
+      }
+
+      for (
+        let group = nodeMapNode.parentGroup;
+        group;
+        group = group.parentGroup
+      ) {
+        if (selectedKeys.has(group.node[nodeKey])) {
+          return;
+        }
+      }
+
+      arrangedNodes.push({
+        nodeMapNode,
+        bbox: GraphUtils.isGroup(nodeMapNode)
+          ? this.getGroupBBox(nodeMapNode)
+          : this.getNodeBBox(node),
+      });
+    });
+
+    return arrangedNodes;
+  }
+
+  // Moves each arranged node so that its box starts at the given corner, as
+  // far as the layout engine allows, and reports all moved nodes at once.
+  // Groups take their nodes along.
+  moveArrangedNodes(arrangedNodes: IArrangedNode[], corners: IPoint[]) {
+    const { layoutEngine } = this.props;
+    const movedNodes = [];
+
+    arrangedNodes.forEach(({ nodeMapNode, bbox }, i) => {
+      const { node } = nodeMapNode;
+      const x = (node.x || 0) + corners[i].x - bbox.x;
+      const y = (node.y || 0) + corners[i].y - bbox.y;
+      const position = layoutEngine
+        ? layoutEngine.calculatePosition({ x, y })
+        : { x, y };
+      const deltaX = position.x - (node.x || 0);
+      const deltaY = position.y - (node.y || 0);
+
+      if (deltaX === 0 && deltaY === 0) {
+        return;
+      }
+
+      [nodeMapNode, ...GraphUtils.getGroupDescendants(nodeMapNode)].forEach(
+        movedNodeMapNode => {
+          const movedNode = movedNodeMapNode.node;
+
+          if (movedNodes.indexOf(movedNode) !== -1) {
+            return;
+          }
+
+          movedNode.x = (movedNode.x || 0) + deltaX;
+          movedNode.y = (movedNode.y || 0) + deltaY;
+          movedNodes.push(movedNode);
+          this.renderConnectedEdgesFromNode(movedNodeMapNode);
+          this.asyncRenderNode(movedNode);
+        }
+      );
+    });
+
+    this.asyncRenderGroups();
+    this.reportUpdatedNodes(movedNodes);
+  }
+
+  // Lines the selected nodes up on the side or center line of the box around
+  // them.
+  alignSelectedNodes(alignment: INodeAlignment) {
+    const { readOnly } = this.props;
+    const arrangedNodes = this.getArrangedNodes();
+    const bbox = GraphUtils.getBBoxUnion(arrangedNodes.map(({ bbox }) => bbox));
+
+    if (readOnly || !bbox || arrangedNodes.length < 2) {
+      return;
+    }
+
+    this.moveArrangedNodes(
+      arrangedNodes,
+      arrangedNodes.map(({ bbox: nodeBBox }) => {
+        switch (alignment) {
+          case 'left':
+            return { x: bbox.x, y: nodeBBox.y };
+          case 'center':
+            return {
+              x: bbox.x + (bbox.width - nodeBBox.width) / 2,
+              y: nodeBBox.y,
+            };
+          case 'right':
+            return { x: bbox.x + bbox.width - nodeBBox.width, y: nodeBBox.y };
+          case 'top':
+            return { x: nodeBBox.x, y: bbox.y };
+          case 'middle':
+            return {
+              x: nodeBBox.x,
+              y: bbox.y + (bbox.height - nodeBBox.height) / 2,
+            };
+          default:
+            return {
+              x: nodeBBox.x,
+              y: bbox.y + bbox.height - nodeBBox.height,
+            };
+        }
+      })
+    );
+  }
+
+  // Spaces the selected nodes evenly between the first and the last one, so
+  // that the gaps between them are the same.
+  distributeSelectedNodes(distribution: INodeDistribution) {
+    const { readOnly } = this.props;
+    const horizontal = distribution === 'horizontal';
+    const arrangedNodes = this.getArrangedNodes().sort((a, b) =>
+      horizontal ? a.bbox.x - b.bbox.x : a.bbox.y - b.bbox.y
+    );
+
+    if (readOnly || arrangedNodes.length < 3) {
+      return;
+    }
+
+    const getStart = bbox => (horizontal ? bbox.x : bbox.y);
+    const getSize = bbox => (horizontal ? bbox.width : bbox.height);
+    const first = arrangedNodes[0].bbox;
+    const end = Math.max(
+      ...arrangedNodes.map(({ bbox }) => getStart(bbox) + getSize(bbox))
+    );
+    const sizes = arrangedNodes.reduce(
+      (sum, { bbox }) => sum + getSize(bbox),
+      0
+    );
+    const gap = (end - getStart(first) - sizes) / (arrangedNodes.length - 1);
+    let start = getStart(first);
+
+    this.moveArrangedNodes(
+      arrangedNodes,
+      arrangedNodes.map(({ bbox }) => {
+        const corner = horizontal
+          ? { x: start, y: bbox.y }
+          : { x: bbox.x, y: start };
+
+        start += getSize(bbox) + gap;
+
+        return corner;
+      })
+    );
+  }
+
+  // Packs the selected nodes into a grid at the top left corner of the box
+  // around them, in reading order. The cells are as large as the largest
+  // node and gridSpacing apart. The grid is about as wide as it is tall
+  // unless the number of columns is given.
+  packSelectedNodes(columns?: number) {
+    const { gridSpacing, readOnly } = this.props;
+    const arrangedNodes = this.getArrangedNodes().sort(
+      (a, b) => a.bbox.y - b.bbox.y || a.bbox.x - b.bbox.x
+    );
+
+    const bboxes = arrangedNodes.map(({ bbox }) => bbox);
+    const bbox = GraphUtils.getBBoxUnion(bboxes);
+
+    if (readOnly || !bbox || arrangedNodes.length < 2) {
+      return;
+    }
+
+    const columnCount = Math.max(
+      1,
+      columns || Math.ceil(Math.sqrt(arrangedNodes.length))
+    );
+    const gap = gridSpacing || 0;
+    const cellWidth = Math.max(...bboxes.map(nodeBBox => nodeBBox.width)) + gap;
+    const cellHeight =
+      Math.max(...bboxes.map(nodeBBox => nodeBBox.height)) + gap;
+
+    this.moveArrangedNodes(
+      arrangedNodes,
+      bboxes.map((nodeBBox, i) => ({
+        x:
+          bbox.x +
+          (i % columnCount) * cellWidth +
+          (cellWidth - gap - nodeBBox.width) / 2,
+        y:
+          bbox.y +
+          Math.floor(i / columnCount) * cellHeight +
+          (cellHeight - gap - nodeBBox.height) / 2,
+      }))
+    );
+  }
+
+  // Runs the align, distribute and pack commands for their Alt shortcuts.
+  // Returns whether the key was one of them.
+  handleArrangeKey(event: any): boolean {
+    const { code, shiftKey } = event;
+
+    if (
+      !event.altKey ||
+      event.ctrlKey ||
+      event.metaKey ||
+      this.state.selectedNodes.length === 0
+    ) {
+      return false;
+    }
+
+    if (!shiftKey && ALIGN_SHORTCUTS[code]) {
+      this.alignSelectedNodes(ALIGN_SHORTCUTS[code]);
+    } else if (shiftKey && DISTRIBUTE_SHORTCUTS[code]) {
+      this.distributeSelectedNodes(DISTRIBUTE_SHORTCUTS[code]);
+    } else if (!shiftKey && code === PACK_SHORTCUT) {
+      this.packSelectedNodes();
+    } else {
+      return false;
+    }
+
+    event.preventDefault();
+
+    return true;
+  }
+
+  // Tells screen readers about selection changes through the live region.
+  announceSelection(prevSelectedNodes: INode[], prevSelectedEdges: IEdge[]) {
+    const { selectedNodes, selectedEdges } = this.state;
+    const liveRegion = this.liveRegion.current;
+    const isSame = (a: any[], b: any[]) =>
+      a.length === b.length && a.every((entity, i) => entity === b[i]);
+
+    if (
+      !liveRegion ||
+      (isSame(selectedNodes, prevSelectedNodes) &&
+        isSame(selectedEdges, prevSelectedEdges))
+    ) {
+      return;
+    }
+
+    let message;
+
+    if (selectedNodes.length + selectedEdges.length === 0) {
+      message = 'Selection cleared';
+    } else if (selectedNodes.length === 1 && selectedEdges.length === 0) {
+      message = `${selectedNodes[0].title} selected`;
+    } else if (selectedNodes.length === 0 && selectedEdges.length === 1) {
+      const edge = selectedEdges[0];
+      const source = this.getNodeById(edge.source);
+      const target = this.getNodeById(edge.target);
+
+      message = `${Edge.getAriaLabel(
+        edge,
+        source && source.node,
+        target && target.node
+      )} selected`;
+    } else {
+      message = `${selectedNodes.length} nodes and ${selectedEdges.length} edges selected`;
+    }
+
+    liveRegion.textContent = message;
+  }
+
+  handleEdgeSelected = e => {
+    const { id, source, target } = e.target.dataset;
+    let newState = {
+      svgClicked: true,
+      focused: true,
+    };
+
+    if (source && target) {
+      const edgeMapNode = id
+        ? this.getEdgeById(id)
+        : this.getEdgeBySourceTarget(source, target);
+
+      if (!edgeMapNode) {
+        return;
+      }
+
+      const originalArrIndex = edgeMapNode.originalArrIndex;
+
+      const originalEdge = this.state.edges[originalArrIndex];
+      const selectedEdges = this.state.selectedEdges.concat([originalEdge]);
+
+      newState = {
+        ...newState,
+        selectedEdges,
+      };
+      this.setState(newState);
+      this.props.onSelectEdge(originalEdge);
+    } else {
+      this.setState(newState);
+    }
+  };
+
+  handleSvgClicked = (d: any, i: any) => {
+    const { onBackgroundClick, readOnly, onCreateNode } = this.props;
+
+    // the click that ends a selection box drag must not create a node
+    if (this.selectionState.suppressClick) {
+      this.selectionState.suppressClick = false;
+
+      return;
+    }
+
+    // clicks in the minimap only pan the view
+    if (
+      this.minimapWrapper.current &&
+      this.minimapWrapper.current.contains(d3.event.target)
+    ) {
+      return;
+    }
+
+    if (this.isPartOfEdge(d3.event.target)) {
+      this.handleEdgeSelected(d3.event);
+
+      return; // If any part of the edge is clicked, return
+    }
+
+    // groups handle their own clicks
+    if (GraphUtils.findParent(d3.event.target, '.group')) {
+      return;
+    }
+
+    if (!d3.event.shiftKey && onBackgroundClick) {
+      const xycoords = d3.mouse(d3.event.target);
+
+      onBackgroundClick(xycoords[0], xycoords[1], d3.event);
+    }
+
+    // de-select the current selection
+    this.setState({
+      focused: true,
+      svgClicked: true,
+    });
+
+    if (!readOnly && d3.event.shiftKey) {
+      const xycoords = d3.mouse(d3.event.target);
+
+      onCreateNode(xycoords[0], xycoords[1], d3.event);
+    }
+  };
+
+  // Converts a position on the page to graph coordinates through the current
+  // viewTransform.
+  getGraphPoint(clientX: number, clientY: number): IPoint {
+    const { viewTransform } = this.state;
+    const viewWrapper = this.viewWrapper.current;
+    const rect = viewWrapper
+      ? viewWrapper.getBoundingClientRect()
+      : { left: 0, top: 0 };
+    const k = viewTransform ? viewTransform.k : 1;
+    const x = viewTransform ? viewTransform.x : 0;
+    const y = viewTransform ? viewTransform.y : 0;
+
+    return {
+      x: (clientX - rect.left - x) / k,
+      y: (clientY - rect.top - y) / k,
+    };
+  }
+
+  // Accepts drops of NodePalette items.
+  handleDragOver = (event: any) => {
+    if (this.props.readOnly || !NodePalette.isPaletteDrag(event.dataTransfer)) {
+      return;
+    }
+
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+  };
+
+  // Creates a node of the dropped NodePalette item's type where it is dropped,
+  // or where the layout engine puts it.
+  handleDrop = (event: any) => {
+    const { readOnly, layoutEngine, onCreateNode } = this.props;
+    const item = NodePalette.getDraggedItem(event.dataTransfer);
+
+    if (readOnly || !item) {
+      return;
+    }
+
+    event.preventDefault();
+
+    const point = this.getGraphPoint(event.clientX, event.clientY);
+    const position = layoutEngine
+      ? layoutEngine.getPositionForNode(point)
+      : point;
+
+    onCreateNode(position.x, position.y, event, item);
+  };
+
+  // Returns what the given element belongs to, the background when it isn't
+  // part of a node or an edge.
+  getContextMenuTarget(element: any): IContextMenuTarget {
+    const entity = this.getEntityFromElement(element);
+
+    if (entity && entity.node) {
+      return { type: 'node', node: entity.node, edge: null };
+    }
+
+    if (entity && entity.edge) {
+      return { type: 'edge', node: null, edge: entity.edge };
+    }
+
+    return { type: 'background', node: null, edge: null };
+  }
+
+  // Reports right-clicks on the graph to onContextMenu and opens the menu of
+  // contextMenuItems. The browser menu is only kept when neither is set.
+  handleContextMenu = (event: any) => {
+    const { onContextMenu, contextMenuItems } = this.props;
+    const graphSvg = this.graphSvg.current;
+    const viewWrapper = this.viewWrapper.current;
+
+    if (!graphSvg || !viewWrapper || !graphSvg.contains(event.target)) {
+      return;
+    }
+
+    const rect = viewWrapper.getBoundingClientRect();
+    const point = this.getGraphPoint(event.clientX, event.clientY);
+    const target = this.getContextMenuTarget(event.target);
+    const position = {
+      x: event.clientX - rect.left,
+      y: event.clientY - rect.top,
+      worldX: point.x,
+      worldY: point.y,
+    };
+    const contextMenu = { target, position, event };
+    const hasEntries =
+      !!contextMenuItems && this.getContextMenuEntries(contextMenu).length > 0;
+
+    if (!onContextMenu && !hasEntries) {
+      return;
+    }
+
+    event.preventDefault();
+
+    if (onContextMenu) {
+      onContextMenu(target, position, event);
+    }
+
+    if (hasEntries) {
+      // the event is handed to the actions after this handler returns
+      event.persist();
+      this.contextMenu = contextMenu;
+      this.renderContextMenu();
+    }
+  };
+
+  closeContextMenu = () => {
+    const contextMenuWrapper = this.contextMenuWrapper.current;
+    const viewWrapper = this.viewWrapper.current;
+    // the focus goes back to the graph unless it was moved elsewhere
+    const hadFocus =
+      !!contextMenuWrapper &&
+      contextMenuWrapper.contains(document.activeElement);
+
+    this.contextMenu = null;
+    this.renderContextMenu();
+
+    if (hadFocus && viewWrapper) {
+      viewWrapper.focus();
+    }
+  };
+
+  // Whether a built-in context menu action can be used on the target.
+  canRunContextMenuAction(
+    action: IContextMenuAction,
+    target: IContextMenuTarget
+  ): boolean {
+    const {
+      readOnly,
+      canCreateEdge,
+      canDeleteNode,
+      canDeleteEdge,
+      onCreateConnectedNode,
+      onDuplicateNode,
+    } = this.props;
+    const { node } = target;
+
+    switch (action) {
+      case 'delete':
+        if (readOnly) {
+          return false;
+        }
+
+        return target.node
+          ? !!canDeleteNode && canDeleteNode(target.node)
+          : !!target.edge && !!canDeleteEdge && canDeleteEdge(target.edge);
+      case 'duplicate':
+        return !readOnly && !!node && !!onDuplicateNode;
+      case 'addConnectedNode':
+        return (
+          !readOnly &&
+          !!node &&
+          !!onCreateConnectedNode &&
+          (!canCreateEdge || canCreateEdge(node))
+        );
+      case 'createNode':
+        return !readOnly;
+      default:
+        return true;
+    }
+  }
+
+  runContextMenuAction(action: IContextMenuAction, contextMenu: IContextMenu) {
+    const {
+      nodeKey,
+      gridSpacing,
+      layoutEngine,
+      onCreateNode,
+      onCreateConnectedNode,
+      onDuplicateNode,
+    } = this.props;
+    const { target, position, event } = contextMenu;
+    const { node, edge } = target;
+    const getNodePosition = point =>
+      layoutEngine ? layoutEngine.getPositionForNode(point) : point;
+
+    switch (action) {
+      case 'delete':
+        if (node) {
+          this.deleteNodes([node]);
+        } else if (edge) {
+          this.deleteEdges([edge]);
+        }
+
+        break;
+      case 'duplicate':
+        if (node && onDuplicateNode) {
+          // the copy is placed a grid step down and to the right
+          const step = gridSpacing || 0;
+          const copyPosition = getNodePosition({
+            x: (node.x || 0) + step,
+            y: (node.y || 0) + step,
+          });
+
+          onDuplicateNode(node, copyPosition.x, copyPosition.y, event);
+        }
+
+        break;
+      case 'addConnectedNode':
+        if (node && onCreateConnectedNode) {
+          // the new node is placed below, half a node apart
+          const { height } = this.getNodeBBox(node);
+          const nodePosition = getNodePosition({
+            x: node.x || 0,
+            y: (node.y || 0) + height * 1.5,
+          });
+
+          onCreateConnectedNode(node, nodePosition.x, nodePosition.y, event);
+        }
+
+        break;
+      case 'createNode': {
+        const nodePosition = getNodePosition({
+          x: position.worldX,
+          y: position.worldY,
+        });
+
+        onCreateNode(nodePosition.x, nodePosition.y, event);
+
+        break;
+      }
+
+      case 'zoomTo':
+        if (node) {
+          this.panToNode(node[nodeKey], true);
+        } else if (edge) {
+          this.panToEdge(
+            edge.source,
+            edge.target,
+            true,
+            GraphUtils.getEdgeKey(edge)
+          );
+        }
+
+        break;
+      default:
+        break;
+    }
+  }
+
+  // Returns the contextMenuItems that apply to the target of the menu.
+  getContextMenuEntries(contextMenu: IContextMenu): IContextMenuEntry[] {
+    const { contextMenuItems, readOnly } = this.props;
+    const { target, position } = contextMenu;
+    const entries = [];
+
+    (contextMenuItems || []).forEach((item, index) => {
+      if (typeof item === 'string') {
+        const action = CONTEXT_MENU_ACTIONS[item];
+
+        if (action && action.targets.indexOf(target.type) !== -1) {
+          entries.push({
+            key: item,
+            label: action.label,
+            disabled: !this.canRunContextMenuAction(item, target),
+            onSelect: () => this.runContextMenuAction(item, contextMenu),
+          });
+        }
+
+        return;
+      }
+
+      const { label, targets, editsGraph, isEnabled, onSelect } = item;
+
+      if (targets && targets.indexOf(target.type) === -1) {
+        return;
+      }
+
+      entries.push({
+        key: `${index}-${label}`,
+        label,
+        disabled:
+          (!!readOnly && !!editsGraph) || (!!isEnabled && !isEnabled(target)),
+        onSelect: () => onSelect(target, position),
+      });
+    });
+
+    return entries;
+  }
+
+  handleSvgDoubleClicked = () => {
+    const { edgesMap } = this.state;
+    const target = d3.event.target;
+
+    if (!this.isPartOfEdge(target)) {
+      return;
+    }
+
+    const edgeElement = GraphUtils.findParent(target, '.edge-container');
+    const id = edgeElement ? edgeElement.dataset.id : null;
+    const edgeMapNode = id != null && edgesMap ? edgesMap[id] : null;
+
+    if (edgeMapNode) {
+      this.startInlineEdit(null, edgeMapNode.edge);
+    }
+  };
+
+  handleNodeDoubleClick = (node: INode) => {
+    this.startInlineEdit(node, null);
+  };
+
+  // Opens the inline editor for the title of a node or the handle text of an
+  // edge. Edge texts can only be edited when onUpdateEdge is set.
+  startInlineEdit(node: INode | null, edge: IEdge | null) {
+    const { readOnly, onUpdateEdge } = this.props;
+
+    if (readOnly || (!node && !edge) || (edge && !onUpdateEdge)) {
+      return;
+    }
+
+    this.inlineEdit = { node, edge };
+    this.renderInlineEditor();
+  }
+
+  stopInlineEdit() {
+    this.inlineEdit = null;
+    this.renderInlineEditor();
+  }
+
+  handleInlineEditCommit = (value: string) => {
+    const { onUpdateNode, onUpdateEdge } = this.props;
+    const { inlineEdit } = this;
+
+    this.stopInlineEdit();
+
+    if (!inlineEdit) {
+      return;
+    }
+
+    const { node, edge } = inlineEdit;
+
+    if (node && node.title !== value) {
+      node.title = value;
+      onUpdateNode(node);
+      this.asyncRenderNode(node);
+    } else if (edge && onUpdateEdge && edge.handleText !== value) {
+      edge.handleText = value;
+      onUpdateEdge(edge);
+      this.asyncRenderEdge(edge);
+    }
+  };
+
+  handleInlineEditCancel = () => {
+    this.stopInlineEdit();
+  };
+
+  // Returns the middle of the edge path, or of the line between its nodes
+  // when the path isn't rendered.
+  getEdgeMidpoint(edge: IEdge): IPoint {
+    const path: any = Edge.getEdgePathElement(edge, this.viewWrapper.current);
+
+    if (path && path.getTotalLength) {
+      const point = path.getPointAtLength(path.getTotalLength() / 2);
+
+      return { x: point.x, y: point.y };
+    }
+
+    const source = this.getVisibleNodeById(edge.source);
+    const target = this.getVisibleNodeById(edge.target);
+    const sourceNode = source ? this.getPlacedNode(source.node) : {};
+    const targetNode = target ? this.getPlacedNode(target.node) : {};
+
+    return {
+      x: ((sourceNode.x || 0) + (targetNode.x || 0)) / 2,
+      y: ((sourceNode.y || 0) + (targetNode.y || 0)) / 2,
+    };
+  }
+
+  renderContextMenu() {
+    const { contextMenu } = this;
+    const contextMenuWrapper = this.contextMenuWrapper.current;
+
+    if (!contextMenuWrapper) {
+      return;
+    }
+
+    if (!contextMenu) {
+      ReactDOM.unmountComponentAtNode(contextMenuWrapper);
+
+      return;
+    }
+
+    const { x, y } = contextMenu.position;
+
+    ReactDOM.render(
+      <ContextMenu
+        key={`${x}-${y}`}
+        entries={this.getContextMenuEntries(contextMenu)}
+        x={x}
+        y={y}
+        onClose={this.closeContextMenu}
+      />,
+      contextMenuWrapper
+    );
+  }
+
+  /*
+   * Like the Minimap, the inline editor is rendered outside of the GraphView
+   * render cycle so that it can follow zoom changes.
+   */
+  renderInlineEditor() {
+    const { nodeSize, nodeWidth } = this.props;
+    const { viewTransform } = this.state;
+    const { inlineEdit } = this;
+    const inlineEditorWrapper = this.inlineEditorWrapper.current;
+
+    if (!inlineEditorWrapper) {
+      return;
+    }
+
+    if (!inlineEdit) {
+      ReactDOM.unmountComponentAtNode(inlineEditorWrapper);
+
+      return;
+    }
+
+    const { node, edge } = inlineEdit;
+    const { k, x, y } = viewTransform || { k: 1, x: 0, y: 0 };
+    const placedNode = node ? this.getPlacedNode(node) : null;
+    const point = placedNode
+      ? { x: placedNode.x || 0, y: placedNode.y || 0 }
+      : this.getEdgeMidpoint((edge: any));
+    const value = node ? node.title : (edge: any).handleText;
+
+    ReactDOM.render(
+      <InlineEditor
+        key={node ? `node-${node[this.props.nodeKey]}` : 'edge'}
+        value={value || ''}
+        x={point.x * k + x}
+        y={point.y * k + y}
+        width={node ? (nodeWidth || nodeSize || 0) * k : undefined}
+        onCommit={this.handleInlineEditCommit}
+        onCancel={this.handleInlineEditCancel}
+      />,
+      inlineEditorWrapper
+    );
+  }
+
+  handleDocumentClick = (event: any) => {
+    // Ignore document click if it's in the SVGElement
+    if (
+      event &&
+      event.target &&
+      event.target.ownerSVGElement != null &&
+      event.target.ownerSVGElement === this.graphSvg.current
+    ) {
+      return;
+    }
+
+    this.setState({
+      documentClicked: true,
+      focused: false,
+      svgClicked: false,
+    });
+  };
+
+  isPartOfEdge(element: any) {
+    return !!GraphUtils.findParent(element, '.edge-container');
+  }
+
+  handleNodeMove = (
+    position: IPoint,
+    nodeId: string,
+    shiftKey: boolean,
+    sourcePort?: string | null,
+    event?: any
+  ) => {
+    const { canCreateEdge, readOnly, nodeKey } = this.props;
+    const { selectedNodes } = this.state;
+    const nodeMapNode: INodeMapNode | null = this.getNodeById(nodeId);
+
+    if (!nodeMapNode) {
+      return;
+    }
+
+    const node = nodeMapNode.node;
+
+    if (readOnly) {
+      return;
+    }
+
+    if (!shiftKey && !this.state.draggingEdge) {
+      this.nodeMoveInProgress = true;
+
+      const nodesToMove = selectedNodes.find(n => n[nodeKey] === node[nodeKey])
+        ? selectedNodes
+        : selectedNodes.concat([node]);
+      const snap = this.getNodeSnap(node, position, nodesToMove);
+      const deltaX = position.x + snap.x - node.x;
+      const deltaY = position.y + snap.y - node.y;
+
+      this.renderAlignmentGuides(snap.guides);
+
+      GraphUtils.yieldingLoop(nodesToMove.length, 50, i => {
+        const node = nodesToMove[i];
+        const nodeMapNode = this.getNodeById(node[nodeKey]);
+
+        // node moved
+        node.x += deltaX;
+        node.y += deltaY;
+
+        this.renderConnectedEdgesFromNode(nodeMapNode, true);
+        this.asyncRenderNode(node);
+      });
+      this.asyncRenderGroups();
+    } else if (
+      (canCreateEdge &&
+        canCreateEdge(node, undefined, undefined, sourcePort)) ||
+      this.state.draggingEdge
+    ) {
+      // render new edge
+      this.syncRenderEdge({
+        source: nodeId,
+        sourcePort,
+        targetPosition: position,
+      });
+      this.setState({ draggingEdge: true, edgeStartPort: sourcePort || null });
+
+      if (Node.isTouchEvent(event)) {
+        this.updateEdgeEndFromTouch(event);
+      }
+    }
+
+    this.props.onNodeMove(position, node);
+  };
+
+  // Returns how far the layout engine snaps a node dragged to the position
+  // towards the nodes that stay in place. The snap threshold is in screen
+  // pixels, so it doesn't change with the zoom.
+  getNodeSnap(node: INode, position: IPoint, movingNodes: INode[]): ISnap {
+    const { layoutEngine, nodeKey, snapThreshold } = this.props;
+    const { nodes, viewTransform } = this.state;
+
+    if (!layoutEngine || !layoutEngine.getSnapOffset) {
+      return { x: 0, y: 0, guides: [] };
+    }
+
+    const movingKeys = new Set(movingNodes.map(n => n[nodeKey]));
+    const bboxes = nodes
+      .filter(other => {
+        const nodeMapNode = this.getNodeById(other[nodeKey]);
+
+        return (
+          !movingKeys.has(other[nodeKey]) &&
+          nodeMapNode != null &&
+          !this.isNodeHidden(nodeMapNode)
+        );
+      })
+      .map(other => this.getNodeBBox(other));
+
+    return layoutEngine.getSnapOffset(
+      this.getNodeBBox({ ...node, x: position.x, y: position.y }),
+      bboxes,
+      (snapThreshold || 0) / (viewTransform ? viewTransform.k : 1)
+    );
+  }
+
+  // Touches don't fire mouseover on the nodes they move over, so the node and
+  // port a new edge drawn by touch ends at are looked up under the finger.
+  updateEdgeEndFromTouch(event: any) {
+    const { edgeEndNode, edgeEndPort } = this.state;
+    const touch = event.touches ? event.touches[0] : event;
+    const ownerDocument: any = document;
+
+    if (!touch || !ownerDocument.elementsFromPoint) {
+      return;
+    }
+
+    // the edge being drawn is under the finger as well
+    const element = ownerDocument
+      .elementsFromPoint(touch.clientX, touch.clientY)
+      .find(el => GraphUtils.findParent(el, 'g.node'));
+    const entity = element ? this.getEntityFromElement(element) : null;
+    const node = entity ? entity.node : null;
+    const port =
+      node && element.getAttribute ? element.getAttribute('data-port') : null;
+
+    if (node !== edgeEndNode || port !== edgeEndPort) {
+      this.setState({ edgeEndNode: node, edgeEndPort: port });
+    }
+  }
+
+  // Asks the canCreateEdge policy whether startNode can be connected to
+  // endNode, given the edges that already connect the same ports of these
+  // nodes. The ignoredEdge is left out of the existing edges, e.g. when it is
+  // being swapped. Edges can't start at 'in' ports or end at 'out' ports, and
+  // parallel edges and self-loops are refused unless they are allowed.
+  canCreateEdgeBetween(
+    startNode: INode,
+    endNode: INode,
+    ignoredEdge?: IEdge | null,
+    sourcePort?: string | null,
+    targetPort?: string | null
+  ) {
+    const {
+      allowParallelEdges,
+      allowSelfLoops,
+      canCreateEdge,
+      nodeKey,
+      nodeTypes,
+    } = this.props;
+    const ignoredEdgeKey = ignoredEdge && GraphUtils.getEdgeKey(ignoredEdge);
+    const ports = [sourcePort || null, targetPort || null].sort().join();
+    const existingEdges = this.getParallelEdges({
+      source: startNode[nodeKey],
+      target: endNode[nodeKey],
+    }).filter(
+      edge =>
+        GraphUtils.getEdgeKey(edge) !== ignoredEdgeKey &&
+        [edge.sourcePort || null, edge.targetPort || null].sort().join() ===
+          ports
+    );
+
+    if (
+      !Node.canPortStartEdge(Node.getPort(startNode, nodeTypes, sourcePort)) ||
+      !Node.canPortEndEdge(Node.getPort(endNode, nodeTypes, targetPort)) ||
+      (!allowSelfLoops && startNode[nodeKey] === endNode[nodeKey]) ||
+      (!allowParallelEdges && existingEdges.length > 0)
+    ) {
+      return false;
+    }
+
+    return (
+      !canCreateEdge ||
+      canCreateEdge(startNode, endNode, existingEdges, sourcePort, targetPort)
+    );
+  }
+
+  createNewEdge() {
+    const { onCreateEdge } = this.props;
+    const {
+      edgesMap,
+      edgeEndNode,
+      edgeStartPort,
+      edgeEndPort,
+      hoveredNodeData,
+    } = this.state;
+
+    if (!hoveredNodeData) {
+      return;
+    }
+
+    GraphUtils.removeElementFromDom('edge-custom-container');
+
+    if (edgeEndNode) {
+      if (
         edgesMap &&
-        hoveredNodeData !== edgeEndNode &&
-        canCreateEdge &&
-        canCreateEdge(hoveredNodeData, edgeEndNode) &&
-        !edgesMap[mapId1] &&
-        !edgesMap[mapId2]
+        this.canCreateEdgeBetween(
+          hoveredNodeData,
+          edgeEndNode,
+          null,
+          edgeStartPort,
+          edgeEndPort
+        )
       ) {
         this.setState({
           componentUpToDate: false,
           draggedEdge: null,
           draggingEdge: false,
+          edgeStartPort: null,
+          edgeEndPort: null,
         });
 
         // we expect the parent website to set the selected property to the new edge when it's created
-        onCreateEdge(hoveredNodeData, edgeEndNode);
+        onCreateEdge(hoveredNodeData, edgeEndNode, edgeStartPort, edgeEndPort);
       } else {
         // make the system understand that the edge creation process is done even though it didn't work.
         this.setState({
           edgeEndNode: null,
+          edgeStartPort: null,
+          edgeEndPort: null,
           draggingEdge: false,
         });
       }
@@ -766,6 +2440,9 @@ class GraphView extends React.Component<IGraphViewProps, IGraphViewState> {
       return;
     }
 
+    this.nodeMoveInProgress = false;
+    this.renderAlignmentGuides([]);
+
     // Detect if edge is being drawn and link to hovered node
     // This will handle a new edge
     if (shiftKey) {
@@ -798,8 +2475,15 @@ class GraphView extends React.Component<IGraphViewProps, IGraphViewState> {
         hoveredNodeData: data,
       });
     } else if (!hovered && this.state.hoveredNode && this.state.draggingEdge) {
+      // the port under the mouse, if any, is where the new edge ends
+      const target = event && event.target;
+
       this.setState({
         edgeEndNode: data,
+        edgeEndPort:
+          target && target.getAttribute
+            ? target.getAttribute('data-port')
+            : null,
       });
     } else {
       this.setState({
@@ -829,7 +2513,11 @@ class GraphView extends React.Component<IGraphViewProps, IGraphViewState> {
         return;
       }
 
-      this.setState({ hoveredNode: false, edgeEndNode: null });
+      this.setState({
+        hoveredNode: false,
+        edgeEndNode: null,
+        edgeEndPort: null,
+      });
     }
   };
 
@@ -882,22 +2570,32 @@ class GraphView extends React.Component<IGraphViewProps, IGraphViewState> {
     );
   }
 
-  zoomFilter() {
+  zoomFilter = () => {
+    const { selectionModifierKey } = this.props;
+
+    // one finger pans the view unless it drags a node, two pinch-zoom
+    if (d3.event.type === 'touchstart') {
+      return (
+        d3.event.touches.length > 1 ||
+        !GraphUtils.findParent(d3.event.target, '.node')
+      );
+    }
+
     if (d3.event.button || d3.event.ctrlKey) {
       return false;
     }
 
-    return true;
-  }
-
-  // Keeps 'zoom' contained
-  containZoom() {
-    const stop = d3.event.button || d3.event.ctrlKey;
-
-    if (stop) {
-      d3.event.stopImmediatePropagation(); // stop zoom
+    // dragging with the selection modifier draws a selection box instead of panning
+    if (
+      d3.event.type === 'mousedown' &&
+      selectionModifierKey &&
+      d3.event[selectionModifierKey]
+    ) {
+      return false;
     }
-  }
+
+    return true;
+  };
 
   handleZoomStart = () => {
     // Zoom start events also handle edge clicks. We need to determine if an edge
@@ -931,7 +2629,7 @@ class GraphView extends React.Component<IGraphViewProps, IGraphViewState> {
       return false;
     }
 
-    this.removeEdgeElement(edge.source, edge.target);
+    this.removeEdgeElement(edge);
     this.setState({ draggingEdge: true, draggedEdge: edge });
     this.dragEdge(edge);
   };
@@ -969,15 +2667,39 @@ class GraphView extends React.Component<IGraphViewProps, IGraphViewState> {
 
     targetPosition.x += off.xOff;
     targetPosition.y += off.yOff;
-    this.syncRenderEdge({ source: draggedEdge.source, targetPosition });
+    this.syncRenderEdge({
+      source: draggedEdge.source,
+      sourcePort: draggedEdge.sourcePort,
+      targetPosition,
+    });
     this.setState({
       draggedEdge,
       draggingEdge: true,
     });
   }
 
+  // Moves the view to the viewport prop, unless it is there already because
+  // the change came from the view itself.
+  applyViewport() {
+    const { viewport } = this.props;
+    const { viewTransform } = this.state;
+
+    if (
+      !viewport ||
+      (viewTransform &&
+        viewTransform.k === viewport.k &&
+        viewTransform.x === viewport.x &&
+        viewTransform.y === viewport.y)
+    ) {
+      return;
+    }
+
+    this.setZoom(viewport.k, viewport.x, viewport.y, 0);
+  }
+
   // View 'zoom' handler
   handleZoom = () => {
+    const { onViewportChange } = this.props;
     const { draggingEdge } = this.state;
     const transform: IViewTransform = d3.event.transform;
 
@@ -995,6 +2717,23 @@ class GraphView extends React.Component<IGraphViewProps, IGraphViewState> {
           () => {
             // force the child components which are related to zoom level to update
             this.renderGraphControls();
+            this.renderInlineEditor();
+            this.asyncRenderGroups();
+            this.renderMinimap();
+            this.scheduleCullEntities();
+
+            // the menu would no longer be next to its target
+            if (this.contextMenu) {
+              this.closeContextMenu();
+            }
+
+            if (onViewportChange) {
+              onViewportChange({
+                x: transform.x,
+                y: transform.y,
+                k: transform.k,
+              });
+            }
           }
         );
       }
@@ -1006,7 +2745,7 @@ class GraphView extends React.Component<IGraphViewProps, IGraphViewState> {
   };
 
   handleZoomEnd = () => {
-    const { draggingEdge, draggedEdge, edgeEndNode } = this.state;
+    const { draggingEdge, draggedEdge, edgeEndNode, edgeEndPort } = this.state;
 
     const { nodeKey } = this.props;
 
@@ -1047,16 +2786,29 @@ class GraphView extends React.Component<IGraphViewProps, IGraphViewState> {
 
         if (
           edgeEndNode &&
-          !this.getEdgeBySourceTarget(
-            draggedEdge.source,
-            edgeEndNode[nodeKey]
+          this.canCreateEdgeBetween(
+            sourceNode,
+            edgeEndNode,
+            draggedEdge,
+            draggedEdge.sourcePort,
+            edgeEndPort
           ) &&
           this.canSwap(sourceNode, edgeEndNode, draggedEdge)
         ) {
           // determine the target node and update the edge
           draggedEdgeCopy.target = edgeEndNode[nodeKey];
+
+          if (edgeEndPort != null || draggedEdgeCopy.targetPort != null) {
+            draggedEdgeCopy.targetPort = edgeEndPort;
+          }
+
           this.syncRenderEdge(draggedEdgeCopy);
-          this.props.onSwapEdge(sourceNodeById.node, edgeEndNode, draggedEdge);
+          this.props.onSwapEdge(
+            sourceNodeById.node,
+            edgeEndNode,
+            draggedEdge,
+            edgeEndPort
+          );
         } else {
           // this resets the dragged edge back to its original position.
           this.syncRenderEdge(draggedEdge);
@@ -1073,7 +2825,14 @@ class GraphView extends React.Component<IGraphViewProps, IGraphViewState> {
       return;
     }
 
-    const viewBBox = entities.getBBox ? entities.getBBox() : null;
+    // with culling, the entities element only contains the mounted nodes
+    let viewBBox = null;
+
+    if (this.props.enableViewportCulling) {
+      viewBBox = this.getNodesBBox();
+    } else if (entities.getBBox) {
+      viewBBox = entities.getBBox();
+    }
 
     if (!viewBBox) {
       return;
@@ -1121,6 +2880,44 @@ class GraphView extends React.Component<IGraphViewProps, IGraphViewState> {
     this.setZoom(next.k, next.x, next.y, zoomDur);
   };
 
+  // Moves the view by how the size of the wrapper changed, as chosen by
+  // resizeBehavior. The first call only records the size, as ResizeObserver
+  // reports it once observing starts. Hidden views are ignored.
+  handleResize = () => {
+    const { resizeBehavior } = this.props;
+    const { viewTransform } = this.state;
+    const viewWrapper = this.viewWrapper.current;
+
+    if (!viewWrapper || !viewWrapper.clientWidth || !viewWrapper.clientHeight) {
+      return;
+    }
+
+    const width = viewWrapper.clientWidth;
+    const height = viewWrapper.clientHeight;
+    const previous = this.viewSize;
+
+    this.viewSize = { width, height };
+
+    if (!previous || (previous.width === width && previous.height === height)) {
+      return;
+    }
+
+    if (resizeBehavior === 'zoomToFit') {
+      this.handleZoomToFit();
+    } else if (resizeBehavior === 'keepCenter' && viewTransform) {
+      this.setZoom(
+        viewTransform.k,
+        viewTransform.x + (width - previous.width) / 2,
+        viewTransform.y + (height - previous.height) / 2,
+        0
+      );
+    }
+
+    // the minimap follows the size of the view
+    this.renderMinimap();
+    this.scheduleCullEntities();
+  };
+
   // Updates current viewTransform with some delta
   modifyZoom = (
     modK: number = 0,
@@ -1196,10 +2993,16 @@ class GraphView extends React.Component<IGraphViewProps, IGraphViewState> {
       renderNodeText,
       nodeKey,
       maxTitleChars,
+      maxTitleLines,
+      nodeWidth,
+      wrapTitles,
+      dimmedOpacity,
     } = this.props;
 
     const isSelected =
       this.state.selectedNodes.find(n => n[nodeKey] === node[nodeKey]) != null;
+    const isHighlighted = this.isNodeHighlighted(node);
+    const isDimmed = this.highlight != null && !isHighlighted;
 
     return (
       <Node
@@ -1215,124 +3018,570 @@ class GraphView extends React.Component<IGraphViewProps, IGraphViewState> {
         onNodeMove={this.handleNodeMove}
         onNodeUpdate={this.handleNodeUpdate}
         onNodeSelected={this.handleNodeSelected}
+        onNodeDoubleClick={this.handleNodeDoubleClick}
         renderNode={renderNode}
         renderNodeText={renderNodeText}
         isSelected={isSelected}
+        isHighlighted={isHighlighted}
+        isDimmed={isDimmed}
+        opacity={isDimmed ? dimmedOpacity : undefined}
         layoutEngine={this.props.layoutEngine}
         viewWrapperElem={this.viewWrapper.current}
         centerNodeOnMove={this.props.centerNodeOnMove}
         maxTitleChars={maxTitleChars}
+        wrapTitle={wrapTitles}
+        maxTitleLines={maxTitleLines}
+        nodeWidth={nodeWidth}
         scale={
           this.state.viewTransform != null ? this.state.viewTransform.k : 1
         }
-      />
+      />
+    );
+  };
+
+  renderNodes = () => {
+    if (!this.entities) {
+      return;
+    }
+
+    const visibleBBox = this.getVisibleBBox();
+
+    this.state.nodes.forEach((node, i) => {
+      if (this.isNodeInViewport(node, visibleBBox)) {
+        this.asyncRenderNode(node);
+      }
+    });
+    this.asyncRenderGroups();
+  };
+
+  asyncRenderNode(node: INode) {
+    const nodeKey = this.props.nodeKey;
+    const timeoutId = `nodes-${node[nodeKey]}`;
+
+    cancelAnimationFrame(this.nodeTimeouts[timeoutId]);
+    this.nodeTimeouts[timeoutId] = requestAnimationFrame(() => {
+      this.syncRenderNode(node);
+    });
+  }
+
+  syncRenderNode(node: INode) {
+    const nodeKey = this.props.nodeKey;
+    const id = `node-${node[nodeKey]}`;
+    const nodesMapNode = this.getNodeById(node[nodeKey]);
+
+    // groups are drawn in their own layer, and the nodes of collapsed groups
+    // are hidden
+    if (nodesMapNode && this.isNodeHidden(nodesMapNode)) {
+      GraphUtils.removeElementFromDom(`${id}-container`);
+      this.renderConnectedEdgesFromNode(nodesMapNode);
+
+      return;
+    }
+
+    const element: any = this.getNodeComponent(id, node);
+
+    this.renderNode(id, element);
+
+    if (nodesMapNode) {
+      this.renderConnectedEdgesFromNode(nodesMapNode);
+    }
+  }
+
+  renderNode(id: string, element: Element) {
+    if (!this.entities) {
+      return null;
+    }
+
+    const containerId = `${id}-container`;
+    let nodeContainer: HTMLElement | Element | null = document.getElementById(
+      containerId
+    );
+
+    if (!nodeContainer) {
+      nodeContainer = document.createElementNS(
+        'http://www.w3.org/2000/svg',
+        'g'
+      );
+      nodeContainer.id = containerId;
+      this.entities.appendChild(nodeContainer);
+    }
+
+    // ReactDOM.render replaces the insides of an element This renders the element
+    // into the nodeContainer
+    const anyElement: any = element;
+
+    ReactDOM.render(anyElement, nodeContainer);
+  }
+
+  renderConnectedEdgesFromNode(
+    node: INodeMapNode,
+    nodeMoving: boolean = false
+  ) {
+    if (this.state.draggingEdge) {
+      return;
+    }
+
+    node.incomingEdges.forEach(edge => {
+      this.asyncRenderEdge(edge, nodeMoving);
+    });
+    node.outgoingEdges.forEach(edge => {
+      this.asyncRenderEdge(edge, nodeMoving);
+    });
+  }
+
+  isNodeHidden(nodeMapNode: INodeMapNode) {
+    return (
+      GraphUtils.isGroup(nodeMapNode) ||
+      GraphUtils.getCollapsedAncestor(nodeMapNode) != null
+    );
+  }
+
+  // Returns the node drawn in place of the given node, which is the
+  // outermost collapsed group that contains it, if any.
+  getVisibleNodeById(id: string): INodeMapNode | null {
+    const nodeMapNode = this.getNodeById(id);
+
+    if (!nodeMapNode) {
+      return null;
+    }
+
+    return GraphUtils.getCollapsedAncestor(nodeMapNode) || nodeMapNode;
+  }
+
+  // Edges inside a collapsed group are hidden, the other edges of its nodes
+  // are drawn to the group instead.
+  isEdgeHidden(edge: IEdge) {
+    const source = this.getNodeById(edge.source);
+    const target = this.getNodeById(edge.target);
+    const visibleSource = this.getVisibleNodeById(edge.source);
+    const visibleTarget = this.getVisibleNodeById(edge.target);
+
+    if (!source || !target) {
+      return false;
+    }
+
+    return (
+      visibleSource === visibleTarget &&
+      (visibleSource !== source || visibleTarget !== target)
+    );
+  }
+
+  // Expanded groups surround their contents unless they were resized, in
+  // which case they keep their size. Collapsed groups are the size of a node.
+  getGroupBBox(
+    nodeMapNode: INodeMapNode,
+    ancestors: INodeMapNode[] = []
+  ): IBBox {
+    const { node } = nodeMapNode;
+
+    if (node.width && node.height) {
+      return node.collapsed
+        ? this.getNodeBBox(node)
+        : {
+            x: (node.x || 0) - node.width / 2,
+            y: (node.y || 0) - node.height / 2,
+            width: node.width,
+            height: node.height,
+          };
+    }
+
+    const path = ancestors.concat([nodeMapNode]);
+    const bboxes = nodeMapNode.groupChildren
+      .filter(child => path.indexOf(child) === -1)
+      .map(child =>
+        GraphUtils.isGroup(child)
+          ? this.getGroupBBox(child, path)
+          : this.getNodeBBox(child.node)
+      );
+    const bbox = Group.getContentBBox(bboxes);
+
+    // collapsed groups are drawn as a node where their contents are
+    return node.collapsed
+      ? this.getNodeBBox({
+          ...node,
+          x: bbox.x + bbox.width / 2,
+          y: bbox.y + bbox.height / 2,
+        })
+      : bbox;
+  }
+
+  // Returns the node where it is drawn. Groups without a size of their own
+  // are centered on their contents, which leaves the node itself unchanged.
+  getPlacedNode(node: INode): INode {
+    const nodeMapNode = this.getNodeById(node[this.props.nodeKey]);
+
+    if (
+      !nodeMapNode ||
+      !GraphUtils.isGroup(nodeMapNode) ||
+      (node.width && node.height)
+    ) {
+      return node;
+    }
+
+    const bbox = this.getGroupBBox(nodeMapNode);
+
+    return {
+      ...node,
+      x: bbox.x + bbox.width / 2,
+      y: bbox.y + bbox.height / 2,
+    };
+  }
+
+  getGroupComponent(nodeMapNode: INodeMapNode, bbox: IBBox) {
+    const { nodeKey } = this.props;
+    const { selectedNodes, viewTransform } = this.state;
+    const { node } = nodeMapNode;
+    const isSelected =
+      selectedNodes.find(n => n[nodeKey] === node[nodeKey]) != null;
+
+    return (
+      <Group
+        key={node[nodeKey]}
+        id={`node-${node[nodeKey]}`}
+        data={node}
+        bbox={bbox}
+        isSelected={isSelected}
+        scale={viewTransform != null ? viewTransform.k : 1}
+        onGroupSelected={this.handleGroupSelected}
+        onGroupMove={this.handleGroupMove}
+        onGroupMoveEnd={this.handleGroupMoveEnd}
+        onGroupResize={this.handleGroupResize}
+        onGroupResizeEnd={this.handleGroupResizeEnd}
+        onGroupToggle={this.handleGroupToggle}
+      />
+    );
+  }
+
+  asyncRenderGroups() {
+    cancelAnimationFrame(this.renderGroupsRequest);
+    this.renderGroupsRequest = requestAnimationFrame(this.renderGroups);
+  }
+
+  // Draws the visible groups behind the nodes, outer groups first so that
+  // nested groups are drawn on top of them.
+  renderGroups = () => {
+    const { nodeKey } = this.props;
+
+    if (!this.groups) {
+      return;
+    }
+
+    const groups = [];
+
+    this.state.nodes.forEach(node => {
+      const nodeMapNode = this.getNodeById(node[nodeKey]);
+
+      if (
+        nodeMapNode &&
+        GraphUtils.isGroup(nodeMapNode) &&
+        !GraphUtils.getCollapsedAncestor(nodeMapNode)
+      ) {
+        groups.push(nodeMapNode);
+      }
+    });
+    groups.sort(
+      (a, b) =>
+        GraphUtils.getGroupAncestors(a).length -
+        GraphUtils.getGroupAncestors(b).length
+    );
+
+    const elements = groups.map(nodeMapNode => {
+      const key = `${nodeMapNode.node[nodeKey]}`;
+      const bbox = this.getGroupBBox(nodeMapNode);
+      const x = bbox.x + bbox.width / 2;
+      const y = bbox.y + bbox.height / 2;
+      const center = this.groupCenters[key];
+
+      // edges are drawn to the center of the group
+      if (!center || center.x !== x || center.y !== y) {
+        this.groupCenters[key] = { x, y };
+        this.renderConnectedEdgesFromNode(nodeMapNode);
+      }
+
+      return this.getGroupComponent(nodeMapNode, bbox);
+    });
+
+    ReactDOM.render(<g>{elements}</g>, this.groups);
+  };
+
+  // Re-renders everything after a group was collapsed or expanded, which
+  // hides or shows its nodes and moves their edges.
+  renderHierarchy() {
+    const { nodes, edges } = this.state;
+
+    nodes.forEach(node => this.asyncRenderNode(node));
+    edges.forEach(edge => this.asyncRenderEdge(edge));
+    this.asyncRenderGroups();
+  }
+
+  handleGroupSelected = (node: INode, shiftKey: boolean, event?: any) => {
+    this.handleNodeSelected(node, false, event);
+  };
+
+  // Moves the group along with everything in it.
+  handleGroupMove = (node: INode, deltaX: number, deltaY: number) => {
+    const { nodeKey, readOnly } = this.props;
+    const nodeMapNode = this.getNodeById(node[nodeKey]);
+
+    if (readOnly || !nodeMapNode) {
+      return;
+    }
+
+    this.nodeMoveInProgress = true;
+
+    [nodeMapNode, ...GraphUtils.getGroupDescendants(nodeMapNode)].forEach(
+      movedNodeMapNode => {
+        const movedNode = movedNodeMapNode.node;
+
+        movedNode.x = (movedNode.x || 0) + deltaX;
+        movedNode.y = (movedNode.y || 0) + deltaY;
+
+        if (movedNodeMapNode !== nodeMapNode) {
+          this.asyncRenderNode(movedNode);
+        }
+
+        this.renderConnectedEdgesFromNode(movedNodeMapNode, true);
+      }
     );
+    this.asyncRenderGroups();
   };
 
-  renderNodes = () => {
-    if (!this.entities) {
+  handleGroupMoveEnd = (node: INode) => {
+    const { nodeKey } = this.props;
+    const nodeMapNode = this.getNodeById(node[nodeKey]);
+
+    this.nodeMoveInProgress = false;
+
+    if (!nodeMapNode) {
       return;
     }
 
-    this.state.nodes.forEach((node, i) => {
-      this.asyncRenderNode(node);
+    this.reportUpdatedNodes(
+      [nodeMapNode, ...GraphUtils.getGroupDescendants(nodeMapNode)].map(
+        movedNodeMapNode => movedNodeMapNode.node
+      )
+    );
+
+    // force a re-render
+    this.setState({
+      componentUpToDate: false,
     });
   };
 
-  asyncRenderNode(node: INode) {
-    const nodeKey = this.props.nodeKey;
-    const timeoutId = `nodes-${node[nodeKey]}`;
+  handleGroupResize = (node: INode, bbox: IBBox) => {
+    const { nodeKey, readOnly } = this.props;
+    const nodeMapNode = this.getNodeById(node[nodeKey]);
 
-    cancelAnimationFrame(this.nodeTimeouts[timeoutId]);
-    this.nodeTimeouts[timeoutId] = requestAnimationFrame(() => {
-      this.syncRenderNode(node);
-    });
-  }
+    if (readOnly || !nodeMapNode) {
+      return;
+    }
 
-  syncRenderNode(node: INode) {
-    const nodeKey = this.props.nodeKey;
-    const id = `node-${node[nodeKey]}`;
-    const element: any = this.getNodeComponent(id, node);
-    const nodesMapNode = this.getNodeById(node[nodeKey]);
+    node.width = bbox.width;
+    node.height = bbox.height;
+    node.x = bbox.x + bbox.width / 2;
+    node.y = bbox.y + bbox.height / 2;
 
-    this.renderNode(id, element);
+    this.renderConnectedEdgesFromNode(nodeMapNode);
+    this.asyncRenderGroups();
+  };
 
-    if (nodesMapNode) {
-      this.renderConnectedEdgesFromNode(nodesMapNode);
+  handleGroupResizeEnd = (node: INode) => {
+    const { onUpdateNode, readOnly } = this.props;
+
+    if (readOnly) {
+      return;
     }
-  }
 
-  renderNode(id: string, element: Element) {
-    if (!this.entities) {
-      return null;
+    onUpdateNode(node);
+  };
+
+  handleGroupToggle = (node: INode) => {
+    const { onUpdateNode, readOnly } = this.props;
+
+    if (readOnly) {
+      return;
     }
 
-    const containerId = `${id}-container`;
-    let nodeContainer: HTMLElement | Element | null = document.getElementById(
-      containerId
+    node.collapsed = !node.collapsed;
+
+    onUpdateNode(node);
+    this.renderHierarchy();
+  };
+
+  isEdgeSelected = (edge: IEdge) => {
+    const edgeKey = GraphUtils.getEdgeKey(edge);
+
+    return (
+      this.state.selectedEdges.length > 0 &&
+      this.state.selectedEdges.find(
+        e => GraphUtils.getEdgeKey(e) === edgeKey
+      ) != null
     );
+  };
 
-    if (!nodeContainer) {
-      nodeContainer = document.createElementNS(
-        'http://www.w3.org/2000/svg',
-        'g'
-      );
-      nodeContainer.id = containerId;
-      this.entities.appendChild(nodeContainer);
-    }
+  isNodeHighlighted(node: INode) {
+    const { highlight } = this;
 
-    // ReactDOM.render replaces the insides of an element This renders the element
-    // into the nodeContainer
-    const anyElement: any = element;
+    return (
+      highlight != null && !!highlight.nodes[`key-${node[this.props.nodeKey]}`]
+    );
+  }
 
-    ReactDOM.render(anyElement, nodeContainer);
+  isEdgeHighlighted(edge: IEdge) {
+    const { highlight } = this;
+
+    return (
+      highlight != null &&
+      !!highlight.edges[`key-${GraphUtils.getEdgeKey(edge)}`]
+    );
   }
 
-  renderConnectedEdgesFromNode(
-    node: INodeMapNode,
-    nodeMoving: boolean = false
-  ) {
-    if (this.state.draggingEdge) {
-      return;
+  // Returns the nodes and edges given to highlightNodes, or else the ones
+  // that the highlight prop picks from the selected nodes. Returns null when
+  // nothing is highlighted, and nothing is dimmed.
+  getHighlight(): IHighlight | null {
+    const { highlight, nodeKey } = this.props;
+    const { nodesMap, edges, selectedNodes } = this.state;
+    const selectedIds = selectedNodes.map(node => `${node[nodeKey]}`);
+    let nodeIds = [];
+    let highlightedEdges = null;
+
+    if (this.highlightOverride) {
+      nodeIds = this.highlightOverride.nodeIds;
+      highlightedEdges = this.highlightOverride.edges;
+    } else if (highlight === 'chain' && selectedIds.length > 0) {
+      const { upstream, downstream } = GraphUtils.getNeighborhood(
+        nodesMap,
+        selectedIds
+      );
+
+      nodeIds = [...upstream, ...selectedIds, ...downstream];
+    } else if (highlight === 'path' && selectedIds.length === 2) {
+      const [first, second] = selectedIds;
+      const path =
+        GraphUtils.shortestPath(nodesMap, first, second) ||
+        GraphUtils.shortestPath(nodesMap, second, first) ||
+        [];
+
+      nodeIds = path;
+      highlightedEdges = edges.filter(edge => {
+        const index = path.indexOf(`${edge.source}`);
+
+        return index !== -1 && path[index + 1] === `${edge.target}`;
+      });
     }
 
-    node.incomingEdges.forEach(edge => {
-      this.asyncRenderEdge(edge, nodeMoving);
+    if (nodeIds.length === 0) {
+      return null;
+    }
+
+    const result = { nodes: {}, edges: {} };
+
+    nodeIds.forEach(id => {
+      result.nodes[`key-${id}`] = true;
     });
-    node.outgoingEdges.forEach(edge => {
-      this.asyncRenderEdge(edge, nodeMoving);
+
+    (
+      highlightedEdges ||
+      edges.filter(
+        edge =>
+          result.nodes[`key-${edge.source}`] &&
+          result.nodes[`key-${edge.target}`]
+      )
+    ).forEach(edge => {
+      result.edges[`key-${GraphUtils.getEdgeKey(edge)}`] = true;
     });
+
+    return result;
   }
 
-  isEdgeSelected = (edge: IEdge) => {
-    return (
-      this.state.selectedEdges.length > 0 &&
-      this.state.selectedEdges.find(
-        e => e.source === edge.source && e.target === edge.target
-      ) !== null
+  // Recomputes the highlight and returns whether it changed.
+  updateHighlight(): boolean {
+    const highlight = this.getHighlight();
+    const changed = !isSameHighlight(highlight, this.highlight);
+
+    this.highlight = highlight;
+
+    return changed;
+  }
+
+  // Highlights the given nodes and dims the rest of the graph, overriding the
+  // highlight prop until it is called with null. The edges between the nodes
+  // are highlighted when no edges are given.
+  highlightNodes(ids: string[] | null, edges?: IEdge[] | null = null) {
+    // the search no longer owns the highlight, so closing it keeps this one
+    this.searchHighlight = null;
+    this.setHighlightOverride(
+      ids ? { nodeIds: ids.map(id => `${id}`), edges } : null
     );
-  };
+  }
+
+  setHighlightOverride(highlightOverride: IHighlightOverride | null) {
+    this.highlightOverride = highlightOverride;
+
+    if (this.updateHighlight()) {
+      this.renderNodes();
+      this.renderEdges();
+    }
+  }
 
   getEdgeComponent = (edge: IEdge | any) => {
-    const sourceNodeMapNode = this.getNodeById(edge.source);
-    const sourceNode = sourceNodeMapNode ? sourceNodeMapNode.node : null;
-    const targetNodeMapNode = this.getNodeById(edge.target);
-    const targetNode = targetNodeMapNode ? targetNodeMapNode.node : null;
+    const sourceNodeMapNode = this.getVisibleNodeById(edge.source);
+    const sourceNode = sourceNodeMapNode
+      ? this.getPlacedNode(sourceNodeMapNode.node)
+      : null;
+    const targetNodeMapNode = this.getVisibleNodeById(edge.target);
+    const targetNode = targetNodeMapNode
+      ? this.getPlacedNode(targetNodeMapNode.node)
+      : null;
     const targetPosition = edge.targetPosition;
-    const { edgeTypes, edgeHandleSize, nodeSize, nodeKey } = this.props;
+    const edgeKey = GraphUtils.getEdgeKey(edge);
+    const parallelEdges = this.getParallelEdges(edge);
+    const parallelIndex = parallelEdges.findIndex(
+      e => GraphUtils.getEdgeKey(e) === edgeKey
+    );
+    const {
+      edgeTypes,
+      edgeHandleSize,
+      edgeRouting,
+      nodeSize,
+      nodeKey,
+      nodeTypes,
+      dimmedOpacity,
+    } = this.props;
+    const isHighlighted = this.isEdgeHighlighted(edge);
+    const isDimmed = this.highlight != null && !isHighlighted;
+    // edges are only drawn to ports of visible nodes, not to the collapsed
+    // groups that contain them
+    const sourceAnchor =
+      sourceNode && sourceNode[nodeKey] === edge.source
+        ? Node.getPortPosition(sourceNode, nodeTypes, edge.sourcePort)
+        : null;
+    const targetAnchor =
+      targetNode && targetNode[nodeKey] === edge.target
+        ? Node.getPortPosition(targetNode, nodeTypes, edge.targetPort)
+        : null;
 
     return (
       <Edge
         data={edge}
         edgeTypes={edgeTypes}
         edgeHandleSize={edgeHandleSize}
+        edgeRouting={edgeRouting}
         nodeSize={nodeSize}
         sourceNode={sourceNode}
         targetNode={targetNode || targetPosition}
         nodeKey={nodeKey}
         viewWrapperElem={this.viewWrapper.current}
         isSelected={this.isEdgeSelected(edge)}
+        isHighlighted={isHighlighted}
+        isDimmed={isDimmed}
+        opacity={isDimmed ? dimmedOpacity : undefined}
         rotateEdgeHandle={this.props.rotateEdgeHandle}
+        parallelIndex={Math.max(parallelIndex, 0)}
+        parallelCount={Math.max(parallelEdges.length, 1)}
+        sourceAnchor={sourceAnchor}
+        targetAnchor={targetAnchor}
       />
     );
   };
@@ -1353,83 +3602,363 @@ class GraphView extends React.Component<IGraphViewProps, IGraphViewState> {
     const { afterRenderEdge } = this.props;
     let edgeContainer = document.getElementById(containerId);
 
-    if (nodeMoving && edgeContainer) {
-      edgeContainer.style.display = 'none';
-      containerId = `${id}-custom-container`;
-      edgeContainer = document.getElementById(containerId);
-    } else if (edgeContainer) {
-      const customContainer = document.getElementById(customContainerId);
+    if (nodeMoving && edgeContainer) {
+      edgeContainer.style.display = 'none';
+      containerId = `${id}-custom-container`;
+      edgeContainer = document.getElementById(containerId);
+    } else if (edgeContainer) {
+      const customContainer = document.getElementById(customContainerId);
+
+      edgeContainer.style.display = '';
+
+      if (customContainer) {
+        customContainer.remove();
+      }
+    }
+
+    if (!edgeContainer && edge !== draggedEdge) {
+      const newSvgEdgeContainer = document.createElementNS(
+        'http://www.w3.org/2000/svg',
+        'g'
+      );
+
+      newSvgEdgeContainer.id = containerId;
+      this.entities.appendChild(newSvgEdgeContainer);
+      edgeContainer = newSvgEdgeContainer;
+    }
+
+    // ReactDOM.render replaces the insides of an element This renders the element
+    // into the edgeContainer
+    if (edgeContainer) {
+      ReactDOM.render(element, edgeContainer);
+
+      if (afterRenderEdge) {
+        return afterRenderEdge(
+          id,
+          element,
+          edge,
+          edgeContainer,
+          this.isEdgeSelected(edge)
+        );
+      }
+    }
+  };
+
+  asyncRenderEdge = (edge: IEdge, nodeMoving: boolean = false) => {
+    if (!edge.source || !edge.target) {
+      return;
+    }
+
+    const timeoutId = `edges-${GraphUtils.getEdgeElementId(edge)}`;
+
+    cancelAnimationFrame(this.edgeTimeouts[timeoutId]);
+    this.edgeTimeouts[timeoutId] = requestAnimationFrame(() => {
+      this.syncRenderEdge(edge, nodeMoving);
+    });
+  };
+
+  syncRenderEdge(edge: IEdge | any, nodeMoving: boolean = false) {
+    if (!edge.source) {
+      return;
+    }
+
+    if (edge.target && this.isEdgeHidden(edge)) {
+      this.removeEdgeElement(edge);
+
+      return;
+    }
+
+    // We have to use the 'custom' id when we're drawing a new node
+    const id = `edge-${GraphUtils.getEdgeElementId(edge)}`;
+    const element = this.getEdgeComponent(edge);
+
+    this.renderEdge(id, element, edge, nodeMoving);
+  }
+
+  renderEdges = () => {
+    const { edges, draggingEdge } = this.state;
+
+    if (!this.entities || draggingEdge) {
+      return;
+    }
+
+    const visibleBBox = this.getVisibleBBox();
+
+    for (let i = 0; i < edges.length; i++) {
+      if (this.isEdgeInViewport(edges[i], visibleBBox)) {
+        this.asyncRenderEdge(edges[i]);
+      }
+    }
+  };
+
+  // Returns the visible part of the graph in graph coordinates, grown by
+  // viewportCullingMargin. Returns null when nothing should be culled.
+  getVisibleBBox(): IBBox | null {
+    const { enableViewportCulling, viewportCullingMargin } = this.props;
+    const { viewTransform } = this.state;
+    const viewWrapper = this.viewWrapper.current;
+
+    if (
+      !enableViewportCulling ||
+      !viewTransform ||
+      !viewWrapper ||
+      !viewWrapper.clientWidth ||
+      !viewWrapper.clientHeight
+    ) {
+      return null;
+    }
+
+    const { k, x, y } = viewTransform;
+    const margin = viewportCullingMargin || 0;
+
+    return {
+      x: (-x - margin) / k,
+      y: (-y - margin) / k,
+      width: (viewWrapper.clientWidth + margin * 2) / k,
+      height: (viewWrapper.clientHeight + margin * 2) / k,
+    };
+  }
+
+  isNodeInViewport(node: INode, visibleBBox: IBBox | null) {
+    const { nodeKey } = this.props;
+
+    if (!visibleBBox) {
+      return true;
+    }
+
+    // selected nodes stay mounted so they can still be moved and deleted
+    if (this.state.selectedNodes.find(n => n[nodeKey] === node[nodeKey])) {
+      return true;
+    }
+
+    return GraphUtils.isBBoxIntersecting(this.getNodeBBox(node), visibleBBox);
+  }
+
+  isEdgeInViewport(edge: IEdge, visibleBBox: IBBox | null) {
+    const sourceNodeMapNode = this.getVisibleNodeById(edge.source);
+    const targetNodeMapNode = this.getVisibleNodeById(edge.target);
+
+    if (!visibleBBox || !sourceNodeMapNode || !targetNodeMapNode) {
+      return true;
+    }
+
+    const source = this.getPlacedNode(sourceNodeMapNode.node);
+    const target = this.getPlacedNode(targetNodeMapNode.node);
+
+    if (
+      this.isEdgeSelected(edge) ||
+      this.isNodeInViewport(source, visibleBBox) ||
+      this.isNodeInViewport(target, visibleBBox)
+    ) {
+      return true;
+    }
+
+    // an edge between two off-screen nodes can still cross the viewport
+    return GraphUtils.isBBoxIntersecting(
+      GraphUtils.getBBoxFromPoints(
+        source.x || 0,
+        source.y || 0,
+        target.x || 0,
+        target.y || 0
+      ),
+      visibleBBox
+    );
+  }
+
+  scheduleCullEntities() {
+    if (!this.props.enableViewportCulling) {
+      return;
+    }
+
+    cancelAnimationFrame(this.cullEntitiesRequest);
+    this.cullEntitiesRequest = requestAnimationFrame(this.cullEntities);
+  }
+
+  // Mounts the nodes and edges that scrolled into view and removes the ones
+  // that left it.
+  cullEntities = () => {
+    const { nodeKey } = this.props;
+    const { nodes, edges, draggingEdge } = this.state;
+    const visibleBBox = this.getVisibleBBox();
+
+    // moving nodes and dragged edges must stay mounted
+    if (
+      !this.entities ||
+      !visibleBBox ||
+      draggingEdge ||
+      this.nodeMoveInProgress
+    ) {
+      return;
+    }
+
+    nodes.forEach(node => {
+      const containerId = `node-${node[nodeKey]}-container`;
+      const isMounted = document.getElementById(containerId) != null;
+      const isVisible = this.isNodeInViewport(node, visibleBBox);
 
-      edgeContainer.style.display = '';
+      if (isVisible && !isMounted) {
+        this.asyncRenderNode(node);
+      } else if (!isVisible && isMounted) {
+        cancelAnimationFrame(this.nodeTimeouts[`nodes-${node[nodeKey]}`]);
+        GraphUtils.removeElementFromDom(containerId);
+      }
+    });
 
-      if (customContainer) {
-        customContainer.remove();
+    edges.forEach(edge => {
+      if (!edge.source || !edge.target) {
+        return;
       }
-    }
 
-    if (!edgeContainer && edge !== draggedEdge) {
-      const newSvgEdgeContainer = document.createElementNS(
-        'http://www.w3.org/2000/svg',
-        'g'
-      );
+      const id = GraphUtils.getEdgeElementId(edge);
+      const isMounted = document.getElementById(`edge-${id}-container`) != null;
+      const isVisible = this.isEdgeInViewport(edge, visibleBBox);
 
-      newSvgEdgeContainer.id = containerId;
-      this.entities.appendChild(newSvgEdgeContainer);
-      edgeContainer = newSvgEdgeContainer;
+      if (isVisible && !isMounted) {
+        this.asyncRenderEdge(edge);
+      } else if (!isVisible && isMounted) {
+        cancelAnimationFrame(this.edgeTimeouts[`edges-${id}`]);
+        this.removeEdgeElement(edge);
+      }
+    });
+  };
+
+  // Mounts the nodes and edges that viewport culling left out of the DOM. The
+  // next cullEntities removes them again.
+  mountCulledEntities() {
+    const { nodeKey } = this.props;
+    const { nodes, edges } = this.state;
+
+    if (!this.entities || !this.getVisibleBBox()) {
+      return;
     }
 
-    // ReactDOM.render replaces the insides of an element This renders the element
-    // into the edgeContainer
-    if (edgeContainer) {
-      ReactDOM.render(element, edgeContainer);
+    nodes.forEach(node => {
+      if (!document.getElementById(`node-${node[nodeKey]}-container`)) {
+        this.syncRenderNode(node);
+      }
+    });
 
-      if (afterRenderEdge) {
-        return afterRenderEdge(
-          id,
-          element,
-          edge,
-          edgeContainer,
-          this.isEdgeSelected(edge)
-        );
+    edges.forEach(edge => {
+      const id = GraphUtils.getEdgeElementId(edge);
+
+      if (
+        edge.source &&
+        edge.target &&
+        !document.getElementById(`edge-${id}-container`)
+      ) {
+        this.syncRenderEdge(edge);
       }
+    });
+  }
+
+  // Opens the search box, or moves the focus back to it when it is open.
+  openSearch() {
+    if (!this.props.enableSearch) {
+      return;
     }
-  };
 
-  asyncRenderEdge = (edge: IEdge, nodeMoving: boolean = false) => {
-    if (!edge.source || !edge.target) {
+    if (this.search) {
+      if (this.searchBox.current) {
+        this.searchBox.current.focus();
+      }
+
       return;
     }
 
-    const timeoutId = `edges-${edge.source}-${edge.target}`;
+    this.search = { query: '', results: [], index: -1 };
+    this.renderGraphControls();
+  }
 
-    cancelAnimationFrame(this.edgeTimeouts[timeoutId]);
-    this.edgeTimeouts[timeoutId] = requestAnimationFrame(() => {
-      this.syncRenderEdge(edge, nodeMoving);
+  closeSearch = () => {
+    const viewWrapper = this.viewWrapper.current;
+
+    this.search = null;
+    this.highlightSearchResults(null);
+    this.renderGraphControls();
+
+    if (viewWrapper) {
+      viewWrapper.focus();
+    }
+  };
+
+  // Matches are highlighted on the canvas while the rest is dimmed. Groups
+  // and the nodes of collapsed groups aren't drawn as nodes and can't be
+  // found.
+  handleSearchChange = (query: string) => {
+    const { nodeKey, searchFields } = this.props;
+    const nodes = this.state.nodes.filter(node => {
+      const nodeMapNode = this.getNodeById(node[nodeKey]);
+
+      return nodeMapNode != null && !this.isNodeHidden(nodeMapNode);
     });
+    const results = query.trim()
+      ? SearchBox.search(nodes, query, searchFields || ['title'])
+      : [];
+
+    this.search = { query, results, index: -1 };
+    this.highlightSearchResults(query.trim() ? results : null);
+    this.renderGraphControls();
   };
 
-  syncRenderEdge(edge: IEdge | any, nodeMoving: boolean = false) {
-    if (!edge.source) {
+  // Highlights the search results without their edges, or brings back the
+  // highlight the search replaced when results is null.
+  highlightSearchResults(results: INode[] | null) {
+    const { nodeKey } = this.props;
+    const { searchHighlight } = this;
+
+    if (!results) {
+      if (searchHighlight) {
+        this.searchHighlight = null;
+        this.setHighlightOverride(searchHighlight.previous);
+      }
+
       return;
     }
 
-    // We have to use the 'custom' id when we're drawing a new node
-    const idVar = edge.target ? `${edge.source}-${edge.target}` : 'custom';
-    const id = `edge-${idVar}`;
-    const element = this.getEdgeComponent(edge);
+    if (!searchHighlight) {
+      this.searchHighlight = { previous: this.highlightOverride };
+    }
 
-    this.renderEdge(id, element, edge, nodeMoving);
+    this.setHighlightOverride({
+      nodeIds: results.map(node => `${node[nodeKey]}`),
+      edges: [],
+    });
   }
 
-  renderEdges = () => {
-    const { edges, draggingEdge } = this.state;
+  // Pans and zooms to the search result at the given index, wrapping around
+  // at either end.
+  goToSearchResult = (index: number) => {
+    const { search } = this;
 
-    if (!this.entities || draggingEdge) {
+    if (!search || search.results.length === 0) {
       return;
     }
 
-    for (let i = 0; i < edges.length; i++) {
-      this.asyncRenderEdge(edges[i]);
+    const count = search.results.length;
+    const resultIndex = ((index % count) + count) % count;
+    const node = search.results[resultIndex];
+
+    this.search = { ...search, index: resultIndex };
+
+    // culled nodes are drawn before panning to them
+    if (!this.getEntityElement({ node, edge: null })) {
+      this.syncRenderNode(node);
+    }
+
+    this.panToNode(node[this.props.nodeKey], true);
+    this.renderGraphControls();
+  };
+
+  handleSearchNext = () => {
+    if (this.search) {
+      this.goToSearchResult(this.search.index + 1);
+    }
+  };
+
+  handleSearchPrevious = () => {
+    if (this.search) {
+      // before the first result, going back starts from the last one
+      this.goToSearchResult(Math.max(this.search.index, 0) - 1);
     }
   };
 
@@ -1440,14 +3969,16 @@ class GraphView extends React.Component<IGraphViewProps, IGraphViewState> {
    * without causing a full GraphView render.
    */
   renderGraphControls() {
-    const { showGraphControls, minZoom, maxZoom } = this.props;
+    const { showGraphControls, minZoom, maxZoom, nodeKey } = this.props;
     const { viewTransform } = this.state;
+    const { search } = this;
+    const viewWrapper = this.viewWrapper ? this.viewWrapper.current : null;
 
-    if (!showGraphControls || !this.viewWrapper) {
+    if (!viewWrapper) {
       return;
     }
 
-    const graphControlsWrapper = this.viewWrapper.current.ownerDocument.getElementById(
+    const graphControlsWrapper = viewWrapper.ownerDocument.getElementById(
       'react-digraph-graph-controls-wrapper'
     );
 
@@ -1455,19 +3986,94 @@ class GraphView extends React.Component<IGraphViewProps, IGraphViewState> {
       return;
     }
 
+    if (!showGraphControls && !search) {
+      // removes the search box once it is closed
+      if (graphControlsWrapper.hasChildNodes()) {
+        ReactDOM.unmountComponentAtNode(graphControlsWrapper);
+      }
+
+      return;
+    }
+
     ReactDOM.render(
-      <GraphControls
-        ref={this.graphControls}
-        minZoom={minZoom}
-        maxZoom={maxZoom}
-        zoomLevel={viewTransform ? viewTransform.k : 1}
-        zoomToFit={this.handleZoomToFit}
-        modifyZoom={this.modifyZoom}
-      />,
+      <React.Fragment>
+        {showGraphControls && (
+          <GraphControls
+            ref={this.graphControls}
+            minZoom={minZoom}
+            maxZoom={maxZoom}
+            zoomLevel={viewTransform ? viewTransform.k : 1}
+            zoomToFit={this.handleZoomToFit}
+            modifyZoom={this.modifyZoom}
+          />
+        )}
+        {search && (
+          <SearchBox
+            ref={this.searchBox}
+            query={search.query}
+            results={search.results}
+            activeIndex={search.index}
+            nodeKey={nodeKey}
+            onChange={this.handleSearchChange}
+            onSelect={this.goToSearchResult}
+            onNext={this.handleSearchNext}
+            onPrevious={this.handleSearchPrevious}
+            onClose={this.closeSearch}
+          />
+        )}
+      </React.Fragment>,
       graphControlsWrapper
     );
   }
 
+  /*
+   * Like GraphControls, the Minimap is rendered outside of the GraphView render
+   * cycle so that it can follow zoom changes and node moves.
+   */
+  renderMinimap() {
+    const {
+      showMinimap,
+      minimapPosition,
+      minimapWidth,
+      minimapHeight,
+      nodeKey,
+      nodeSize,
+      nodeWidth,
+      nodeHeight,
+    } = this.props;
+    const { viewTransform, nodes, edges } = this.state;
+    const minimapWrapper = this.minimapWrapper.current;
+    const viewWrapper = this.viewWrapper.current;
+
+    if (!minimapWrapper || !viewWrapper) {
+      return;
+    }
+
+    if (!showMinimap) {
+      ReactDOM.unmountComponentAtNode(minimapWrapper);
+
+      return;
+    }
+
+    ReactDOM.render(
+      <Minimap
+        nodes={nodes.map(node => this.getPlacedNode(node))}
+        edges={edges}
+        nodeKey={nodeKey}
+        nodeWidth={nodeWidth || nodeSize || 0}
+        nodeHeight={nodeHeight || nodeSize || 0}
+        viewTransform={viewTransform}
+        viewWidth={viewWrapper.clientWidth}
+        viewHeight={viewWrapper.clientHeight}
+        width={minimapWidth}
+        height={minimapHeight}
+        position={minimapPosition}
+        setZoom={(k, x, y, dur) => this.setZoom(k, x, y, dur)}
+      />,
+      minimapWrapper
+    );
+  }
+
   render() {
     const {
       edgeArrowSize,
@@ -1483,7 +4089,20 @@ class GraphView extends React.Component<IGraphViewProps, IGraphViewState> {
     } = this.props;
 
     return (
-      <div className="view-wrapper" ref={this.viewWrapper}>
+      <div
+        className="view-wrapper"
+        ref={this.viewWrapper}
+        tabIndex={0}
+        role="application"
+        aria-label="Graph"
+        onFocus={this.handleWrapperFocus}
+        onBlur={this.handleWrapperBlur}
+        onDragOver={this.handleDragOver}
+        onDrop={this.handleDrop}
+        onContextMenu={this.handleContextMenu}
+      >
+        <div className="inline-editor-wrapper" ref={this.inlineEditorWrapper} />
+        <div className="context-menu-wrapper" ref={this.contextMenuWrapper} />
         <svg className="graph" ref={this.graphSvg}>
           <Defs
             edgeArrowSize={edgeArrowSize}
@@ -1503,20 +4122,46 @@ class GraphView extends React.Component<IGraphViewProps, IGraphViewState> {
               renderBackground={renderBackground}
             />
 
+            <g className="groups" ref={el => (this.groups = el)} />
+
             <g className="entities" ref={el => (this.entities = el)} />
+
+            <g className="alignment-guides" ref={this.alignmentGuides} />
+
+            <rect className="selection-box" ref={this.selectionBox} />
           </g>
         </svg>
         <div
           id="react-digraph-graph-controls-wrapper"
           className="graph-controls-wrapper"
         />
+        <div className="minimap-wrapper" ref={this.minimapWrapper} />
+        <div
+          className="live-region"
+          ref={this.liveRegion}
+          role="status"
+          aria-live="polite"
+          aria-atomic="true"
+        />
       </div>
     );
   }
 
   handlePanStart(event: any) {
+    const { selectionModifierKey } = this.props;
     const { clientX, clientY } = event;
 
+    // only the primary button pans, the others open menus
+    if (event.button) {
+      return;
+    }
+
+    if (selectionModifierKey && event[selectionModifierKey]) {
+      this.handleSelectionStart(event);
+
+      return;
+    }
+
     this.panState = { clientX, clientY, requestId: null, panning: true };
   }
 
@@ -1552,6 +4197,167 @@ class GraphView extends React.Component<IGraphViewProps, IGraphViewState> {
     this.panState.panning = false;
   }
 
+  handleSelectionStart(event: any) {
+    const [x, y] = d3.clientPoint(this.view, event);
+
+    this.selectionState = {
+      selecting: true,
+      moved: false,
+      suppressClick: false,
+      startClientX: event.clientX,
+      startClientY: event.clientY,
+      startX: x,
+      startY: y,
+      x,
+      y,
+    };
+
+    // listen on the document so the box keeps following the mouse over nodes
+    document.addEventListener('mousemove', this.handleSelectionMove);
+    document.addEventListener('mouseup', this.handleSelectionEnd);
+  }
+
+  handleSelectionMove = (event: any) => {
+    const { startClientX, startClientY } = this.selectionState;
+    const [x, y] = d3.clientPoint(this.view, event);
+    // ignore tiny movements so a modifier click still reaches handleSvgClicked
+    const moved =
+      this.selectionState.moved ||
+      Math.abs(event.clientX - startClientX) > 2 ||
+      Math.abs(event.clientY - startClientY) > 2;
+
+    this.selectionState = {
+      ...this.selectionState,
+      moved,
+      x,
+      y,
+    };
+    this.renderSelectionBox();
+  };
+
+  handleSelectionEnd = () => {
+    const { moved } = this.selectionState;
+
+    document.removeEventListener('mousemove', this.handleSelectionMove);
+    document.removeEventListener('mouseup', this.handleSelectionEnd);
+
+    this.selectionState = {
+      ...this.selectionState,
+      selecting: false,
+      suppressClick: moved,
+    };
+    this.renderSelectionBox();
+
+    if (moved) {
+      this.selectEntitiesInBBox(this.getSelectionBBox());
+    }
+  };
+
+  getSelectionBBox(): IBBox {
+    const { startX, startY, x, y } = this.selectionState;
+
+    return GraphUtils.getBBoxFromPoints(startX, startY, x, y);
+  }
+
+  renderSelectionBox() {
+    const selectionBox = this.selectionBox.current;
+
+    if (!selectionBox) {
+      return;
+    }
+
+    const { selecting, moved } = this.selectionState;
+
+    if (!selecting || !moved) {
+      selectionBox.style.display = '';
+
+      return;
+    }
+
+    const bbox = this.getSelectionBBox();
+
+    d3.select(selectionBox)
+      .attr('x', bbox.x)
+      .attr('y', bbox.y)
+      .attr('width', bbox.width)
+      .attr('height', bbox.height);
+    selectionBox.style.display = 'inline';
+  }
+
+  // Draws the guides to the nodes a dragged node snapped to.
+  renderAlignmentGuides(guides: IAlignmentGuide[]) {
+    const alignmentGuides = this.alignmentGuides.current;
+
+    if (!alignmentGuides) {
+      return;
+    }
+
+    d3.select(alignmentGuides)
+      .selectAll('line')
+      .data(guides)
+      .join('line')
+      .attr('class', guide => `alignment-guide ${guide.type}`)
+      .attr('x1', guide => guide.x1)
+      .attr('y1', guide => guide.y1)
+      .attr('x2', guide => guide.x2)
+      .attr('y2', guide => guide.y2);
+  }
+
+  getNodeBBox(node: INode): IBBox {
+    const { nodeSize, nodeWidth, nodeHeight } = this.props;
+
+    return GraphUtils.getNodeBBox(
+      node,
+      nodeWidth || nodeSize || 0,
+      nodeHeight || nodeSize || 0
+    );
+  }
+
+  // Returns the box around all nodes, or null when there are none.
+  getNodesBBox(): IBBox | null {
+    const { nodes } = this.state;
+
+    if (nodes.length === 0) {
+      return null;
+    }
+
+    const bboxes = nodes.map(node =>
+      this.getNodeBBox(this.getPlacedNode(node))
+    );
+    const x = Math.min(...bboxes.map(bbox => bbox.x));
+    const y = Math.min(...bboxes.map(bbox => bbox.y));
+
+    return {
+      x,
+      y,
+      width: Math.max(...bboxes.map(bbox => bbox.x + bbox.width)) - x,
+      height: Math.max(...bboxes.map(bbox => bbox.y + bbox.height)) - y,
+    };
+  }
+
+  // Selects every node whose bounding box lies within bbox, along with the
+  // edges between them, and reports the selection to the consumer.
+  selectEntitiesInBBox(bbox: IBBox) {
+    const { nodeKey, onSelectionChange } = this.props;
+    const { nodes, edges } = this.state;
+    const selectedNodes = nodes.filter(node =>
+      GraphUtils.isBBoxInside(this.getNodeBBox(node), bbox)
+    );
+    const selectedIds = {};
+
+    selectedNodes.forEach(node => {
+      selectedIds[node[nodeKey]] = true;
+    });
+
+    const selectedEdges = edges.filter(
+      edge => selectedIds[edge.source] && selectedIds[edge.target]
+    );
+
+    if (onSelectionChange) {
+      onSelectionChange(selectedNodes, selectedEdges);
+    }
+  }
+
   /* Imperative API */
   panToEntity(entity: IEdge | INode, zoom: boolean) {
     const { viewTransform } = this.state;
@@ -1590,6 +4396,155 @@ class GraphView extends React.Component<IGraphViewProps, IGraphViewState> {
     this.setZoom(next.k, next.x, next.y, this.props.zoomDur);
   }
 
+  undo() {
+    const entry = this.props.readOnly ? null : this.history.undo();
+
+    if (!entry) {
+      return false;
+    }
+
+    this.applyHistoryEntry(entry, true);
+
+    return true;
+  }
+
+  redo() {
+    const entry = this.props.readOnly ? null : this.history.redo();
+
+    if (!entry) {
+      return false;
+    }
+
+    this.applyHistoryEntry(entry, false);
+
+    return true;
+  }
+
+  canUndo() {
+    return this.history.canUndo();
+  }
+
+  canRedo() {
+    return this.history.canRedo();
+  }
+
+  clearHistory() {
+    this.history.clear();
+    this.historySnapshot = null;
+    this.recordHistory();
+  }
+
+  // Returns the box around the drawn nodes, edges and groups in graph
+  // coordinates.
+  getEntitiesBBox(): IBBox | null {
+    const bboxes = [this.groups, this.entities]
+      .filter(layer => layer && layer.getBBox)
+      .map(layer => layer.getBBox())
+      .filter(bbox => bbox.width > 0 || bbox.height > 0);
+
+    return GraphUtils.getBBoxUnion(bboxes);
+  }
+
+  getExport(options: IExportOptions) {
+    const { padding = 20, background = true } = options;
+    const svg = this.graphSvg.current;
+
+    if (!svg) {
+      return null;
+    }
+
+    // the export has the whole graph, not only the part in view
+    this.mountCulledEntities();
+
+    const bbox = this.getEntitiesBBox();
+    const clone: any = bbox ? svg.cloneNode(true) : null;
+
+    this.scheduleCullEntities();
+
+    if (!bbox) {
+      return null;
+    }
+
+    const width = bbox.width + padding * 2;
+    const height = bbox.height + padding * 2;
+    const removedSelectors = background
+      ? ['.selection-box', '.alignment-guides']
+      : ['.selection-box', '.alignment-guides', '.background'];
+
+    // the copy has the same elements as long as nothing has been removed
+    GraphUtils.inlineStyles(svg, clone, EXPORTED_STYLES);
+
+    removedSelectors.forEach(selector => {
+      clone.querySelectorAll(selector).forEach(element => {
+        element.parentNode.removeChild(element);
+      });
+    });
+
+    // the view box crops the graph instead of the zoom transform
+    clone.querySelector('.view').removeAttribute('transform');
+    clone.setAttribute('xmlns', SVG_NAMESPACE);
+    clone.setAttribute('xmlns:xlink', XLINK_NAMESPACE);
+    clone.setAttribute('width', width);
+    clone.setAttribute('height', height);
+    clone.setAttribute(
+      'viewBox',
+      `${bbox.x - padding} ${bbox.y - padding} ${width} ${height}`
+    );
+
+    return {
+      svg: new XMLSerializer().serializeToString(clone),
+      width,
+      height,
+    };
+  }
+
+  // Returns the graph as a standalone SVG document, cropped to its nodes,
+  // edges and groups, or null when nothing is drawn.
+  exportSVG(options?: IExportOptions = {}): string | null {
+    const graphExport = this.getExport(options);
+
+    return graphExport ? graphExport.svg : null;
+  }
+
+  // Resolves with the exported SVG rasterized as a PNG data URL.
+  exportPNG(options?: IExportOptions = {}): Promise<string> {
+    const { scale = 1 } = options;
+    const graphExport = this.getExport(options);
+
+    return new Promise((resolve, reject) => {
+      if (!graphExport) {
+        reject(new Error('There is nothing to export'));
+
+        return;
+      }
+
+      const image = new Image();
+
+      image.onload = () => {
+        const canvas = document.createElement('canvas');
+        const context = canvas.getContext('2d');
+
+        canvas.width = Math.ceil(graphExport.width * scale);
+        canvas.height = Math.ceil(graphExport.height * scale);
+
+        if (!context) {
+          reject(new Error('Canvas is not supported'));
+
+          return;
+        }
+
+        context.scale(scale, scale);
+        context.drawImage(image, 0, 0, graphExport.width, graphExport.height);
+        resolve(canvas.toDataURL('image/png'));
+      };
+
+      image.onerror = () => reject(new Error('The SVG could not be rendered'));
+      image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(
+        graphExport.svg
+      )}`;
+    });
+  }
+
   panToNode(id: string, zoom?: boolean = false) {
     if (!this.entities) {
       return;
@@ -1600,14 +4555,26 @@ class GraphView extends React.Component<IGraphViewProps, IGraphViewState> {
     this.panToEntity(node, zoom);
   }
 
-  panToEdge(source: string, target: string, zoom?: boolean = false) {
+  // Pans to the first edge from source to target, or to the edge with the
+  // given id when there are parallel edges.
+  panToEdge(
+    source: string,
+    target: string,
+    zoom?: boolean = false,
+    id?: string
+  ) {
     if (!this.entities) {
       return;
     }
 
-    const edge = this.entities.querySelector(
-      `#edge-${source}-${target}-container`
+    const edgeMapNode =
+      id != null
+        ? this.getEdgeById(id)
+        : this.getEdgeBySourceTarget(source, target);
+    const elementId = GraphUtils.getEdgeElementId(
+      edgeMapNode ? edgeMapNode.edge : { source, target }
     );
+    const edge = this.entities.querySelector(`#edge-${elementId}-container`);
 
     this.panToEntity(edge, zoom);
   }
@@ -0,0 +1,239 @@
+// @flow
+/*
+  Copyright(c) 2018 Uber Technologies, Inc.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+          http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+/*
+  Container drawn behind the nodes of a group. Dragging the container moves
+  the whole group, the handle in the bottom right corner resizes it and the
+  button next to the title collapses the group into a single node.
+*/
+
+import * as React from 'react';
+import GraphUtils from '../utilities/graph-util';
+import { type IBBox } from './graph-view-props';
+import { type INode } from './node';
+
+type IGroupProps = {
+  data: INode,
+  id: string,
+  bbox: IBBox,
+  isSelected: boolean,
+  scale: number,
+  onGroupSelected: (data: INode, shiftKey: boolean, event?: any) => void,
+  onGroupMove: (data: INode, deltaX: number, deltaY: number) => void,
+  onGroupMoveEnd: (data: INode) => void,
+  onGroupResize: (data: INode, bbox: IBBox) => void,
+  onGroupResizeEnd: (data: INode) => void,
+  onGroupToggle: (data: INode) => void,
+};
+
+type IDragState = {
+  clientX: number,
+  clientY: number,
+  moved: boolean,
+  resizing: boolean,
+  width: number,
+  height: number,
+};
+
+export const MIN_GROUP_SIZE = 40;
+const PADDING = 20;
+const RESIZE_HANDLE_SIZE = 10;
+const TITLE_OFFSET = 20;
+
+class Group extends React.Component<IGroupProps> {
+  static defaultProps = {
+    isSelected: false,
+    scale: 1,
+  };
+
+  // Returns the box around the contents of a group, with room for the title.
+  static getContentBBox(bboxes: IBBox[]): IBBox {
+    if (bboxes.length === 0) {
+      return { x: 0, y: 0, width: MIN_GROUP_SIZE, height: MIN_GROUP_SIZE };
+    }
+
+    const x = Math.min(...bboxes.map(bbox => bbox.x));
+    const y = Math.min(...bboxes.map(bbox => bbox.y));
+    const width = Math.max(...bboxes.map(bbox => bbox.x + bbox.width)) - x;
+    const height = Math.max(...bboxes.map(bbox => bbox.y + bbox.height)) - y;
+
+    return {
+      x: x - PADDING,
+      y: y - PADDING - TITLE_OFFSET,
+      width: width + PADDING * 2,
+      height: height + PADDING * 2 + TITLE_OFFSET,
+    };
+  }
+
+  dragState: IDragState | null;
+
+  constructor(props: IGroupProps) {
+    super(props);
+
+    this.dragState = null;
+  }
+
+  componentWillUnmount() {
+    this.removeDragListeners();
+  }
+
+  startDrag(event: any, resizing: boolean) {
+    const { bbox } = this.props;
+
+    event.preventDefault();
+    event.stopPropagation();
+
+    this.dragState = {
+      clientX: event.clientX,
+      clientY: event.clientY,
+      moved: false,
+      resizing,
+      width: bbox.width,
+      height: bbox.height,
+    };
+
+    document.addEventListener('mousemove', this.handleMouseMove);
+    document.addEventListener('mouseup', this.handleMouseUp);
+  }
+
+  handleMouseDown = (event: any) => {
+    const { data, onGroupSelected } = this.props;
+
+    onGroupSelected(data, event.shiftKey, event);
+    this.startDrag(event, false);
+  };
+
+  handleResizeMouseDown = (event: any) => {
+    this.startDrag(event, true);
+  };
+
+  handleMouseMove = (event: any) => {
+    const { dragState } = this;
+    const { data, bbox, scale, onGroupMove, onGroupResize } = this.props;
+
+    if (!dragState) {
+      return;
+    }
+
+    const deltaX = (event.clientX - dragState.clientX) / (scale || 1);
+    const deltaY = (event.clientY - dragState.clientY) / (scale || 1);
+
+    dragState.moved = true;
+
+    if (dragState.resizing) {
+      // the top left corner stays in place
+      onGroupResize(data, {
+        x: bbox.x,
+        y: bbox.y,
+        width: Math.max(dragState.width + deltaX, MIN_GROUP_SIZE),
+        height: Math.max(dragState.height + deltaY, MIN_GROUP_SIZE),
+      });
+
+      return;
+    }
+
+    // moves are reported relative to the previous mouse position
+    dragState.clientX = event.clientX;
+    dragState.clientY = event.clientY;
+    onGroupMove(data, deltaX, deltaY);
+  };
+
+  handleMouseUp = () => {
+    const { dragState } = this;
+    const { data, onGroupMoveEnd, onGroupResizeEnd } = this.props;
+
+    this.dragState = null;
+    this.removeDragListeners();
+
+    if (!dragState || !dragState.moved) {
+      return;
+    }
+
+    if (dragState.resizing) {
+      onGroupResizeEnd(data);
+    } else {
+      onGroupMoveEnd(data);
+    }
+  };
+
+  handleToggleMouseDown = (event: any) => {
+    // keeps the click from starting a drag
+    event.stopPropagation();
+  };
+
+  handleToggleClick = (event: any) => {
+    const { data, onGroupToggle } = this.props;
+
+    event.stopPropagation();
+    onGroupToggle(data);
+  };
+
+  removeDragListeners() {
+    document.removeEventListener('mousemove', this.handleMouseMove);
+    document.removeEventListener('mouseup', this.handleMouseUp);
+  }
+
+  render() {
+    const { data, id, bbox, isSelected } = this.props;
+    const { collapsed } = data;
+    const className = GraphUtils.classNames('group', {
+      collapsed,
+      selected: isSelected,
+    });
+
+    return (
+      <g className={className} id={id} data-id={id}>
+        <rect
+          className="group-body"
+          x={bbox.x}
+          y={bbox.y}
+          width={bbox.width}
+          height={bbox.height}
+          onMouseDown={this.handleMouseDown}
+        />
+        <text
+          className="group-title"
+          x={bbox.x + TITLE_OFFSET / 2}
+          y={bbox.y + TITLE_OFFSET}
+        >
+          {data.title}
+        </text>
+        <text
+          className="group-toggle"
+          x={bbox.x + bbox.width - TITLE_OFFSET}
+          y={bbox.y + TITLE_OFFSET}
+          onMouseDown={this.handleToggleMouseDown}
+          onClick={this.handleToggleClick}
+        >
+          {collapsed ? '+' : '−'}
+        </text>
+        {!collapsed && (
+          <rect
+            className="group-resize-handle"
+            x={bbox.x + bbox.width - RESIZE_HANDLE_SIZE}
+            y={bbox.y + bbox.height - RESIZE_HANDLE_SIZE}
+            width={RESIZE_HANDLE_SIZE}
+            height={RESIZE_HANDLE_SIZE}
+            onMouseDown={this.handleResizeMouseDown}
+          />
+        )}
+      </g>
+    );
+  }
+}
+
+export default Group;
@@ -0,0 +1,108 @@
+// @flow
+/*
+  Copyright(c) 2018 Uber Technologies, Inc.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+          http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+/*
+  Text input drawn over the graph to edit a node title or an edge handle text
+  in place. Enter and leaving the input commit the text, Escape cancels.
+*/
+
+import * as React from 'react';
+
+type IInlineEditorProps = {
+  value: string,
+  // center of the editor relative to the graph view
+  x: number,
+  y: number,
+  width: number,
+  onCommit: (value: string) => void,
+  onCancel: () => void,
+};
+
+class InlineEditor extends React.Component<IInlineEditorProps> {
+  static defaultProps = {
+    width: 120,
+  };
+
+  input: any;
+  done: boolean;
+
+  constructor(props: IInlineEditorProps) {
+    super(props);
+
+    this.input = React.createRef();
+    this.done = false;
+  }
+
+  componentDidMount() {
+    const input = this.input.current;
+
+    if (input) {
+      input.focus();
+      input.select();
+    }
+  }
+
+  commit() {
+    if (this.done) {
+      return;
+    }
+
+    this.done = true;
+    this.props.onCommit(this.input.current ? this.input.current.value : '');
+  }
+
+  cancel() {
+    if (this.done) {
+      return;
+    }
+
+    this.done = true;
+    this.props.onCancel();
+  }
+
+  handleKeyDown = (event: any) => {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      this.commit();
+    } else if (event.key === 'Escape') {
+      event.preventDefault();
+      this.cancel();
+    }
+  };
+
+  handleBlur = () => {
+    this.commit();
+  };
+
+  render() {
+    const { value, x, y, width } = this.props;
+
+    return (
+      <input
+        ref={this.input}
+        className="inline-editor"
+        type="text"
+        defaultValue={value}
+        style={{ left: x - width / 2, top: y, width }}
+        onKeyDown={this.handleKeyDown}
+        onBlur={this.handleBlur}
+      />
+    );
+  }
+}
+
+export default InlineEditor;
@@ -0,0 +1,284 @@
+// @flow
+/*
+  Copyright(c) 2018 Uber Technologies, Inc.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+          http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+/*
+  Overview of the whole graph for GraphView. Clicking or dragging in the
+  minimap pans the main view.
+*/
+
+import * as React from 'react';
+import GraphUtils from '../utilities/graph-util';
+import { type IEdge } from './edge';
+import { type IBBox } from './graph-view-props';
+import { type INode, type IPoint } from './node';
+
+export type IMinimapPosition =
+  | 'top-left'
+  | 'top-right'
+  | 'bottom-left'
+  | 'bottom-right';
+
+type IMinimapProps = {
+  nodes: INode[],
+  edges: IEdge[],
+  nodeKey: string,
+  nodeWidth: number,
+  nodeHeight: number,
+  viewTransform?: { k: number, x: number, y: number },
+  viewWidth: number,
+  viewHeight: number,
+  width: number,
+  height: number,
+  position: IMinimapPosition,
+  setZoom: (k: number, x: number, y: number, dur: number) => void,
+};
+
+type IDragState = {
+  bbox: IBBox,
+  offsetX: number,
+  offsetY: number,
+};
+
+const PADDING = 20;
+
+class Minimap extends React.Component<IMinimapProps> {
+  static defaultProps = {
+    height: 150,
+    position: 'bottom-right',
+    width: 200,
+  };
+
+  svg: any;
+  dragState: IDragState | null;
+
+  constructor(props: IMinimapProps) {
+    super(props);
+
+    this.svg = React.createRef();
+    this.dragState = null;
+  }
+
+  componentWillUnmount() {
+    this.removeDragListeners();
+  }
+
+  // Returns the visible part of the graph in graph coordinates.
+  getViewportBBox(): IBBox {
+    const { viewTransform, viewWidth, viewHeight } = this.props;
+    const { k, x, y } = viewTransform || { k: 1, x: 0, y: 0 };
+
+    return {
+      x: -x / k,
+      y: -y / k,
+      width: viewWidth / k,
+      height: viewHeight / k,
+    };
+  }
+
+  // The minimap shows all nodes and the viewport, even when the user has
+  // panned away from the graph.
+  getContentBBox(): IBBox {
+    const { nodes, nodeWidth, nodeHeight } = this.props;
+    const viewport = this.getViewportBBox();
+    let minX = viewport.x;
+    let minY = viewport.y;
+    let maxX = viewport.x + viewport.width;
+    let maxY = viewport.y + viewport.height;
+
+    nodes.forEach(node => {
+      const bbox = GraphUtils.getNodeBBox(node, nodeWidth, nodeHeight);
+
+      minX = Math.min(minX, bbox.x);
+      minY = Math.min(minY, bbox.y);
+      maxX = Math.max(maxX, bbox.x + bbox.width);
+      maxY = Math.max(maxY, bbox.y + bbox.height);
+    });
+
+    return {
+      x: minX - PADDING,
+      y: minY - PADDING,
+      width: maxX - minX + PADDING * 2,
+      height: maxY - minY + PADDING * 2,
+    };
+  }
+
+  // Converts a point relative to the minimap to graph coordinates, matching
+  // the svg's "xMidYMid meet" scaling.
+  getGraphPoint(x: number, y: number, bbox: IBBox): IPoint {
+    const { width, height } = this.props;
+    const scale = Math.min(width / bbox.width, height / bbox.height);
+    const offsetX = (width - bbox.width * scale) / 2;
+    const offsetY = (height - bbox.height * scale) / 2;
+
+    return {
+      x: bbox.x + (x - offsetX) / scale,
+      y: bbox.y + (y - offsetY) / scale,
+    };
+  }
+
+  getEventGraphPoint(event: any, bbox: IBBox): IPoint {
+    const rect = this.svg.current.getBoundingClientRect();
+
+    return this.getGraphPoint(
+      event.clientX - rect.left,
+      event.clientY - rect.top,
+      bbox
+    );
+  }
+
+  // Pans the main view so that its center is at the given graph point.
+  panTo(point: IPoint) {
+    const { viewTransform, viewWidth, viewHeight, setZoom } = this.props;
+    const k = viewTransform ? viewTransform.k : 1;
+
+    setZoom(k, viewWidth / 2 - point.x * k, viewHeight / 2 - point.y * k, 0);
+  }
+
+  handleMouseDown = (event: any) => {
+    event.preventDefault();
+    event.stopPropagation();
+
+    // keep the scale fixed while dragging, otherwise the viewport would move
+    // under the cursor as the content bounds change
+    const bbox = this.getContentBBox();
+    const point = this.getEventGraphPoint(event, bbox);
+    const viewport = this.getViewportBBox();
+    const isInViewport = GraphUtils.isBBoxInside(
+      { x: point.x, y: point.y, width: 0, height: 0 },
+      viewport
+    );
+
+    // Dragging the viewport keeps the grab point under the cursor, clicking
+    // elsewhere centers the view on the clicked point.
+    this.dragState = {
+      bbox,
+      offsetX: isInViewport ? viewport.x + viewport.width / 2 - point.x : 0,
+      offsetY: isInViewport ? viewport.y + viewport.height / 2 - point.y : 0,
+    };
+
+    if (!isInViewport) {
+      this.panTo(point);
+    }
+
+    document.addEventListener('mousemove', this.handleMouseMove);
+    document.addEventListener('mouseup', this.handleMouseUp);
+  };
+
+  handleMouseMove = (event: any) => {
+    const { dragState } = this;
+
+    if (!dragState) {
+      return;
+    }
+
+    const point = this.getEventGraphPoint(event, dragState.bbox);
+
+    this.panTo({
+      x: point.x + dragState.offsetX,
+      y: point.y + dragState.offsetY,
+    });
+  };
+
+  handleMouseUp = () => {
+    this.dragState = null;
+    this.removeDragListeners();
+  };
+
+  removeDragListeners() {
+    document.removeEventListener('mousemove', this.handleMouseMove);
+    document.removeEventListener('mouseup', this.handleMouseUp);
+  }
+
+  renderEdges(): Array<React.Node> {
+    const { nodes, edges, nodeKey } = this.props;
+    const nodesById = {};
+
+    nodes.forEach(node => {
+      nodesById[node[nodeKey]] = node;
+    });
+
+    return edges.map((edge, i) => {
+      const source = nodesById[edge.source];
+      const target = nodesById[edge.target];
+
+      if (!source || !target) {
+        return null;
+      }
+
+      return (
+        <line
+          key={i}
+          className="minimap-edge"
+          x1={source.x || 0}
+          y1={source.y || 0}
+          x2={target.x || 0}
+          y2={target.y || 0}
+        />
+      );
+    });
+  }
+
+  renderNodes(): Array<React.Node> {
+    const { nodes, nodeKey, nodeWidth, nodeHeight } = this.props;
+
+    return nodes.map(node => {
+      const bbox = GraphUtils.getNodeBBox(node, nodeWidth, nodeHeight);
+
+      return (
+        <rect
+          key={node[nodeKey]}
+          className="minimap-node"
+          x={bbox.x}
+          y={bbox.y}
+          width={bbox.width}
+          height={bbox.height}
+        />
+      );
+    });
+  }
+
+  render() {
+    const { width, height, position } = this.props;
+    const bbox = this.dragState ? this.dragState.bbox : this.getContentBBox();
+    const viewport = this.getViewportBBox();
+
+    return (
+      <div className={`minimap ${position}`} style={{ width, height }}>
+        <svg
+          ref={this.svg}
+          width={width}
+          height={height}
+          viewBox={`${bbox.x} ${bbox.y} ${bbox.width} ${bbox.height}`}
+          preserveAspectRatio="xMidYMid meet"
+          onMouseDown={this.handleMouseDown}
+        >
+          <g className="minimap-edges">{this.renderEdges()}</g>
+          <g className="minimap-nodes">{this.renderNodes()}</g>
+          <rect
+            className="minimap-viewport"
+            x={viewport.x}
+            y={viewport.y}
+            width={viewport.width}
+            height={viewport.height}
+          />
+        </svg>
+      </div>
+    );
+  }
+}
+
+export default Minimap;
@@ -0,0 +1,163 @@
+// @flow
+/*
+  Copyright(c) 2018 Uber Technologies, Inc.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+          http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+/*
+  List of the node types that can be dragged onto a GraphView to create a
+  node of that type. It can be placed anywhere on the page.
+*/
+
+import * as React from 'react';
+import GraphUtils from '../utilities/graph-util';
+
+// the type and subtype of the node that is created when an item is dropped
+export type INodePaletteItem = {
+  type: string,
+  subtype: string | null,
+};
+
+type INodePaletteProps = {
+  nodeTypes: any,
+  // lists every type with each subtype as well when set
+  nodeSubtypes?: any,
+  itemSize: number,
+  className?: string,
+};
+
+// the drag data format that GraphView accepts drops of
+export const NODE_PALETTE_DATA_TYPE = 'application/x-react-digraph-node';
+
+class NodePalette extends React.Component<INodePaletteProps> {
+  static defaultProps = {
+    itemSize: 40,
+  };
+
+  // Returns the item carried by a drag, or null when it comes from elsewhere.
+  static getDraggedItem(dataTransfer: any): INodePaletteItem | null {
+    const data = dataTransfer
+      ? dataTransfer.getData(NODE_PALETTE_DATA_TYPE)
+      : '';
+
+    if (!data) {
+      return null;
+    }
+
+    try {
+      const item = JSON.parse(data);
+
+      return item && typeof item.type === 'string'
+        ? { type: item.type, subtype: item.subtype || null }
+        : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Whether a drag carries a palette item. The data itself can only be read
+  // on drop.
+  static isPaletteDrag(dataTransfer: any): boolean {
+    const types = dataTransfer ? dataTransfer.types : null;
+
+    return !!types && Array.from(types).indexOf(NODE_PALETTE_DATA_TYPE) !== -1;
+  }
+
+  // Draws the symbol of a type config in place, so the palette doesn't depend
+  // on the defs of a GraphView. Shapes that aren't symbols are referenced by
+  // their shapeId instead.
+  static renderShape(config: any, className: string) {
+    const { shape, shapeId } = config || {};
+
+    if (React.isValidElement(shape) && shape.props.viewBox) {
+      return (
+        <svg className={className} viewBox={shape.props.viewBox}>
+          {shape.props.children}
+        </svg>
+      );
+    }
+
+    return shapeId ? <use className={className} xlinkHref={shapeId} /> : null;
+  }
+
+  getItems(): INodePaletteItem[] {
+    const { nodeTypes, nodeSubtypes } = this.props;
+    const items = [];
+
+    Object.keys(nodeTypes).forEach(type => {
+      items.push({ type, subtype: null });
+
+      Object.keys(nodeSubtypes || {}).forEach(subtype => {
+        items.push({ type, subtype });
+      });
+    });
+
+    return items;
+  }
+
+  getLabel(item: INodePaletteItem) {
+    const { nodeTypes, nodeSubtypes } = this.props;
+    const typeText = nodeTypes[item.type].typeText || item.type;
+
+    if (!item.subtype || !nodeSubtypes) {
+      return typeText;
+    }
+
+    return `${typeText} (${nodeSubtypes[item.subtype].typeText ||
+      item.subtype})`;
+  }
+
+  handleDragStart = (event: any, item: INodePaletteItem) => {
+    event.dataTransfer.setData(NODE_PALETTE_DATA_TYPE, JSON.stringify(item));
+    event.dataTransfer.effectAllowed = 'copy';
+  };
+
+  renderItem(item: INodePaletteItem) {
+    const { nodeTypes, nodeSubtypes, itemSize } = this.props;
+    const label = this.getLabel(item);
+
+    return (
+      <li
+        key={`${item.type}-${item.subtype || ''}`}
+        className="node-palette-item"
+        title={label}
+        draggable={true}
+        onDragStart={event => this.handleDragStart(event, item)}
+      >
+        <svg className="node-palette-shape" width={itemSize} height={itemSize}>
+          {item.subtype &&
+            nodeSubtypes &&
+            NodePalette.renderShape(
+              nodeSubtypes[item.subtype],
+              'subtype-shape'
+            )}
+          {NodePalette.renderShape(nodeTypes[item.type], 'node')}
+        </svg>
+        <span className="node-palette-label">{label}</span>
+      </li>
+    );
+  }
+
+  render() {
+    const { className } = this.props;
+
+    return (
+      <ul className={GraphUtils.classNames('node-palette', className)}>
+        {this.getItems().map(item => this.renderItem(item))}
+      </ul>
+    );
+  }
+}
+
+export default NodePalette;
@@ -16,7 +16,11 @@
 */
 
 import * as React from 'react';
-import GraphUtils from '../utilities/graph-util';
+import GraphUtils, {
+  TITLE_FONT_SIZE,
+  TITLE_LINE_HEIGHT,
+  TITLE_LINE_OFFSET,
+} from '../utilities/graph-util';
 import { type INode } from './node';
 
 type INodeTextProps = {
@@ -24,9 +28,19 @@ type INodeTextProps = {
   nodeTypes: any, // TODO: create a nodeTypes interface
   isSelected: boolean,
   maxTitleChars: number,
+  wrapTitle: boolean,
+  maxTitleLines: number,
+  // width of the node the title has to fit in
+  width: number,
 };
 
 class NodeText extends React.Component<INodeTextProps> {
+  static defaultProps = {
+    wrapTitle: false,
+    maxTitleLines: 3,
+    width: 154,
+  };
+
   getTypeText(data: INode, nodeTypes: any) {
     if (data.type && nodeTypes[data.type]) {
       return nodeTypes[data.type].typeText;
@@ -37,25 +51,54 @@ class NodeText extends React.Component<INodeTextProps> {
     }
   }
 
+  renderTitleLines(lines: string[]): React.Node[] {
+    return lines.map((line, i) => (
+      <tspan
+        key={i}
+        x={0}
+        dy={i === 0 ? TITLE_LINE_OFFSET : TITLE_LINE_HEIGHT}
+        fontSize={`${TITLE_FONT_SIZE}px`}
+      >
+        {line}
+      </tspan>
+    ));
+  }
+
   render() {
-    const { data, nodeTypes, isSelected, maxTitleChars } = this.props;
-    const lineOffset = 18;
+    const {
+      data,
+      nodeTypes,
+      isSelected,
+      maxTitleChars,
+      wrapTitle,
+      maxTitleLines,
+      width,
+    } = this.props;
     const title = data.title;
     const className = GraphUtils.classNames('node-text', {
       selected: isSelected,
     });
     const typeText = this.getTypeText(data, nodeTypes);
+    let lines = [];
+
+    if (title && wrapTitle) {
+      lines = GraphUtils.getTitleLines(title, width, maxTitleLines);
+    } else if (title) {
+      lines = [
+        title.length > maxTitleChars ? title.substr(0, maxTitleChars) : title,
+      ];
+    }
+
+    // keeps the text centered on the node when the title wraps
+    const offsetY =
+      lines.length > 1
+        ? (-(lines.length - 1) * TITLE_LINE_HEIGHT) / 2
+        : undefined;
 
     return (
-      <text className={className} textAnchor="middle">
+      <text className={className} textAnchor="middle" y={offsetY}>
         {!!typeText && <tspan opacity="0.5">{typeText}</tspan>}
-        {title && (
-          <tspan x={0} dy={lineOffset} fontSize="10px">
-            {title.length > maxTitleChars
-              ? title.substr(0, maxTitleChars)
-              : title}
-          </tspan>
-        )}
+        {this.renderTitleLines(lines)}
         {title && <title>{title}</title>}
       </text>
     );
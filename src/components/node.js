@@ -29,12 +29,35 @@ export type IPoint = {
   y: number,
 };
 
+// Edges start at 'out' ports and end at 'in' ports, 'inout' ports can be used
+// both ways.
+export type IPortDirection = 'in' | 'out' | 'inout';
+
+// A named anchor of a node type, positioned relative to the node center.
+export type IPort = {
+  x: number,
+  y: number,
+  direction?: IPortDirection,
+};
+
+const PORT_RADIUS = 5;
+// a touch held this long on a node starts drawing an edge from it
+const LONG_PRESS_DELAY = 500;
+// ...unless the finger moves further than this many pixels before
+const LONG_PRESS_TOLERANCE = 10;
+// browsers follow a tap with mouse events, which mustn't start another drag
+const TOUCH_MOUSE_DELAY = 1000;
+
 export type INode = {
   title: string,
   x?: number | null,
   y?: number | null,
   type?: string | null,
   subtype?: string | null,
+  // id of the group node that contains this node
+  parent?: string | null,
+  // hides the nodes of a group and draws the group as a single node
+  collapsed?: boolean,
   [key: string]: any,
 };
 
@@ -48,8 +71,15 @@ type INodeProps = {
   nodeSize?: number,
   onNodeMouseEnter: (event: any, data: any, hovered: boolean) => void,
   onNodeMouseLeave: (event: any, data: any) => void,
-  onNodeMove: (point: IPoint, id: string, shiftKey: boolean) => void,
+  onNodeMove: (
+    point: IPoint,
+    id: string,
+    shiftKey: boolean,
+    sourcePort?: string | null,
+    event?: any
+  ) => void,
   onNodeSelected: (data: any, shiftKey: boolean, event?: any) => void,
+  onNodeDoubleClick: (data: any) => void,
   onNodeUpdate: (point: IPoint, id: string, shiftKey: boolean) => void,
   renderNode?: (
     nodeRef: any,
@@ -60,10 +90,16 @@ type INodeProps = {
   ) => any,
   renderNodeText?: (data: any, id: string | number, isSelected: boolean) => any,
   isSelected: boolean,
+  // set while a highlight is shown, see the highlight prop of GraphView
+  isHighlighted: boolean,
+  isDimmed: boolean,
   layoutEngine?: any,
   viewWrapperElem: HTMLDivElement,
   centerNodeOnMove: boolean,
   maxTitleChars: number,
+  wrapTitle: boolean,
+  maxTitleLines?: number,
+  nodeWidth?: number,
   scale?: number,
 };
 
@@ -80,8 +116,11 @@ type INodeState = {
 class Node extends React.Component<INodeProps, INodeState> {
   static defaultProps = {
     isSelected: false,
+    isHighlighted: false,
+    isDimmed: false,
     nodeSize: 154,
     maxTitleChars: 12,
+    wrapTitle: false,
     scale: 1,
     onNodeMouseEnter: () => {
       return;
@@ -95,6 +134,9 @@ class Node extends React.Component<INodeProps, INodeState> {
     onNodeSelected: () => {
       return;
     },
+    onNodeDoubleClick: () => {
+      return;
+    },
     onNodeUpdate: () => {
       return;
     },
@@ -112,8 +154,82 @@ class Node extends React.Component<INodeProps, INodeState> {
     };
   }
 
+  static getNodeType(data: INode, nodeTypes: any) {
+    if (!nodeTypes) {
+      return null;
+    }
+
+    return (data.type && nodeTypes[data.type]) || nodeTypes.emptyNode || null;
+  }
+
+  static getPorts(data: INode, nodeTypes: any): { [name: string]: IPort } {
+    const nodeType = Node.getNodeType(data, nodeTypes);
+
+    return (nodeType && nodeType.ports) || {};
+  }
+
+  static getPort(data: INode, nodeTypes: any, name?: string | null) {
+    if (name == null) {
+      return null;
+    }
+
+    return Node.getPorts(data, nodeTypes)[name] || null;
+  }
+
+  // Returns the position of a port in graph coordinates, or null when the
+  // node type has no such port.
+  static getPortPosition(
+    data: INode,
+    nodeTypes: any,
+    name?: string | null
+  ): IPoint | null {
+    const port = Node.getPort(data, nodeTypes, name);
+
+    if (!port) {
+      return null;
+    }
+
+    return {
+      x: (data.x || 0) + port.x,
+      y: (data.y || 0) + port.y,
+    };
+  }
+
+  static canPortStartEdge(port: IPort | null) {
+    return !port || port.direction !== 'in';
+  }
+
+  static canPortEndEdge(port: IPort | null) {
+    return !port || port.direction !== 'out';
+  }
+
+  // Whether the event comes from a touch screen.
+  static isTouchEvent(event: any): boolean {
+    return !!event && (event.touches != null || event.pointerType === 'touch');
+  }
+
+  // Whether the primary button or a single finger is down, which moves the
+  // node. More fingers pinch-zoom the view instead.
+  static isPrimaryPointerDown(event: any): boolean {
+    if (!event) {
+      return false;
+    }
+
+    return event.touches != null
+      ? event.touches.length === 1
+      : event.buttons === 1;
+  }
+
   nodeRef: any;
   oldSibling: any;
+  // the port an edge is being drawn from
+  edgeSourcePort: string | null;
+  longPressTimeout: TimeoutID | null;
+  // where the finger went down on the page
+  longPressOrigin: IPoint | null;
+  // set once a long press turns the touch into drawing an edge
+  longPressed: boolean;
+  lastTouchEnd: number;
 
   constructor(props: INodeProps) {
     super(props);
@@ -129,21 +245,88 @@ class Node extends React.Component<INodeProps, INodeState> {
     };
 
     this.nodeRef = React.createRef();
+    this.edgeSourcePort = null;
+    this.longPressTimeout = null;
+    this.longPressOrigin = null;
+    this.longPressed = false;
+    this.lastTouchEnd = 0;
   }
 
   componentDidMount() {
     d3.select(this.nodeRef.current).on('mouseout', this.handleMouseOut);
   }
 
+  componentWillUnmount() {
+    this.cancelLongPress();
+  }
+
+  // Dragging with Shift, from a port or after a long press draws an edge
+  // instead of moving the node.
+  isDrawingEdge(event: any) {
+    return (
+      !!(event && event.shiftKey) ||
+      this.edgeSourcePort != null ||
+      this.longPressed
+    );
+  }
+
+  startLongPress(event: any) {
+    const point = event.touches ? event.touches[0] : event;
+
+    this.cancelLongPress();
+    this.longPressOrigin = { x: point.clientX, y: point.clientY };
+    this.longPressTimeout = setTimeout(this.handleLongPress, LONG_PRESS_DELAY);
+  }
+
+  cancelLongPress() {
+    if (this.longPressTimeout != null) {
+      clearTimeout(this.longPressTimeout);
+      this.longPressTimeout = null;
+    }
+  }
+
+  handleLongPress = () => {
+    this.longPressTimeout = null;
+    this.longPressed = true;
+    this.setState({ drawingEdge: true });
+  };
+
+  // Whether the finger is still close to where a pending long press started.
+  isWithinLongPress(event: any) {
+    const origin = this.longPressOrigin;
+
+    if (this.longPressTimeout == null || !origin) {
+      return false;
+    }
+
+    const point = event.touches ? event.touches[0] : event;
+
+    return (
+      Math.abs(point.clientX - origin.x) <= LONG_PRESS_TOLERANCE &&
+      Math.abs(point.clientY - origin.y) <= LONG_PRESS_TOLERANCE
+    );
+  }
+
   handleMouseMove = (e, data) => {
-    const mouseButtonDown = e.buttons === 1;
-    const shiftKey = e.shiftKey;
+    const pointerDown = Node.isPrimaryPointerDown(e);
     const { nodeSize, nodeKey, viewWrapperElem } = this.props;
 
-    if (!mouseButtonDown) {
+    if (!pointerDown) {
+      // a second finger starts pinch-zooming
+      this.cancelLongPress();
+
       return;
     }
 
+    // the node stays put while it may still be long pressed
+    if (this.isWithinLongPress(e)) {
+      return;
+    }
+
+    this.cancelLongPress();
+
+    const shiftKey = this.isDrawingEdge(e);
+
     // While the mouse is down, this function handles all mouse movement
     const newState = {
       x: data.x,
@@ -187,7 +370,13 @@ class Node extends React.Component<INodeProps, INodeState> {
     this.setState(newState);
     // Never use this.props.index because if the nodes array changes order
     // then this function could move the wrong node.
-    this.props.onNodeMove(newState, this.props.data[nodeKey], shiftKey);
+    this.props.onNodeMove(
+      newState,
+      this.props.data[nodeKey],
+      shiftKey,
+      this.edgeSourcePort,
+      e
+    );
   };
 
   handleDragStart = e => {
@@ -195,10 +384,23 @@ class Node extends React.Component<INodeProps, INodeState> {
       return;
     }
 
+    const isTouch = Node.isTouchEvent(e);
+
+    // the mouse events that follow a tap were handled as the touch already
+    if (!isTouch && Date.now() - this.lastTouchEnd < TOUCH_MOUSE_DELAY) {
+      return false;
+    }
+
     const { drawingEdge } = this.state;
-    const { data, onNodeSelected } = this.props;
+    const { data, onNodeSelected, onNodeMouseEnter } = this.props;
+
+    if (isTouch) {
+      this.startLongPress(e);
+      // touches don't hover, this makes the node the start of a new edge
+      onNodeMouseEnter(e, data, true);
+    }
 
-    onNodeSelected(data, e.shiftKey || drawingEdge, e);
+    onNodeSelected(data, this.isDrawingEdge(e) || drawingEdge, e);
   };
 
   handleDragEnd = e => {
@@ -216,7 +418,15 @@ class Node extends React.Component<INodeProps, INodeState> {
       ...(layoutEngine ? layoutEngine.getPositionForNode(this.state) : {}),
     });
 
-    const shiftKey = e.shiftKey;
+    const shiftKey = this.isDrawingEdge(e);
+
+    this.cancelLongPress();
+    this.edgeSourcePort = null;
+    this.longPressed = false;
+
+    if (Node.isTouchEvent(e)) {
+      this.lastTouchEnd = Date.now();
+    }
 
     onNodeUpdate({ x, y }, data[nodeKey], shiftKey || drawingEdge);
 
@@ -230,6 +440,17 @@ class Node extends React.Component<INodeProps, INodeState> {
     });
   };
 
+  // Runs before the drag starts, so that dragging from the port draws an edge
+  // instead of moving the node.
+  handlePortMouseDown = (event: any) => {
+    const { data, nodeTypes } = this.props;
+    const name = event.currentTarget.getAttribute('data-port');
+
+    if (Node.canPortStartEdge(Node.getPort(data, nodeTypes, name))) {
+      this.edgeSourcePort = name;
+    }
+  };
+
   handleMouseOver = (event: any) => {
     // Detect if mouse is already down and do nothing.
     let hovered = false;
@@ -342,6 +563,13 @@ class Node extends React.Component<INodeProps, INodeState> {
     }
   }
 
+  handleDoubleClick = (event: any) => {
+    const { data, onNodeDoubleClick } = this.props;
+
+    event.stopPropagation();
+    onNodeDoubleClick(data);
+  };
+
   renderText() {
     const {
       data,
@@ -350,6 +578,10 @@ class Node extends React.Component<INodeProps, INodeState> {
       renderNodeText,
       isSelected,
       maxTitleChars,
+      wrapTitle,
+      maxTitleLines,
+      nodeSize,
+      nodeWidth,
     } = this.props;
 
     if (renderNodeText) {
@@ -362,16 +594,52 @@ class Node extends React.Component<INodeProps, INodeState> {
         nodeTypes={nodeTypes}
         isSelected={this.state.selected}
         maxTitleChars={maxTitleChars}
+        wrapTitle={wrapTitle}
+        maxTitleLines={maxTitleLines}
+        width={nodeWidth || nodeSize}
       />
     );
   }
 
+  renderPorts() {
+    const { data, nodeTypes } = this.props;
+    const ports = Node.getPorts(data, nodeTypes);
+    const names = Object.keys(ports);
+
+    if (names.length === 0) {
+      return null;
+    }
+
+    return (
+      <g className="ports">
+        {names.map(name => {
+          const port = ports[name];
+
+          return (
+            <circle
+              key={name}
+              className={`port port-${port.direction || 'inout'}`}
+              data-port={name}
+              cx={port.x}
+              cy={port.y}
+              r={PORT_RADIUS}
+              onMouseDown={this.handlePortMouseDown}
+            />
+          );
+        })}
+      </g>
+    );
+  }
+
   render() {
-    const { x, y, hovered, selected } = this.state;
-    const { opacity, id, data, scale } = this.props;
+    const { x, y, hovered, selected, drawingEdge } = this.state;
+    const { opacity, id, data, scale, isHighlighted, isDimmed } = this.props;
     const className = GraphUtils.classNames('node', data.type, {
       hovered,
       selected,
+      highlighted: isHighlighted,
+      dimmed: isDimmed,
+      'drawing-edge': drawingEdge,
     });
 
     return (
@@ -386,12 +654,17 @@ class Node extends React.Component<INodeProps, INodeState> {
           className={className}
           onMouseOver={this.handleMouseOver}
           onMouseOut={this.handleMouseOut}
+          onDoubleClick={this.handleDoubleClick}
           id={id}
+          tabIndex={-1}
+          role="button"
+          aria-label={data.title}
           ref={this.nodeRef}
           opacity={opacity}
         >
           {this.renderShape()}
           {this.renderText()}
+          {this.renderPorts()}
         </g>
       </Draggable>
     );
@@ -0,0 +1,213 @@
+// @flow
+/*
+  Copyright(c) 2018 Uber Technologies, Inc.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+          http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+/*
+  Search field drawn over the graph that lists the nodes matching the query.
+  Enter and Shift+Enter move through the results, Escape closes it.
+*/
+
+import * as React from 'react';
+import GraphUtils from '../utilities/graph-util';
+import { type INode } from './node';
+
+type ISearchBoxProps = {
+  query: string,
+  results: INode[],
+  // index of the result the graph is panned to, -1 before the first one
+  activeIndex: number,
+  nodeKey: string,
+  onChange: (query: string) => void,
+  onSelect: (index: number) => void,
+  onNext: () => void,
+  onPrevious: () => void,
+  onClose: () => void,
+};
+
+// matches that aren't a substring of the text rank after all the ones that are
+const SUBSEQUENCE_PENALTY = 1000;
+const MAX_LISTED_RESULTS = 10;
+
+class SearchBox extends React.Component<ISearchBoxProps> {
+  // Returns how well the text matches the query, lower being better, or null
+  // when it doesn't. Substrings rank by their position, otherwise the
+  // characters of the query have to appear in order and rank by how far
+  // apart they are.
+  static getMatchScore(query: string, text: string): number | null {
+    const needle = query.trim().toLowerCase();
+    const haystack = text.toLowerCase();
+
+    if (!needle) {
+      return null;
+    }
+
+    const index = haystack.indexOf(needle);
+
+    if (index !== -1) {
+      return index;
+    }
+
+    let start = -1;
+    let position = -1;
+
+    for (let i = 0; i < needle.length; i++) {
+      position = haystack.indexOf(needle[i], position + 1);
+
+      if (position === -1) {
+        return null;
+      }
+
+      if (start === -1) {
+        start = position;
+      }
+    }
+
+    return SUBSEQUENCE_PENALTY + position - start;
+  }
+
+  // Returns the nodes with a field that matches the query, best matches
+  // first.
+  static search(nodes: INode[], query: string, fields: string[]): INode[] {
+    const matches = [];
+
+    nodes.forEach((node, index) => {
+      let bestScore = null;
+
+      fields.forEach(field => {
+        const value = node[field];
+
+        if (typeof value !== 'string' && typeof value !== 'number') {
+          return;
+        }
+
+        const score = SearchBox.getMatchScore(query, `${value}`);
+
+        if (score != null && (bestScore == null || score < bestScore)) {
+          bestScore = score;
+        }
+      });
+
+      if (bestScore != null) {
+        matches.push({ node, index, score: bestScore });
+      }
+    });
+
+    return matches
+      .sort((a, b) => a.score - b.score || a.index - b.index)
+      .map(match => match.node);
+  }
+
+  input: any;
+
+  constructor(props: ISearchBoxProps) {
+    super(props);
+
+    this.input = React.createRef();
+  }
+
+  componentDidMount() {
+    this.focus();
+  }
+
+  focus() {
+    const input = this.input.current;
+
+    if (input) {
+      input.focus();
+      input.select();
+    }
+  }
+
+  handleChange = (event: any) => {
+    this.props.onChange(event.target.value);
+  };
+
+  handleKeyDown = (event: any) => {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+
+      if (event.shiftKey) {
+        this.props.onPrevious();
+      } else {
+        this.props.onNext();
+      }
+    } else if (event.key === 'Escape') {
+      event.preventDefault();
+      this.props.onClose();
+    }
+  };
+
+  renderResults() {
+    const { results, activeIndex, nodeKey, onSelect } = this.props;
+    // the list scrolls with the active result
+    const first = Math.max(
+      Math.min(
+        activeIndex - MAX_LISTED_RESULTS + 1,
+        results.length - MAX_LISTED_RESULTS
+      ),
+      0
+    );
+
+    return (
+      <ul className="search-results">
+        {results.slice(first, first + MAX_LISTED_RESULTS).map((node, i) => (
+          <li
+            key={node[nodeKey]}
+            className={GraphUtils.classNames('search-result', {
+              active: first + i === activeIndex,
+            })}
+            onMouseDown={event => {
+              // keeps the focus in the input
+              event.preventDefault();
+              onSelect(first + i);
+            }}
+          >
+            {node.title}
+          </li>
+        ))}
+      </ul>
+    );
+  }
+
+  render() {
+    const { query, results, activeIndex } = this.props;
+
+    return (
+      <div className="search-box">
+        <input
+          ref={this.input}
+          className="search-input"
+          type="search"
+          placeholder="Search"
+          aria-label="Search nodes"
+          value={query}
+          onChange={this.handleChange}
+          onKeyDown={this.handleKeyDown}
+        />
+        {query.trim() && (
+          <span className="search-count">
+            {results.length > 0
+              ? `${activeIndex + 1} / ${results.length}`
+              : 'No results'}
+          </span>
+        )}
+        {results.length > 0 && this.renderResults()}
+      </div>
+    );
+  }
+}
+
+export default SearchBox;
@@ -290,6 +290,7 @@ class BwdlEditable extends React.Component<{}, IBwdlState> {
         onCopySelected={this.onCopySelected}
         onPasteSelected={this.onPasteSelected}
         layoutEngineType={this.state.layoutEngineType}
+        wrapTitles={true}
       />
     );
   }
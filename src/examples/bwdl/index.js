@@ -188,6 +188,7 @@ class Bwdl extends React.Component<{}, IBwdlState> {
         onSwapEdge={this.onSwapEdge}
         onDeleteEdge={this.onDeleteEdge}
         layoutEngineType={this.state.layoutEngineType}
+        wrapTitles={true}
       />
     );
   }
@@ -508,6 +508,7 @@ class Graph extends React.Component<IGraphProps, IGraphState> {
             >
               <option value={undefined}>None</option>
               <option value={'SnapToGrid'}>Snap to Grid</option>
+              <option value={'SnapToNodes'}>Snap to Nodes</option>
               <option value={'VerticalTree'}>Vertical Tree</option>
             </select>
           </div>
@@ -543,6 +544,8 @@ class Graph extends React.Component<IGraphProps, IGraphState> {
           onCopySelected={this.onCopySelected}
           onPasteSelected={this.onPasteSelected}
           layoutEngineType={this.state.layoutEngineType}
+          showMinimap={true}
+          enableViewportCulling={true}
         />
       </div>
     );
@@ -151,6 +151,11 @@ export default {
       shape: PolyShape,
       shapeId: '#poly',
       typeText: 'Poly',
+      // drag from the right port to the left port of another node
+      ports: {
+        input: { x: -44, y: 0, direction: 'in' },
+        output: { x: 44, y: 0, direction: 'out' },
+      },
     },
     complexCircle: {
       shape: ComplexCircleShape,
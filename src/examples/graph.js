@@ -24,8 +24,12 @@ import * as React from 'react';
 import {
   GraphView,
   LayoutEngines,
+  NodePalette,
+  type IContextMenuItemType as IContextMenuItem,
   type IEdgeType as IEdge,
+  type IEdgeRoutingType as IEdgeRouting,
   type INodeType as INode,
+  type INodePaletteItemType as INodePaletteItem,
 } from '../';
 import GraphConfig, {
   edgeTypes,
@@ -224,6 +228,7 @@ type IGraphState = {
   totalNodes: number,
   copiedNode: any,
   layoutEngine?: LayoutEngine,
+  edgeRouting: IEdgeRouting,
 };
 
 class Graph extends React.Component<IGraphProps, IGraphState> {
@@ -235,6 +240,7 @@ class Graph extends React.Component<IGraphProps, IGraphState> {
     this.state = {
       copiedNode: null,
       graph: sample,
+      edgeRouting: 'straight',
       layoutEngine: new LayoutEngines.None({}),
       selected: [],
       totalNodes: sample.nodes.length,
@@ -332,6 +338,16 @@ class Graph extends React.Component<IGraphProps, IGraphState> {
     this.setState({ graph });
   };
 
+  // Called with all nodes that moved together, e.g. by the align commands
+  onUpdateNodes = (viewNodes: INode[]) => {
+    const graph = this.state.graph;
+
+    viewNodes.forEach(viewNode => {
+      graph.nodes[this.getNodeIndex(viewNode)] = viewNode;
+    });
+    this.setState({ graph });
+  };
+
   // Node 'mouseUp' handler
   onSelectNode = (viewNode: INode | null, e) => {
     const { selected } = this.state;
@@ -353,25 +369,41 @@ class Graph extends React.Component<IGraphProps, IGraphState> {
     }
   };
 
+  // Called when a selection box is drawn around nodes
+  onSelectionChange = (viewNodes: INode[], viewEdges: IEdge[]) => {
+    this.setState({ selected: viewNodes.map(node => node[NODE_KEY]) });
+  };
+
   // Edge 'mouseUp' handler
   onSelectEdge = (viewEdge: IEdge) => {
     this.setState({ selected: [viewEdge.source, viewEdge.target] });
   };
 
   // Updates the graph with a new node
-  onCreateNode = (x: number, y: number) => {
+  onCreateNode = (
+    x: number,
+    y: number,
+    event: any,
+    item?: INodePaletteItem
+  ) => {
     const graph = this.state.graph;
 
     // This is just an example - any sort of logic
     // could be used here to determine node type
     // There is also support for subtypes. (see 'sample' above)
     // The subtype geometry will underlay the 'type' geometry for a node
-    const type = Math.random() < 0.25 ? SPECIAL_TYPE : EMPTY_TYPE;
+    // Nodes dragged from the palette have the type of the palette item.
+    const type = item
+      ? item.type
+      : Math.random() < 0.25
+      ? SPECIAL_TYPE
+      : EMPTY_TYPE;
 
     const viewNode = {
       id: Date.now(),
       title: '',
       type,
+      subtype: item ? item.subtype : null,
       x,
       y,
     };
@@ -380,6 +412,71 @@ class Graph extends React.Component<IGraphProps, IGraphState> {
     this.setState({ graph });
   };
 
+  // Adds a copy of the node next to it
+  duplicateNode = (node: INode) => {
+    const graph = this.state.graph;
+    const viewNode = {
+      ...node,
+      id: Date.now(),
+      x: node.x + 50,
+      y: node.y + 50,
+    };
+
+    graph.nodes = [...graph.nodes, viewNode];
+    this.setState({ graph, selected: [viewNode[NODE_KEY]] });
+  };
+
+  // Adds a node of the same type below the node and an edge to it
+  addConnectedNode = (node: INode) => {
+    const graph = this.state.graph;
+    const viewNode = {
+      id: Date.now(),
+      title: '',
+      type: node.type,
+      x: node.x,
+      y: node.y + 150,
+    };
+
+    graph.nodes = [...graph.nodes, viewNode];
+    graph.edges = [
+      ...graph.edges,
+      {
+        source: node[NODE_KEY],
+        target: viewNode[NODE_KEY],
+        type: EMPTY_EDGE_TYPE,
+      },
+    ];
+    this.setState({ graph, selected: [viewNode[NODE_KEY]] });
+  };
+
+  // Right-click menu, the built-in actions are mixed with ones that change
+  // the graph data of the example
+  contextMenuItems: IContextMenuItem[] = [
+    'zoomTo',
+    {
+      label: 'Duplicate',
+      targets: ['node'],
+      editsGraph: true,
+      onSelect: target => {
+        if (target.node) {
+          this.duplicateNode(target.node);
+        }
+      },
+    },
+    {
+      label: 'Add connected node',
+      targets: ['node'],
+      editsGraph: true,
+      onSelect: target => {
+        if (target.node) {
+          this.addConnectedNode(target.node);
+        }
+      },
+    },
+    'createNode',
+    'delete',
+  ];
+
   // Deletes a node from the graph
   onDeleteNode = (viewNodes: INode[], nodeArr: INode[]) => {
     const graph = this.state.graph;
@@ -400,7 +497,12 @@ class Graph extends React.Component<IGraphProps, IGraphState> {
   };
 
   // Creates a new node between two edges
-  onCreateEdge = (sourceViewNode: INode, targetViewNode: INode) => {
+  onCreateEdge = (
+    sourceViewNode: INode,
+    targetViewNode: INode,
+    sourcePort?: string | null,
+    targetPort?: string | null
+  ) => {
     const graph = this.state.graph;
     // This is just an example - any sort of logic
     // could be used here to determine edge type
@@ -412,6 +514,8 @@ class Graph extends React.Component<IGraphProps, IGraphState> {
     const viewEdge = {
       source: sourceViewNode[NODE_KEY],
       target: targetViewNode[NODE_KEY],
+      sourcePort,
+      targetPort,
       type,
     };
 
@@ -429,7 +533,8 @@ class Graph extends React.Component<IGraphProps, IGraphState> {
   onSwapEdge = (
     sourceViewNode: INode,
     targetViewNode: INode,
-    viewEdge: IEdge
+    viewEdge: IEdge,
+    targetPort?: string | null
   ) => {
     const graph = this.state.graph;
     const i = this.getEdgeIndex(viewEdge);
@@ -437,6 +542,7 @@ class Graph extends React.Component<IGraphProps, IGraphState> {
 
     edge.source = sourceViewNode[NODE_KEY];
     edge.target = targetViewNode[NODE_KEY];
+    edge.targetPort = targetPort;
     graph.edges[i] = edge;
     // reassign the array reference if you want the graph to re-render a swapped edge
     graph.edges = [...graph.edges];
@@ -447,6 +553,17 @@ class Graph extends React.Component<IGraphProps, IGraphState> {
     });
   };
 
+  // Called when the handle text of an edge is edited
+  onUpdateEdge = (viewEdge: IEdge) => {
+    const graph = this.state.graph;
+    const i = this.getEdgeIndex(viewEdge);
+
+    graph.edges[i] = viewEdge;
+    // reassign the array reference so the graph re-renders the edge
+    graph.edges = [...graph.edges];
+    this.setState({ graph });
+  };
+
   // Called when an edge is deleted
   onDeleteEdge = (viewEdge: IEdge, edges: IEdge[]) => {
     const graph = this.state.graph;
@@ -458,13 +575,13 @@ class Graph extends React.Component<IGraphProps, IGraphState> {
     });
   };
 
-  onUndo = () => {
-    // Not implemented
-    console.warn('Undo is not currently implemented in the example.');
-    // Normally any add, remove, or update would record the action in an array.
-    // In order to undo it one would simply call the inverse of the action performed. For instance, if someone
-    // called onDeleteEdge with (viewEdge, i, edges) then an undelete would be a splicing the original viewEdge
-    // into the edges array at position i.
+  // Called by GraphView's built-in history on undo and redo
+  onApplyHistory = (nodes: INode[], edges: IEdge[]) => {
+    const graph = this.state.graph;
+
+    graph.nodes = nodes;
+    graph.edges = edges;
+    this.setState({ graph, selected: [] });
   };
 
   onCopySelected = () => {
@@ -493,6 +610,10 @@ class Graph extends React.Component<IGraphProps, IGraphState> {
     this.forceUpdate();
   };
 
+  handleChangeEdgeRouting = (event: any) => {
+    this.setState({ edgeRouting: event.target.value });
+  };
+
   handleChangeLayoutEngineType = (event: any) => {
     const layoutEngine = new LayoutEngines[event.target.value]({
       nodeKey: NODE_KEY,
@@ -536,8 +657,18 @@ class Graph extends React.Component<IGraphProps, IGraphState> {
             >
               <option value={'None'}>None</option>
               <option value={'SnapToGrid'}>Snap to Grid</option>
+              <option value={'SnapToNodes'}>Snap to Nodes</option>
               <option value={'VerticalTree'}>Vertical Tree</option>
               <option value={'HorizontalTree'}>Horizontal Tree</option>
+              <option value={'ForceDirected'}>Force Directed</option>
+            </select>
+          </div>
+          <div className="edge-routing">
+            <span>Edge Routing:</span>
+            <select name="edge-routing" onChange={this.handleChangeEdgeRouting}>
+              <option value={'straight'}>Straight</option>
+              <option value={'curved'}>Curved</option>
+              <option value={'orthogonal'}>Orthogonal</option>
             </select>
           </div>
           <div className="pan-list">
@@ -551,6 +682,11 @@ class Graph extends React.Component<IGraphProps, IGraphState> {
             </select>
           </div>
         </div>
+        <NodePalette
+          className="graph-palette"
+          nodeTypes={NodeTypes}
+          nodeSubtypes={NodeSubtypes}
+        />
         <GraphView
           ref={el => (this.GraphView = el)}
           nodeKey={NODE_KEY}
@@ -561,17 +697,24 @@ class Graph extends React.Component<IGraphProps, IGraphState> {
           nodeSubtypes={NodeSubtypes}
           edgeTypes={EdgeTypes}
           onSelectNode={this.onSelectNode}
+          onSelectionChange={this.onSelectionChange}
           onCreateNode={this.onCreateNode}
           onUpdateNode={this.onUpdateNode}
+          onUpdateNodes={this.onUpdateNodes}
           onDeleteNode={this.onDeleteNode}
           onSelectEdge={this.onSelectEdge}
           onCreateEdge={this.onCreateEdge}
           onSwapEdge={this.onSwapEdge}
+          onUpdateEdge={this.onUpdateEdge}
           onDeleteEdge={this.onDeleteEdge}
-          onUndo={this.onUndo}
+          enableHistory={true}
+          enableSearch={true}
+          contextMenuItems={this.contextMenuItems}
+          onApplyHistory={this.onApplyHistory}
           onCopySelected={this.onCopySelected}
           onPasteSelected={this.onPasteSelected}
           layoutEngine={this.state.layoutEngine}
+          edgeRouting={this.state.edgeRouting}
         />
       </div>
     );
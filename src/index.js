@@ -16,17 +16,33 @@
 */
 
 import GV from './components/graph-view';
-import type { IEdge } from './components/edge';
-import type { INode } from './components/node';
+import type {
+  IContextMenuItem,
+  IContextMenuPosition,
+  IContextMenuTarget,
+} from './components/context-menu';
+import type { IEdge, IEdgeRouting } from './components/edge';
+import type { INode, IPort } from './components/node';
+import type { INodePaletteItem } from './components/node-palette';
 
 export { default as GraphViewFast } from './components/graph-view';
 export { default as LayoutEngines } from './utilities/layout-engine/layout-engine-config';
+export { default as ContextMenu } from './components/context-menu';
+export type IContextMenuItemType = IContextMenuItem;
+export type IContextMenuPositionType = IContextMenuPosition;
+export type IContextMenuTargetType = IContextMenuTarget;
 export { default as Edge } from './components/edge';
 export type IEdgeType = IEdge;
+export type IEdgeRoutingType = IEdgeRouting;
 export { default as GraphUtils } from './utilities/graph-util';
+export { default as HistoryManager } from './utilities/history-manager';
 export { default as Node } from './components/node';
 export type INodeType = INode;
+export type IPortType = IPort;
+export { default as NodePalette } from './components/node-palette';
+export type INodePaletteItemType = INodePaletteItem;
 export { default as BwdlTransformer } from './utilities/transformers/bwdl-transformer';
+export { default as DotTransformer } from './utilities/transformers/dot-transformer';
 export { GV as GraphView };
 
 export default GV;
@@ -16,6 +16,7 @@
 */
 
 import { type IEdge } from '../components/edge';
+import { type IBBox } from '../components/graph-view-props';
 import { type INode } from '../components/node';
 import fastDeepEqual from 'fast-deep-equal';
 
@@ -26,8 +27,32 @@ export type INodeMapNode = {
   outgoingEdges: IEdge[],
   parents: INode[],
   children: INode[],
+  // the group that contains the node, from its parent property
+  parentGroup: INodeMapNode | null,
+  // the nodes contained in the node when it is a group
+  groupChildren: INodeMapNode[],
 };
 
+export type IEdgeMapNode = {
+  edge: IEdge,
+  originalArrIndex: number,
+};
+
+// metrics of the node titles, shared by NodeText and the layout engines
+export const TITLE_LINE_OFFSET = 18;
+export const TITLE_FONT_SIZE = 10;
+export const TITLE_LINE_HEIGHT = 12;
+const TITLE_PADDING = 10;
+const ELLIPSIS = '…';
+
+// canvas context used to measure titles, false when canvas isn't supported
+let measureContext = null;
+
+// nodesMap keys are the node ids prefixed with 'key-'
+function getNodeIdFromKey(key: string): string {
+  return key.slice('key-'.length);
+}
+
 class GraphUtils {
   static getNodesMap(nodes: any, key: string) {
     const map = {};
@@ -38,10 +63,12 @@ class GraphUtils {
       item = arr[i];
       map[`key-${item[key]}`] = {
         children: [],
+        groupChildren: [],
         incomingEdges: [],
         node: item,
         originalArrIndex: i,
         outgoingEdges: [],
+        parentGroup: null,
         parents: [],
       };
     }
@@ -49,6 +76,38 @@ class GraphUtils {
     return map;
   }
 
+  // Returns the source, target and ports that identify an edge without an
+  // id, joined by the separator. Edges without ports keep the source and
+  // target only.
+  static getEdgeEndsId(edge: IEdge, separator: string): string {
+    const { source, target, sourcePort, targetPort } = edge;
+    const ends = [source || '', target];
+
+    if (sourcePort != null || targetPort != null) {
+      ends.push(sourcePort || '', targetPort || '');
+    }
+
+    return ends.join(separator);
+  }
+
+  // Edges are keyed by their id, falling back to their source, target and
+  // ports, so parallel edges between the same ports need an id to be told
+  // apart.
+  static getEdgeKey(edge: IEdge): string {
+    return edge.id != null ? `${edge.id}` : GraphUtils.getEdgeEndsId(edge, '_');
+  }
+
+  // Returns the part of the DOM ids of an edge that identifies it, as in
+  // `edge-${id}-container`. The edge that is being drawn has no target yet
+  // and uses 'custom'.
+  static getEdgeElementId(edge: IEdge): string {
+    if (edge.id != null) {
+      return `${edge.id}`;
+    }
+
+    return edge.target ? GraphUtils.getEdgeEndsId(edge, '-') : 'custom';
+  }
+
   static getEdgesMap(arr: IEdge[]) {
     const map = {};
     let item = null;
@@ -60,7 +119,7 @@ class GraphUtils {
         continue;
       }
 
-      map[`${item.source || ''}_${item.target}`] = {
+      map[GraphUtils.getEdgeKey(item)] = {
         edge: item,
         originalArrIndex: i,
       };
@@ -92,6 +151,409 @@ class GraphUtils {
         nodeMapTargetNode.parents.push(nodeMapSourceNode);
       }
     }
+
+    GraphUtils.linkGroups(nodesMap);
+  }
+
+  // Links the nodes that declare a parent to that group node.
+  static linkGroups(nodesMap: any) {
+    Object.keys(nodesMap).forEach(key => {
+      const nodeMapNode = nodesMap[key];
+      const parent = nodeMapNode.node.parent;
+      const parentMapNode = parent != null ? nodesMap[`key-${parent}`] : null;
+
+      if (!parentMapNode || parentMapNode === nodeMapNode) {
+        return;
+      }
+
+      nodeMapNode.parentGroup = parentMapNode;
+      parentMapNode.groupChildren = parentMapNode.groupChildren || [];
+      parentMapNode.groupChildren.push(nodeMapNode);
+    });
+  }
+
+  static isGroup(nodeMapNode: INodeMapNode | null) {
+    return (
+      !!nodeMapNode &&
+      !!nodeMapNode.groupChildren &&
+      nodeMapNode.groupChildren.length > 0
+    );
+  }
+
+  // Returns the groups that contain the node, from the innermost one out.
+  // Stops at the first repeated group in case of a parent cycle.
+  static getGroupAncestors(nodeMapNode: INodeMapNode): INodeMapNode[] {
+    const ancestors = [];
+    let ancestor = nodeMapNode.parentGroup;
+
+    while (
+      ancestor &&
+      ancestor !== nodeMapNode &&
+      ancestors.indexOf(ancestor) === -1
+    ) {
+      ancestors.push(ancestor);
+      ancestor = ancestor.parentGroup;
+    }
+
+    return ancestors;
+  }
+
+  // Returns the outermost collapsed group that contains the node, which is
+  // drawn in its place, or null when the node is visible.
+  static getCollapsedAncestor(nodeMapNode: INodeMapNode): INodeMapNode | null {
+    const collapsed = GraphUtils.getGroupAncestors(nodeMapNode).filter(
+      ancestor => ancestor.node.collapsed
+    );
+
+    return collapsed.length > 0 ? collapsed[collapsed.length - 1] : null;
+  }
+
+  // Returns the nodes contained in a group, including the ones in nested
+  // groups.
+  static getGroupDescendants(nodeMapNode: INodeMapNode): INodeMapNode[] {
+    const descendants = [];
+    const queue = [...(nodeMapNode.groupChildren || [])];
+
+    while (queue.length > 0) {
+      const descendant = queue.shift();
+
+      if (
+        descendant !== nodeMapNode &&
+        descendants.indexOf(descendant) === -1
+      ) {
+        descendants.push(descendant);
+        queue.push(...(descendant.groupChildren || []));
+      }
+    }
+
+    return descendants;
+  }
+
+  // Returns the ids of the nodes in a nodesMap, in the order of the nodes
+  // array.
+  static getNodeIds(nodesMap: any): string[] {
+    return Object.keys(nodesMap).map(getNodeIdFromKey);
+  }
+
+  // Returns the ids of the nodes that the node has an edge to, or from when
+  // `incoming` is true, without duplicates.
+  static getNeighborIds(
+    nodesMap: any,
+    id: string,
+    incoming?: boolean = false
+  ): string[] {
+    const nodeMapNode = nodesMap[`key-${id}`];
+    const ids = [];
+
+    if (!nodeMapNode) {
+      return ids;
+    }
+
+    const edges = incoming
+      ? nodeMapNode.incomingEdges
+      : nodeMapNode.outgoingEdges;
+
+    edges.forEach(edge => {
+      const neighborId = `${incoming ? edge.source || '' : edge.target}`;
+
+      if (nodesMap[`key-${neighborId}`] && ids.indexOf(neighborId) === -1) {
+        ids.push(neighborId);
+      }
+    });
+
+    return ids;
+  }
+
+  // Returns the node ids so that every edge goes from an earlier node to a
+  // later one, or null when the graph has a cycle. Nodes without an order
+  // between them keep the order of the nodes array.
+  static topologicalSort(nodesMap: any): string[] | null {
+    const ids = GraphUtils.getNodeIds(nodesMap);
+    const inDegrees = {};
+    const sorted = [];
+
+    ids.forEach(id => {
+      inDegrees[`key-${id}`] = GraphUtils.getNeighborIds(
+        nodesMap,
+        id,
+        true
+      ).length;
+    });
+
+    const queue = ids.filter(id => inDegrees[`key-${id}`] === 0);
+
+    while (queue.length > 0) {
+      const id = queue.shift();
+
+      sorted.push(id);
+      GraphUtils.getNeighborIds(nodesMap, id).forEach(childId => {
+        inDegrees[`key-${childId}`] -= 1;
+
+        if (inDegrees[`key-${childId}`] === 0) {
+          queue.push(childId);
+        }
+      });
+    }
+
+    return sorted.length === ids.length ? sorted : null;
+  }
+
+  // Returns the groups of node ids that can all reach each other, using
+  // Tarjan's algorithm. A component comes after the components it has edges
+  // to. Iterative so that long chains don't overflow the stack.
+  static stronglyConnectedComponents(nodesMap: any): string[][] {
+    const indexes = {};
+    const lowLinks = {};
+    const onStack = {};
+    const stack = [];
+    const components = [];
+    let index = 0;
+
+    const visit = (id: string) => {
+      indexes[`key-${id}`] = index;
+      lowLinks[`key-${id}`] = index;
+      index += 1;
+      stack.push(id);
+      onStack[`key-${id}`] = true;
+
+      return { id, neighborIds: GraphUtils.getNeighborIds(nodesMap, id) };
+    };
+
+    GraphUtils.getNodeIds(nodesMap).forEach(rootId => {
+      if (indexes[`key-${rootId}`] != null) {
+        return;
+      }
+
+      const frames = [visit(rootId)];
+
+      while (frames.length > 0) {
+        const frame = frames[frames.length - 1];
+        const key = `key-${frame.id}`;
+
+        if (frame.neighborIds.length > 0) {
+          const neighborId = frame.neighborIds.shift();
+          const neighborKey = `key-${neighborId}`;
+
+          if (indexes[neighborKey] == null) {
+            frames.push(visit(neighborId));
+          } else if (onStack[neighborKey]) {
+            lowLinks[key] = Math.min(lowLinks[key], indexes[neighborKey]);
+          }
+
+          continue;
+        }
+
+        frames.pop();
+
+        if (frames.length > 0) {
+          const parentKey = `key-${frames[frames.length - 1].id}`;
+
+          lowLinks[parentKey] = Math.min(lowLinks[parentKey], lowLinks[key]);
+        }
+
+        if (lowLinks[key] === indexes[key]) {
+          const component = [];
+          let memberId;
+
+          do {
+            memberId = stack.pop();
+            onStack[`key-${memberId}`] = false;
+            component.unshift(memberId);
+          } while (memberId !== frame.id);
+
+          components.push(component);
+        }
+      }
+    });
+
+    return components;
+  }
+
+  // Returns one cycle for every strongly connected component that has one,
+  // as the node ids along it. The edge from the last node back to the first
+  // closes the cycle, so a node with an edge to itself is a cycle of one.
+  static findCycles(nodesMap: any): string[][] {
+    const cycles = [];
+
+    GraphUtils.stronglyConnectedComponents(nodesMap).forEach(component => {
+      const startId = component[0];
+      const neighborIds = GraphUtils.getNeighborIds(nodesMap, startId);
+
+      if (neighborIds.indexOf(startId) !== -1) {
+        cycles.push([startId]);
+      } else if (component.length > 1) {
+        const path = GraphUtils.shortestPath(
+          nodesMap,
+          startId,
+          startId,
+          component
+        );
+
+        if (path) {
+          cycles.push(path.slice(0, -1));
+        }
+      }
+    });
+
+    return cycles;
+  }
+
+  // Returns the node ids along the path with the fewest edges from the
+  // source to the target, including both, or null when there is none. The
+  // path from a node to itself is a cycle unless the node has no way back,
+  // in which case it is just the node. `withinIds` limits the path to those
+  // nodes.
+  static shortestPath(
+    nodesMap: any,
+    source: string,
+    target: string,
+    withinIds?: string[] | null = null
+  ): string[] | null {
+    const sourceId = `${source}`;
+    const targetId = `${target}`;
+
+    if (!nodesMap[`key-${sourceId}`] || !nodesMap[`key-${targetId}`]) {
+      return null;
+    }
+
+    const previous = {};
+    const queue = [sourceId];
+
+    while (queue.length > 0) {
+      const id = queue.shift();
+      const neighborIds = GraphUtils.getNeighborIds(nodesMap, id);
+
+      for (let i = 0; i < neighborIds.length; i++) {
+        const neighborId = neighborIds[i];
+
+        if (
+          previous[`key-${neighborId}`] != null ||
+          (withinIds && withinIds.indexOf(neighborId) === -1)
+        ) {
+          continue;
+        }
+
+        previous[`key-${neighborId}`] = id;
+
+        if (neighborId === targetId) {
+          const path = [targetId];
+          let stepId = id;
+
+          while (stepId !== sourceId) {
+            path.unshift(stepId);
+            stepId = previous[`key-${stepId}`];
+          }
+
+          path.unshift(sourceId);
+
+          return path;
+        }
+
+        queue.push(neighborId);
+      }
+    }
+
+    return sourceId === targetId ? [sourceId] : null;
+  }
+
+  // Returns the ids of the nodes that can be reached from the node by
+  // following edges, or against them when `incoming` is true. The node itself
+  // is only included when it is on a cycle.
+  static reachableFrom(
+    nodesMap: any,
+    id: string,
+    incoming?: boolean = false
+  ): string[] {
+    const visited = {};
+    const reachable = [];
+    const queue = [`${id}`];
+
+    while (queue.length > 0) {
+      GraphUtils.getNeighborIds(nodesMap, queue.shift(), incoming).forEach(
+        neighborId => {
+          if (!visited[`key-${neighborId}`]) {
+            visited[`key-${neighborId}`] = true;
+            reachable.push(neighborId);
+            queue.push(neighborId);
+          }
+        }
+      );
+    }
+
+    return reachable;
+  }
+
+  // Returns the ids of the nodes that have a path to the node.
+  static ancestorsOf(nodesMap: any, id: string): string[] {
+    return GraphUtils.reachableFrom(nodesMap, id, true);
+  }
+
+  // Returns the ids of the nodes upstream and downstream of any of the given
+  // nodes, leaving out the given nodes themselves.
+  static getNeighborhood(
+    nodesMap: any,
+    ids: string[]
+  ): { upstream: string[], downstream: string[] } {
+    const collect = (incoming: boolean) => {
+      const collected = [];
+      const seen = {};
+
+      ids.forEach(id => {
+        seen[`key-${id}`] = true;
+      });
+      ids.forEach(id => {
+        GraphUtils.reachableFrom(nodesMap, id, incoming).forEach(
+          reachableId => {
+            if (!seen[`key-${reachableId}`]) {
+              seen[`key-${reachableId}`] = true;
+              collected.push(reachableId);
+            }
+          }
+        );
+      });
+
+      return collected;
+    };
+
+    return { upstream: collect(true), downstream: collect(false) };
+  }
+
+  // Returns the groups of node ids that are connected when the direction of
+  // the edges is ignored, in the order of the nodes array.
+  static connectedComponents(nodesMap: any): string[][] {
+    const visited = {};
+    const components = [];
+
+    GraphUtils.getNodeIds(nodesMap).forEach(rootId => {
+      if (visited[`key-${rootId}`]) {
+        return;
+      }
+
+      const component = [];
+      const queue = [rootId];
+
+      visited[`key-${rootId}`] = true;
+
+      while (queue.length > 0) {
+        const id = queue.shift();
+        const neighborIds = [
+          ...GraphUtils.getNeighborIds(nodesMap, id),
+          ...GraphUtils.getNeighborIds(nodesMap, id, true),
+        ];
+
+        component.push(id);
+        neighborIds.forEach(neighborId => {
+          if (!visited[`key-${neighborId}`]) {
+            visited[`key-${neighborId}`] = true;
+            queue.push(neighborId);
+          }
+        });
+      }
+
+      components.push(component);
+    });
+
+    return components;
   }
 
   static removeElementFromDom(id: string) {
@@ -158,6 +620,179 @@ class GraphUtils {
     })();
   }
 
+  // Returns the box of a node of the given size, centered on its position.
+  static getNodeBBox(node: INode, width: number, height: number): IBBox {
+    return {
+      x: (node.x || 0) - width / 2,
+      y: (node.y || 0) - height / 2,
+      width,
+      height,
+    };
+  }
+
+  // Returns the normalized box spanned by two corner points.
+  static getBBoxFromPoints(x1: number, y1: number, x2: number, y2: number) {
+    return {
+      x: Math.min(x1, x2),
+      y: Math.min(y1, y2),
+      width: Math.abs(x2 - x1),
+      height: Math.abs(y2 - y1),
+    };
+  }
+
+  static isBBoxInside(inner: IBBox, outer: IBBox) {
+    return (
+      inner.x >= outer.x &&
+      inner.y >= outer.y &&
+      inner.x + inner.width <= outer.x + outer.width &&
+      inner.y + inner.height <= outer.y + outer.height
+    );
+  }
+
+  static isBBoxIntersecting(a: IBBox, b: IBBox) {
+    return (
+      a.x <= b.x + b.width &&
+      b.x <= a.x + a.width &&
+      a.y <= b.y + b.height &&
+      b.y <= a.y + a.height
+    );
+  }
+
+  // Returns the box around all of the given boxes, or null when there are
+  // none.
+  static getBBoxUnion(bboxes: IBBox[]): IBBox | null {
+    if (bboxes.length === 0) {
+      return null;
+    }
+
+    const x = Math.min(...bboxes.map(bbox => bbox.x));
+    const y = Math.min(...bboxes.map(bbox => bbox.y));
+
+    return {
+      x,
+      y,
+      width: Math.max(...bboxes.map(bbox => bbox.x + bbox.width)) - x,
+      height: Math.max(...bboxes.map(bbox => bbox.y + bbox.height)) - y,
+    };
+  }
+
+  // Copies the computed values of the given style properties of an element
+  // and its descendants to the matching elements of a copy of it, so that the
+  // copy keeps its looks outside of the page stylesheets.
+  static inlineStyles(source: Element, target: Element, properties: string[]) {
+    const computedStyle = window.getComputedStyle(source);
+    const targetStyle = (target: any).style;
+
+    properties.forEach(property => {
+      const value = computedStyle.getPropertyValue(property);
+
+      if (value) {
+        targetStyle.setProperty(property, value);
+      }
+    });
+
+    for (let i = 0; i < source.children.length; i++) {
+      GraphUtils.inlineStyles(
+        source.children[i],
+        target.children[i],
+        properties
+      );
+    }
+  }
+
+  // Returns the rendered width of a title text.
+  static measureText(text: string): number {
+    if (measureContext === null) {
+      const canvas: any = document.createElement('canvas');
+
+      measureContext = (canvas.getContext && canvas.getContext('2d')) || false;
+    }
+
+    if (measureContext) {
+      measureContext.font = `${TITLE_FONT_SIZE}px sans-serif`;
+
+      return measureContext.measureText(text).width;
+    }
+
+    // estimate the average character width
+    return text.length * TITLE_FONT_SIZE * 0.6;
+  }
+
+  // Breaks a title into lines that fit in the width of a node. Words that
+  // don't fit on a line of their own are broken, and the last line ends with
+  // an ellipsis when the title needs more than maxLines lines.
+  static getTitleLines(
+    title: string,
+    width: number,
+    maxLines: number
+  ): string[] {
+    const lineWidth = Math.max(width - TITLE_PADDING * 2, TITLE_FONT_SIZE);
+    const fits = text => GraphUtils.measureText(text) <= lineWidth;
+    const lines = [];
+    let line = '';
+
+    title
+      .split(/\s+/)
+      .filter(word => word)
+      .forEach(word => {
+        const candidate = line ? `${line} ${word}` : word;
+
+        if (fits(candidate)) {
+          line = candidate;
+
+          return;
+        }
+
+        if (line) {
+          lines.push(line);
+        }
+
+        line = word;
+
+        while (!fits(line) && line.length > 1) {
+          let end = line.length - 1;
+
+          while (end > 1 && !fits(line.substr(0, end))) {
+            end--;
+          }
+
+          lines.push(line.substr(0, end));
+          line = line.substr(end);
+        }
+      });
+
+    if (line) {
+      lines.push(line);
+    }
+
+    if (lines.length <= maxLines) {
+      return lines;
+    }
+
+    let lastLine = lines[maxLines - 1];
+
+    while (lastLine && !fits(`${lastLine}${ELLIPSIS}`)) {
+      lastLine = lastLine.substr(0, lastLine.length - 1).trim();
+    }
+
+    return [...lines.slice(0, maxLines - 1), `${lastLine}${ELLIPSIS}`];
+  }
+
+  // Returns the height a node needs to show its wrapped title.
+  static getTitleHeight(
+    title: ?string,
+    width: number,
+    maxLines: number
+  ): number {
+    const lines = title ? GraphUtils.getTitleLines(title, width, maxLines) : [];
+
+    return (
+      TITLE_LINE_OFFSET +
+      Math.max(lines.length - 1, 0) * TITLE_LINE_HEIGHT +
+      TITLE_PADDING * 2
+    );
+  }
+
   // retained for backwards compatibility
   static hasNodeShallowChanged(prevNode: INode, newNode: INode) {
     return !this.isEqual(prevNode, newNode);
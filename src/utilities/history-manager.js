@@ -0,0 +1,310 @@
+// @flow
+/*
+  Copyright(c) 2018 Uber Technologies, Inc.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+          http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+/*
+  Records reversible graph operations for GraphView's undo/redo support.
+  Operations are computed by diffing a snapshot of the last known graph
+  against the current nodes and edges, which keeps the history correct even
+  though node positions are mutated in place while dragging.
+*/
+
+import { type IEdge } from '../components/edge';
+import { type INode } from '../components/node';
+import GraphUtils from './graph-util';
+
+export type IHistoryOperationType =
+  | 'createNode'
+  | 'moveNode'
+  | 'updateNode'
+  | 'deleteNode'
+  | 'createEdge'
+  | 'updateEdge'
+  | 'swapEdge'
+  | 'deleteEdge';
+
+export type IHistoryOperation = {
+  type: IHistoryOperationType,
+  before?: any,
+  after?: any,
+  index: number,
+};
+
+export type IHistoryEntry = {
+  operations: IHistoryOperation[],
+};
+
+type ISnapshotItem = {
+  item: any,
+  index: number,
+};
+
+export type IHistorySnapshot = {
+  nodes: { [key: string]: ISnapshotItem },
+  edges: { [key: string]: ISnapshotItem },
+};
+
+const NODE_OPERATIONS = ['createNode', 'moveNode', 'updateNode', 'deleteNode'];
+
+function isOnlyPositionChange(prevNode: INode, node: INode) {
+  return GraphUtils.isEqual(
+    { ...prevNode, x: node.x, y: node.y },
+    { ...node, x: node.x, y: node.y }
+  );
+}
+
+class HistoryManager {
+  static createSnapshot(
+    nodes: INode[],
+    edges: IEdge[],
+    nodeKey: string
+  ): IHistorySnapshot {
+    const snapshot = { nodes: {}, edges: {} };
+
+    nodes.forEach((node, index) => {
+      snapshot.nodes[`key-${node[nodeKey]}`] = { item: { ...node }, index };
+    });
+    edges.forEach((edge, index) => {
+      snapshot.edges[GraphUtils.getEdgeKey(edge)] = {
+        item: { ...edge },
+        index,
+      };
+    });
+
+    return snapshot;
+  }
+
+  // Returns the operations needed to go from the snapshot to the given graph.
+  static diff(
+    snapshot: IHistorySnapshot,
+    nodes: INode[],
+    edges: IEdge[],
+    nodeKey: string
+  ): IHistoryOperation[] {
+    const operations = [];
+    const nodeKeys = {};
+    const edgeKeys = {};
+
+    nodes.forEach((node, index) => {
+      const key = `key-${node[nodeKey]}`;
+      const prev = snapshot.nodes[key];
+
+      nodeKeys[key] = true;
+
+      if (!prev) {
+        operations.push({ type: 'createNode', after: { ...node }, index });
+      } else if (!GraphUtils.isEqual(prev.item, node)) {
+        operations.push({
+          type: isOnlyPositionChange(prev.item, node)
+            ? 'moveNode'
+            : 'updateNode',
+          before: prev.item,
+          after: { ...node },
+          index,
+        });
+      }
+    });
+
+    Object.keys(snapshot.nodes).forEach(key => {
+      if (!nodeKeys[key]) {
+        const { item, index } = snapshot.nodes[key];
+
+        operations.push({ type: 'deleteNode', before: item, index });
+      }
+    });
+
+    const createdEdges = [];
+    const deletedEdges = [];
+
+    edges.forEach((edge, index) => {
+      const key = GraphUtils.getEdgeKey(edge);
+      const prev = snapshot.edges[key];
+
+      edgeKeys[key] = true;
+
+      if (!prev) {
+        createdEdges.push({ type: 'createEdge', after: { ...edge }, index });
+      } else if (!GraphUtils.isEqual(prev.item, edge)) {
+        operations.push({
+          type: 'updateEdge',
+          before: prev.item,
+          after: { ...edge },
+          index,
+        });
+      }
+    });
+
+    Object.keys(snapshot.edges).forEach(key => {
+      if (!edgeKeys[key]) {
+        const { item, index } = snapshot.edges[key];
+
+        deletedEdges.push({ type: 'deleteEdge', before: item, index });
+      }
+    });
+
+    // A swapped edge keeps its source but changes its target, which shows up
+    // as a deletion and a creation. Pair those back up into a single swap.
+    deletedEdges.forEach(deleted => {
+      const createdIndex = createdEdges.findIndex(
+        created => created.after.source === deleted.before.source
+      );
+
+      if (createdIndex === -1) {
+        operations.push(deleted);
+
+        return;
+      }
+
+      const created = createdEdges[createdIndex];
+
+      createdEdges.splice(createdIndex, 1);
+      operations.push({
+        type: 'swapEdge',
+        before: deleted.before,
+        after: created.after,
+        index: created.index,
+      });
+    });
+
+    return operations.concat(createdEdges);
+  }
+
+  // Applies an entry to copies of the nodes and edges arrays. When isUndo is
+  // true, every operation is reversed.
+  static applyEntry(
+    entry: IHistoryEntry,
+    nodes: INode[],
+    edges: IEdge[],
+    nodeKey: string,
+    isUndo: boolean
+  ): { nodes: INode[], edges: IEdge[] } {
+    const nextNodes: INode[] = [...nodes];
+    const nextEdges: IEdge[] = [...edges];
+    const inserts = [];
+    const getKey = (operation, item) =>
+      NODE_OPERATIONS.indexOf(operation.type) > -1
+        ? `key-${item[nodeKey]}`
+        : GraphUtils.getEdgeKey(item);
+    const getList = (operation): any[] =>
+      NODE_OPERATIONS.indexOf(operation.type) > -1 ? nextNodes : nextEdges;
+    const findIndex = (operation, item) => {
+      const key = getKey(operation, item);
+
+      return getList(operation).findIndex(
+        current => getKey(operation, current) === key
+      );
+    };
+
+    entry.operations.forEach(operation => {
+      const from = isUndo ? operation.after : operation.before;
+      const to = isUndo ? operation.before : operation.after;
+      const list = getList(operation);
+      const currentIndex = from ? findIndex(operation, from) : -1;
+
+      if (from && to) {
+        if (currentIndex > -1) {
+          list[currentIndex] = { ...to };
+        } else {
+          inserts.push({ operation, item: to });
+        }
+      } else if (from) {
+        if (currentIndex > -1) {
+          list.splice(currentIndex, 1);
+        }
+      } else if (to) {
+        inserts.push({ operation, item: to });
+      }
+    });
+
+    // Inserting in ascending order restores the original array positions.
+    inserts
+      .sort((a, b) => a.operation.index - b.operation.index)
+      .forEach(({ operation, item }) => {
+        const list = getList(operation);
+
+        if (findIndex(operation, item) === -1) {
+          list.splice(Math.min(operation.index, list.length), 0, { ...item });
+        }
+      });
+
+    return {
+      edges: nextEdges,
+      nodes: nextNodes,
+    };
+  }
+
+  undoStack: IHistoryEntry[];
+  redoStack: IHistoryEntry[];
+  limit: number;
+
+  constructor(limit?: number = 100) {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.limit = limit;
+  }
+
+  push(entry: IHistoryEntry) {
+    if (entry.operations.length === 0) {
+      return;
+    }
+
+    this.undoStack.push(entry);
+    this.redoStack = [];
+
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.shift();
+    }
+  }
+
+  undo(): IHistoryEntry | null {
+    const entry = this.undoStack.pop();
+
+    if (!entry) {
+      return null;
+    }
+
+    this.redoStack.push(entry);
+
+    return entry;
+  }
+
+  redo(): IHistoryEntry | null {
+    const entry = this.redoStack.pop();
+
+    if (!entry) {
+      return null;
+    }
+
+    this.undoStack.push(entry);
+
+    return entry;
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+}
+
+export default HistoryManager;
@@ -0,0 +1,118 @@
+// @flow
+/*
+  Copyright(c) 2018 Uber Technologies, Inc.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+          http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+import * as d3 from 'd3';
+import { type INode } from '../../components/node';
+import LayoutEngine from './layout-engine';
+
+// Angle used to spread the initial positions on a sunflower spiral.
+const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5));
+
+class ForceDirected extends LayoutEngine {
+  adjustNodes(nodes: INode[], nodesMap?: any): INode[] {
+    if (!nodesMap) {
+      return nodes;
+    }
+
+    const map: { [key: string]: any } = nodesMap;
+
+    const {
+      nodeKey,
+      nodeSize,
+      nodeHeight,
+      nodeWidth,
+      nodeSpacingMultiplier,
+    } = this.graphViewProps;
+    const spacing = nodeSpacingMultiplier || 1.5;
+    const width = nodeWidth || nodeSize || 1;
+    // nodes grow to fit their wrapped titles
+    const height = nodes.reduce(
+      (max, node) => Math.max(max, this.getTitleHeight(node)),
+      nodeHeight || nodeSize || 1
+    );
+    // radius of the circle around a node, used to keep nodes from overlapping
+    const radius = Math.sqrt(width * width + height * height) / 2;
+
+    // The simulation only uses randomness to separate nodes sharing the exact
+    // same position, so distinct starting points make the layout deterministic.
+    const simulationNodes = nodes.map((node, i) => {
+      const distance = radius * spacing * Math.sqrt(i + 0.5);
+      const angle = i * GOLDEN_ANGLE;
+
+      return {
+        id: `key-${node[nodeKey]}`,
+        x: distance * Math.cos(angle),
+        y: distance * Math.sin(angle),
+      };
+    });
+    const links = [];
+
+    simulationNodes.forEach(simulationNode => {
+      const nodesMapNode = map[simulationNode.id];
+
+      if (!nodesMapNode) {
+        return;
+      }
+
+      nodesMapNode.outgoingEdges.forEach(edge => {
+        const target = `key-${edge.target}`;
+
+        if (map[target] && target !== simulationNode.id) {
+          links.push({ source: simulationNode.id, target });
+        }
+      });
+    });
+
+    const simulation = d3
+      .forceSimulation(simulationNodes)
+      .force('charge', d3.forceManyBody().strength(-radius * spacing * 4))
+      .force(
+        'link',
+        d3
+          .forceLink(links)
+          .id(d => d.id)
+          .distance(radius * 2 * spacing)
+      )
+      .force('collide', d3.forceCollide(radius * spacing))
+      // weak centering forces keep isolated nodes and components close by
+      .force('x', d3.forceX(0).strength(0.05))
+      .force('y', d3.forceY(0).strength(0.05))
+      .stop();
+
+    const ticks = Math.ceil(
+      Math.log(simulation.alphaMin()) / Math.log(1 - simulation.alphaDecay())
+    );
+
+    for (let i = 0; i < ticks; i++) {
+      simulation.tick();
+    }
+
+    simulationNodes.forEach((simulationNode, i) => {
+      const position = this.calculatePosition({
+        x: simulationNode.x,
+        y: simulationNode.y,
+      });
+
+      nodes[i].x = position.x;
+      nodes[i].y = position.y;
+    });
+
+    return nodes;
+  }
+}
+
+export default ForceDirected;
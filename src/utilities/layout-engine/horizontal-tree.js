@@ -15,55 +15,22 @@
   limitations under the License.
 */
 
-import * as dagre from 'dagre';
 import { type INode } from '../../components/node';
-import SnapToGrid from './snap-to-grid';
+import VerticalTree from './vertical-tree';
 
-class HorizontalTree extends SnapToGrid {
-  adjustNodes(nodes: INode[], nodesMap?: any): INode[] {
-    const { nodeKey, nodeSize } = this.graphViewProps;
-    const size = (nodeSize || 1) * 1.5;
-    const g = new dagre.graphlib.Graph();
-
-    g.setGraph({ rankdir: 'LR' });
-    g.setDefaultEdgeLabel(() => ({}));
-
-    nodes.forEach(node => {
-      if (!nodesMap) {
-        return;
-      }
-
-      const nodeId = node[nodeKey];
-      const nodeKeyId = `key-${nodeId}`;
-      const nodesMapNode = nodesMap[nodeKeyId];
-
-      // prevent disconnected nodes from being part of the graph
-      if (
-        nodesMapNode.incomingEdges.length === 0 &&
-        nodesMapNode.outgoingEdges.length === 0
-      ) {
-        return;
-      }
-
-      g.setNode(nodeKeyId, { width: size, height: size });
-      nodesMapNode.outgoingEdges.forEach(edge => {
-        g.setEdge(nodeKeyId, `key-${edge.target}`);
-      });
-    });
-
-    dagre.layout(g);
-
-    g.nodes().forEach(gNodeId => {
-      const nodesMapNode = nodesMap[gNodeId];
-
-      // gNode is the dagre representation
-      const gNode = this.calculatePosition(g.node(gNodeId));
+class HorizontalTree extends VerticalTree {
+  getGraphLabel(): any {
+    return { rankdir: 'LR' };
+  }
 
-      nodesMapNode.node.x = gNode.x;
-      nodesMapNode.node.y = gNode.y;
-    });
+  getNodeDimensions(node: INode): { width: number, height: number } {
+    const { nodeSize } = this.graphViewProps;
+    const size = (nodeSize || 1) * 1.5;
 
-    return nodes;
+    return {
+      width: size,
+      height: Math.max(size, this.getTitleHeight(node) * 1.5),
+    };
   }
 }
 
@@ -17,16 +17,26 @@
 
 import None from './none';
 import SnapToGrid from './snap-to-grid';
+import SnapToNodes from './snap-to-nodes';
 import VerticalTree from './vertical-tree';
 import HorizontalTree from './horizontal-tree';
+import ForceDirected from './force-directed';
 
-export type LayoutEngine = None | SnapToGrid | VerticalTree | HorizontalTree;
+export type LayoutEngine =
+  | None
+  | SnapToGrid
+  | SnapToNodes
+  | VerticalTree
+  | HorizontalTree
+  | ForceDirected;
 
 const LayoutEngines = {
   None,
   SnapToGrid,
+  SnapToNodes,
   VerticalTree,
   HorizontalTree,
+  ForceDirected,
 };
 
 export default LayoutEngines;
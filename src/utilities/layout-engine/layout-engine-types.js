@@ -3,5 +3,7 @@
 export type LayoutEngineType =
   | 'None'
   | 'SnapToGrid'
+  | 'SnapToNodes'
   | 'VerticalTree'
-  | 'HorizontalTree';
+  | 'HorizontalTree'
+  | 'ForceDirected';
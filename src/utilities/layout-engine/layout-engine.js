@@ -17,6 +17,7 @@
 
 import { type IGraphViewProps } from '../../components/graph-view-props';
 import { type INode } from '../../components/node';
+import GraphUtils from '../graph-util';
 
 export type IPosition = {
   x: number,
@@ -51,6 +52,27 @@ export default class LayoutEngine {
     return nodes;
   }
 
+  // Returns the height the wrapped title of a node needs, or 0 when titles
+  // aren't wrapped.
+  getTitleHeight(node: INode): number {
+    const {
+      maxTitleLines,
+      nodeSize,
+      nodeWidth,
+      wrapTitles,
+    } = this.graphViewProps;
+
+    if (!wrapTitles) {
+      return 0;
+    }
+
+    return GraphUtils.getTitleHeight(
+      node.title,
+      nodeWidth || nodeSize || 0,
+      maxTitleLines || 3
+    );
+  }
+
   getPositionForNode(node: IPosition): IPosition {
     return this.calculatePosition(node);
   }
@@ -0,0 +1,274 @@
+// @flow
+/*
+  Copyright(c) 2018 Uber Technologies, Inc.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+          http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+import { type IBBox } from '../../components/graph-view-props';
+import LayoutEngine, { type IPosition } from './layout-engine';
+
+export type IAlignmentGuide = {
+  type: 'alignment' | 'spacing',
+  x1: number,
+  y1: number,
+  x2: number,
+  y2: number,
+};
+
+// how far a dragged node snaps and the guides that show what it snapped to
+export type ISnap = {
+  x: number,
+  y: number,
+  guides: IAlignmentGuide[],
+};
+
+type IAxis = 'x' | 'y';
+
+type ISpan = {
+  start: number,
+  end: number,
+};
+
+type ISnapCandidate = {
+  offset: number,
+  // draws the guides once the box has been snapped on both axes
+  getGuides: (bbox: IBBox) => IAlignmentGuide[],
+};
+
+// Returns the extent of a box along the axis and across it.
+function getSpans(bbox: IBBox, axis: IAxis): [ISpan, ISpan] {
+  const x = { start: bbox.x, end: bbox.x + bbox.width };
+  const y = { start: bbox.y, end: bbox.y + bbox.height };
+
+  return axis === 'x' ? [x, y] : [y, x];
+}
+
+// Returns a line from a to b, given as positions along and across the axis.
+function getLine(
+  type: 'alignment' | 'spacing',
+  axis: IAxis,
+  a: [number, number],
+  b: [number, number]
+): IAlignmentGuide {
+  return axis === 'x'
+    ? { type, x1: a[0], y1: a[1], x2: b[0], y2: b[1] }
+    : { type, x1: a[1], y1: a[0], x2: b[1], y2: b[0] };
+}
+
+function getAnchors(span: ISpan) {
+  return [span.start, (span.start + span.end) / 2, span.end];
+}
+
+function moveBBox(bbox: IBBox, axis: IAxis, offset: number): IBBox {
+  return axis === 'x'
+    ? { ...bbox, x: bbox.x + offset }
+    : { ...bbox, y: bbox.y + offset };
+}
+
+/*
+  Moves freely, like None, but snaps dragged nodes to the other nodes: to
+  line up their centers or sides, or to space them as evenly as the nodes
+  around them.
+*/
+class SnapToNodes extends LayoutEngine {
+  calculatePosition(node: IPosition) {
+    return node;
+  }
+
+  // Returns the candidates that line the box up with the others.
+  getAlignmentCandidates(
+    bbox: IBBox,
+    bboxes: IBBox[],
+    axis: IAxis
+  ): ISnapCandidate[] {
+    const [span] = getSpans(bbox, axis);
+    const candidates = [];
+
+    bboxes.forEach(other => {
+      const [otherSpan, otherCross] = getSpans(other, axis);
+
+      getAnchors(span).forEach(anchor => {
+        getAnchors(otherSpan).forEach(otherAnchor => {
+          candidates.push({
+            offset: otherAnchor - anchor,
+            getGuides: snapped => {
+              const [, cross] = getSpans(snapped, axis);
+
+              return [
+                getLine(
+                  'alignment',
+                  axis,
+                  [otherAnchor, Math.min(cross.start, otherCross.start)],
+                  [otherAnchor, Math.max(cross.end, otherCross.end)]
+                ),
+              ];
+            },
+          });
+        });
+      });
+    });
+
+    return candidates;
+  }
+
+  // Returns the candidates that leave the same gap next to the box as
+  // between the other nodes in its row, or center it between its neighbours.
+  getSpacingCandidates(
+    bbox: IBBox,
+    bboxes: IBBox[],
+    axis: IAxis
+  ): ISnapCandidate[] {
+    const [span, cross] = getSpans(bbox, axis);
+    const size = span.end - span.start;
+    const center = (span.start + span.end) / 2;
+    // the nodes beside the box on this axis
+    const row = bboxes
+      .map(other => getSpans(other, axis))
+      .filter(
+        ([, otherCross]) =>
+          otherCross.start < cross.end && otherCross.end > cross.start
+      )
+      .sort((a, b) => a[0].start - b[0].start);
+    const gaps = [];
+
+    for (let i = 1; i < row.length; i++) {
+      const [previous, previousCross] = row[i - 1];
+      const [next, nextCross] = row[i];
+
+      if (next.start > previous.end) {
+        gaps.push({
+          start: previous.end,
+          end: next.start,
+          cross:
+            (Math.max(previousCross.start, nextCross.start) +
+              Math.min(previousCross.end, nextCross.end)) /
+            2,
+        });
+      }
+    }
+
+    const getGapLine = (start, end, at) =>
+      getLine('spacing', axis, [start, at], [end, at]);
+    const getCrossCenter = snapped => {
+      const [, snappedCross] = getSpans(snapped, axis);
+
+      return (snappedCross.start + snappedCross.end) / 2;
+    };
+    const before = row
+      .filter(([other]) => (other.start + other.end) / 2 < center)
+      .map(([other]) => other)
+      .sort((a, b) => b.end - a.end)[0];
+    const after = row
+      .filter(([other]) => (other.start + other.end) / 2 > center)
+      .map(([other]) => other)
+      .sort((a, b) => a.start - b.start)[0];
+    const candidates = [];
+
+    if (before && after && after.start - before.end > size) {
+      candidates.push({
+        offset: (before.end + after.start - size) / 2 - span.start,
+        getGuides: snapped => {
+          const [snappedSpan] = getSpans(snapped, axis);
+          const at = getCrossCenter(snapped);
+
+          return [
+            getGapLine(before.end, snappedSpan.start, at),
+            getGapLine(snappedSpan.end, after.start, at),
+          ];
+        },
+      });
+    }
+
+    gaps.forEach(gap => {
+      const gapSize = gap.end - gap.start;
+      const gapLine = getGapLine(gap.start, gap.end, gap.cross);
+
+      if (before) {
+        candidates.push({
+          offset: before.end + gapSize - span.start,
+          getGuides: snapped => [
+            gapLine,
+            getGapLine(
+              before.end,
+              getSpans(snapped, axis)[0].start,
+              getCrossCenter(snapped)
+            ),
+          ],
+        });
+      }
+
+      if (after) {
+        candidates.push({
+          offset: after.start - gapSize - span.end,
+          getGuides: snapped => [
+            gapLine,
+            getGapLine(
+              getSpans(snapped, axis)[0].end,
+              after.start,
+              getCrossCenter(snapped)
+            ),
+          ],
+        });
+      }
+    });
+
+    return candidates;
+  }
+
+  // Returns how far to move the box along the axis, the least within the
+  // threshold, and every candidate that moving it that far satisfies.
+  snapAxis(
+    bbox: IBBox,
+    bboxes: IBBox[],
+    axis: IAxis,
+    threshold: number
+  ): { offset: number, matches: ISnapCandidate[] } {
+    const candidates = [
+      ...this.getAlignmentCandidates(bbox, bboxes, axis),
+      ...this.getSpacingCandidates(bbox, bboxes, axis),
+    ];
+    const closest = candidates
+      .filter(candidate => Math.abs(candidate.offset) <= threshold)
+      .sort((a, b) => Math.abs(a.offset) - Math.abs(b.offset))[0];
+
+    if (!closest) {
+      return { offset: 0, matches: [] };
+    }
+
+    return {
+      offset: closest.offset,
+      // candidates a fraction of a unit off still count as matches
+      matches: candidates.filter(
+        candidate => Math.abs(candidate.offset - closest.offset) < 0.5
+      ),
+    };
+  }
+
+  // Returns how far a node with the given box has to move to snap to the
+  // other boxes, and the guides to draw. The threshold is in graph units.
+  getSnapOffset(bbox: IBBox, bboxes: IBBox[], threshold: number): ISnap {
+    const x = this.snapAxis(bbox, bboxes, 'x', threshold);
+    const y = this.snapAxis(bbox, bboxes, 'y', threshold);
+    const snapped = moveBBox(moveBBox(bbox, 'x', x.offset), 'y', y.offset);
+    const guides = [];
+
+    x.matches.concat(y.matches).forEach(candidate => {
+      guides.push(...candidate.getGuides(snapped));
+    });
+
+    return { x: x.offset, y: y.offset, guides };
+  }
+}
+
+export default SnapToNodes;
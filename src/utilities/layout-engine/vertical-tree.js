@@ -17,55 +17,120 @@
 
 import * as dagre from 'dagre';
 import { type INode } from '../../components/node';
+import GraphUtils, { type INodeMapNode } from '../graph-util';
 import SnapToGrid from './snap-to-grid';
 
 class VerticalTree extends SnapToGrid {
-  adjustNodes(nodes: INode[], nodesMap?: any): INode[] {
+  getGraphLabel(): any {
+    return {};
+  }
+
+  // Nodes grow to fit their wrapped titles.
+  getNodeDimensions(node: INode): { width: number, height: number } {
     const {
-      nodeKey,
       nodeSize,
       nodeHeight,
       nodeWidth,
       nodeSpacingMultiplier,
     } = this.graphViewProps;
-    const g = new dagre.graphlib.Graph();
-
-    g.setGraph({});
-    g.setDefaultEdgeLabel(() => ({}));
-
     const spacing = nodeSpacingMultiplier || 1.5;
     const size = (nodeSize || 1) * spacing;
-    let height;
-    let width;
+    const height = nodeHeight ? nodeHeight * spacing : size;
 
-    if (nodeHeight) {
-      height = nodeHeight * spacing;
-    }
+    return {
+      width: nodeWidth ? nodeWidth * spacing : size,
+      height: Math.max(height, this.getTitleHeight(node) * spacing),
+    };
+  }
 
-    if (nodeWidth) {
-      width = nodeWidth * spacing;
+  adjustNodes(nodes: INode[], nodesMap?: any): INode[] {
+    if (!nodesMap) {
+      return nodes;
     }
 
+    this.layoutNodes(nodes, nodesMap);
+
+    return nodes;
+  }
+
+  // Groups are laid out as dagre clusters, so that the nodes of a group stay
+  // together. Collapsed groups are laid out like a node and their nodes move
+  // along with them.
+  layoutNodes(nodes: INode[], nodesMap: any) {
+    const { nodeKey } = this.graphViewProps;
+    const g = new dagre.graphlib.Graph({ compound: true });
+
+    const isExpandedGroup = (nodesMapNode: INodeMapNode) =>
+      GraphUtils.isGroup(nodesMapNode) && !nodesMapNode.node.collapsed;
+    // the id of the node that is drawn in place of the given node
+    const getVisibleId = (nodeKeyId: string) => {
+      const nodesMapNode = nodesMap[nodeKeyId];
+      const collapsedAncestor =
+        nodesMapNode && GraphUtils.getCollapsedAncestor(nodesMapNode);
+
+      return collapsedAncestor
+        ? `key-${collapsedAncestor.node[nodeKey]}`
+        : nodeKeyId;
+    };
+
+    g.setGraph(this.getGraphLabel());
+    g.setDefaultEdgeLabel(() => ({}));
+
     nodes.forEach(node => {
-      if (!nodesMap) {
+      const nodeKeyId = `key-${node[nodeKey]}`;
+      const nodesMapNode = nodesMap[nodeKeyId];
+
+      if (getVisibleId(nodeKeyId) !== nodeKeyId) {
         return;
       }
 
-      const nodeId = node[nodeKey];
-      const nodeKeyId = `key-${nodeId}`;
-      const nodesMapNode = nodesMap[nodeKeyId];
-
       // prevent disconnected nodes from being part of the graph
       if (
         nodesMapNode.incomingEdges.length === 0 &&
-        nodesMapNode.outgoingEdges.length === 0
+        nodesMapNode.outgoingEdges.length === 0 &&
+        !nodesMapNode.parentGroup &&
+        !GraphUtils.isGroup(nodesMapNode)
       ) {
         return;
       }
 
-      g.setNode(nodeKeyId, { width: width || size, height: height || size });
+      // dagre sizes clusters around their contents
+      g.setNode(
+        nodeKeyId,
+        isExpandedGroup(nodesMapNode) ? {} : this.getNodeDimensions(node)
+      );
+    });
+
+    nodes.forEach(node => {
+      const nodeKeyId = `key-${node[nodeKey]}`;
+      const nodesMapNode = nodesMap[nodeKeyId];
+      const sourceId = getVisibleId(nodeKeyId);
+      const parentId =
+        nodesMapNode.parentGroup &&
+        `key-${nodesMapNode.parentGroup.node[nodeKey]}`;
+
+      if (parentId && g.hasNode(nodeKeyId) && g.hasNode(parentId)) {
+        g.setParent(nodeKeyId, parentId);
+      }
+
       nodesMapNode.outgoingEdges.forEach(edge => {
-        g.setEdge(nodeKeyId, `key-${edge.target}`);
+        const targetKeyId = `key-${edge.target}`;
+        const targetId = getVisibleId(targetKeyId);
+
+        // edges within a collapsed group are hidden and dagre can't lay out
+        // edges of clusters
+        if (
+          !g.hasNode(sourceId) ||
+          !g.hasNode(targetId) ||
+          (sourceId === targetId &&
+            (sourceId !== nodeKeyId || targetId !== targetKeyId)) ||
+          isExpandedGroup(nodesMap[sourceId]) ||
+          isExpandedGroup(nodesMap[targetId])
+        ) {
+          return;
+        }
+
+        g.setEdge(sourceId, targetId);
       });
     });
 
@@ -73,15 +138,28 @@ class VerticalTree extends SnapToGrid {
 
     g.nodes().forEach(gNodeId => {
       const nodesMapNode = nodesMap[gNodeId];
+      const { node } = nodesMapNode;
 
       // gNode is the dagre representation
       const gNode = this.calculatePosition(g.node(gNodeId));
 
-      nodesMapNode.node.x = gNode.x;
-      nodesMapNode.node.y = gNode.y;
-    });
+      if (node.collapsed) {
+        const deltaX = gNode.x - (node.x || 0);
+        const deltaY = gNode.y - (node.y || 0);
+
+        GraphUtils.getGroupDescendants(nodesMapNode).forEach(descendant => {
+          descendant.node.x = (descendant.node.x || 0) + deltaX;
+          descendant.node.y = (descendant.node.y || 0) + deltaY;
+        });
+      } else if (isExpandedGroup(nodesMapNode)) {
+        // resized groups are fitted to their new contents
+        delete node.width;
+        delete node.height;
+      }
 
-    return nodes;
+      node.x = gNode.x;
+      node.y = gNode.y;
+    });
   }
 }
 
@@ -19,6 +19,9 @@ import { type IEdge } from '../../components/edge';
 import { type INode } from '../../components/node';
 import Transformer, { type IGraphInput } from './transformer';
 
+// states that end the execution by their type and can't have Next or End
+const TERMINAL_TYPES = ['Succeed', 'Fail'];
+
 export default class BwdlTransformer extends Transformer {
   static transform(input: any) {
     if (!input.States) {
@@ -55,22 +58,35 @@ export default class BwdlTransformer extends Transformer {
 
       // create edges
       if (currentNode.Type === 'Choice') {
+        // Several choices can lead to the same state. The first edge to a
+        // state is identified by its source and target, the next ones get an
+        // id so that they are kept as parallel edges.
+        const edgeCounts = {};
+        const addChoiceEdge = (target: string) => {
+          const count = edgeCounts[target] || 0;
+          const edge: IEdge = {
+            source: name,
+            target,
+          };
+
+          if (count > 0) {
+            edge.id = `${name}_${target}_${count}`;
+          }
+
+          edgeCounts[target] = count + 1;
+          edges.push(edge);
+        };
+
         // multiple edges
         currentNode.Choices.forEach(choice => {
           if (input.States[choice.Next]) {
-            edges.push({
-              source: name,
-              target: choice.Next,
-            });
+            addChoiceEdge(choice.Next);
           }
         });
 
         // Choice nodes carry both a Choices list and an optional Default value which is not part of the list.
         if (currentNode.Default) {
-          edges.push({
-            source: name,
-            target: currentNode.Default,
-          });
+          addChoiceEdge(currentNode.Default);
         }
       } else if (currentNode.Next) {
         if (input.States[currentNode.Next]) {
@@ -89,7 +105,112 @@ export default class BwdlTransformer extends Transformer {
     };
   }
 
-  static revert(graphInput: IGraphInput) {
-    return graphInput;
+  /**
+   * Converts a graphInput back to a BWDL document. When the original document
+   * is given, its top-level fields, unknown state fields and Choice rules are
+   * kept, so that reverting an unchanged graph returns an equal document.
+   * Non-Choice states can only have one Next, so only the first outgoing edge
+   * of such a node is kept, and the ones without outgoing edges get End.
+   * @param graphInput
+   * @param originalBwdl
+   * @returns any
+   */
+  static revert(graphInput: IGraphInput, originalBwdl?: any) {
+    const { nodes, edges } = graphInput;
+    // the original document may also be null
+    const original = originalBwdl || {};
+    const originalStates = original.States || {};
+    const titles = nodes.map(node => node.title);
+    const States = {};
+
+    // Keep the original order of the states, followed by the new ones.
+    const orderedNodes = Object.keys(originalStates)
+      .filter(name => titles.indexOf(name) > -1)
+      .map(name => nodes[titles.indexOf(name)])
+      .concat(nodes.filter(node => !originalStates[node.title]));
+
+    orderedNodes.forEach(node => {
+      const originalState = originalStates[node.title] || {};
+      const state: any = { ...originalState };
+      const targets = edges
+        .filter(edge => edge.source === node.title)
+        .map(edge => edge.target);
+
+      if (node.type != null) {
+        state.Type = node.type;
+      } else {
+        delete state.Type;
+      }
+
+      // transform defaults missing coordinates to 0, so only write them back
+      // when they were in the original state or the node has been moved.
+      if (node.x || originalState.x != null) {
+        state.x = node.x;
+      }
+
+      if (node.y || originalState.y != null) {
+        state.y = node.y;
+      }
+
+      if (state.Type === 'Choice') {
+        const Choices = [];
+
+        delete state.Next;
+        delete state.End;
+
+        // Choice rules hold conditions, so reuse the original ones that still
+        // point at a connected state.
+        (originalState.Choices || []).forEach(choice => {
+          const targetIndex = targets.indexOf(choice.Next);
+
+          if (targetIndex > -1) {
+            targets.splice(targetIndex, 1);
+            Choices.push({ ...choice });
+          }
+        });
+
+        const defaultIndex = targets.indexOf(originalState.Default);
+
+        if (originalState.Default && defaultIndex > -1) {
+          targets.splice(defaultIndex, 1);
+        } else {
+          delete state.Default;
+        }
+
+        targets.forEach(target => {
+          Choices.push({ Next: target });
+        });
+
+        state.Choices = Choices;
+      } else {
+        delete state.Choices;
+        delete state.Default;
+
+        if (targets.length > 0) {
+          state.Next = targets[0];
+          delete state.End;
+        } else if (TERMINAL_TYPES.indexOf(state.Type) > -1) {
+          delete state.Next;
+          delete state.End;
+        } else {
+          state.End = true;
+          delete state.Next;
+        }
+      }
+
+      States[node.title] = state;
+    });
+
+    // transform places the StartAt state first
+    const StartAt =
+      titles.indexOf(original.StartAt) > -1 || nodes.length === 0
+        ? original.StartAt
+        : nodes[0].title;
+
+    return {
+      ...original,
+      StartAt,
+      States,
+    };
   }
 }
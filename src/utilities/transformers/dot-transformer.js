@@ -0,0 +1,558 @@
+// @flow
+/*
+  Copyright(c) 2018 Uber Technologies, Inc.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+          http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+/*
+  Converts Graphviz DOT documents to and from IGraphInput.
+  Nodes are keyed by `id` and use their `label` as title, `shape` as type and
+  `pos` as x/y. Graphviz uses a y-up coordinate system, so y is flipped.
+  Attributes that have no INode or IEdge equivalent are kept in `attributes`.
+*/
+
+import { type IEdge } from '../../components/edge';
+import { type INode } from '../../components/node';
+import Transformer, { type IGraphInput } from './transformer';
+
+type IToken = {
+  type: 'id' | 'string' | 'punctuation',
+  value: string,
+  index: number,
+};
+
+type IAttributes = { [key: string]: string };
+
+type IScope = {
+  node: IAttributes,
+  edge: IAttributes,
+  subgraph?: string,
+  nodeIds: string[],
+};
+
+const KEYWORDS = ['strict', 'graph', 'digraph', 'node', 'edge', 'subgraph'];
+const PUNCTUATION = ['->', '--', '{', '}', '[', ']', ';', ',', '=', ':', '+'];
+const ID_PATTERN = /^[A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*$/;
+const NUMERAL_PATTERN = /^-?(\.\d+|\d+(\.\d*)?)$/;
+const ID_CHARACTER_PATTERN = /[\w.\u0080-\uffff]/;
+
+function tokenize(input: string): IToken[] {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const char = input[i];
+    const start = i;
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '#' || input.startsWith('//', i)) {
+      const end = input.indexOf('\n', i);
+
+      i = end === -1 ? input.length : end;
+    } else if (input.startsWith('/*', i)) {
+      const end = input.indexOf('*/', i + 2);
+
+      i = end === -1 ? input.length : end + 2;
+    } else if (char === '"') {
+      let value = '';
+
+      i++;
+
+      while (i < input.length && input[i] !== '"') {
+        if (input[i] === '\\' && input[i + 1] === '"') {
+          value += '"';
+          i += 2;
+        } else if (input[i] === '\\' && input[i + 1] === '\n') {
+          i += 2;
+        } else {
+          value += input[i];
+          i++;
+        }
+      }
+
+      tokens.push({ index: start, type: 'string', value });
+      i++;
+    } else if (char === '<') {
+      // HTML strings end at the matching closing bracket
+      let depth = 0;
+
+      do {
+        if (input[i] === '<') {
+          depth++;
+        } else if (input[i] === '>') {
+          depth--;
+        }
+
+        i++;
+      } while (i < input.length && depth > 0);
+
+      tokens.push({
+        index: start,
+        type: 'string',
+        value: input.slice(start + 1, i - 1),
+      });
+    } else {
+      const punctuation = PUNCTUATION.find(p => input.startsWith(p, i));
+
+      if (punctuation) {
+        tokens.push({ index: start, type: 'punctuation', value: punctuation });
+        i += punctuation.length;
+      } else if (char === '-' || ID_CHARACTER_PATTERN.test(char)) {
+        i++;
+
+        while (i < input.length && ID_CHARACTER_PATTERN.test(input[i])) {
+          i++;
+        }
+
+        tokens.push({ index: start, type: 'id', value: input.slice(start, i) });
+      } else {
+        throw new Error(`DotTransformer: Unexpected "${char}" at index ${i}`);
+      }
+    }
+  }
+
+  return tokens;
+}
+
+function parsePosition(pos: string) {
+  // pos is "x,y" with an optional "!" to pin the node
+  const [x, y] = pos
+    .replace('!', '')
+    .split(',')
+    .map(parseFloat);
+
+  return Number.isFinite(x) && Number.isFinite(y) ? { x, y: -y } : null;
+}
+
+function createNode(id: string, attributes: IAttributes, subgraph?: string) {
+  const { label, shape, pos, color, ...rest } = attributes;
+  const position = pos != null ? parsePosition(pos) : null;
+  // positions that can't be parsed are kept as they are
+  const extraAttributes = pos != null && !position ? { ...rest, pos } : rest;
+  const node: INode = {
+    id,
+    title: label != null ? label : id,
+  };
+
+  if (shape != null) {
+    node.type = shape;
+  }
+
+  if (position) {
+    node.x = position.x;
+    node.y = position.y;
+  }
+
+  if (color != null) {
+    node.color = color;
+  }
+
+  if (subgraph != null) {
+    node.subgraph = subgraph;
+  }
+
+  if (Object.keys(extraAttributes).length > 0) {
+    node.attributes = extraAttributes;
+  }
+
+  return node;
+}
+
+function createEdge(source: string, target: string, attributes: IAttributes) {
+  const { label, color, ...rest } = attributes;
+  const edge: IEdge = {
+    source,
+    target,
+  };
+
+  if (label != null) {
+    edge.handleText = label;
+  }
+
+  if (color != null) {
+    edge.color = color;
+  }
+
+  if (Object.keys(rest).length > 0) {
+    edge.attributes = rest;
+  }
+
+  return edge;
+}
+
+class DotParser {
+  tokens: IToken[];
+  position: number;
+  nodeIds: string[];
+  nodeAttributes: { [id: string]: IAttributes };
+  nodeSubgraphs: { [id: string]: string };
+  edges: IEdge[];
+
+  constructor(tokens: IToken[]) {
+    this.tokens = tokens;
+    this.position = 0;
+    this.nodeIds = [];
+    this.nodeAttributes = {};
+    this.nodeSubgraphs = {};
+    this.edges = [];
+  }
+
+  parse(): IGraphInput {
+    if (this.isKeyword('strict')) {
+      this.position++;
+    }
+
+    if (!this.isKeyword('graph') && !this.isKeyword('digraph')) {
+      this.fail('Expected "graph" or "digraph"');
+    }
+
+    this.position++;
+
+    if (!this.isPunctuation('{')) {
+      this.parseId();
+    }
+
+    this.parseStatementList({ edge: {}, node: {}, nodeIds: [] });
+
+    return {
+      edges: this.edges,
+      nodes: this.nodeIds.map(id =>
+        createNode(id, this.nodeAttributes[id], this.nodeSubgraphs[id])
+      ),
+    };
+  }
+
+  fail(message: string) {
+    const token = this.tokens[this.position];
+    const location = token ? `at index ${token.index}` : 'at end of input';
+
+    throw new Error(`DotTransformer: ${message} ${location}`);
+  }
+
+  isPunctuation(value: string, offset?: number = 0) {
+    const token = this.tokens[this.position + offset];
+
+    return !!token && token.type === 'punctuation' && token.value === value;
+  }
+
+  // keywords are case-insensitive and can't be quoted
+  isKeyword(value: string) {
+    const token = this.tokens[this.position];
+
+    return (
+      !!token && token.type === 'id' && token.value.toLowerCase() === value
+    );
+  }
+
+  consume(value: string) {
+    if (!this.isPunctuation(value)) {
+      this.fail(`Expected "${value}"`);
+    }
+
+    this.position++;
+  }
+
+  parseId(): string {
+    const token = this.tokens[this.position];
+
+    if (!token || token.type === 'punctuation') {
+      this.fail('Expected an ID');
+
+      return '';
+    }
+
+    let value = token.value;
+
+    this.position++;
+
+    // quoted strings can be concatenated with "+"
+    while (
+      token.type === 'string' &&
+      this.isPunctuation('+') &&
+      this.tokens[this.position + 1] &&
+      this.tokens[this.position + 1].type === 'string'
+    ) {
+      value += this.tokens[this.position + 1].value;
+      this.position += 2;
+    }
+
+    return value;
+  }
+
+  parseAttributes(): IAttributes {
+    const attributes = {};
+
+    while (this.isPunctuation('[')) {
+      this.position++;
+
+      while (!this.isPunctuation(']')) {
+        const key = this.parseId();
+
+        this.consume('=');
+        attributes[key] = this.parseId();
+
+        if (this.isPunctuation(',') || this.isPunctuation(';')) {
+          this.position++;
+        }
+      }
+
+      this.position++;
+    }
+
+    return attributes;
+  }
+
+  // Ports are not supported, so they are skipped.
+  parseNodeId(): string {
+    const id = this.parseId();
+
+    while (this.isPunctuation(':')) {
+      this.position++;
+      this.parseId();
+    }
+
+    return id;
+  }
+
+  declareNode(id: string, scope: IScope, attributes?: IAttributes) {
+    if (!this.nodeAttributes[id]) {
+      this.nodeIds.push(id);
+      this.nodeAttributes[id] = { ...scope.node };
+    }
+
+    Object.assign(this.nodeAttributes[id], attributes);
+
+    if (!this.nodeSubgraphs[id] && scope.subgraph) {
+      this.nodeSubgraphs[id] = scope.subgraph;
+    }
+
+    if (scope.nodeIds.indexOf(id) === -1) {
+      scope.nodeIds.push(id);
+    }
+
+    return id;
+  }
+
+  parseStatementList(scope: IScope) {
+    this.consume('{');
+
+    while (!this.isPunctuation('}')) {
+      if (this.position >= this.tokens.length) {
+        this.fail('Expected "}"');
+      }
+
+      this.parseStatement(scope);
+
+      if (this.isPunctuation(';')) {
+        this.position++;
+      }
+    }
+
+    this.position++;
+  }
+
+  parseStatement(scope: IScope) {
+    if (
+      this.isKeyword('graph') ||
+      this.isKeyword('node') ||
+      this.isKeyword('edge')
+    ) {
+      const kind = this.tokens[this.position].value.toLowerCase();
+
+      this.position++;
+
+      const attributes = this.parseAttributes();
+
+      if (kind === 'node') {
+        scope.node = { ...scope.node, ...attributes };
+      } else if (kind === 'edge') {
+        scope.edge = { ...scope.edge, ...attributes };
+      }
+
+      return;
+    }
+
+    if (this.isPunctuation('=', 1)) {
+      // graph attributes are not kept
+      this.parseId();
+      this.position++;
+      this.parseId();
+
+      return;
+    }
+
+    let operands;
+
+    if (this.isKeyword('subgraph') || this.isPunctuation('{')) {
+      operands = [this.parseSubgraph(scope)];
+    } else {
+      const id = this.parseNodeId();
+
+      if (!this.isEdgeOperator()) {
+        this.declareNode(id, scope, this.parseAttributes());
+
+        return;
+      }
+
+      operands = [[this.declareNode(id, scope)]];
+    }
+
+    while (this.isEdgeOperator()) {
+      this.position++;
+      operands.push(
+        this.isKeyword('subgraph') || this.isPunctuation('{')
+          ? this.parseSubgraph(scope)
+          : [this.declareNode(this.parseNodeId(), scope)]
+      );
+    }
+
+    const attributes = { ...scope.edge, ...this.parseAttributes() };
+
+    for (let i = 1; i < operands.length; i++) {
+      const targets = operands[i];
+
+      operands[i - 1].forEach(source => {
+        targets.forEach(target => {
+          this.edges.push(createEdge(source, target, attributes));
+        });
+      });
+    }
+  }
+
+  isEdgeOperator() {
+    return this.isPunctuation('->') || this.isPunctuation('--');
+  }
+
+  // Returns the ids of all nodes in the subgraph, so that it can be used as
+  // an edge operand.
+  parseSubgraph(scope: IScope): string[] {
+    let name;
+
+    if (this.isKeyword('subgraph')) {
+      this.position++;
+
+      if (!this.isPunctuation('{')) {
+        name = this.parseId();
+      }
+    }
+
+    const subgraphScope = {
+      edge: { ...scope.edge },
+      node: { ...scope.node },
+      nodeIds: [],
+      subgraph: name || scope.subgraph,
+    };
+
+    this.parseStatementList(subgraphScope);
+    subgraphScope.nodeIds.forEach(id => {
+      if (scope.nodeIds.indexOf(id) === -1) {
+        scope.nodeIds.push(id);
+      }
+    });
+
+    return subgraphScope.nodeIds;
+  }
+}
+
+function formatId(value: any) {
+  const id = String(value);
+
+  if (
+    (ID_PATTERN.test(id) || NUMERAL_PATTERN.test(id)) &&
+    KEYWORDS.indexOf(id.toLowerCase()) === -1
+  ) {
+    return id;
+  }
+
+  return `"${id.replace(/"/g, '\\"')}"`;
+}
+
+function formatAttributes(attributes: { [key: string]: any }) {
+  const list = Object.keys(attributes)
+    .filter(key => attributes[key] != null)
+    .map(key => `${formatId(key)}=${formatId(attributes[key])}`);
+
+  return list.length > 0 ? ` [${list.join(', ')}]` : '';
+}
+
+function getNodeId(node: INode) {
+  return node.id != null ? node.id : node.title;
+}
+
+export default class DotTransformer extends Transformer {
+  /**
+   * Converts a DOT document to IGraphInput. Only the first graph in the
+   * document is read, and undirected edges are treated as directed ones.
+   * @param input
+   * @returns IGraphInput
+   */
+  static transform(input: string): IGraphInput {
+    return new DotParser(tokenize(input)).parse();
+  }
+
+  /**
+   * Converts a graphInput to a DOT digraph.
+   * @param graphInput
+   * @returns string
+   */
+  static revert(graphInput: IGraphInput): string {
+    const lines = ['digraph {'];
+    const subgraphs = {};
+
+    graphInput.nodes.forEach(node => {
+      const id = getNodeId(node);
+      const hasPosition = node.x != null && node.y != null;
+      const attributes = {
+        color: node.color,
+        label: node.title !== id ? node.title : null,
+        pos: hasPosition ? `${node.x || 0},${-(node.y || 0)}` : null,
+        shape: node.type,
+        ...node.attributes,
+      };
+      const line = `${formatId(id)}${formatAttributes(attributes)};`;
+
+      if (node.subgraph != null) {
+        subgraphs[node.subgraph] = subgraphs[node.subgraph] || [];
+        subgraphs[node.subgraph].push(line);
+      } else {
+        lines.push(`  ${line}`);
+      }
+    });
+
+    Object.keys(subgraphs).forEach(name => {
+      lines.push(`  subgraph ${formatId(name)} {`);
+      subgraphs[name].forEach(line => lines.push(`    ${line}`));
+      lines.push('  }');
+    });
+
+    graphInput.edges.forEach(edge => {
+      const attributes = {
+        color: edge.color,
+        label: edge.handleText,
+        ...edge.attributes,
+      };
+
+      lines.push(
+        `  ${formatId(edge.source)} -> ${formatId(
+          edge.target
+        )}${formatAttributes(attributes)};`
+      );
+    });
+
+    lines.push('}');
+
+    return `${lines.join('\n')}\n`;
+  }
+}
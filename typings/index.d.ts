@@ -21,6 +21,8 @@ declare module 'react-digraph' {
     y?: number | null;
     type?: string;
     subtype?: string | null;
+    parent?: string | null;
+    collapsed?: boolean;
     [key: string]: any;
   };
 
@@ -29,6 +31,14 @@ declare module 'react-digraph' {
     y: number;
   };
 
+  export type IPortDirection = 'in' | 'out' | 'inout';
+
+  export type IPort = {
+    x: number;
+    y: number;
+    direction?: IPortDirection;
+  };
+
   export type INodeProps = {
     data: INode;
     id: string;
@@ -39,8 +49,15 @@ declare module 'react-digraph' {
     nodeSize?: number;
     onNodeMouseEnter: (event: any, data: any, hovered: boolean) => void;
     onNodeMouseLeave: (event: any, data: any) => void;
-    onNodeMove: (point: IPoint, id: string, shiftKey: boolean) => void;
+    onNodeMove: (
+      point: IPoint,
+      id: string,
+      shiftKey: boolean,
+      sourcePort?: string | null,
+      event?: any
+    ) => void;
     onNodeSelected: (data: any, id: string, shiftKey: boolean) => void;
+    onNodeDoubleClick?: (data: any) => void;
     onNodeUpdate: (point: IPoint, id: string, shiftKey: boolean) => void;
     renderNode?: (
       nodeRef: any,
@@ -55,6 +72,8 @@ declare module 'react-digraph' {
       isSelected: boolean
     ) => any;
     isSelected: boolean;
+    isHighlighted?: boolean;
+    isDimmed?: boolean;
     layoutEngine?: any;
     viewWrapperElem: HTMLDivElement;
   };
@@ -62,8 +81,11 @@ declare module 'react-digraph' {
   export const Node: React.ComponentClass<INodeProps>;
 
   export type IEdge = {
+    id?: string;
     source: string;
     target: string;
+    sourcePort?: string | null;
+    targetPort?: string | null;
     type?: string;
     handleText?: string;
     handleTooltipText?: string;
@@ -75,6 +97,8 @@ declare module 'react-digraph' {
     y: number;
   };
 
+  export type IEdgeRouting = 'straight' | 'curved' | 'orthogonal';
+
   export type IEdgeProps = {
     data: IEdge;
     edgeTypes: any; // TODO: create an edgeTypes interface
@@ -83,49 +107,122 @@ declare module 'react-digraph' {
     sourceNode: INode | null;
     targetNode: INode | ITargetPosition;
     isSelected: boolean;
+    isHighlighted?: boolean;
+    isDimmed?: boolean;
+    opacity?: number;
     nodeKey: string;
     viewWrapperElem: HTMLDivElement;
+    edgeRouting?: IEdgeRouting;
+    parallelIndex?: number;
+    parallelCount?: number;
+    sourceAnchor?: IPoint | null;
+    targetAnchor?: IPoint | null;
   };
 
   export const Edge: React.Component<IEdgeProps>;
 
   export type IGraphViewProps = {
+    allowParallelEdges?: boolean;
+    allowSelfLoops?: boolean;
     backgroundFillId?: string;
+    contextMenuItems?: IContextMenuItem[];
+    dimmedOpacity?: number;
     edges: any[];
     edgeArrowSize?: number;
     edgeHandleSize?: number;
+    edgeRouting?: IEdgeRouting;
     edgeTypes: any;
+    enableHistory?: boolean;
+    enableSearch?: boolean;
+    enableViewportCulling?: boolean;
     gridDotSize?: number;
     gridSize?: number;
     gridSpacing?: number;
+    highlight?: 'chain' | 'path' | null;
+    historyLimit?: number;
     layoutEngineType?: LayoutEngineType;
     maxTitleChars?: number;
+    maxTitleLines?: number;
     maxZoom?: number;
     minZoom?: number;
+    minimapHeight?: number;
+    minimapPosition?: 'top-left' | 'top-right' | 'bottom-left' | 'bottom-right';
+    minimapWidth?: number;
     nodeKey: string;
     nodes: any[];
     nodeSize?: number;
     nodeSubtypes: any;
     nodeTypes: any;
     readOnly?: boolean;
+    resizeBehavior?: 'keepCenter' | 'keepTopLeft' | 'zoomToFit';
+    searchFields?: string[];
     selected: any;
+    selectionModifierKey?: 'shiftKey' | 'altKey' | 'ctrlKey' | 'metaKey' | null;
     showGraphControls?: boolean;
+    showMinimap?: boolean;
+    snapThreshold?: number;
+    viewport?: IViewport | null;
+    viewportCullingMargin?: number;
+    wrapTitles?: boolean;
     zoomDelay?: number;
     zoomDur?: number;
-    canCreateEdge?: (startNode?: INode, endNode?: INode) => boolean;
+    canCreateEdge?: (
+      startNode?: INode,
+      endNode?: INode,
+      existingEdges?: IEdge[],
+      sourcePort?: string | null,
+      targetPort?: string | null
+    ) => boolean;
     canDeleteEdge?: (selected: any) => boolean;
     canDeleteNode?: (selected: any) => boolean;
+    onApplyHistory?: (
+      nodes: INode[],
+      edges: IEdge[],
+      entry: IHistoryEntry,
+      isUndo: boolean
+    ) => void;
+    onContextMenu?: (
+      target: IContextMenuTarget,
+      position: IContextMenuPosition,
+      event: any
+    ) => void;
     onCopySelected?: () => void;
-    onCreateEdge: (sourceNode: INode, targetNode: INode) => void;
-    onCreateNode: (x: number, y: number, event: any) => void;
+    onCreateEdge: (
+      sourceNode: INode,
+      targetNode: INode,
+      sourcePort?: string | null,
+      targetPort?: string | null
+    ) => void;
+    onCreateNode: (
+      x: number,
+      y: number,
+      event: any,
+      item?: INodePaletteItem
+    ) => void;
+    onCreateConnectedNode?: (
+      sourceNode: INode,
+      x: number,
+      y: number,
+      event: any
+    ) => void;
     onDeleteEdge: (selectedEdge: IEdge, edges: IEdge[]) => void;
     onDeleteNode: (selected: any, nodeId: string, nodes: any[]) => void;
+    onDuplicateNode?: (node: INode, x: number, y: number, event: any) => void;
     onPasteSelected?: () => void;
     onSelectEdge: (selectedEdge: IEdge) => void;
     onSelectNode: (node: INode | null) => void;
-    onSwapEdge: (sourceNode: INode, targetNode: INode, edge: IEdge) => void;
+    onSelectionChange?: (nodes: INode[], edges: IEdge[]) => void;
+    onSwapEdge: (
+      sourceNode: INode,
+      targetNode: INode,
+      edge: IEdge,
+      targetPort?: string | null
+    ) => void;
     onUndo?: () => void;
+    onUpdateEdge?: (edge: IEdge) => void;
     onUpdateNode: (node: INode) => void;
+    onUpdateNodes?: (nodes: INode[]) => void;
+    onViewportChange?: (viewport: IViewport) => void;
     renderBackground?: (gridSize?: number) => any;
     renderDefs?: () => any;
     renderNode?: (
@@ -149,12 +246,177 @@ declare module 'react-digraph' {
     ) => any;
   };
 
+  export type IViewport = {
+    x: number;
+    y: number;
+    k: number;
+  };
+
+  export type IExportOptions = {
+    padding?: number;
+    background?: boolean;
+    scale?: number;
+  };
+
+  export type INodePaletteItem = {
+    type: string;
+    subtype: string | null;
+  };
+
+  export type INodePaletteProps = {
+    nodeTypes: any;
+    nodeSubtypes?: any;
+    itemSize?: number;
+    className?: string;
+  };
+
+  export const NodePalette: React.ComponentClass<INodePaletteProps>;
+
+  export type IContextMenuTargetType = 'node' | 'edge' | 'background';
+
+  export type IContextMenuTarget = {
+    type: IContextMenuTargetType;
+    node: INode | null;
+    edge: IEdge | null;
+  };
+
+  export type IContextMenuPosition = {
+    x: number;
+    y: number;
+    worldX: number;
+    worldY: number;
+  };
+
+  export type IContextMenuAction =
+    | 'delete'
+    | 'duplicate'
+    | 'addConnectedNode'
+    | 'createNode'
+    | 'zoomTo';
+
+  export type IContextMenuItem =
+    | IContextMenuAction
+    | {
+        label: string;
+        targets?: IContextMenuTargetType[];
+        editsGraph?: boolean;
+        isEnabled?: (target: IContextMenuTarget) => boolean;
+        onSelect: (
+          target: IContextMenuTarget,
+          position: IContextMenuPosition
+        ) => void;
+      };
+
+  export type IContextMenuEntry = {
+    key: string;
+    label: string;
+    disabled: boolean;
+    onSelect: () => void;
+  };
+
+  export type IContextMenuProps = {
+    entries: IContextMenuEntry[];
+    x: number;
+    y: number;
+    onClose: () => void;
+  };
+
+  export const ContextMenu: React.ComponentClass<IContextMenuProps>;
+
+  export type IHistoryOperationType =
+    | 'createNode'
+    | 'moveNode'
+    | 'updateNode'
+    | 'deleteNode'
+    | 'createEdge'
+    | 'updateEdge'
+    | 'swapEdge'
+    | 'deleteEdge';
+
+  export type IHistoryOperation = {
+    type: IHistoryOperationType;
+    before?: any;
+    after?: any;
+    index: number;
+  };
+
+  export type IHistoryEntry = {
+    operations: IHistoryOperation[];
+  };
+
+  export type IHistorySnapshot = {
+    nodes: ObjectMap<{ item: INode; index: number }>;
+    edges: ObjectMap<{ item: IEdge; index: number }>;
+  };
+
+  export class HistoryManager {
+    static createSnapshot(
+      nodes: INode[],
+      edges: IEdge[],
+      nodeKey: string
+    ): IHistorySnapshot;
+
+    static diff(
+      snapshot: IHistorySnapshot,
+      nodes: INode[],
+      edges: IEdge[],
+      nodeKey: string
+    ): IHistoryOperation[];
+
+    static applyEntry(
+      entry: IHistoryEntry,
+      nodes: INode[],
+      edges: IEdge[],
+      nodeKey: string,
+      isUndo: boolean
+    ): IGraphInput;
+
+    constructor(limit?: number);
+
+    push(entry: IHistoryEntry): void;
+
+    undo(): IHistoryEntry | null;
+
+    redo(): IHistoryEntry | null;
+
+    canUndo(): boolean;
+
+    canRedo(): boolean;
+
+    clear(): void;
+  }
+
   export type IGraphInput = {
     nodes: INode[];
     edges: IEdge[];
   };
 
-  export class BwdlTransformer extends Transformer {}
+  export class BwdlTransformer extends Transformer {
+    /**
+     * Converts a graphInput back to a BWDL document, keeping the unknown
+     * fields and Choice rules of the original document when it is given.
+     * @param graphInput
+     * @param originalBwdl
+     * @returns any
+     */
+    static revert(graphInput: IGraphInput, originalBwdl?: any): any;
+  }
+
+  export class DotTransformer extends Transformer {
+    /**
+     * Converts a Graphviz DOT document to IGraphInput.
+     * @param input
+     * @returns IGraphInput
+     */
+    static transform(input: string): IGraphInput;
+
+    /**
+     * Converts a graphInput to a Graphviz DOT digraph.
+     * @param graphInput
+     * @returns string
+     */
+    static revert(graphInput: IGraphInput): string;
+  }
 
   export class Transformer {
     /**
@@ -172,7 +434,13 @@ declare module 'react-digraph' {
     static revert(graphInput: IGraphInput): any;
   }
 
-  export type LayoutEngineType = 'None' | 'SnapToGrid' | 'VerticalTree';
+  export type LayoutEngineType =
+    | 'None'
+    | 'SnapToGrid'
+    | 'SnapToNodes'
+    | 'VerticalTree'
+    | 'HorizontalTree'
+    | 'ForceDirected';
 
   export const GraphView: React.ComponentClass<IGraphViewProps>;
   export type INodeMapNode = {
@@ -182,6 +450,8 @@ declare module 'react-digraph' {
     outgoingEdges: IEdge[];
     parents: INode[];
     children: INode[];
+    parentGroup: INodeMapNode | null;
+    groupChildren: INodeMapNode[];
   };
 
   type ObjectMap<T> = { [key: string]: T };
@@ -200,10 +470,58 @@ declare module 'react-digraph' {
   export class GraphUtils {
     static getNodesMap(arr: INode[], key: string): NodesMap;
 
+    static getEdgeKey(edge: IEdge): string;
+
+    static getEdgeElementId(edge: IEdge): string;
+
     static getEdgesMap(arr: IEdge[]): EdgesMap;
 
     static linkNodesAndEdges(nodesMap: NodesMap, edges: IEdge[]): void;
 
+    static isGroup(nodeMapNode: INodeMapNode | null): boolean;
+
+    static getGroupAncestors(nodeMapNode: INodeMapNode): INodeMapNode[];
+
+    static getCollapsedAncestor(nodeMapNode: INodeMapNode): INodeMapNode | null;
+
+    static getGroupDescendants(nodeMapNode: INodeMapNode): INodeMapNode[];
+
+    static getNodeIds(nodesMap: NodesMap): string[];
+
+    static getNeighborIds(
+      nodesMap: NodesMap,
+      id: string,
+      incoming?: boolean
+    ): string[];
+
+    static topologicalSort(nodesMap: NodesMap): string[] | null;
+
+    static stronglyConnectedComponents(nodesMap: NodesMap): string[][];
+
+    static findCycles(nodesMap: NodesMap): string[][];
+
+    static shortestPath(
+      nodesMap: NodesMap,
+      source: string,
+      target: string,
+      withinIds?: string[] | null
+    ): string[] | null;
+
+    static reachableFrom(
+      nodesMap: NodesMap,
+      id: string,
+      incoming?: boolean
+    ): string[];
+
+    static ancestorsOf(nodesMap: NodesMap, id: string): string[];
+
+    static getNeighborhood(
+      nodesMap: NodesMap,
+      ids: string[]
+    ): { upstream: string[]; downstream: string[] };
+
+    static connectedComponents(nodesMap: NodesMap): string[][];
+
     static removeElementFromDom(id: string): boolean;
 
     static findParent(element: Element, selector: string): Element | null;